@@ -14,6 +14,7 @@ export * from "./src/types/error_code";
 export * from "./src/types/error";
 export * from "./src/types/events";
 export * from "./src/types/ttl_util";
+export * from "./src/types/sql_builder";
 export * from "./src/types/config";
 export * from "./src/types/data";
 export * from "./src/types/db_number";
@@ -27,3 +28,8 @@ export * from "./src/types/auth/kvstore/types";
 export * from "./src/types/auth/kvstore/auth_provider";
 export * from "./src/types/rate_limiter/rate_limiter";
 export * from "./src/types/rate_limiter/simple_rate_limiter";
+export * from "./src/types/rate_limiter/shared_rate_limiter";
+export * from "./src/types/memory_service";
+export * from "./src/types/interceptor";
+export * from "./src/types/telemetry";
+export * from "./src/types/stats";
@@ -10,9 +10,11 @@
 const con = require('./lib/constants');
 const dur = require('./lib/durability');
 const err = require('./lib/error');
+const sql = require('./lib/sql_builder');
 
 exports.NoSQLClient =require('./lib/nosql_client');
 exports.PreparedStatement = require('./lib/stmt').PreparedStatement;
+exports.QueryExplanation = require('./lib/query/explain');
 exports.ServiceType = con.ServiceType;
 exports.Region = require('./lib/region');
 exports.Consistency = con.Consistency;
@@ -23,6 +25,8 @@ exports.SyncPolicy = dur.SyncPolicy;
 exports.ScanDirection = con.ScanDirection;
 exports.TableState = con.TableState;
 exports.AdminState = con.AdminState;
+exports.CircuitBreakerState = con.CircuitBreakerState;
+exports.EndpointSelection = con.EndpointSelection;
 exports.StatsLevel = con.StatsLevel;
 exports.ErrorCode = require('./lib/error_code');
 exports.NoSQLError = err.NoSQLError;
@@ -35,6 +39,16 @@ exports.NoSQLTimeoutError = err.NoSQLTimeoutError;
 exports.NoSQLAuthorizationError = err.NoSQLAuthorizationError;
 exports.NoSQLQueryError = err.NoSQLQueryError;
 exports.TTLUtil = require('./lib/ttl_util');
+exports.SQL = sql.SQL;
+exports.Param = sql.Param;
+exports.Path = sql.Path;
+exports.Condition = sql.Condition;
+exports.StatementBuilder = sql.StatementBuilder;
+exports.SelectBuilder = sql.SelectBuilder;
+exports.UpdateBuilder = sql.UpdateBuilder;
+exports.DeleteBuilder = sql.DeleteBuilder;
 exports.IAMAuthorizationProvider = require('./lib/auth/iam/auth_provider');
 exports.KVStoreAuthorizationProvider =
     require('./lib/auth/kvstore/auth_provider');
+exports.MemoryService = require('./lib/memory/service');
+exports.FileRateLimiterStore = require('./lib/rate_limiter/file_store');
@@ -249,6 +249,10 @@ ${cfg.serviceType}, auth configuration specifies ${serviceType}`, cfg);
                     cfg.auth.provider = this._str2provider(null);
                 }
                 break;
+            case ServiceType.MEMORY:
+                //In-memory service does not use authorization.
+                cfg.auth.provider = this._str2provider(null);
+                break;
             default:
                 assert(cfg.serviceType && cfg.serviceType._isInternal);
             }
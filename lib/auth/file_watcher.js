@@ -0,0 +1,99 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+//The value that changes when the file is modified or replaced.
+function statKey(stat) {
+    return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+}
+
+//Used by authorization providers when auth.iam.watchFiles or
+//auth.kvstore.watchFiles is set to detect the changes of the credentials
+//files.  The files are polled with stat() instead of using fs.watch(),
+//because the secrets mounted in Kubernetes are updated by replacing the
+//symbolic link to the data directory, which fs.watch() on the file itself
+//does not detect.  The changes of several files detected by the same poll
+//(e.g. the OCI config file and the private key file) result in one call to
+//onChange(), which is passed the array of changed files.  The next poll is
+//scheduled only after onChange() completes, so the reloads never overlap.
+//onChange() is expected to report its own errors, e.g. via
+//credentialsReload event, while the polling continues regardless.
+class CredentialsFileWatcher {
+
+    constructor(files, interval, onChange) {
+        this._interval = interval;
+        this._onChange = onChange;
+        this.setFiles(files);
+        this._schedule();
+    }
+
+    _schedule() {
+        this._timer = setTimeout(async () => {
+            try {
+                await this._poll();
+            } catch {
+                //Ignore, so that later changes are still detected.
+            }
+            if (this._timer != null) {
+                this._schedule();
+            }
+        }, this._interval);
+        //The watcher should not prevent the application from exiting.
+        if (typeof this._timer.unref === 'function') {
+            this._timer.unref();
+        }
+    }
+
+    async _poll() {
+        const changed = [];
+        for(const [ file, key ] of this._keys) {
+            let newKey;
+            try {
+                newKey = statKey(await fs.promises.stat(file));
+            } catch {
+                newKey = null;
+            }
+            if (newKey !== key) {
+                this._keys.set(file, newKey);
+                changed.push(file);
+            }
+        }
+        if (changed.length && this._timer != null) {
+            await this._onChange(changed);
+        }
+    }
+
+    //Called initially and when the set of files changes after reload, e.g.
+    //when the OCI config file points to a different private key file.  The
+    //state of the files is taken synchronously, since the credentials have
+    //just been loaded from them.  The key of a missing file is null.
+    setFiles(files) {
+        this._keys = new Map();
+        for(const file of files) {
+            let key;
+            try {
+                key = statKey(fs.statSync(file));
+            } catch {
+                key = null;
+            }
+            this._keys.set(file, key);
+        }
+    }
+
+    close() {
+        if (this._timer != null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+}
+
+module.exports = CredentialsFileWatcher;
@@ -22,6 +22,7 @@ const SessTokenProfileProvider = require('./profile')
 const ResourcePrincipalProvider = require('./resource_principal');
 const InstancePrincipalProvider = require('./instance_principal');
 const OKEWorkloadIdentityProvider = require('./oke_workload');
+const CredentialsFileWatcher = require('../file_watcher');
 
 let Config;
 
@@ -127,42 +128,67 @@ more than ${MAX_ENTRY_LIFE_TIME} seconds`, cfg);
             }
         }
 
+        //init authentication details provider
+        this._provider = this._createProvider(opt, cfg);
+
+        if (opt.watchFiles) {
+            const files = this._provider.getCredentialsFiles != null ?
+                this._provider.getCredentialsFiles() : [];
+            if (!files.length) {
+                throw new NoSQLArgumentError('Cannot specify \
+auth.iam.watchFiles unless credentials are specified in OCI config file or \
+private key file', cfg);
+            }
+            this._opt = opt;
+            this._cfg = cfg;
+            this._watchIntervalMs = opt.watchIntervalMs;
+            assert(isPosInt32(this._watchIntervalMs));
+        }
+
+        this._initDelegationToken(opt, cfg);
+
+        this._signature = null;
+        this._refreshTimer = null;
+    }
+
+    //Creates the provider of the authentication details.  Also called to
+    //create the new provider when the credentials files change.
+    _createProvider(opt, cfg) {
         let prop;
 
-        //init authentication details provider
         if (opt.useResourcePrincipal) {
             _chkExclProps(cfg, opt, RES_PRINCIPAL_PROP, USER_IDEN_PROPS,
                 [ INST_PRINCIPAL_PROP, OKE_WORKLOAD_PROP, SESS_TOKEN_PROP ]);
-            this._provider = new ResourcePrincipalProvider(opt, cfg);
+            return new ResourcePrincipalProvider(opt, cfg);
         } else if ((prop = _findProps(opt, null, RP_EXTRA_PROPS)) != null) {
             throw new NoSQLArgumentError(`Cannot specify property ${prop} \
 without ${RES_PRINCIPAL_PROP}`, cfg);
         } else if (opt.useInstancePrincipal) {
             _chkExclProps(cfg, opt, INST_PRINCIPAL_PROP, USER_IDEN_PROPS,
                 [ OKE_WORKLOAD_PROP, SESS_TOKEN_PROP ]);
-            this._provider = new InstancePrincipalProvider(opt, cfg);
+            return new InstancePrincipalProvider(opt, cfg);
         } else if ((prop = _findProps(opt, IP_EXTRA_PROPS)) != null) {
             throw new NoSQLArgumentError(`Cannot specify property ${prop} \
 without ${INST_PRINCIPAL_PROP}`, cfg);
         } else if (opt.useOKEWorkloadIdentity) {
             _chkExclProps(cfg, opt, OKE_WORKLOAD_PROP, USER_IDEN_PROPS,
                 [ SESS_TOKEN_PROP ]);
-            this._provider = new OKEWorkloadIdentityProvider(opt, cfg);
+            return new OKEWorkloadIdentityProvider(opt, cfg);
         } else if ((prop = _findProps(opt, OKE_EXTRA_PROPS)) != null) {
             throw new NoSQLArgumentError(`Cannot specify property ${prop} \
 without ${OKE_WORKLOAD_PROP}`, cfg);
         } else if (opt.useSessionToken) {
             _chkExclProps(cfg, opt, SESS_TOKEN_PROP,
                 [ ...PROFILE_PROPS, CREDS_PROVIDER_PROP ]);
-            this._provider = new OCIConfigFileProvider(opt, cfg,
+            return new OCIConfigFileProvider(opt, cfg,
                 SessTokenProfileProvider);
         } else if (PROFILE_PROPS.some(prop => opt[prop] != null)) {
             _chkExclProps(cfg, opt, PROFILE_PROPS,
                 [ ...OCI_CONFIG_PROPS, CREDS_PROVIDER_PROP ]);
-            this._provider = new IAMProfileProvider(opt, cfg);
+            return new IAMProfileProvider(opt, cfg);
         } else if (opt[CREDS_PROVIDER_PROP] != null) {
             _chkExclProps(cfg, opt, CREDS_PROVIDER_PROP, OCI_CONFIG_PROPS);
-            this._provider = new UserProfileProvider(opt, cfg);
+            return new UserProfileProvider(opt, cfg);
         } else if (opt.profileProvider != null) {
             //profileProvider is only used internally now, so not included in
             //exclusivity checks above
@@ -170,15 +196,10 @@ without ${OKE_WORKLOAD_PROP}`, cfg);
                 throw new NoSQLArgumentError(
                     'Custom profile provider must be an object', cfg);
             }
-            this._provider = opt.profileProvider;
+            return opt.profileProvider;
         } else {
-            this._provider = new OCIConfigFileProvider(opt, cfg);
+            return new OCIConfigFileProvider(opt, cfg);
         }
-
-        this._initDelegationToken(opt, cfg);
-
-        this._signature = null;
-        this._refreshTimer = null;
     }
 
     _initDelegationToken(opt, cfg) {
@@ -354,6 +375,50 @@ ${HttpConstants.CONTENT_SHA256}: ${reqSigning.digest}`;
         this._scheduleRefresh();
     }
 
+    //Called when the credentials files change.  The new credentials are
+    //validated by creating the provider from the changed files and loading
+    //the profile, including the private key.  Only then the provider is
+    //replaced and the cached signature is created again, otherwise the
+    //previous credentials keep being used.
+    async _reloadCredentials(files) {
+        let provider;
+        try {
+            provider = this._createProvider(this._opt, this._cfg);
+            await provider.getProfile(true);
+        } catch(err) {
+            if (provider != null) {
+                provider.close();
+            }
+            return this._emitReload(files, err);
+        }
+        //The provider may have been closed while loading the profile.
+        if (this._watcher == null) {
+            provider.close();
+            return;
+        }
+        const prevProvider = this._provider;
+        this._provider = provider;
+        prevProvider.close();
+        //The config file may now point to different private key file.
+        this._watcher.setFiles(provider.getCredentialsFiles());
+        //If this fails, getAuthorization() will create the signature since
+        //the cached profile is invalidated.
+        this._profile = null;
+        await this._refreshSignatureDetails();
+        this._emitReload(files);
+    }
+
+    _emitReload(files, err) {
+        if (this._emitter != null) {
+            this._emitter.emit('credentialsReload', files, err);
+        }
+    }
+
+    //Called by HttpClient to allow this provider to emit events.
+    _setEmitter(emitter) {
+        this._emitter = emitter;
+    }
+
     onInit(cfg) {
         if (cfg.compartment != null &&
             (typeof cfg.compartment !== 'string' || !cfg.compartment)) {
@@ -379,6 +444,12 @@ ${HttpConstants.CONTENT_SHA256}: ${reqSigning.digest}`;
         }
         
         this._serviceHost = cfg.url.hostname;
+
+        if (this._watchIntervalMs != null) {
+            this._watcher = new CredentialsFileWatcher(
+                this._provider.getCredentialsFiles(), this._watchIntervalMs,
+                files => this._reloadCredentials(files));
+        }
     }
 
     /**
@@ -505,6 +576,10 @@ ${HttpConstants.CONTENT_SHA256}: ${reqSigning.digest}`;
      * @see {@link AuthorizationProvider}
      */
     async close() {
+        if (this._watcher != null) {
+            this._watcher.close();
+            this._watcher = null;
+        }
         if (this._provider.close != null) {
             this._provider.close();
         }
@@ -584,10 +659,12 @@ IAMAuthorizationProvider.configDefaults = Object.freeze({
     timeout: 120000,
     durationSeconds: MAX_ENTRY_LIFE_TIME,
     refreshAheadMs: 10000,
+    watchFiles: false,
     //The below properties are not exposed to the user but different
     //values are used in tests.
     securityTokenRefreshAheadMs: 15000,
-    securityTokenExpireBeforeMs: 10000
+    securityTokenExpireBeforeMs: 10000,
+    watchIntervalMs: 5000
 });
 
 module.exports = IAMAuthorizationProvider;
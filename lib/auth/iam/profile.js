@@ -184,6 +184,10 @@ ${profile._ociConfigSrc}`, cfg);
         }
     }
 
+    getCredentialsFiles() {
+        return this._pkFile != null ? [ this._pkFile ] : [];
+    }
+
     async getProfile() {
         if (this._privateKey == null) {
             await this._initPrivateKey();
@@ -267,6 +271,10 @@ ${this._sessTokenFile}: ${err.message}`, err);
         return data;
     }
 
+    getCredentialsFiles() {
+        return [ this._pkFile, this._sessTokenFile ];
+    }
+
     async getProfile() {
         if (this._privateKey == null) {
             await this._initPrivateKey();
@@ -319,6 +327,7 @@ auth.iam.profileName: ${opt.profileName}`, cfg);
         this._providerCons = providerCons;
         
         //Change to read oci config file only once in the constructor
+        this._configFile = configFile;
         const profile = this._getProfileSync(configFile, profileName, cfg);
         this._provider = new providerCons(profile, cfg);
         if (profile[REGION_PROP]) {
@@ -344,6 +353,10 @@ profile "${profileName}"`;
         return profile;
     }
 
+    getCredentialsFiles() {
+        return [ this._configFile, ...this._provider.getCredentialsFiles() ];
+    }
+
     getProfile() {
         assert(this._provider != null);
         return this._provider.getProfile();
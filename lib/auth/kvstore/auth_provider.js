@@ -17,6 +17,7 @@ const ErrorCode = require('../../error_code');
 const NoSQLArgumentError = require('../../error').NoSQLArgumentError;
 const AuthError = require('../../error').NoSQLAuthorizationError;
 const KVStoreTokenProvider = require('./token_provider');
+const CredentialsFileWatcher = require('../file_watcher');
 
 class KVStoreFileCredentialsProvider {
 
@@ -113,31 +114,42 @@ opt.kvstore.password');
 
         this._noRenewBeforeMs = opt.noRenewBeforeMs;
         assert(isPosInt32OrZero(this._noRenewBeforeMs));
+
+        if (opt.watchFiles) {
+            if (!(this._credsProvider instanceof
+                KVStoreFileCredentialsProvider)) {
+                throw new NoSQLArgumentError('Cannot specify \
+auth.kvstore.watchFiles without credentials file specified as \
+auth.kvstore.credentials', cfg);
+            }
+            this._watchIntervalMs = opt.watchIntervalMs;
+            assert(isPosInt32(this._watchIntervalMs));
+        }
     }
 
-    _setAuthResult(res) {
+    _setAuthResult(session, res) {
         assert(res && res.token && res.expireAt);
-        this._auth = 'Bearer ' + res.token;
-        this._expireAt = res.expireAt;
+        session.auth = 'Bearer ' + res.token;
+        session.expireAt = res.expireAt;
     }
 
-    _scheduleRenew() {
-        assert(this._auth && this._expireAt);
+    _scheduleRenew(session) {
+        assert(session.auth && session.expireAt);
         const currTime = Date.now();
-        const exp = this._expireAt - currTime;
+        const exp = session.expireAt - currTime;
 
         //If it is 10 seconds before expiration, don't do further renew to
         //avoid too many renew requests in the last few seconds.
         if (exp <= this._noRenewBeforeMs) {
             return;
         }
-        if (this._renewTimer != null) {
-            clearTimeout(this._renewTimer);
+        if (session.renewTimer != null) {
+            clearTimeout(session.renewTimer);
         }
-        this._renewTimer = setTimeout(async () => {
-            this._setAuthResult(
-                await this._tokenProvider.renew(this._auth));
-            this._scheduleRenew();
+        session.renewTimer = setTimeout(async () => {
+            this._setAuthResult(session,
+                await session.tokenProvider.renew(session.auth));
+            this._scheduleRenew(session);
         }, exp / 2);
     }
 
@@ -148,28 +160,31 @@ opt.kvstore.password');
             creds.password.length;
     }
 
-    async _retrieveToken() {
+    async _loadCredentials() {
         let creds;
         try {
-            if (this._credsProvider) {
-                try {
-                    creds = await this._credsProvider.loadCredentials();
-                } catch(err) {
-                    throw AuthError.creds('Error retrieving credentials',
-                        err);
-                }
-                if (!this._isValidCreds(creds)) {
-                    throw AuthError.creds('Credentials provider returned \
-invalid or missing credentials, check user and password');
-                }
-            } else {
-                creds = this._creds;
-            }
-            assert(this._tokenProvider != null);
-            this._setAuthResult(
-                await this._tokenProvider.login(creds.user, creds.password));
+            creds = await this._credsProvider.loadCredentials();
+        } catch(err) {
+            throw AuthError.creds('Error retrieving credentials', err);
+        }
+        if (!this._isValidCreds(creds)) {
+            clearData(creds);
+            throw AuthError.creds('Credentials provider returned invalid \
+or missing credentials, check user and password');
+        }
+        return creds;
+    }
+
+    async _retrieveToken(session) {
+        let creds;
+        try {
+            creds = this._credsProvider ?
+                await this._loadCredentials() : this._creds;
+            assert(session.tokenProvider != null);
+            this._setAuthResult(session, await session.tokenProvider.login(
+                creds.user, creds.password));
             if (this._autoRenew) {
-                this._scheduleRenew();
+                this._scheduleRenew(session);
             }
         } finally {
             if (this._credsProvider) {
@@ -178,35 +193,121 @@ invalid or missing credentials, check user and password');
         }
     }
 
+    //Called when the credentials file changes.  Since the previous
+    //credentials may be revoked after rotation, we log in again with the
+    //new credentials right away instead of waiting for the current tokens
+    //to expire.  The tokens are replaced only if the login succeeds to all
+    //endpoints, otherwise the previous tokens keep being used.
+    async _reloadCredentials(files) {
+        const sessions = Array.from(this._sessions.values()).filter(
+            session => session.auth);
+        let results;
+        let creds;
+        try {
+            creds = await this._loadCredentials();
+            results = await Promise.all(sessions.map(
+                session => session.tokenProvider.login(creds.user,
+                    creds.password).then(res => ({ res }),
+                    err => ({ err }))));
+        } catch(err) {
+            return this._emitReload(files, err);
+        } finally {
+            clearData(creds);
+        }
+
+        const failed = results.find(item => item.err != null);
+        //The provider may also have been closed while logging in.
+        if (failed != null || this._watcher == null) {
+            await Promise.all(results.map((item, i) => item.res != null &&
+                this._logout(sessions[i].tokenProvider,
+                    'Bearer ' + item.res.token)));
+            if (failed != null) {
+                this._emitReload(files, failed.err);
+            }
+            return;
+        }
+
+        await Promise.all(sessions.map((session, i) => {
+            const prevAuth = session.auth;
+            this._setAuthResult(session, results[i].res);
+            if (this._autoRenew) {
+                this._scheduleRenew(session);
+            }
+            return this._logout(session.tokenProvider, prevAuth);
+        }));
+        this._emitReload(files);
+    }
+
+    async _logout(tokenProvider, auth) {
+        try {
+            await tokenProvider.logout(auth);
+            //TODO: log the error
+        } catch {} //eslint-disable-line no-empty
+    }
+
+    _emitReload(files, err) {
+        if (this._emitter != null) {
+            this._emitter.emit('credentialsReload', files, err);
+        }
+    }
+
+    //Called by HttpClient to allow this provider to emit events.
+    _setEmitter(emitter) {
+        this._emitter = emitter;
+    }
+
     get credentialsProvider() {
         return this._credsProvider;
     }
 
     onInit(cfg) {
-        this._tokenProvider = new KVStoreTokenProvider(this, cfg);
+        this._cfg = cfg;
+        //Tokens may be specific to the proxy instance that issued them, so
+        //when multiple service endpoints are used, we log in to each
+        //endpoint separately and keep separate session for each endpoint.
+        this._sessions = new Map();
+        for(let url of cfg.urls != null ? cfg.urls : [ cfg.url ]) {
+            //This will throw if the url is missing or invalid.
+            const tokenProvider = new KVStoreTokenProvider(this, cfg, url);
+            this._sessions.set(url.href, { tokenProvider });
+        }
+        if (this._watchIntervalMs != null) {
+            this._watcher = new CredentialsFileWatcher(
+                [ this._credsProvider._fileName ], this._watchIntervalMs,
+                files => this._reloadCredentials(files));
+        }
     }
 
     async getAuthorization(req) {
-        if (!this._auth || (req.lastError && req.lastError.errorCode ===
+        //req._url is the endpoint selected for this request, if not set the
+        //default endpoint is used.
+        const session = this._sessions.get(req._url != null ?
+            req._url.href : this._cfg.url.href);
+        assert(session != null);
+        if (!session.auth || (req.lastError && req.lastError.errorCode ===
             ErrorCode.RETRY_AUTHENTICATION)) {
-            await this._retrieveToken();
+            await this._retrieveToken(session);
         }
-        assert(this._auth);
-        return this._auth;
+        assert(session.auth);
+        return session.auth;
     }
 
     async close() {
-        if (this._auth) {
-            if (this._renewTimer != null) {
-                clearTimeout(this._renewTimer);
+        if (this._watcher != null) {
+            this._watcher.close();
+            this._watcher = null;
+        }
+        const sessions = this._sessions != null ?
+            Array.from(this._sessions.values()) : [];
+        await Promise.all(sessions.map(async session => {
+            if (!session.auth) {
+                return;
             }
-            if (this._tokenProvider != null) {
-                try {
-                    await this._tokenProvider.logout(this._auth);
-                    //TODO: log the error
-                } catch {} //eslint-disable-line no-empty
+            if (session.renewTimer != null) {
+                clearTimeout(session.renewTimer);
             }
-        }
+            await this._logout(session.tokenProvider, session.auth);
+        }));
         if (this._creds) {
             clearData(this._creds);
         }
@@ -244,9 +345,11 @@ invalid or missing credentials, check user and password');
 KVStoreAuthorizationProvider.configDefaults = Object.freeze({
     timeout: 30000,
     autoRenew: true,
+    watchFiles: false,
     //The below properties are not exposed to the user but different
     //values are used in tests.
-    noRenewBeforeMs: 10000
+    noRenewBeforeMs: 10000,
+    watchIntervalMs: 5000
 });
 
 module.exports = KVStoreAuthorizationProvider;
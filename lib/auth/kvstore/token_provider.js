@@ -26,19 +26,20 @@ const LOGOUT_ENDPOINT = '/logout';
 
 class KVStoreTokenProvider {
 
-    constructor(provider, cfg) {
-        if (cfg.url == null) {
+    //The url is one of the service endpoints, by default cfg.url.
+    constructor(provider, cfg, url = cfg.url) {
+        if (url == null) {
             throw new NoSQLArgumentError('Missing service endpoint', cfg);
         }
-        assert(cfg.url instanceof URL);
-        if (!cfg.url.protocol.startsWith('https')) {
+        assert(url instanceof URL);
+        if (!url.protocol.startsWith('https')) {
             throw new NoSQLArgumentError(`Invalid protocol for \
-authorization: ${cfg.url.protocol}, https is required`, cfg);
+authorization: ${url.protocol}, https is required`, cfg);
         }
 
-        this._loginUrl = new URL(BASE_PATH + LOGIN_ENDPOINT, cfg.url);
-        this._renewUrl = new URL(BASE_PATH + RENEW_ENDPOINT, cfg.url);
-        this._logoutUrl = new URL(BASE_PATH + LOGOUT_ENDPOINT, cfg.url);
+        this._loginUrl = new URL(BASE_PATH + LOGIN_ENDPOINT, url);
+        this._renewUrl = new URL(BASE_PATH + RENEW_ENDPOINT, url);
+        this._logoutUrl = new URL(BASE_PATH + LOGOUT_ENDPOINT, url);
 
         this._timeout = provider._timeout;
         this._httpClient = new HttpClient(cfg.httpOpt);
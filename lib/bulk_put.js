@@ -0,0 +1,372 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const fsPromises = require('fs').promises;
+
+const ops = require('./ops');
+const ErrorCode = require('./error_code');
+const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const Limits = require('./constants').Limits;
+const isPosInt32 = require('./utils').isPosInt32;
+const isPosIntOrZero = require('./utils').isPosIntOrZero;
+const addConsumedCapacity = require('./utils').addConsumedCapacity;
+const shardKeyString = require('./utils').shardKeyString;
+
+//Default number of putMany requests in flight.
+const DEF_CONCURRENCY = 4;
+
+//Default minimum interval in milliseconds between writes of the checkpoint
+//file.
+const DEF_CHECKPOINT_INTERVAL = 1000;
+
+//Implements NoSQLClient.bulkPut().
+//
+//Rows are read from the input and grouped by shard key.  A group is sent as
+//a single putMany request when it reaches opt.batchSize rows or, if the
+//number of buffered rows exceeds the maximum, when it contains the oldest
+//buffered row.  The latter ensures that the checkpoint keeps advancing for
+//inputs that are not ordered by shard key.
+//
+//The checkpoint is the number of rows from the beginning of the input that
+//have been written.  Because the groups may complete out of order, we keep
+//the set of sequence numbers of completed rows beyond the checkpoint.  The
+//size of this set is bounded by the number of buffered and in-flight rows.
+class BulkPut {
+
+    constructor(client, req) {
+        this._client = client;
+        this._req = req;
+        this._groups = new Map();
+        this._numBuffered = 0;
+        this._inFlight = new Set();
+        this._completed = new Set();
+        this._nextSeq = 0;
+        this._rowCount = 0;
+        this._rowsWritten = 0;
+        this._rowsFailed = 0;
+        this._consumedCapacity = undefined;
+        this._lastCheckpointTime = 0;
+        this._cpWrite = null;
+    }
+
+    static _validate(req) {
+        const opt = req.opt;
+        if (!req.tableName || typeof req.tableName !== 'string') {
+            throw new NoSQLArgumentError('Missing or invalid table name',
+                req);
+        }
+        if (req.rows == null || (typeof req.rows[Symbol.asyncIterator] !==
+            'function' && typeof req.rows[Symbol.iterator] !== 'function')) {
+            throw new NoSQLArgumentError('Rows must be iterable, async ' +
+                'iterable or readable stream', req);
+        }
+        if (opt.concurrency != null && !isPosInt32(opt.concurrency)) {
+            throw new NoSQLArgumentError(
+                `Invalid concurrency value: ${opt.concurrency}`, req);
+        }
+        if (opt.batchSize != null && (!isPosInt32(opt.batchSize) ||
+            opt.batchSize > Limits.BATCH_OP_NUMBER)) {
+            throw new NoSQLArgumentError(
+                `Invalid batchSize value: ${opt.batchSize}`, req);
+        }
+        if (opt.checkpointFile != null &&
+            (typeof opt.checkpointFile !== 'string' ||
+            !opt.checkpointFile)) {
+            throw new NoSQLArgumentError(
+                `Invalid checkpointFile value: ${opt.checkpointFile}`, req);
+        }
+        if (opt.checkpointInterval != null &&
+            !isPosIntOrZero(opt.checkpointInterval)) {
+            throw new NoSQLArgumentError('Invalid checkpointInterval ' +
+                `value: ${opt.checkpointInterval}`, req);
+        }
+        if (opt.checkpoint != null) {
+            this._validateCheckpoint(opt.checkpoint, req);
+        }
+    }
+
+    static _validateCheckpoint(cp, req) {
+        if (typeof cp !== 'object' || typeof cp.tableName !== 'string' ||
+            !Number.isSafeInteger(cp.rowCount) || cp.rowCount < 0) {
+            throw new NoSQLArgumentError('Invalid checkpoint', req);
+        }
+        if (cp.tableName.toLowerCase() !== req.tableName.toLowerCase()) {
+            throw new NoSQLArgumentError(`Checkpoint for table \
+${cp.tableName} cannot be used to load table ${req.tableName}`, req);
+        }
+    }
+
+    async _readCheckpoint() {
+        let data;
+        try {
+            data = await fsPromises.readFile(this._opt.checkpointFile,
+                'utf8');
+        } catch(err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw new NoSQLArgumentError('Error reading checkpoint file ' +
+                this._opt.checkpointFile, this._req, err);
+        }
+        let cp;
+        try {
+            cp = JSON.parse(data);
+        } catch(err) {
+            throw new NoSQLArgumentError('Error parsing checkpoint file ' +
+                this._opt.checkpointFile, this._req, err);
+        }
+        BulkPut._validateCheckpoint(cp, this._req);
+        return cp;
+    }
+
+    //Write to temporary file and rename it so that the checkpoint file is
+    //never left partially written.
+    async _doWriteCheckpoint(cp) {
+        const file = this._opt.checkpointFile;
+        const tmpFile = file + '.tmp';
+        try {
+            await fsPromises.writeFile(tmpFile, JSON.stringify(cp));
+            await fsPromises.rename(tmpFile, file);
+        } catch(err) {
+            throw new NoSQLArgumentError(
+                `Error writing checkpoint file ${file}`, this._req, err);
+        }
+    }
+
+    //Only one write of the checkpoint file is in progress at a time.  If
+    //force is false, the file is written only if opt.checkpointInterval
+    //has elapsed since the previous write.
+    async _writeCheckpoint(force) {
+        if (this._opt.checkpointFile == null) {
+            return;
+        }
+        if (this._cpWrite != null) {
+            if (!force) {
+                return;
+            }
+            await this._cpWrite;
+        }
+        const now = Date.now();
+        const interval = this._opt.checkpointInterval != null ?
+            this._opt.checkpointInterval : DEF_CHECKPOINT_INTERVAL;
+        if (!force && now - this._lastCheckpointTime < interval) {
+            return;
+        }
+        this._lastCheckpointTime = now;
+        this._cpWrite = this._doWriteCheckpoint(this._checkpoint());
+        try {
+            await this._cpWrite;
+        } finally {
+            this._cpWrite = null;
+        }
+    }
+
+    _checkpoint() {
+        return {
+            tableName: this._req.tableName,
+            rowCount: this._rowCount
+        };
+    }
+
+    _progress() {
+        return {
+            tableName: this._req.tableName,
+            rowsWritten: this._rowsWritten,
+            rowsFailed: this._rowsFailed,
+            consumedCapacity: this._consumedCapacity != null ?
+                Object.assign({}, this._consumedCapacity) : undefined,
+            checkpoint: this._checkpoint()
+        };
+    }
+
+    _onBatchResult(batch, res) {
+        if (res.consumedCapacity != null) {
+            if (this._consumedCapacity == null) {
+                this._consumedCapacity = {};
+            }
+            addConsumedCapacity(this._consumedCapacity, res.consumedCapacity);
+        }
+        for(let i = 0; i < batch.length; i++) {
+            if (res.results[i].success) {
+                this._rowsWritten++;
+            } else {
+                this._rowsFailed++;
+            }
+            this._completed.add(batch[i].seq);
+        }
+        while(this._completed.delete(this._rowCount)) {
+            this._rowCount++;
+        }
+        this._client.emit('progress', this._progress(), this._req);
+    }
+
+    async _putBatch(batch) {
+        let res;
+        try {
+            res = await this._client._execute(ops.WriteMultipleOp, {
+                api: this._req.api,
+                tableName: this._req.tableName,
+                rows: batch.map(ent => ent.row),
+                //Each request needs its own options object since
+                //request-specific values such as requestTimeout are stored
+                //there.
+                opt: Object.assign({}, this._opt)
+            });
+        } catch(err) {
+            //If the batch is too large, split it in half.
+            if (err.errorCode === ErrorCode.REQUEST_SIZE_LIMIT_EXCEEDED &&
+                batch.length > 1) {
+                const mid = Math.ceil(batch.length / 2);
+                await this._putBatch(batch.slice(0, mid));
+                return this._putBatch(batch.slice(mid));
+            }
+            throw err;
+        }
+        this._onBatchResult(batch, res);
+        return this._writeCheckpoint(false);
+    }
+
+    //Waits until the number of requests in flight is below the concurrency
+    //and then starts the request for the batch.
+    async _dispatch(key) {
+        const batch = this._groups.get(key);
+        this._groups.delete(key);
+        this._numBuffered -= batch.length;
+
+        while (this._inFlight.size >= this._concurrency) {
+            await Promise.race(this._inFlight);
+        }
+        const promise = this._putBatch(batch);
+        this._inFlight.add(promise);
+        //Errors are handled by whoever awaits the promise.  The first error
+        //stops the load, see run().
+        promise.then(() => this._inFlight.delete(promise), err => {
+            if (this._error == null) {
+                this._error = err;
+            }
+            this._inFlight.delete(promise);
+        });
+    }
+
+    async _addRow(row, shardKey) {
+        const seq = this._nextSeq++;
+        if (seq < this._rowCount) {
+            //Row was already written in a previous run.
+            return;
+        }
+        if (row == null || typeof row !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid row at position ${seq} of the input`, this._req);
+        }
+        const key = shardKey != null ?
+            shardKeyString(this._req.tableName, shardKey, row) : seq;
+        let group = this._groups.get(key);
+        if (group == null) {
+            group = [];
+            this._groups.set(key, group);
+        }
+        group.push({ seq, row });
+        this._numBuffered++;
+
+        if (group.length >= this._batchSize) {
+            await this._dispatch(key);
+        } else if (this._numBuffered >= this._maxBuffered) {
+            //The first group in the map contains the oldest row.
+            await this._dispatch(this._groups.keys().next().value);
+        }
+    }
+
+    async run() {
+        ops.WriteMultipleOp.applyDefaults(this._req, this._client._config);
+        BulkPut._validate(this._req);
+        const opt = this._opt = this._req.opt;
+        this._concurrency = opt.concurrency != null ?
+            opt.concurrency : DEF_CONCURRENCY;
+        this._batchSize = opt.batchSize != null ?
+            opt.batchSize : Limits.BATCH_OP_NUMBER;
+        this._maxBuffered = this._concurrency * this._batchSize;
+
+        let cp = opt.checkpoint;
+        if (cp == null && opt.checkpointFile != null) {
+            cp = await this._readCheckpoint();
+        }
+        if (cp != null) {
+            this._rowCount = cp.rowCount;
+        }
+
+        //We do not need the shard key if each request has only one row.
+        //Getting the table also initializes the rate limiters for the table
+        //if rate limiting is enabled.
+        const shardKey = this._batchSize > 1 ?
+            await this._client._getShardKey(this._req.tableName, this._req) :
+            null;
+
+        let inputError;
+        try {
+            for await (const row of this._req.rows) {
+                if (this._error != null) {
+                    break;
+                }
+                await this._addRow(row, shardKey);
+            }
+        } catch(err) {
+            //If this._error is set, the request error was rethrown by
+            //_dispatch(), otherwise this is an error reading the input.
+            if (this._error == null) {
+                inputError = err;
+            }
+        }
+
+        //If reading the input failed, we still write the rows read so far
+        //in order to advance the checkpoint.
+        try {
+            while(this._groups.size && this._error == null) {
+                await this._dispatch(this._groups.keys().next().value);
+            }
+        } catch {
+            //The error is already set in this._error.
+        }
+
+        await Promise.all(Array.from(this._inFlight).map(
+            promise => promise.catch(() => {})));
+
+        if (inputError != null) {
+            this._error = inputError;
+        }
+        if (this._error != null) {
+            //Save the progress made so far so that the load can be resumed.
+            try {
+                await this._writeCheckpoint(true);
+            } catch {
+                //Report the original error.
+            }
+            throw this._error;
+        }
+
+        if (opt.checkpointFile != null) {
+            //Wait for any write in progress before removing the file.
+            if (this._cpWrite != null) {
+                await this._cpWrite.catch(() => {});
+            }
+            try {
+                await fsPromises.unlink(opt.checkpointFile);
+            } catch(err) {
+                if (err.code !== 'ENOENT') {
+                    throw new NoSQLArgumentError('Error removing ' +
+                        `checkpoint file ${opt.checkpointFile}`, this._req,
+                    err);
+                }
+            }
+        }
+
+        return this._progress();
+    }
+}
+
+module.exports = BulkPut;
@@ -0,0 +1,154 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const ErrorCode = require('./error_code');
+const NoSQLError = require('./error').NoSQLError;
+const CircuitBreakerState = require('./constants').CircuitBreakerState;
+const HttpConstants = require('./constants').HttpConstants;
+
+//Whether the error indicates that the service is unreachable or
+//unavailable.  Only these errors count as failures, any other outcome means
+//that the service is responding.
+function isFailure(err) {
+    return err.errorCode === ErrorCode.NETWORK_ERROR ||
+        err.errorCode === ErrorCode.SERVICE_UNAVAILABLE ||
+        (err.errorCode === ErrorCode.SERVICE_ERROR &&
+        err.statusCode === HttpConstants.HTTP_UNAVAILABLE);
+}
+
+//Circuit breaker used by HttpClient.  In CLOSED state, outcomes of the most
+//recent requests are kept in a count-based sliding window and the circuit
+//opens when the failure rate in the window reaches the threshold.  In OPEN
+//state all requests fail fast until openTimeout elapses, after which the
+//circuit becomes HALF_OPEN and allows up to halfOpenRequests trial requests.
+//The circuit closes if all trial requests succeed and opens again if any of
+//them fails.
+class CircuitBreaker {
+
+    constructor(cfg, client) {
+        this._cfg = cfg;
+        this._client = client;
+        this._state = CircuitBreakerState.CLOSED;
+        //Incremented on each state change to ignore outcomes of the requests
+        //started in the previous state.
+        this._gen = 0;
+        this._resetWindow();
+    }
+
+    _resetWindow() {
+        this._window = [];
+        this._pos = 0;
+        this._numFailures = 0;
+        this._lastFailure = undefined;
+    }
+
+    _setState(state, err) {
+        const prevState = this._state;
+        this._state = state;
+        this._gen++;
+        this._client.emit('circuitBreakerState', state, prevState, err);
+    }
+
+    _open(err) {
+        this._openTime = Date.now();
+        this._openError = err;
+        this._resetWindow();
+        this._setState(CircuitBreakerState.OPEN, err);
+    }
+
+    _halfOpen() {
+        this._numTrials = 0;
+        this._numSucceeded = 0;
+        this._setState(CircuitBreakerState.HALF_OPEN);
+    }
+
+    _close() {
+        this._openError = undefined;
+        this._setState(CircuitBreakerState.CLOSED);
+    }
+
+    _failFast(req) {
+        return new NoSQLError(ErrorCode.CIRCUIT_BREAKER_OPEN,
+            'Circuit breaker is open, the request was not sent',
+            this._openError, req);
+    }
+
+    //Returns true if the request may be sent as a trial request in HALF_OPEN
+    //state, false if it may be sent in CLOSED state, otherwise throws.
+    _acquire(req) {
+        if (this._state === CircuitBreakerState.OPEN) {
+            if (Date.now() - this._openTime < this._cfg.openTimeout) {
+                throw this._failFast(req);
+            }
+            this._halfOpen();
+        }
+        if (this._state === CircuitBreakerState.HALF_OPEN) {
+            if (this._numTrials >= this._cfg.halfOpenRequests) {
+                throw this._failFast(req);
+            }
+            this._numTrials++;
+            return true;
+        }
+        return false;
+    }
+
+    _record(failed, err) {
+        const window = this._window;
+        if (window.length < this._cfg.windowSize) {
+            window.push(failed);
+        } else {
+            if (window[this._pos]) {
+                this._numFailures--;
+            }
+            window[this._pos] = failed;
+            this._pos = (this._pos + 1) % window.length;
+        }
+        if (failed) {
+            this._numFailures++;
+            this._lastFailure = err;
+        }
+        if (this._numFailures > 0 &&
+            window.length >= this._cfg.minRequests &&
+            this._numFailures * 100 >=
+            this._cfg.failureThreshold * window.length) {
+            this._open(this._lastFailure);
+        }
+    }
+
+    _onOutcome(gen, isTrial, err) {
+        if (gen !== this._gen) {
+            return;
+        }
+        const failed = err != null && isFailure(err);
+        if (!isTrial) {
+            this._record(failed, err);
+        } else if (failed) {
+            this._open(err);
+        } else if (++this._numSucceeded >= this._cfg.halfOpenRequests) {
+            this._close();
+        }
+    }
+
+    //Sends the request via fn() unless the circuit is open.
+    async execute(req, fn) {
+        const isTrial = this._acquire(req);
+        const gen = this._gen;
+        let res;
+        try {
+            res = await fn();
+        } catch(err) {
+            this._onOutcome(gen, isTrial, err);
+            throw err;
+        }
+        this._onOutcome(gen, isTrial);
+        return res;
+    }
+}
+
+module.exports = CircuitBreaker;
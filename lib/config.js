@@ -11,6 +11,7 @@ const assert = require('assert');
 
 const ServiceType = require('./constants').ServiceType;
 const Consistency = require('./constants').Consistency;
+const EndpointSelection = require('./constants').EndpointSelection;
 const ErrorCode = require('./error_code');
 const NoSQLArgumentError = require('./error').NoSQLArgumentError;
 const isPosInt32 = require('./utils').isPosInt32;
@@ -20,7 +21,21 @@ const requireNoWP = require('./utils').requireNoWP;
 const path = require('path');
 const AuthConfig = require('./auth/config');
 const NumberTypeHandler = require('./db_number');
+const RowMapper = require('./row_mapper');
 const Region = require('./region');
+const MemoryService = require('./memory/service');
+
+//Default values of circuitBreaker properties.
+const CIRCUIT_BREAKER_DEFAULTS = Object.freeze({
+    failureThreshold: 50,
+    windowSize: 20,
+    minRequests: 10,
+    openTimeout: 30000,
+    halfOpenRequests: 1
+});
+
+//Default maximum number of entries in the prepared statement cache.
+const DEF_STATEMENT_CACHE_SIZE = 500;
 
 class Config {
 
@@ -138,8 +153,7 @@ class Config {
         }
     }
 
-    static _endpoint2url(cfg) {
-        let endpoint = cfg.endpoint;
+    static _endpoint2url(cfg, endpoint = cfg.endpoint) {
         if (endpoint instanceof URL) {
             endpoint = endpoint.href;
             if (endpoint.endsWith('/')) {
@@ -197,11 +211,50 @@ failed to construct URL`, cfg);
         }
     }
 
+    static _initEndpoints(cfg) {
+        if (cfg.endpoint != null || cfg.region != null) {
+            throw new NoSQLArgumentError('Config may not contain service \
+endpoints together with endpoint or region', cfg);
+        }
+        if (!Array.isArray(cfg.endpoints) || !cfg.endpoints.length) {
+            throw new NoSQLArgumentError(
+                `Invalid service endpoints: ${cfg.endpoints}`, cfg);
+        }
+        //Copy the array to prevent further user's changes from having
+        //effect.
+        cfg.endpoints = cfg.endpoints.slice();
+        cfg.urls = cfg.endpoints.map((endpoint, i) => {
+            if (typeof endpoint !== 'string' && !(endpoint instanceof URL)) {
+                throw new NoSQLArgumentError(
+                    `Invalid service endpoint at index ${i}: ${endpoint}`,
+                    cfg);
+            }
+            return this._endpoint2url(cfg, endpoint);
+        });
+        const hrefs = new Set();
+        for(let url of cfg.urls) {
+            if (url.protocol !== cfg.urls[0].protocol) {
+                throw new NoSQLArgumentError('All service endpoints must \
+use the same protocol', cfg);
+            }
+            if (hrefs.has(url.href)) {
+                throw new NoSQLArgumentError(
+                    `Duplicate service endpoint: ${url.href}`, cfg);
+            }
+            hrefs.add(url.href);
+        }
+        //The first endpoint is used where a single url is expected.
+        cfg.url = cfg.urls[0];
+    }
+
     static initUrl(cfg, isStrict) {
-        if (cfg.url != null) {
+        if (cfg.url != null || cfg.urls != null) {
             throw new NoSQLArgumentError('May not specify property "url", \
 use "endpoint" or "region" instead');
         }
+        if (cfg.endpoints != null) {
+            return this._initEndpoints(cfg);
+        }
         if (cfg.region != null) {
             if (cfg.endpoint != null) {
                 throw new NoSQLArgumentError('Config may not contain both \
@@ -227,6 +280,154 @@ service endpoint and region', cfg);
         }
     }
     
+    static _initMemoryService(cfg) {
+        if (cfg.endpoint != null || cfg.endpoints != null ||
+            cfg.region != null || cfg.url != null) {
+            throw new NoSQLArgumentError('May not specify service endpoint \
+or region with service type MEMORY', cfg);
+        }
+        if (cfg.memoryService == null) {
+            cfg.memoryService = new MemoryService();
+        } else if (!(cfg.memoryService instanceof MemoryService)) {
+            throw new NoSQLArgumentError(
+                `Invalid memoryService value: ${cfg.memoryService}`, cfg);
+        }
+    }
+
+    static _initInterceptors(cfg) {
+        if (cfg.interceptors == null) {
+            return;
+        }
+        if (!Array.isArray(cfg.interceptors)) {
+            throw new NoSQLArgumentError(
+                `Invalid interceptors value: ${cfg.interceptors}`, cfg);
+        }
+        //Copy the array to prevent further user's changes from having
+        //effect.
+        cfg.interceptors = cfg.interceptors.slice();
+        cfg.interceptors.forEach((ic, i) => {
+            if (ic == null || typeof ic !== 'object') {
+                throw new NoSQLArgumentError(
+                    `Invalid interceptor at index ${i}: ${ic}`, cfg);
+            }
+            let hasHook = false;
+            for(let n of ['onRequest', 'onResult', 'onError']) {
+                if (ic[n] == null) {
+                    continue;
+                }
+                if (typeof ic[n] !== 'function') {
+                    throw new NoSQLArgumentError(`Invalid ${n} value of \
+interceptor at index ${i}: ${ic[n]}`, cfg);
+                }
+                hasHook = true;
+            }
+            if (!hasHook) {
+                throw new NoSQLArgumentError(`Interceptor at index ${i} \
+must have at least one of onRequest, onResult or onError methods`, cfg);
+            }
+        });
+    }
+
+    static _initTelemetry(cfg) {
+        if (cfg.telemetry == null) {
+            return;
+        }
+        if (typeof cfg.telemetry !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid telemetry value: ${cfg.telemetry}`, cfg);
+        }
+        const tracer = cfg.telemetry.tracer;
+        const meter = cfg.telemetry.meter;
+        if (tracer == null && meter == null) {
+            throw new NoSQLArgumentError('Telemetry configuration must \
+specify tracer, meter or both', cfg);
+        }
+        if (tracer != null && (typeof tracer !== 'object' ||
+            typeof tracer.startSpan !== 'function')) {
+            throw new NoSQLArgumentError(
+                `Invalid telemetry.tracer value: ${tracer}`, cfg);
+        }
+        if (meter != null && (typeof meter !== 'object' ||
+            typeof meter.createHistogram !== 'function' ||
+            typeof meter.createCounter !== 'function')) {
+            throw new NoSQLArgumentError(
+                `Invalid telemetry.meter value: ${meter}`, cfg);
+        }
+    }
+
+    static _initStats(cfg) {
+        if (cfg.stats == null || cfg.stats === false) {
+            return;
+        }
+        if (cfg.stats === true) {
+            cfg.stats = {};
+        } else if (typeof cfg.stats !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid stats value: ${cfg.stats}`, cfg);
+        }
+        for(let n of ['interval', 'maxLatencySamples']) {
+            if (cfg.stats[n] != null && !isPosInt32(cfg.stats[n])) {
+                throw new NoSQLArgumentError(
+                    `Invalid stats.${n} value: ${cfg.stats[n]}`, cfg);
+            }
+        }
+    }
+
+    static _initCircuitBreaker(cfg) {
+        if (cfg.circuitBreaker == null || cfg.circuitBreaker === false) {
+            return;
+        }
+        if (cfg.circuitBreaker === true) {
+            cfg.circuitBreaker = {};
+        } else if (typeof cfg.circuitBreaker !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid circuitBreaker value: ${cfg.circuitBreaker}`, cfg);
+        }
+        const cb = cfg.circuitBreaker = Object.assign({},
+            CIRCUIT_BREAKER_DEFAULTS, cfg.circuitBreaker);
+        for(let n of ['windowSize', 'minRequests', 'openTimeout',
+            'halfOpenRequests']) {
+            if (!isPosInt32(cb[n])) {
+                throw new NoSQLArgumentError(
+                    `Invalid circuitBreaker.${n} value: ${cb[n]}`, cfg);
+            }
+        }
+        if (typeof cb.failureThreshold !== 'number' ||
+            !(cb.failureThreshold > 0 && cb.failureThreshold <= 100)) {
+            throw new NoSQLArgumentError(`Invalid \
+circuitBreaker.failureThreshold value: ${cb.failureThreshold}`, cfg);
+        }
+        if (cb.minRequests > cb.windowSize) {
+            throw new NoSQLArgumentError('Value of \
+circuitBreaker.minRequests cannot be greater than the value of \
+circuitBreaker.windowSize', cfg);
+        }
+    }
+
+    static _initStatementCache(cfg) {
+        if (cfg.statementCache == null || cfg.statementCache === false) {
+            return;
+        }
+        if (cfg.statementCache === true) {
+            cfg.statementCache = {};
+        } else if (typeof cfg.statementCache !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid statementCache value: ${cfg.statementCache}`, cfg);
+        }
+        const sc = cfg.statementCache = Object.assign({
+            maxSize: DEF_STATEMENT_CACHE_SIZE }, cfg.statementCache);
+        if (!isPosInt32(sc.maxSize)) {
+            throw new NoSQLArgumentError(
+                `Invalid statementCache.maxSize value: ${sc.maxSize}`, cfg);
+        }
+    }
+
+    static _initRowMappers(cfg) {
+        if (cfg.rowMappers != null) {
+            cfg._rowMappers = RowMapper.createMap(cfg.rowMappers);
+        }
+    }
+
     static _init(cfg) {
         if (cfg.serviceType != null) {
             if (typeof cfg.serviceType === 'string') {
@@ -237,10 +438,19 @@ service endpoint and region', cfg);
                     `Invalid service type: ${cfg.serviceType}`, cfg);
             }
         }
-        this.initUrl(cfg);
+        if (cfg.serviceType === ServiceType.MEMORY) {
+            this._initMemoryService(cfg);
+        } else {
+            if (cfg.memoryService != null) {
+                throw new NoSQLArgumentError('Property "memoryService" may \
+only be specified with service type MEMORY', cfg);
+            }
+            this.initUrl(cfg);
+        }
 
         for(let n of ['timeout', 'ddlTimeout', 'securityInfoTimeout',
-            'tablePollDelay', 'adminPollDelay', 'maxMemoryMB']) {
+            'tablePollDelay', 'adminPollDelay', 'maxMemoryMB',
+            'endpointEjectTimeout']) {
             if (!isPosInt32(cfg[n])) {
                 throw new NoSQLArgumentError(
                     `Invalid ${n} value: ${cfg[n]}`, cfg);
@@ -264,20 +474,53 @@ than table poll delay', cfg);
             throw new NoSQLArgumentError(
                 `Invalid consistency value: ${cfg.consistency}`, cfg);
         }
+        if (typeof cfg.endpointSelection === 'string') {
+            cfg.endpointSelection =
+                EndpointSelection[cfg.endpointSelection.toUpperCase()];
+        }
+        if (!(cfg.endpointSelection instanceof EndpointSelection)) {
+            throw new NoSQLArgumentError(
+                `Invalid endpointSelection value: ${cfg.endpointSelection}`,
+                cfg);
+        }
+        if (cfg.maxConcurrentRequests != null &&
+            !isPosInt32(cfg.maxConcurrentRequests)) {
+            throw new NoSQLArgumentError('Invalid maxConcurrentRequests \
+value: ' + cfg.maxConcurrentRequests, cfg);
+        }
+        if (cfg.maxQueuedRequests != null &&
+            cfg.maxQueuedRequests !== Infinity &&
+            !(Number.isInteger(cfg.maxQueuedRequests) &&
+            cfg.maxQueuedRequests >= 0)) {
+            throw new NoSQLArgumentError(
+                `Invalid maxQueuedRequests value: ${cfg.maxQueuedRequests}`,
+                cfg);
+        }
         if (cfg.httpOpt != null && typeof cfg.httpOpt !== 'object') {
             throw new NoSQLArgumentError(
                 `Invalid HTTP options: ${cfg.httpOpt}`, cfg);
         }
 
         this._initRetry(cfg);
+        this._initInterceptors(cfg);
+        this._initTelemetry(cfg);
+        this._initStats(cfg);
+        this._initCircuitBreaker(cfg);
+        this._initStatementCache(cfg);
+        this._initRowMappers(cfg);
         AuthConfig.init(cfg);
         //In the special case the value of url may be set by
         //IAMAuthorizationProvider by getting region from OCI config file
-        //In any case, the url must be set at this point.
-        if (cfg.url == null) {
+        //In any case, the url must be set at this point, unless using
+        //in-memory service.
+        if (cfg.url == null && cfg.serviceType !== ServiceType.MEMORY) {
             throw new NoSQLArgumentError('Missing service endpoint or region',
                 cfg);
         }
+        if (cfg.urls != null && cfg.serviceType === ServiceType.CLOUD) {
+            throw new NoSQLArgumentError('Multiple service endpoints are not \
+supported with service type CLOUD', cfg);
+        }
 
         if (cfg.dbNumber != null) {
             cfg._dbNumber = new NumberTypeHandler(cfg);
@@ -384,6 +627,8 @@ Config.defaults = Object.freeze({
     adminPollTimeout: Infinity,
     adminPollDelay: 1000,
     consistency: Consistency.EVENTUAL,
+    endpointSelection: EndpointSelection.ROUND_ROBIN,
+    endpointEjectTimeout: 30000,
     maxMemoryMB: 1024,
     retry: Object.freeze({
         maxRetries: 10,
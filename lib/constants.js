@@ -127,14 +127,14 @@ class Enum {
  * Service type is specified in the initial configuration used to create
  * {@link NoSQLClient} instance and indicates what kind of service the
  * driver will be using.  Currently supported values are
- * {@link ServiceType.CLOUDSIM}, {@link ServiceType.CLOUD} and
- * {@link ServiceType.KVSTORE}.  In addition to {@link ServiceType}
- * enumeration, these values may be specified as strings "CLOUDSIM", "CLOUD"
- * or "KVSTORE", case-insensitive.  This is useful if using JSON configuration
- * file.  If {@link ServiceType} is not present in the initial configuration,
- * the driver will try to deduce service type from the
- * information provided in authorization property {@link Config}#auth (see
- * {@link AuthConfig}) in the following way:
+ * {@link ServiceType.CLOUDSIM}, {@link ServiceType.CLOUD},
+ * {@link ServiceType.KVSTORE} and {@link ServiceType.MEMORY}.  In addition to
+ * {@link ServiceType} enumeration, these values may be specified as strings
+ * "CLOUDSIM", "CLOUD", "KVSTORE" or "MEMORY", case-insensitive.  This is
+ * useful if using JSON configuration file.  If {@link ServiceType} is not
+ * present in the initial configuration, the driver will try to deduce
+ * service type from the information provided in authorization property
+ * {@link Config}#auth (see {@link AuthConfig}) in the following way:
  * <ul>
  * <li>If {@link Config}#auth is undefined or null, the service type is
  * determined as follows: if {@link Config}#region is specified, the service
@@ -194,6 +194,15 @@ ServiceType.CLOUD = new ServiceType(1);
  */
 ServiceType.KVSTORE = new ServiceType(2);
 
+/**
+ * In-process emulator of Oracle NoSQL Database service, see
+ * {@link MemoryService}.  No endpoint or authorization is used and the data
+ * is kept in memory.  Intended for testing without a running Cloud Simulator
+ * or Proxy.
+ * @see {@link MemoryService}
+ */
+ServiceType.MEMORY = new ServiceType(4);
+
 /**
  * @ignore
  */
@@ -359,6 +368,60 @@ AdminState.IN_PROGRESS = new AdminState(1);
 
 AdminState.seal();
 
+/**
+ * Describes the state of the circuit breaker, see
+ * {@link CircuitBreakerConfig}.
+ * @extends Enum
+ * @hideconstructor
+ */
+class CircuitBreakerState extends Enum {}
+
+/**
+ * Requests are sent to the service normally.  This is the initial state.
+ * @type CircuitBreakerState
+ */
+CircuitBreakerState.CLOSED = new CircuitBreakerState(0);
+
+/**
+ * Requests fail fast with {@link ErrorCode.CIRCUIT_BREAKER_OPEN} without
+ * being sent to the service.
+ * @type CircuitBreakerState
+ */
+CircuitBreakerState.OPEN = new CircuitBreakerState(1);
+
+/**
+ * Limited number of trial requests are sent to the service to determine
+ * whether it has recovered, the rest fail fast.
+ * @type CircuitBreakerState
+ */
+CircuitBreakerState.HALF_OPEN = new CircuitBreakerState(2);
+
+CircuitBreakerState.seal();
+
+/**
+ * On premise only.
+ * <p>
+ * Describes how the driver selects the proxy to send each request to when
+ * multiple endpoints are specified, see {@link Config}#endpoints.
+ * @extends Enum
+ * @hideconstructor
+ */
+class EndpointSelection extends Enum {}
+
+/**
+ * Endpoints are used in turn.  This is the default.
+ * @type EndpointSelection
+ */
+EndpointSelection.ROUND_ROBIN = new EndpointSelection(0);
+
+/**
+ * The endpoint with the fewest requests in progress is used.
+ * @type EndpointSelection
+ */
+EndpointSelection.LEAST_PENDING = new EndpointSelection(1);
+
+EndpointSelection.seal();
+
 /**
  * For now this is internal, but we may expose this enumeration
  * when we implement custom type mappings.
@@ -452,6 +515,8 @@ module.exports = {
     ScanDirection,
     TableState,
     AdminState,
+    CircuitBreakerState,
+    EndpointSelection,
     DBType,
     Limits,
     EMPTY_VALUE,
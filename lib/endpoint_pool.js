@@ -0,0 +1,96 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const HttpConstants = require('./constants').HttpConstants;
+const EndpointSelection = require('./constants').EndpointSelection;
+
+//State of a single proxy endpoint.  Session cookies are specific to the
+//proxy instance that issued them, so they are kept per endpoint.
+class Endpoint {
+
+    constructor(url) {
+        //Base url, also used by the authorization provider to identify the
+        //endpoint.
+        this.baseUrl = url;
+        this.url = new URL(HttpConstants.NOSQL_DATA_PATH, url);
+        this.sessionCookie = null;
+        //Number of requests in progress.
+        this.pending = 0;
+        //Time until which the endpoint is excluded from the selection.
+        this.ejectedUntil = 0;
+    }
+
+}
+
+//Endpoints used by HttpClient.  With a single endpoint, the selection always
+//returns that endpoint.  With multiple endpoints (config.endpoints), the
+//endpoint for each request is selected according to
+//config.endpointSelection among the endpoints that have not been ejected.
+//The endpoint is ejected for config.endpointEjectTimeout after a network
+//error.  If all endpoints are ejected, the one whose ejection expires first
+//is selected.
+class EndpointPool {
+
+    constructor(cfg) {
+        const urls = cfg.urls != null ? cfg.urls : [ cfg.url ];
+        this._endpoints = urls.map(url => new Endpoint(url));
+        this._selection = cfg.endpointSelection;
+        this._ejectTimeout = cfg.endpointEjectTimeout;
+        this._next = 0;
+    }
+
+    get primary() {
+        return this._endpoints[0];
+    }
+
+    select() {
+        const endpoints = this._endpoints;
+        if (endpoints.length === 1) {
+            return endpoints[0];
+        }
+
+        const now = Date.now();
+        let res;
+        let resIdx;
+        //Start with the next endpoint in turn so that for LEAST_PENDING
+        //the ties are also resolved in round-robin manner.
+        for(let i = 0; i < endpoints.length; i++) {
+            const idx = (this._next + i) % endpoints.length;
+            const ep = endpoints[idx];
+            if (ep.ejectedUntil > now) {
+                continue;
+            }
+            if (res == null || ep.pending < res.pending) {
+                res = ep;
+                resIdx = idx;
+                if (this._selection === EndpointSelection.ROUND_ROBIN) {
+                    break;
+                }
+            }
+        }
+
+        if (res == null) {
+            res = endpoints.reduce((ep1, ep2) =>
+                ep2.ejectedUntil < ep1.ejectedUntil ? ep2 : ep1);
+            resIdx = endpoints.indexOf(res);
+        }
+
+        this._next = (resIdx + 1) % endpoints.length;
+        return res;
+    }
+
+    eject(ep) {
+        if (this._endpoints.length > 1) {
+            ep.ejectedUntil = Date.now() + this._ejectTimeout;
+        }
+    }
+
+}
+
+module.exports = EndpointPool;
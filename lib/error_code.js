@@ -435,6 +435,28 @@ ErrorCode.UNAUTHORIZED = new ErrorCode(DRV_ERR_START + 3);
  */
 ErrorCode.MEMORY_LIMIT_EXCEEDED = new ErrorCode(DRV_ERR_START + 4); 
 
+/**
+ * Indicates that the operation failed without being sent to the service
+ * because the circuit breaker is open, which happens after a large
+ * proportion of recent requests failed due to the service being unreachable
+ * or unavailable.  The original error that caused the circuit breaker to open
+ * is available as the <em>cause</em> of this error.  This error is not
+ * retryable.
+ * @type {ErrorCode}
+ * @see {@link CircuitBreakerConfig}
+ */
+ErrorCode.CIRCUIT_BREAKER_OPEN = new ErrorCode(DRV_ERR_START + 5);
+
+/**
+ * Indicates that the operation failed without being sent to the service
+ * because the number of concurrent requests reached
+ * {@link Config}#maxConcurrentRequests and the queue of waiting requests
+ * reached {@link Config}#maxQueuedRequests.  This error is not retryable.
+ * @type {ErrorCode}
+ * @see {@link NoSQLClient#getRequestQueueStats}
+ */
+ErrorCode.REQUEST_QUEUE_FULL = new ErrorCode(DRV_ERR_START + 6);
+
 ErrorCode.seal();
 
 module.exports = ErrorCode;
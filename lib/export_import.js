@@ -0,0 +1,572 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const fsPromises = require('fs').promises;
+const once = require('events').once;
+const StringDecoder = require('string_decoder').StringDecoder;
+
+const ServiceType = require('./constants').ServiceType;
+const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const isPlainObject = require('./utils').isPlainObject;
+const addConsumedCapacity = require('./utils').addConsumedCapacity;
+
+//Version of the export header format.
+const HEADER_VERSION = 1;
+
+//Key of the header object when the header is the first line of NDJSON
+//output.  Field names cannot start with '$', so it cannot clash with a row.
+const HEADER_KEY = '$header';
+
+const Formats = {
+    NDJSON: 'ndjson',
+    CSV: 'csv'
+};
+
+//Values that JSON cannot represent are encoded as objects with a single
+//key that is one of the tags below.  Objects that have a single key which is
+//one of the tags are encoded with TAG_OBJECT as array of entries to avoid
+//ambiguity.
+const TAG_BINARY = '$binary';
+const TAG_DATE = '$date';
+const TAG_LONG = '$long';
+const TAG_NUMBER = '$number';
+const TAG_DOUBLE = '$double';
+const TAG_OBJECT = '$object';
+
+const TAGS = new Set([ TAG_BINARY, TAG_DATE, TAG_LONG, TAG_NUMBER,
+    TAG_DOUBLE, TAG_OBJECT ]);
+
+function singleKey(obj) {
+    let key;
+    for(const k in obj) {
+        if (key !== undefined) {
+            return undefined;
+        }
+        key = k;
+    }
+    return key;
+}
+
+//Converts field value to JSON-compatible value.
+function encodeValue(val, dbNumber) {
+    switch(typeof val) {
+    case 'number':
+        return Number.isFinite(val) ? val : { [TAG_DOUBLE]: String(val) };
+    case 'bigint':
+        return { [TAG_LONG]: val.toString() };
+    case 'object': {
+        if (val === null) {
+            return null;
+        }
+        if (Buffer.isBuffer(val)) {
+            return { [TAG_BINARY]: val.toString('base64') };
+        }
+        if (val instanceof Date) {
+            return { [TAG_DATE]: val.toISOString() };
+        }
+        if (dbNumber != null && dbNumber.isInstance(val)) {
+            return { [TAG_NUMBER]: dbNumber.stringValue(val) };
+        }
+        if (Array.isArray(val)) {
+            return val.map(v => encodeValue(v, dbNumber));
+        }
+        const ents = val instanceof Map ? Array.from(val) :
+            Object.entries(val);
+        if (ents.length === 1 && TAGS.has(ents[0][0])) {
+            return { [TAG_OBJECT]: [ [ ents[0][0],
+                encodeValue(ents[0][1], dbNumber) ] ] };
+        }
+        const res = {};
+        for(const [key, v] of ents) {
+            if (v !== undefined) {
+                res[key] = encodeValue(v, dbNumber);
+            }
+        }
+        return res;
+    }
+    default:
+        return val;
+    }
+}
+
+//Reviver for JSON.parse() that reverses encodeValue().
+function jsonReviver(dbNumber) {
+    return (key, val) => {
+        if (val === null || typeof val !== 'object' || Array.isArray(val)) {
+            return val;
+        }
+        const tag = singleKey(val);
+        switch(tag) {
+        case TAG_BINARY:
+            return Buffer.from(val[tag], 'base64');
+        case TAG_DATE:
+            return new Date(val[tag]);
+        case TAG_LONG:
+            return BigInt(val[tag]);
+        case TAG_NUMBER:
+            //Number fields also accept string values.
+            return dbNumber != null ? dbNumber.create(val[tag]) : val[tag];
+        case TAG_DOUBLE:
+            return Number(val[tag]);
+        case TAG_OBJECT:
+            return Object.fromEntries(val[tag]);
+        default:
+            return val;
+        }
+    };
+}
+
+function csvQuote(str) {
+    return str === '' || /[",\r\n]|^\s|\s$/.test(str) ?
+        '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+//SQL NULL is written as empty unquoted field, empty string or binary value
+//is quoted.
+//JSON NULL (only possible for JSON fields) is written as unquoted null.
+//Values of JSON fields are always written as JSON text, since on import
+//they are parsed as JSON.
+function csvField(val, type, dbNumber) {
+    if (val === undefined) {
+        return '';
+    }
+    if (val === null) {
+        return 'null';
+    }
+    if (type === 'JSON') {
+        return csvQuote(JSON.stringify(encodeValue(val, dbNumber)));
+    }
+    switch(typeof val) {
+    case 'string':
+        return csvQuote(val);
+    case 'number': case 'bigint': case 'boolean':
+        return String(val);
+    default:
+        if (Buffer.isBuffer(val)) {
+            return csvQuote(val.toString('base64'));
+        }
+        if (val instanceof Date) {
+            return val.toISOString();
+        }
+        if (dbNumber != null && dbNumber.isInstance(val)) {
+            return dbNumber.stringValue(val);
+        }
+        return csvQuote(JSON.stringify(encodeValue(val, dbNumber)));
+    }
+}
+
+//Converts CSV field to the value of the column of given type, see
+//csvField().
+function csvValue(field, type, dbNumber) {
+    const text = field.text;
+    if (!field.quoted && text === '') {
+        return undefined;
+    }
+    switch(type) {
+    case 'STRING': case 'ENUM': case 'TIMESTAMP':
+        //Timestamp fields also accept string values.
+        return text;
+    case 'INTEGER': case 'FLOAT': case 'DOUBLE':
+        return Number(text);
+    case 'LONG': {
+        const num = Number(text);
+        return Number.isSafeInteger(num) ? num : BigInt(text);
+    }
+    case 'NUMBER':
+        return dbNumber != null ? dbNumber.create(text) : text;
+    case 'BOOLEAN':
+        return text.toLowerCase() === 'true';
+    case 'BINARY': case 'FIXED_BINARY':
+        return Buffer.from(text, 'base64');
+    default:
+        return JSON.parse(text, jsonReviver(dbNumber));
+    }
+}
+
+//Splits the input into lines.  The input chunks may be strings or Buffers.
+//The lines may end with '\r' which is handled by the caller.
+async function* readLines(input) {
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    for await (const chunk of input) {
+        rest += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = rest.split('\n');
+        rest = lines.pop();
+        yield* lines;
+    }
+    rest += decoder.end();
+    if (rest.length) {
+        yield rest;
+    }
+}
+
+//Parses CSV lines (RFC 4180) into records.  Each record is an array of
+//fields, each field having the text and whether it was quoted.
+async function* readCSVRecords(lines) {
+    let rec = [];
+    let text = '';
+    let quoted = false;
+    let inQuotes = false;
+    for await (const line of lines) {
+        if (!inQuotes && (line === '' || line === '\r') && !rec.length) {
+            continue;
+        }
+        for(let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (inQuotes) {
+                if (ch !== '"') {
+                    text += ch;
+                } else if (line[i + 1] === '"') {
+                    text += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (ch === '"') {
+                inQuotes = quoted = true;
+            } else if (ch === ',') {
+                rec.push({ text, quoted });
+                text = '';
+                quoted = false;
+            } else {
+                text += ch;
+            }
+        }
+        if (inQuotes) {
+            //Quoted field continues on the next line.
+            text += '\n';
+            continue;
+        }
+        if (line.endsWith('\r')) {
+            //CRLF line ending.
+            text = text.slice(0, -1);
+        }
+        rec.push({ text, quoted });
+        yield rec;
+        rec = [];
+        text = '';
+        quoted = false;
+    }
+    if (inQuotes) {
+        throw new NoSQLArgumentError('Unterminated quoted field in CSV input');
+    }
+}
+
+function validateFormat(req) {
+    const format = req.opt.format;
+    if (format == null) {
+        req.opt.format = Formats.NDJSON;
+    } else if (format !== Formats.NDJSON && format !== Formats.CSV) {
+        throw new NoSQLArgumentError(`Invalid format: ${format}`, req);
+    }
+    if (req.opt.headerFile != null &&
+        (typeof req.opt.headerFile !== 'string' || !req.opt.headerFile)) {
+        throw new NoSQLArgumentError(
+            `Invalid headerFile: ${req.opt.headerFile}`, req);
+    }
+}
+
+function validateRequest(req, streamProp, isStream) {
+    if (req.opt == null) {
+        req.opt = {};
+    } else if (typeof req.opt !== 'object') {
+        throw new NoSQLArgumentError('Invalid options object', req);
+    } else {
+        //Copy since we will set default values.
+        req.opt = Object.assign({}, req.opt);
+    }
+    if (!req.tableName || typeof req.tableName !== 'string') {
+        throw new NoSQLArgumentError('Missing or invalid table name', req);
+    }
+    if (req[streamProp] == null || !isStream(req[streamProp])) {
+        throw new NoSQLArgumentError(`Invalid ${streamProp}`, req);
+    }
+    validateFormat(req);
+}
+
+//Options that are not set must not be present, otherwise they would not be
+//inherited from the config.
+function baseOpt(opt) {
+    const res = {};
+    for(const key of [ 'compartment', 'namespace', 'timeout' ]) {
+        if (opt[key] !== undefined) {
+            res[key] = opt[key];
+        }
+    }
+    return res;
+}
+
+function fieldTypes(schema) {
+    return new Map(schema.fields.map(field => [ field.name, field.type ]));
+}
+
+async function makeHeader(client, req) {
+    const opt = baseOpt(req.opt);
+    const tbl = await client.getTable(req.tableName, opt);
+    const indexes = await client.getIndexes(req.tableName, opt);
+    const schema = JSON.parse(tbl.schema);
+    return {
+        version: HEADER_VERSION,
+        format: req.opt.format,
+        tableName: tbl.tableName,
+        fields: schema.fields.map(field => field.name),
+        schema,
+        tableDDL: tbl.tableDDL,
+        tableLimits: tbl.tableLimits,
+        indexes: indexes.map(idx => ({
+            indexName: idx.indexName,
+            fields: idx.fields,
+            fieldTypes: idx.fieldTypes
+        }))
+    };
+}
+
+async function write(output, data) {
+    if (!output.write(data)) {
+        await once(output, 'drain');
+    }
+}
+
+async function exportRows(client, req) {
+    const opt = req.opt;
+    const dbNumber = client._config._dbNumber;
+    const header = await makeHeader(client, req);
+    const types = fieldTypes(header.schema);
+
+    if (opt.headerFile != null) {
+        await fsPromises.writeFile(opt.headerFile,
+            JSON.stringify(header, null, 4));
+    }
+    if (opt.format === Formats.CSV) {
+        await write(req.output, header.fields.join(',') + '\n');
+    } else if (opt.headerFile == null) {
+        await write(req.output, JSON.stringify({ [HEADER_KEY]: header }) +
+            '\n');
+    }
+
+    const res = {
+        rowCount: 0,
+        consumedCapacity: undefined
+    };
+    const queryOpt = Object.assign({}, opt);
+    delete queryOpt.format;
+    delete queryOpt.headerFile;
+    delete queryOpt.end;
+    for await (const qRes of client.queryIterable(
+        `SELECT * FROM ${req.tableName}`, queryOpt)) {
+        if (qRes.consumedCapacity != null) {
+            if (res.consumedCapacity == null) {
+                res.consumedCapacity = {};
+            }
+            addConsumedCapacity(res.consumedCapacity, qRes.consumedCapacity);
+        }
+        if (!qRes.rows.length) {
+            continue;
+        }
+        let data = '';
+        for(const row of qRes.rows) {
+            data += (opt.format === Formats.CSV ?
+                header.fields.map(name => csvField(row[name],
+                    types.get(name), dbNumber)).join(',') :
+                JSON.stringify(encodeValue(row, dbNumber))) + '\n';
+        }
+        await write(req.output, data);
+        res.rowCount += qRes.rows.length;
+    }
+    return res;
+}
+
+async function exportTable(client, req) {
+    validateRequest(req, 'output', output =>
+        typeof output.write === 'function');
+    const end = req.opt.end == null || req.opt.end;
+    let res;
+    try {
+        res = await exportRows(client, req);
+    } catch(err) {
+        //End the output so that its consumers do not wait for more data.
+        //We do not wait for the output to finish, since it may have failed.
+        if (end && !req.output.destroyed) {
+            req.output.end();
+        }
+        throw err;
+    }
+    if (end) {
+        req.output.end();
+        await once(req.output, 'finish');
+    }
+    return res;
+}
+
+async function readHeaderFile(req) {
+    let data;
+    try {
+        data = await fsPromises.readFile(req.opt.headerFile, 'utf8');
+    } catch(err) {
+        throw new NoSQLArgumentError(
+            `Error reading header file ${req.opt.headerFile}`, req, err);
+    }
+    try {
+        return JSON.parse(data);
+    } catch(err) {
+        throw new NoSQLArgumentError(
+            `Error parsing header file ${req.opt.headerFile}`, req, err);
+    }
+}
+
+function validateHeader(header, req) {
+    if (!isPlainObject(header) || header.version !== HEADER_VERSION ||
+        !isPlainObject(header.schema) || !Array.isArray(header.fields)) {
+        throw new NoSQLArgumentError('Invalid export header', req);
+    }
+    if (header.format !== req.opt.format) {
+        throw new NoSQLArgumentError(`Export header is for format \
+${header.format}, but the input format is ${req.opt.format}`, req);
+    }
+}
+
+//Replaces the table name in CREATE TABLE statement with the name of the
+//target table and adds IF NOT EXISTS.
+function createTableStmt(ddl, tableName) {
+    const match = /^\s*CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[^\s(]+/i
+        .exec(ddl);
+    if (match == null) {
+        return null;
+    }
+    return `CREATE TABLE IF NOT EXISTS ${tableName}` +
+        ddl.slice(match[0].length);
+}
+
+function createIndexStmt(idx, tableName) {
+    const fields = idx.fields.map((field, i) =>
+        idx.fieldTypes != null && idx.fieldTypes[i] != null ?
+            `${field} AS ${idx.fieldTypes[i]}` : field);
+    return `CREATE INDEX IF NOT EXISTS ${idx.indexName} ON ${tableName}\
+(${fields.join(', ')})`;
+}
+
+async function createTable(client, req, header) {
+    const opt = req.opt;
+    const stmt = header.tableDDL != null ?
+        createTableStmt(header.tableDDL, req.tableName) : null;
+    if (stmt == null) {
+        throw new NoSQLArgumentError('Cannot create table: export header \
+does not contain valid table DDL', req);
+    }
+    const ddlOpt = Object.assign(baseOpt(opt), { complete: true });
+    if (client._config.serviceType !== ServiceType.KVSTORE) {
+        ddlOpt.tableLimits = opt.tableLimits != null ? opt.tableLimits :
+            header.tableLimits;
+    }
+    await client.tableDDL(stmt, ddlOpt);
+    delete ddlOpt.tableLimits;
+    for(const idx of header.indexes || []) {
+        await client.tableDDL(createIndexStmt(idx, req.tableName), ddlOpt);
+    }
+}
+
+async function* ndjsonRows(lines, dbNumber) {
+    const reviver = jsonReviver(dbNumber);
+    for await (const line of lines) {
+        if (line.trim() !== '') {
+            yield JSON.parse(line, reviver);
+        }
+    }
+}
+
+async function* csvRows(records, fields, types, dbNumber, req) {
+    //Row numbers start from 1 and do not include the CSV header line.
+    let rowNum = 0;
+    for await (const rec of records) {
+        rowNum++;
+        const row = {};
+        for(let i = 0; i < fields.length && i < rec.length; i++) {
+            let val;
+            try {
+                val = csvValue(rec[i], types.get(fields[i]), dbNumber);
+            } catch(err) {
+                throw new NoSQLArgumentError(`Invalid value of column \
+${fields[i]} in CSV row ${rowNum}`, req, err);
+            }
+            if (val !== undefined) {
+                row[fields[i]] = val;
+            }
+        }
+        yield row;
+    }
+}
+
+async function importTable(client, req) {
+    validateRequest(req, 'input', input =>
+        typeof input[Symbol.asyncIterator] === 'function' ||
+        typeof input[Symbol.iterator] === 'function');
+    const opt = req.opt;
+    const dbNumber = client._config._dbNumber;
+
+    let header = opt.headerFile != null ? await readHeaderFile(req) : null;
+    const lines = readLines(req.input);
+    let first;
+    if (opt.format === Formats.NDJSON) {
+        //Check if the first line is the header.
+        first = await lines.next();
+        if (!first.done && first.value.startsWith(`{"${HEADER_KEY}"`)) {
+            const line = JSON.parse(first.value);
+            if (header == null) {
+                header = line[HEADER_KEY];
+            }
+            first = null;
+        }
+    }
+    if (header != null) {
+        validateHeader(header, req);
+    }
+
+    if (opt.createTable) {
+        if (header == null) {
+            throw new NoSQLArgumentError('Cannot create table: missing \
+export header', req);
+        }
+        await createTable(client, req, header);
+    }
+
+    let rows;
+    if (opt.format === Formats.NDJSON) {
+        rows = ndjsonRows((async function*() {
+            if (first != null && !first.done) {
+                yield first.value;
+            }
+            yield* lines;
+        })(), dbNumber);
+    } else {
+        //Column types are needed to convert CSV fields, so if the header is
+        //not available, we use the schema of the target table.
+        const schema = header != null ? header.schema : JSON.parse((
+            await client.getTable(req.tableName, baseOpt(opt))).schema);
+        const types = fieldTypes(schema);
+        const records = readCSVRecords(lines);
+        const names = await records.next();
+        if (names.done) {
+            throw new NoSQLArgumentError('Missing CSV header line', req);
+        }
+        rows = csvRows(records, names.value.map(field => field.text), types,
+            dbNumber, req);
+    }
+
+    const putOpt = Object.assign({}, opt);
+    delete putOpt.format;
+    delete putOpt.headerFile;
+    delete putOpt.createTable;
+    delete putOpt.tableLimits;
+    return client._bulkPut(req.tableName, rows, putOpt, req.api);
+}
+
+module.exports = {
+    exportTable,
+    importTable
+};
@@ -19,43 +19,85 @@ const NoSQLNetworkError = error.NoSQLNetworkError;
 const NoSQLServiceError = error.NoSQLServiceError;
 const NoSQLTimeoutError = error.NoSQLTimeoutError;
 const HttpConstants = require('./constants').HttpConstants;
+const ServiceType = require('./constants').ServiceType;
 const PACKAGE_VERSION = require('./constants').PACKAGE_VERSION;
 const Limits = require('./constants').Limits;
 const RateLimiterClient = require('./rate_limiter/client');
+const Telemetry = require('./telemetry');
+const Stats = require('./stats');
+const CircuitBreaker = require('./circuit_breaker');
+const RequestQueue = require('./request_queue');
+const EndpointPool = require('./endpoint_pool');
 const promisified = require('./utils').promisified;
 const sleep = require('./utils').sleep;
+const isThrottlingError = require('./utils').isThrottlingError;
 
 class HttpClient extends EventEmitter {
 
     constructor(config) {
         super();
-        //This shouldn't throw since we already validated the endpoint in
-        //Config._endpoint2url()
-        assert(config.url);
-        this._url = new URL(HttpConstants.NOSQL_DATA_PATH, config.url);
-
         this._config = config;
-        this._useSSL = this._url.protocol.startsWith('https');
-        this._httpMod = this._useSSL ? https : http;
-        if ('httpOpt' in config) {
-            this._agent = new this._httpMod.Agent(config.httpOpt);
-        }
-        else {
-            this._agent = this._httpMod.globalAgent;
+        if (config.serviceType === ServiceType.MEMORY) {
+            //Requests are executed by in-process service, no HTTP.
+            assert(config.memoryService);
+            this._memService = config.memoryService;
+            this._serverSerialVersion = this._memService._serialVersion;
+        } else {
+            //This shouldn't throw since we already validated the endpoint
+            //in Config._endpoint2url()
+            assert(config.url);
+            this._endpoints = new EndpointPool(config);
+            this._url = this._endpoints.primary.url;
+            this._useSSL = this._url.protocol.startsWith('https');
+            this._httpMod = this._useSSL ? https : http;
+            if ('httpOpt' in config) {
+                this._agent = new this._httpMod.Agent(config.httpOpt);
+            }
+            else {
+                this._agent = this._httpMod.globalAgent;
+            }
         }
 
         //can be customized to use other protocols
         this._pm = NsonProtocolManager;
         this._requestId = 1;
 
-        // Session cookie
-        this._sessionCookie = null;
-
         //init rate limiting if enabled
         if (RateLimiterClient.rateLimitingEnabled(config)) {
             this._rlClient = new RateLimiterClient(this);
         }
 
+        //init tracing and metrics if enabled
+        if (config.telemetry != null) {
+            this._telemetry = new Telemetry(config.telemetry);
+        }
+
+        //init statistics collection if enabled
+        if (config.stats) {
+            this._stats = new Stats(config.stats, this);
+        }
+
+        //init circuit breaker if enabled
+        if (config.circuitBreaker) {
+            this._circuitBreaker = new CircuitBreaker(config.circuitBreaker,
+                this);
+        }
+
+        //init request concurrency limit if enabled
+        if (config.maxConcurrentRequests != null) {
+            this._requestQueue = new RequestQueue(
+                config.maxConcurrentRequests,
+                config.maxQueuedRequests != null ?
+                    config.maxQueuedRequests : Infinity);
+        }
+
+        //allow authorization provider to emit events such as
+        //credentialsReload
+        const authProvider = config.auth.provider;
+        if (typeof authProvider._setEmitter === 'function') {
+            authProvider._setEmitter(this);
+        }
+
         // user-agent string
         this._user_agent = 'NoSQL-NodeSDK/' + PACKAGE_VERSION +
             '(node.js ' + process.version + '; ' + process.platform +
@@ -63,6 +105,9 @@ class HttpClient extends EventEmitter {
     }
 
     _handleResponse(op, req, res, buf, callback) {
+        if (req._stats != null) {
+            req._stats.bytesReceived += this._pm.getContentLength(buf);
+        }
         try {
             if (res.statusCode == HttpConstants.HTTP_OK) {
                 // is there a set-cookie header? If so, use it
@@ -71,7 +116,7 @@ class HttpClient extends EventEmitter {
                     if (Array.isArray(cookie)) {
                         cookie = cookie[0];
                     }
-                    this._setSessionCookie(cookie);
+                    this._setSessionCookie(req._endpoint, cookie);
                 }
 
                 if (this._serverSerialVersion === undefined) {
@@ -101,10 +146,10 @@ class HttpClient extends EventEmitter {
         }
     }
 
-    _setSessionCookie(cookie) {
+    _setSessionCookie(ep, cookie) {
         if (cookie.startsWith('session=')) {
             var value = cookie.substring(0, cookie.indexOf(';'));
-            this._sessionCookie = value;
+            ep.sessionCookie = value;
         }
     }
 
@@ -131,18 +176,20 @@ class HttpClient extends EventEmitter {
         return false;
     }
 
-    _executeOnceWithAuth(op, req, auth, endSend, callback) {
+    _executeOnceWithAuth(op, req, auth, headers, endSend, callback) {
         const reqId = this._requestId++;
         assert(req._buf);
         assert(req.opt.requestTimeout);
+        const ep = req._endpoint;
+        assert(ep);
 
         const httpOpt = {
-            hostname: this._url.hostname,
-            port: this._url.port,
-            path: this._url.pathname,
+            hostname: ep.url.hostname,
+            port: ep.url.port,
+            path: ep.url.pathname,
             method: HttpConstants.POST,
             headers: {
-                [HttpConstants.HOST]: this._url.host,
+                [HttpConstants.HOST]: ep.url.host,
                 [HttpConstants.REQUEST_ID]: reqId,
                 [HttpConstants.CONNECTION]: 'keep-alive',
                 [HttpConstants.ACCEPT]: this._pm.contentType,
@@ -160,14 +207,19 @@ class HttpClient extends EventEmitter {
             Object.assign(httpOpt.headers, auth);
         }
 
-        if (this._sessionCookie != null) {
-            httpOpt.headers[HttpConstants.COOKIE] = this._sessionCookie;
+        if (ep.sessionCookie != null) {
+            httpOpt.headers[HttpConstants.COOKIE] = ep.sessionCookie;
         }
 
         if (req.opt.namespace != null) {
             httpOpt.headers[HttpConstants.NAMESPACE] = req.opt.namespace;
         }
 
+        //Headers added by interceptors.
+        if (headers != null) {
+            Object.assign(httpOpt.headers, headers);
+        }
+
         const httpReq = this._httpMod.request(httpOpt, (res) => {
             if (this._pm.encoding) {
                 res.setEncoding(this._pm.encoding);
@@ -188,7 +240,40 @@ class HttpClient extends EventEmitter {
         httpReq.end(endSend);
     }
 
+    async _executeInMemory(op, req) {
+        const buf = this._pm.getBuffer();
+        try {
+            await this._memService._execute(req._buf, buf, req);
+            if (req._stats != null) {
+                req._stats.bytesReceived += this._pm.getContentLength(buf);
+            }
+            return op.deserialize(this._pm, buf, req);
+        } catch(err) {
+            err._req = req;
+            throw err;
+        } finally {
+            this._pm.releaseBuffer(buf);
+            this._pm.releaseBuffer(req._buf);
+            req._buf = undefined;
+        }
+    }
+
+    _selectEndpoint(req) {
+        //The retry after RETRY_AUTHENTICATION is sent to the same endpoint,
+        //so that the authorization provider renews the authorization for
+        //that endpoint.
+        if (req._endpoint == null || req.lastError == null ||
+            req.lastError.errorCode !== ErrorCode.RETRY_AUTHENTICATION) {
+            req._endpoint = this._endpoints.select();
+            //Used by the authorization provider.
+            req._url = req._endpoint.baseUrl;
+        }
+    }
+
     async _executeOnce(op, req) {
+        if (this._endpoints != null) {
+            this._selectEndpoint(req);
+        }
         const buf = this._pm.getBuffer();
         let auth;
         try {
@@ -207,20 +292,160 @@ class HttpClient extends EventEmitter {
             throw err;
         }
 
-        return promisified(this, this._executeOnceWithAuth, op, req, auth,
-            //Small optimization to release buffer (for reuse) immediately
-            //after request is sent rather than after waiting for a response.
-            () => {
+        if (req._stats != null) {
+            req._stats.requests++;
+            req._stats.bytesSent += this._pm.getContentLength(buf);
+        }
+
+        if (this._config.interceptors == null) {
+            return this._send(op, req, auth);
+        }
+
+        const ctx = {
+            opName: op.name,
+            operation: req,
+            opt: req.opt,
+            content: Buffer.from(this._pm.getContent(buf)),
+            headers: {}
+        };
+        try {
+            return await this._intercept(ctx, 0,
+                () => this._send(op, req, auth, ctx.headers));
+        } finally {
+            //Release the buffer if the request was not sent because one of
+            //the interceptors returned the result or threw an error.
+            if (req._buf === buf) {
                 req._buf = undefined;
                 this._pm.releaseBuffer(buf);
-            });
+            }
+        }
+    }
+
+    async _send(op, req, auth, headers) {
+        if (this._memService != null) {
+            return this._executeInMemory(op, req);
+        }
+
+        const ep = req._endpoint;
+        ep.pending++;
+        try {
+            return await promisified(this, this._executeOnceWithAuth, op,
+                req, auth, headers,
+                //Small optimization to release buffer (for reuse)
+                //immediately after request is sent rather than after
+                //waiting for a response.
+                () => {
+                    const buf = req._buf;
+                    req._buf = undefined;
+                    this._pm.releaseBuffer(buf);
+                });
+        } catch(err) {
+            if (err instanceof NoSQLNetworkError) {
+                this._endpoints.eject(ep);
+            }
+            throw err;
+        } finally {
+            ep.pending--;
+        }
+    }
+
+    //Runs interceptors starting at index idx.  Each interceptor wraps the
+    //execution of the subsequent interceptors and the sending of the
+    //request, so onResult() and onError() are called in reverse order.
+    async _intercept(ctx, idx, send) {
+        const interceptors = this._config.interceptors;
+        if (idx === interceptors.length) {
+            return send();
+        }
+        const ic = interceptors[idx];
+        let res;
+        if (ic.onRequest != null) {
+            res = await ic.onRequest(ctx);
+        }
+        //If onRequest() returned the result, the subsequent interceptors
+        //are skipped and the request is not sent.
+        if (res === undefined) {
+            try {
+                res = await this._intercept(ctx, idx + 1, send);
+            } catch(err) {
+                if (ic.onError == null) {
+                    throw err;
+                }
+                const err2 = await ic.onError(ctx, err);
+                throw err2 !== undefined ? err2 : err;
+            }
+        }
+        if (ic.onResult != null) {
+            const res2 = await ic.onResult(ctx, res);
+            if (res2 !== undefined) {
+                res = res2;
+            }
+        }
+        return res;
     }
 
     get serialVersion() {
         return this._pm.serialVersion;
     }
 
-    async execute(op, req) {
+    execute(op, req) {
+        if (this._stats == null) {
+            return this._traceOperation(op, req);
+        }
+        return this._stats.trackOperation(op, req,
+            () => this._traceOperation(op, req));
+    }
+
+    _traceOperation(op, req) {
+        if (this._telemetry == null) {
+            return this._execute(op, req);
+        }
+        return this._telemetry.traceOperation(this, op, req,
+            () => this._execute(op, req));
+    }
+
+    getStats(reset) {
+        return this._stats != null ? this._stats.snapshot(reset) : undefined;
+    }
+
+    getRequestQueueStats() {
+        return this._requestQueue != null ? this._requestQueue.stats :
+            undefined;
+    }
+
+    _traceAttempt(op, req, numRetries) {
+        const send = this._circuitBreaker != null ?
+            () => this._circuitBreaker.execute(req,
+                () => this._executeOnce(op, req)) :
+            () => this._executeOnce(op, req);
+        return this._telemetry != null ?
+            this._telemetry.traceRequest(this, op, req, numRetries, send) :
+            send();
+    }
+
+    //The slot in the request queue is held only while the request is in
+    //flight and not during retry delays.  Errors of the request queue are
+    //handled by _execute() as other errors of the attempt, so that timeout
+    //in the queue results in NoSQLTimeoutError.
+    async _executeAttempt(op, req, numRetries) {
+        if (this._requestQueue == null) {
+            return this._traceAttempt(op, req, numRetries);
+        }
+        const waited = await this._requestQueue.acquire(req,
+            req.opt.requestTimeout);
+        try {
+            if (waited > 0) {
+                //Time spent in the queue is counted against the timeout.
+                req.opt.requestTimeout = Math.max(
+                    req.opt.requestTimeout - waited, 1);
+            }
+            return await this._traceAttempt(op, req, numRetries);
+        } finally {
+            this._requestQueue.release();
+        }
+    }
+
+    async _execute(op, req) {
         op.applyDefaults(req, this._config);
         op.setProtocolVersion(this, req);
         op.validate(req);
@@ -242,7 +467,7 @@ class HttpClient extends EventEmitter {
                     numRetries);
             }
             try {
-                res = await this._executeOnce(op, req);
+                res = await this._executeAttempt(op, req, numRetries);
                 break;
             } catch(err) {
                 timeout = err.errorCode ===
@@ -265,6 +490,10 @@ class HttpClient extends EventEmitter {
                     this._rlClient.onError(req, err);
                 }
 
+                if (req._stats != null && isThrottlingError(err)) {
+                    req._stats.throttled++;
+                }
+
                 if (!err.retryable || !req.opt.retry.handler.doRetry(
                     req, numRetries, err)) {
                     this.emit('error', err, req);
@@ -309,10 +538,15 @@ class HttpClient extends EventEmitter {
     }
 
     shutdown() {
-        this._agent.destroy();
+        if (this._agent != null) {
+            this._agent.destroy();
+        }
         if (this._rlClient != null) {
             this._rlClient.close();
         }
+        if (this._stats != null) {
+            this._stats.close();
+        }
     }
 }
 
@@ -0,0 +1,158 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const ErrorCode = require('../error_code');
+
+//Error returned by the in-memory service to the driver in the response,
+//as opposed to the errors thrown by the driver itself.
+class ServiceError extends Error {
+
+    constructor(errorCode, msg) {
+        super(msg);
+        this.errorCode = errorCode;
+    }
+
+    static illegalArgument(msg) {
+        return new ServiceError(ErrorCode.ILLEGAL_ARGUMENT, msg);
+    }
+
+    static notSupported(msg) {
+        return new ServiceError(ErrorCode.OPERATION_NOT_SUPPORTED,
+            `${msg} is not supported by the in-memory service`);
+    }
+}
+
+//Values of type NUMBER are kept as strings to preserve their precision.
+class NumberValue {
+
+    constructor(str) {
+        this._str = str;
+    }
+
+    valueOf() {
+        return Number(this._str);
+    }
+
+    toString() {
+        return this._str;
+    }
+}
+
+function isNumeric(val) {
+    return typeof val === 'number' || typeof val === 'bigint' ||
+        val instanceof NumberValue;
+}
+
+function isAtomic(val) {
+    return typeof val !== 'object' || val instanceof Date ||
+        val instanceof NumberValue || Buffer.isBuffer(val);
+}
+
+function _compare(val1, val2) {
+    return val1 < val2 ? -1 : (val1 > val2 ? 1 : 0);
+}
+
+//Compares two non-null atomic values.  Returns undefined if the values are
+//not comparable.
+function compareValues(val1, val2) {
+    if (isNumeric(val1) && isNumeric(val2)) {
+        if (typeof val1 === 'bigint' && typeof val2 === 'bigint') {
+            return _compare(val1, val2);
+        }
+        return _compare(Number(val1), Number(val2));
+    }
+    if (typeof val1 === 'string' && typeof val2 === 'string') {
+        return _compare(val1, val2);
+    }
+    if (typeof val1 === 'boolean' && typeof val2 === 'boolean') {
+        return _compare(val1, val2);
+    }
+    if (val1 instanceof Date && val2 instanceof Date) {
+        return _compare(val1.getTime(), val2.getTime());
+    }
+    if (Buffer.isBuffer(val1) && Buffer.isBuffer(val2)) {
+        return Buffer.compare(val1, val2);
+    }
+    return undefined;
+}
+
+function valuesEqual(val1, val2) {
+    if (val1 == null || val2 == null) {
+        return val1 === val2;
+    }
+    if (isAtomic(val1) || isAtomic(val2)) {
+        return isAtomic(val1) && isAtomic(val2) &&
+            compareValues(val1, val2) === 0;
+    }
+    if (Array.isArray(val1) || Array.isArray(val2)) {
+        return Array.isArray(val1) && Array.isArray(val2) &&
+            val1.length === val2.length &&
+            val1.every((elem, i) => valuesEqual(elem, val2[i]));
+    }
+    const keys = Object.keys(val1);
+    return keys.length === Object.keys(val2).length &&
+        keys.every(key => key in val2 && valuesEqual(val1[key], val2[key]));
+}
+
+//Returns string that uniquely identifies the sequence of key values.  The
+//values are already converted to the types of the key columns.
+function keyString(vals) {
+    return JSON.stringify(vals.map(val => {
+        if (val instanceof Date) {
+            return 'd' + val.getTime();
+        }
+        if (Buffer.isBuffer(val)) {
+            return 'x' + val.toString('base64');
+        }
+        return (typeof val).charAt(0) + String(val);
+    }));
+}
+
+//Approximate size of the value in bytes, used to compute consumed capacity.
+function valueSize(val) {
+    if (val == null || typeof val === 'boolean') {
+        return 1;
+    }
+    if (typeof val === 'string') {
+        return Buffer.byteLength(val);
+    }
+    if (Buffer.isBuffer(val)) {
+        return val.length;
+    }
+    if (isAtomic(val)) {
+        return 8;
+    }
+    let size = 0;
+    if (Array.isArray(val)) {
+        for(const elem of val) {
+            size += valueSize(elem);
+        }
+    } else {
+        for(const [key, elem] of Object.entries(val)) {
+            size += Buffer.byteLength(key) + valueSize(elem);
+        }
+    }
+    return size;
+}
+
+function sizeToKB(size) {
+    return Math.max(1, Math.ceil(size / 1024));
+}
+
+module.exports = {
+    ServiceError,
+    NumberValue,
+    isNumeric,
+    isAtomic,
+    compareValues,
+    valuesEqual,
+    keyString,
+    valueSize,
+    sizeToKB
+};
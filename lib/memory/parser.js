@@ -0,0 +1,786 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const isInt32 = require('../utils').isInt32;
+const ServiceError = require('./common').ServiceError;
+
+//Parser for the subset of SQL supported by the in-memory service: table and
+//index DDL and single-table SELECT queries.  The statement is parsed into a
+//plain object tree that is interpreted by MemoryTable and MemoryQuery.
+
+const SYMBOLS = [ '<=', '>=', '!=', '<>', '||', '=', '<', '>', '(', ')',
+    ',', '.', ';', '*', '+', '-', '/', '[', ']', ':', '?', '{', '}' ];
+
+const COMPARISONS = [ '=', '!=', '<>', '<', '<=', '>', '>=' ];
+
+const ATOMIC_TYPES = [ 'INTEGER', 'LONG', 'FLOAT', 'DOUBLE', 'NUMBER',
+    'STRING', 'BOOLEAN', 'JSON' ];
+
+function isIdStart(ch) {
+    return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') ||
+        ch === '_';
+}
+
+function isDigit(ch) {
+    return ch >= '0' && ch <= '9';
+}
+
+function isIdPart(ch) {
+    return isIdStart(ch) || isDigit(ch);
+}
+
+class Parser {
+
+    constructor(stmt) {
+        this._stmt = stmt;
+        this._tokens = this._tokenize();
+        this._idx = 0;
+        this._numPositional = 0;
+    }
+
+    static parse(stmt) {
+        return new Parser(stmt)._parseStatement();
+    }
+
+    _error(msg, tok) {
+        if (tok == null) {
+            tok = this._peek();
+        }
+        return ServiceError.illegalArgument(`Error parsing statement at \
+position ${tok.pos}: ${msg}. Statement: ${this._stmt}`);
+    }
+
+    _readQuoted(pos, quote) {
+        const s = this._stmt;
+        let val = '';
+        let i = pos + 1;
+        for(;;) {
+            if (i >= s.length) {
+                throw this._error('unterminated string or identifier',
+                    { pos });
+            }
+            const ch = s[i++];
+            if (ch === quote) {
+                //Doubled quote is an escaped quote.
+                if (s[i] !== quote) {
+                    break;
+                }
+                i++;
+            } else if (ch === '\\' && quote !== '`' && i < s.length) {
+                const esc = s[i++];
+                val += esc === 'n' ? '\n' : esc === 't' ? '\t' :
+                    esc === 'r' ? '\r' : esc;
+                continue;
+            }
+            val += ch;
+        }
+        return { val, end: i };
+    }
+
+    _tokenize() {
+        const s = this._stmt;
+        const tokens = [];
+        let i = 0;
+        while(i < s.length) {
+            const ch = s[i];
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (s.startsWith('/*', i)) {
+                const end = s.indexOf('*/', i + 2);
+                i = end === -1 ? s.length : end + 2;
+            } else if (s.startsWith('--', i)) {
+                const end = s.indexOf('\n', i);
+                i = end === -1 ? s.length : end + 1;
+            } else if (isIdStart(ch)) {
+                let end = i + 1;
+                while(end < s.length && isIdPart(s[end])) {
+                    end++;
+                }
+                tokens.push({ type: 'id', val: s.slice(i, end), pos: i,
+                    end });
+                i = end;
+            } else if (ch === '`') {
+                const { val, end } = this._readQuoted(i, ch);
+                tokens.push({ type: 'id', val, quoted: true, pos: i, end });
+                i = end;
+            } else if (ch === '\'' || ch === '"') {
+                const { val, end } = this._readQuoted(i, ch);
+                tokens.push({ type: 'str', val, pos: i, end });
+                i = end;
+            } else if (isDigit(ch) || (ch === '.' && isDigit(s[i + 1]))) {
+                const m = /^\d*(\.\d+)?([eE][+-]?\d+)?/.exec(s.slice(i));
+                const end = i + m[0].length;
+                tokens.push({ type: 'num', val: m[0],
+                    isInt: m[1] == null && m[2] == null, pos: i, end });
+                i = end;
+            } else if (ch === '$') {
+                let end = i + 1;
+                while(end < s.length && isIdPart(s[end])) {
+                    end++;
+                }
+                if (end === i + 1) {
+                    throw this._error('invalid variable name', { pos: i });
+                }
+                tokens.push({ type: 'var', val: s.slice(i, end), pos: i,
+                    end });
+                i = end;
+            } else {
+                const sym = SYMBOLS.find(sym => s.startsWith(sym, i));
+                if (sym == null) {
+                    throw this._error(`unexpected character '${ch}'`,
+                        { pos: i });
+                }
+                tokens.push({ type: 'sym', val: sym, pos: i,
+                    end: i + sym.length });
+                i += sym.length;
+            }
+        }
+        tokens.push({ type: 'eof', val: 'end of statement', pos: s.length,
+            end: s.length });
+        return tokens;
+    }
+
+    _peek(k = 0) {
+        const idx = Math.min(this._idx + k, this._tokens.length - 1);
+        return this._tokens[idx];
+    }
+
+    _next() {
+        const tok = this._peek();
+        if (tok.type !== 'eof') {
+            this._idx++;
+        }
+        return tok;
+    }
+
+    _isKw(kw, k = 0) {
+        const tok = this._peek(k);
+        return tok.type === 'id' && !tok.quoted &&
+            tok.val.toUpperCase() === kw;
+    }
+
+    //Consumes the sequence of keywords if present.
+    _acceptKw(...kws) {
+        if (!kws.every((kw, k) => this._isKw(kw, k))) {
+            return false;
+        }
+        this._idx += kws.length;
+        return true;
+    }
+
+    _expectKw(...kws) {
+        if (!this._acceptKw(...kws)) {
+            throw this._error(`expected ${kws.join(' ')}, got \
+${this._peek().val}`);
+        }
+    }
+
+    _isSym(sym, k = 0) {
+        const tok = this._peek(k);
+        return tok.type === 'sym' && tok.val === sym;
+    }
+
+    _acceptSym(sym) {
+        if (!this._isSym(sym)) {
+            return false;
+        }
+        this._idx++;
+        return true;
+    }
+
+    _expectSym(sym) {
+        if (!this._acceptSym(sym)) {
+            throw this._error(`expected '${sym}', got ${this._peek().val}`);
+        }
+    }
+
+    _expectId() {
+        const tok = this._next();
+        if (tok.type !== 'id') {
+            throw this._error(`expected identifier, got ${tok.val}`, tok);
+        }
+        return tok.val;
+    }
+
+    _expectInt() {
+        let neg = this._acceptSym('-');
+        const tok = this._next();
+        if (tok.type !== 'num' || !tok.isInt) {
+            throw this._error(`expected integer, got ${tok.val}`, tok);
+        }
+        const val = Number(tok.val);
+        return neg ? -val : val;
+    }
+
+    //Table name may include namespace prefix and parent table names.
+    _parseTableName() {
+        let name = this._expectId();
+        if (this._acceptSym(':')) {
+            name += ':' + this._expectId();
+        }
+        while(this._acceptSym('.')) {
+            name += '.' + this._expectId();
+        }
+        return name;
+    }
+
+    _expectEnd() {
+        this._acceptSym(';');
+        const tok = this._peek();
+        if (tok.type !== 'eof') {
+            throw this._error(`unexpected ${tok.val}`, tok);
+        }
+    }
+
+    _parseStatement() {
+        let res;
+        if (this._acceptKw('CREATE', 'TABLE')) {
+            res = this._parseCreateTable();
+        } else if (this._acceptKw('CREATE', 'INDEX')) {
+            res = this._parseCreateIndex();
+        } else if (this._acceptKw('DROP', 'TABLE')) {
+            const ifExists = this._acceptKw('IF', 'EXISTS');
+            res = { kind: 'dropTable', ifExists,
+                name: this._parseTableName() };
+        } else if (this._acceptKw('DROP', 'INDEX')) {
+            const ifExists = this._acceptKw('IF', 'EXISTS');
+            const name = this._expectId();
+            this._expectKw('ON');
+            res = { kind: 'dropIndex', ifExists, name,
+                tableName: this._parseTableName() };
+        } else if (this._acceptKw('ALTER', 'TABLE')) {
+            res = this._parseAlterTable();
+        } else if (this._isKw('SELECT') || this._isKw('DECLARE')) {
+            res = this._parseSelect();
+        } else {
+            const tok = this._peek();
+            throw ServiceError.notSupported(`Statement starting with \
+${tok.val}`);
+        }
+        this._expectEnd();
+        return res;
+    }
+
+    _parseType() {
+        const name = this._expectId().toUpperCase();
+        if (ATOMIC_TYPES.includes(name)) {
+            return { type: name };
+        }
+        switch(name) {
+        case 'BINARY':
+            if (this._acceptSym('(')) {
+                const size = this._expectInt();
+                this._expectSym(')');
+                return { type: 'FIXED_BINARY', size };
+            }
+            return { type: 'BINARY' };
+        case 'TIMESTAMP': {
+            let precision = 9;
+            if (this._acceptSym('(')) {
+                precision = this._expectInt();
+                this._expectSym(')');
+                if (precision < 0 || precision > 9) {
+                    throw this._error(`invalid timestamp precision: \
+${precision}`);
+                }
+            }
+            return { type: 'TIMESTAMP', precision };
+        }
+        case 'ENUM': {
+            const symbols = [];
+            this._expectSym('(');
+            do {
+                symbols.push(this._expectId());
+            } while(this._acceptSym(','));
+            this._expectSym(')');
+            return { type: 'ENUM', symbols };
+        }
+        case 'ARRAY':
+        case 'MAP': {
+            this._expectSym('(');
+            const elem = this._parseType();
+            this._expectSym(')');
+            return { type: name, elem };
+        }
+        case 'RECORD': {
+            const fields = [];
+            this._expectSym('(');
+            do {
+                fields.push(this._parseColumn());
+            } while(this._acceptSym(','));
+            this._expectSym(')');
+            return { type: 'RECORD', fields };
+        }
+        default:
+            throw this._error(`unknown type ${name}`);
+        }
+    }
+
+    _parseLiteral() {
+        const neg = this._acceptSym('-');
+        const tok = this._next();
+        if (tok.type === 'num') {
+            return this._numValue(tok, neg);
+        }
+        if (neg) {
+            throw this._error(`expected number, got ${tok.val}`, tok);
+        }
+        if (tok.type === 'str') {
+            return tok.val;
+        }
+        if (tok.type === 'id' && !tok.quoted) {
+            switch(tok.val.toUpperCase()) {
+            case 'TRUE':
+                return true;
+            case 'FALSE':
+                return false;
+            case 'NULL':
+                return null;
+            default:
+                break;
+            }
+        }
+        throw this._error(`expected literal, got ${tok.val}`, tok);
+    }
+
+    _numValue(tok, neg) {
+        const text = neg ? '-' + tok.val : tok.val;
+        if (!tok.isInt) {
+            return Number(text);
+        }
+        const val = Number(text);
+        return isInt32(val) ? val : BigInt(text);
+    }
+
+    _parseIdentity(col, always) {
+        col.identity = { always, onNull: false, start: 1, increment: 1 };
+        if (!always && this._acceptKw('ON', 'NULL')) {
+            col.identity.onNull = true;
+        }
+        this._expectKw('AS', 'IDENTITY');
+        if (!this._acceptSym('(')) {
+            return;
+        }
+        while(!this._acceptSym(')')) {
+            if (this._acceptKw('START', 'WITH')) {
+                col.identity.start = this._expectInt();
+            } else if (this._acceptKw('INCREMENT', 'BY')) {
+                col.identity.increment = this._expectInt();
+                if (col.identity.increment === 0) {
+                    throw this._error('identity increment cannot be 0');
+                }
+            } else if (this._peek().type === 'eof') {
+                throw this._error('expected \')\'');
+            } else {
+                //Other sequence generator options are ignored.
+                this._next();
+            }
+        }
+    }
+
+    _parseColumn() {
+        const col = {
+            name: this._expectId(),
+            type: this._parseType(),
+            nullable: true
+        };
+        for(;;) {
+            if (this._acceptKw('NOT', 'NULL')) {
+                col.nullable = false;
+            } else if (this._acceptKw('DEFAULT')) {
+                col.default = this._parseLiteral();
+            } else if (this._acceptKw('COMMENT')) {
+                this._parseLiteral();
+            } else if (this._acceptKw('AS', 'UUID')) {
+                if (col.type.type !== 'STRING') {
+                    throw this._error('AS UUID requires STRING type');
+                }
+                col.uuid = { generated: this._acceptKw('GENERATED', 'BY',
+                    'DEFAULT') };
+            } else if (this._acceptKw('GENERATED', 'ALWAYS')) {
+                this._parseIdentity(col, true);
+            } else if (this._acceptKw('GENERATED', 'BY', 'DEFAULT')) {
+                this._parseIdentity(col, false);
+            } else {
+                return col;
+            }
+        }
+    }
+
+    _parseIdList() {
+        const names = [];
+        this._expectSym('(');
+        if (!this._isSym(')')) {
+            do {
+                names.push(this._expectId());
+            } while(this._acceptSym(','));
+        }
+        this._expectSym(')');
+        return names;
+    }
+
+    _parsePrimaryKey(res) {
+        this._expectSym('(');
+        if (this._acceptKw('SHARD')) {
+            res.shardKey = this._parseIdList();
+            res.primaryKey.push(...res.shardKey);
+            if (this._acceptSym(',')) {
+                do {
+                    res.primaryKey.push(this._expectId());
+                } while(this._acceptSym(','));
+            }
+        } else {
+            do {
+                res.primaryKey.push(this._expectId());
+            } while(this._acceptSym(','));
+        }
+        this._expectSym(')');
+    }
+
+    _parseTTL() {
+        const value = this._expectInt();
+        const unit = this._expectId().toUpperCase();
+        if (value < 0 || ![ 'DAYS', 'HOURS' ].includes(unit)) {
+            throw this._error(`invalid TTL: ${value} ${unit}`);
+        }
+        return { value, unit };
+    }
+
+    _parseCreateTable() {
+        const res = {
+            kind: 'createTable',
+            ifNotExists: this._acceptKw('IF', 'NOT', 'EXISTS'),
+            name: this._parseTableName(),
+            fields: [],
+            primaryKey: [],
+            shardKey: null,
+            ttl: null
+        };
+        this._expectSym('(');
+        do {
+            if (this._acceptKw('PRIMARY', 'KEY')) {
+                if (res.primaryKey.length) {
+                    throw this._error('duplicate primary key definition');
+                }
+                this._parsePrimaryKey(res);
+            } else {
+                res.fields.push(this._parseColumn());
+            }
+        } while(this._acceptSym(','));
+        this._expectSym(')');
+        if (this._acceptKw('USING', 'TTL')) {
+            res.ttl = this._parseTTL();
+        }
+        return res;
+    }
+
+    _parseAlterTable() {
+        const res = {
+            kind: 'alterTable',
+            name: this._parseTableName(),
+            add: [],
+            drop: [],
+            ttl: null
+        };
+        if (this._acceptKw('USING', 'TTL')) {
+            res.ttl = this._parseTTL();
+            return res;
+        }
+        this._expectSym('(');
+        do {
+            if (this._acceptKw('ADD')) {
+                res.add.push(this._parseColumn());
+            } else if (this._acceptKw('DROP')) {
+                res.drop.push(this._expectId());
+            } else {
+                throw this._error(`expected ADD or DROP, got \
+${this._peek().val}`);
+            }
+        } while(this._acceptSym(','));
+        this._expectSym(')');
+        return res;
+    }
+
+    //Index field paths are kept as text, since they are only needed to be
+    //returned by getIndexes().
+    _parseIndexField() {
+        const start = this._peek();
+        let last = start;
+        let depth = 0;
+        let type;
+        for(;;) {
+            const tok = this._peek();
+            if (tok.type === 'eof') {
+                throw this._error('expected \')\'', tok);
+            }
+            if (depth === 0 && (this._isSym(',') || this._isSym(')'))) {
+                break;
+            }
+            if (depth === 0 && this._isKw('AS')) {
+                this._next();
+                type = this._expectId().toUpperCase();
+                break;
+            }
+            if (this._isSym('(') || this._isSym('[')) {
+                depth++;
+            } else if (this._isSym(')') || this._isSym(']')) {
+                depth--;
+            }
+            last = this._next();
+        }
+        if (last === start && this._peek() === start) {
+            throw this._error('missing index field');
+        }
+        return { path: this._stmt.slice(start.pos, last.end), type };
+    }
+
+    _parseCreateIndex() {
+        const res = {
+            kind: 'createIndex',
+            ifNotExists: this._acceptKw('IF', 'NOT', 'EXISTS'),
+            name: this._expectId(),
+            fields: []
+        };
+        this._expectKw('ON');
+        res.tableName = this._parseTableName();
+        this._expectSym('(');
+        do {
+            res.fields.push(this._parseIndexField());
+        } while(this._acceptSym(','));
+        this._expectSym(')');
+        return res;
+    }
+
+    //Queries
+
+    _parseSelect() {
+        if (this._acceptKw('DECLARE')) {
+            //Variable types are not used, the values are taken as bound.
+            do {
+                const tok = this._next();
+                if (tok.type !== 'var') {
+                    throw this._error(`expected variable, got ${tok.val}`,
+                        tok);
+                }
+                this._parseType();
+                this._expectSym(';');
+            } while(this._peek().type === 'var');
+        }
+        this._expectKw('SELECT');
+        const res = { kind: 'select', projections: null, orderBy: [] };
+        if (!this._acceptSym('*')) {
+            res.projections = [];
+            do {
+                const expr = this._parseExpr();
+                let name;
+                if (this._acceptKw('AS')) {
+                    name = this._expectId();
+                }
+                res.projections.push({ expr, name });
+            } while(this._acceptSym(','));
+        }
+        this._expectKw('FROM');
+        res.tableName = this._parseTableName();
+        if (this._acceptKw('AS')) {
+            res.alias = this._expectId();
+        } else if (this._peek().type === 'id' && ![ 'WHERE', 'ORDER',
+            'LIMIT', 'OFFSET' ].some(kw => this._isKw(kw))) {
+            res.alias = this._expectId();
+        }
+        if (this._acceptKw('WHERE')) {
+            res.where = this._parseExpr();
+        }
+        if (this._acceptKw('ORDER', 'BY')) {
+            do {
+                const spec = { expr: this._parseExpr(), desc: false };
+                if (this._acceptKw('DESC')) {
+                    spec.desc = true;
+                } else {
+                    this._acceptKw('ASC');
+                }
+                if (this._acceptKw('NULLS', 'FIRST')) {
+                    spec.nullsFirst = true;
+                } else if (this._acceptKw('NULLS', 'LAST')) {
+                    spec.nullsFirst = false;
+                }
+                res.orderBy.push(spec);
+            } while(this._acceptSym(','));
+        }
+        if (this._acceptKw('LIMIT')) {
+            res.limit = this._parseAdd();
+        }
+        if (this._acceptKw('OFFSET')) {
+            res.offset = this._parseAdd();
+        }
+        return res;
+    }
+
+    _parseExpr() {
+        let expr = this._parseAnd();
+        while(this._acceptKw('OR')) {
+            expr = { op: 'or', args: [ expr, this._parseAnd() ] };
+        }
+        return expr;
+    }
+
+    _parseAnd() {
+        let expr = this._parseNot();
+        while(this._acceptKw('AND')) {
+            expr = { op: 'and', args: [ expr, this._parseNot() ] };
+        }
+        return expr;
+    }
+
+    _parseNot() {
+        if (this._acceptKw('NOT')) {
+            return { op: 'not', arg: this._parseNot() };
+        }
+        return this._parseComparison();
+    }
+
+    _parseComparison() {
+        const left = this._parseAdd();
+        const tok = this._peek();
+        if (tok.type === 'sym' && COMPARISONS.includes(tok.val)) {
+            this._next();
+            return { op: 'cmp', cmp: tok.val === '<>' ? '!=' : tok.val,
+                left, right: this._parseAdd() };
+        }
+        if (this._acceptKw('IS')) {
+            const not = this._acceptKw('NOT');
+            this._expectKw('NULL');
+            return { op: 'isNull', not, arg: left };
+        }
+        const not = this._acceptKw('NOT');
+        if (this._acceptKw('IN')) {
+            const list = [];
+            this._expectSym('(');
+            do {
+                list.push(this._parseAdd());
+            } while(this._acceptSym(','));
+            this._expectSym(')');
+            return { op: 'in', not, arg: left, list };
+        }
+        if (this._acceptKw('BETWEEN')) {
+            const low = this._parseAdd();
+            this._expectKw('AND');
+            return { op: 'between', not, arg: left, low,
+                high: this._parseAdd() };
+        }
+        if (not) {
+            throw this._error('expected IN or BETWEEN');
+        }
+        return left;
+    }
+
+    _parseAdd() {
+        let expr = this._parseMul();
+        for(;;) {
+            const tok = this._peek();
+            if (tok.type !== 'sym' || ![ '+', '-', '||' ].includes(tok.val)) {
+                return expr;
+            }
+            this._next();
+            expr = { op: 'arith', sym: tok.val, left: expr,
+                right: this._parseMul() };
+        }
+    }
+
+    _parseMul() {
+        let expr = this._parseUnary();
+        for(;;) {
+            const tok = this._peek();
+            if (tok.type !== 'sym' || ![ '*', '/' ].includes(tok.val)) {
+                return expr;
+            }
+            this._next();
+            expr = { op: 'arith', sym: tok.val, left: expr,
+                right: this._parseUnary() };
+        }
+    }
+
+    _parseUnary() {
+        if (this._acceptSym('-')) {
+            const tok = this._peek();
+            if (tok.type === 'num') {
+                this._next();
+                return { op: 'const', value: this._numValue(tok, true) };
+            }
+            return { op: 'neg', arg: this._parseUnary() };
+        }
+        this._acceptSym('+');
+        return this._parsePrimary();
+    }
+
+    _parsePrimary() {
+        const tok = this._peek();
+        switch(tok.type) {
+        case 'num':
+        case 'str':
+            return { op: 'const', value: this._parseLiteral() };
+        case 'var':
+            this._next();
+            return this._parseSteps({ op: 'var', name: tok.val });
+        case 'sym':
+            if (this._acceptSym('?')) {
+                return { op: 'var', name: '#' + (++this._numPositional) };
+            }
+            if (this._acceptSym('(')) {
+                const expr = this._parseExpr();
+                this._expectSym(')');
+                return this._parseSteps(expr);
+            }
+            break;
+        case 'id':
+            if (!tok.quoted && [ 'TRUE', 'FALSE', 'NULL' ].includes(
+                tok.val.toUpperCase())) {
+                return { op: 'const', value: this._parseLiteral() };
+            }
+            if (this._isSym('(', 1)) {
+                throw ServiceError.notSupported(`Function ${tok.val}`);
+            }
+            this._next();
+            return this._parseSteps({ op: 'path', base: null,
+                steps: [ tok.val ] });
+        default:
+            break;
+        }
+        throw this._error(`unexpected ${tok.val}`, tok);
+    }
+
+    //Field and array element steps following the primary expression.
+    _parseSteps(expr) {
+        for(;;) {
+            if (this._acceptSym('.')) {
+                const tok = this._next();
+                if (tok.type !== 'id' && tok.type !== 'str') {
+                    throw this._error(`expected field name, got ${tok.val}`,
+                        tok);
+                }
+                expr = this._addStep(expr, tok.val);
+            } else if (this._acceptSym('[')) {
+                const idx = this._parseAdd();
+                this._expectSym(']');
+                expr = this._addStep(expr, { idx });
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    _addStep(expr, step) {
+        if (expr.op !== 'path') {
+            expr = { op: 'path', base: expr, steps: [] };
+        }
+        expr.steps.push(step);
+        return expr;
+    }
+}
+
+module.exports = Parser;
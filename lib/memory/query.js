@@ -0,0 +1,395 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const TableSchema = require('./schema');
+const common = require('./common');
+const ServiceError = common.ServiceError;
+const NumberValue = common.NumberValue;
+const isNumeric = common.isNumeric;
+const compareValues = common.compareValues;
+const valuesEqual = common.valuesEqual;
+const sizeToKB = common.sizeToKB;
+
+//Used to order values of different types in ORDER BY.
+function typeRank(val) {
+    if (isNumeric(val)) {
+        return 0;
+    }
+    if (val instanceof Date) {
+        return 1;
+    }
+    switch(typeof val) {
+    case 'string':
+        return 2;
+    case 'boolean':
+        return 3;
+    default:
+        return Buffer.isBuffer(val) ? 4 : 5;
+    }
+}
+
+//SQL NULLs and JSON nulls are ordered after all other values.
+function compareForSort(val1, val2) {
+    if (val1 == null || val2 == null) {
+        return (val1 == null ? 1 : 0) - (val2 == null ? 1 : 0);
+    }
+    const res = compareValues(val1, val2);
+    return res !== undefined ? res : typeRank(val1) - typeRank(val2);
+}
+
+function toBoolean(val) {
+    return val == null ? undefined : val === true;
+}
+
+function isInteger(val) {
+    return typeof val === 'bigint' || Number.isInteger(val);
+}
+
+function arithOp(sym, val1, val2) {
+    switch(sym) {
+    case '+':
+        return val1 + val2;
+    case '-':
+        return val1 - val2;
+    case '*':
+        return val1 * val2;
+    default:
+        return val1 / val2;
+    }
+}
+
+//LONG values are kept as bigint if possible.
+function arith(sym, val1, val2) {
+    if (sym === '||') {
+        return String(val1) + String(val2);
+    }
+    if (!isNumeric(val1) || !isNumeric(val2)) {
+        return undefined;
+    }
+    if ((typeof val1 === 'bigint' || typeof val2 === 'bigint') &&
+        isInteger(val1) && isInteger(val2)) {
+        if (sym === '/' && BigInt(val2) === 0n) {
+            throw ServiceError.illegalArgument('Division by zero');
+        }
+        return arithOp(sym, BigInt(val1), BigInt(val2));
+    }
+    const res = arithOp(sym, Number(val1), Number(val2));
+    return val1 instanceof NumberValue || val2 instanceof NumberValue ?
+        new NumberValue(String(res)) : res;
+}
+
+//Evaluates single-table SELECT query parsed by Parser on the rows of the
+//MemoryTable.  Only single-partition queries are supported, that is the
+//WHERE clause must specify values of all shard key fields.
+class MemoryQuery {
+
+    constructor(stmt, table) {
+        this._stmt = stmt;
+        this._table = table;
+        this._schema = table.schema;
+        this._shardKeyExprs = this._findShardKey();
+    }
+
+    _colName(expr) {
+        if (expr.op !== 'path' || expr.base != null) {
+            return undefined;
+        }
+        let steps = expr.steps;
+        if (steps.length > 1 && this._stmt.alias != null &&
+            typeof steps[0] === 'string' && steps[0].toLowerCase() ===
+            this._stmt.alias.toLowerCase()) {
+            steps = steps.slice(1);
+        }
+        return steps.length === 1 && typeof steps[0] === 'string' ?
+            steps[0] : undefined;
+    }
+
+    _conjuncts(expr, res) {
+        if (expr != null) {
+            if (expr.op === 'and') {
+                expr.args.forEach(arg => this._conjuncts(arg, res));
+            } else {
+                res.push(expr);
+            }
+        }
+        return res;
+    }
+
+    _isConstExpr(expr) {
+        return expr.op === 'const' || expr.op === 'var';
+    }
+
+    _findShardKey() {
+        const exprs = new Map();
+        for(const expr of this._conjuncts(this._stmt.where, [])) {
+            if (expr.op !== 'cmp' || expr.cmp !== '=') {
+                continue;
+            }
+            for(const [col, val] of [ [ expr.left, expr.right ],
+                [ expr.right, expr.left ] ]) {
+                const name = this._colName(col);
+                const field = name != null ?
+                    this._schema.getField(name) : undefined;
+                if (field != null && this._schema.shardKey.includes(
+                    field.name) && this._isConstExpr(val)) {
+                    exprs.set(field.name, val);
+                }
+            }
+        }
+        const res = this._schema.shardKey.map(name => exprs.get(name));
+        if (res.some(expr => expr == null)) {
+            throw ServiceError.notSupported(`Query without equality \
+conditions on all shard key fields (${this._schema.shardKey.join(', ')})`);
+        }
+        return res;
+    }
+
+    _getVar(name, vars) {
+        if (vars == null || !vars.has(name)) {
+            throw ServiceError.illegalArgument(`Variable ${name} is not \
+bound`);
+        }
+        return vars.get(name);
+    }
+
+    _evalPath(expr, row, vars) {
+        let steps = expr.steps;
+        let val;
+        if (expr.base != null) {
+            val = this._eval(expr.base, row, vars);
+        } else {
+            if (this._stmt.alias != null && steps.length > 1 &&
+                steps[0].toLowerCase() === this._stmt.alias.toLowerCase()) {
+                steps = steps.slice(1);
+            }
+            const field = this._schema.getField(steps[0]);
+            if (field == null) {
+                throw ServiceError.illegalArgument(`Field ${steps[0]} does \
+not exist in table ${this._table.name}`);
+            }
+            val = row[field.name];
+            steps = steps.slice(1);
+        }
+        for(const step of steps) {
+            if (val == null || common.isAtomic(val)) {
+                return undefined;
+            }
+            if (typeof step === 'string') {
+                if (Array.isArray(val)) {
+                    return undefined;
+                }
+                if (step in val) {
+                    val = val[step];
+                } else {
+                    //Record fields are case-insensitive.
+                    const lwr = step.toLowerCase();
+                    const key = Object.keys(val).find(k =>
+                        k.toLowerCase() === lwr);
+                    val = key != null ? val[key] : undefined;
+                }
+            } else {
+                const idx = this._eval(step.idx, row, vars);
+                if (!Array.isArray(val) || !isNumeric(idx)) {
+                    return undefined;
+                }
+                val = val[Number(idx)];
+            }
+        }
+        return val;
+    }
+
+    _compare(cmp, val1, val2) {
+        if (val1 === undefined || val2 === undefined) {
+            return undefined;
+        }
+        if (cmp === '=' || cmp === '!=') {
+            const eq = valuesEqual(val1, val2);
+            return cmp === '=' ? eq : !eq;
+        }
+        if (val1 === null || val2 === null) {
+            return false;
+        }
+        const res = compareValues(val1, val2);
+        if (res === undefined) {
+            return false;
+        }
+        switch(cmp) {
+        case '<':
+            return res < 0;
+        case '<=':
+            return res <= 0;
+        case '>':
+            return res > 0;
+        default:
+            return res >= 0;
+        }
+    }
+
+    _eval(expr, row, vars) {
+        switch(expr.op) {
+        case 'const':
+            return expr.value;
+        case 'var':
+            return this._getVar(expr.name, vars);
+        case 'path':
+            return this._evalPath(expr, row, vars);
+        case 'and': {
+            const vals = expr.args.map(arg => toBoolean(this._eval(arg, row,
+                vars)));
+            return vals.includes(false) ? false :
+                (vals.includes(undefined) ? undefined : true);
+        }
+        case 'or': {
+            const vals = expr.args.map(arg => toBoolean(this._eval(arg, row,
+                vars)));
+            return vals.includes(true) ? true :
+                (vals.includes(undefined) ? undefined : false);
+        }
+        case 'not': {
+            const val = toBoolean(this._eval(expr.arg, row, vars));
+            return val === undefined ? undefined : !val;
+        }
+        case 'cmp':
+            return this._compare(expr.cmp, this._eval(expr.left, row, vars),
+                this._eval(expr.right, row, vars));
+        case 'isNull': {
+            const isNull = this._eval(expr.arg, row, vars) === undefined;
+            return expr.not ? !isNull : isNull;
+        }
+        case 'in': {
+            const val = this._eval(expr.arg, row, vars);
+            if (val === undefined) {
+                return undefined;
+            }
+            const res = expr.list.some(elem => valuesEqual(val,
+                this._eval(elem, row, vars)));
+            return expr.not ? !res : res;
+        }
+        case 'between': {
+            const val = this._eval(expr.arg, row, vars);
+            const res = toBoolean(this._compare('>=', val,
+                this._eval(expr.low, row, vars))) &&
+                toBoolean(this._compare('<=', val,
+                    this._eval(expr.high, row, vars)));
+            if (val === undefined) {
+                return undefined;
+            }
+            return expr.not ? !res : res;
+        }
+        case 'arith': {
+            const val1 = this._eval(expr.left, row, vars);
+            const val2 = this._eval(expr.right, row, vars);
+            return val1 == null || val2 == null ? undefined :
+                arith(expr.sym, val1, val2);
+        }
+        case 'neg': {
+            const val = this._eval(expr.arg, row, vars);
+            if (!isNumeric(val)) {
+                return undefined;
+            }
+            return val instanceof NumberValue ?
+                new NumberValue(String(-Number(val))) : -val;
+        }
+        default:
+            throw ServiceError.notSupported(`Expression ${expr.op}`);
+        }
+    }
+
+    _project(row, vars) {
+        if (this._stmt.projections == null) {
+            return Object.assign({}, row);
+        }
+        const res = {};
+        this._stmt.projections.forEach((proj, i) => {
+            let name = proj.name;
+            if (name == null) {
+                const path = proj.expr.op === 'path' && proj.expr.steps;
+                const last = path ? path[path.length - 1] : undefined;
+                name = typeof last === 'string' ? last : `Column_${i + 1}`;
+            }
+            res[name] = this._eval(proj.expr, row, vars);
+        });
+        return res;
+    }
+
+    _evalCount(expr, vars, clause) {
+        if (expr == null) {
+            return undefined;
+        }
+        const val = Number(this._eval(expr, {}, vars));
+        if (!Number.isSafeInteger(val) || val < 0) {
+            throw ServiceError.illegalArgument(`Invalid ${clause} value`);
+        }
+        return val;
+    }
+
+    _sort(recs, vars) {
+        const orderBy = this._stmt.orderBy;
+        if (!orderBy.length) {
+            return recs;
+        }
+        const keyed = recs.map(rec => ({
+            rec,
+            vals: orderBy.map(spec => this._eval(spec.expr, rec.row, vars))
+        }));
+        keyed.sort((ent1, ent2) => {
+            for(let i = 0; i < orderBy.length; i++) {
+                const spec = orderBy[i];
+                let res = compareForSort(ent1.vals[i], ent2.vals[i]);
+                if (spec.nullsFirst != null && (ent1.vals[i] == null) !==
+                    (ent2.vals[i] == null)) {
+                    res = ent1.vals[i] == null === spec.nullsFirst ? -1 : 1;
+                } else if (spec.desc) {
+                    res = -res;
+                }
+                if (res) {
+                    return res;
+                }
+            }
+            return 0;
+        });
+        return keyed.map(ent => ent.rec);
+    }
+
+    //Returns all query results and the total size in KB of the rows read.
+    execute(vars, now) {
+        const shardKey = this._shardKeyExprs.map((expr, i) => {
+            const name = this._schema.shardKey[i];
+            return TableSchema.coerceValue(this._eval(expr, {}, vars),
+                this._schema.getField(name).type, name);
+        });
+        const recs = this._table.scan(shardKey, now);
+        let readKB = 0;
+        let matched = [];
+        for(const rec of recs) {
+            readKB += sizeToKB(rec.size);
+            if (this._stmt.where == null ||
+                this._eval(this._stmt.where, rec.row, vars) === true) {
+                matched.push(rec);
+            }
+        }
+        matched = this._sort(matched, vars);
+        const offset = this._evalCount(this._stmt.offset, vars, 'OFFSET');
+        const limit = this._evalCount(this._stmt.limit, vars, 'LIMIT');
+        if (offset != null || limit != null) {
+            const start = offset != null ? offset : 0;
+            matched = matched.slice(start, limit != null ? start + limit :
+                undefined);
+        }
+        return {
+            rows: matched.map(rec => ({
+                row: this._project(rec.row, vars),
+                size: rec.size
+            })),
+            readKB
+        };
+    }
+}
+
+module.exports = MemoryQuery;
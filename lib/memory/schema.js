@@ -0,0 +1,510 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const isInt32 = require('../utils').isInt32;
+const EMPTY_VALUE = require('../constants').EMPTY_VALUE;
+const common = require('./common');
+const ServiceError = common.ServiceError;
+const NumberValue = common.NumberValue;
+const isNumeric = common.isNumeric;
+
+const MIN_LONG = -(1n << 63n);
+const MAX_LONG = (1n << 63n) - 1n;
+
+const KEY_TYPES = [ 'INTEGER', 'LONG', 'FLOAT', 'DOUBLE', 'NUMBER', 'STRING',
+    'ENUM', 'TIMESTAMP' ];
+
+function typeString(type) {
+    switch(type.type) {
+    case 'FIXED_BINARY':
+        return `BINARY(${type.size})`;
+    case 'TIMESTAMP':
+        return `TIMESTAMP(${type.precision})`;
+    case 'ENUM':
+        return `ENUM(${type.symbols.join(', ')})`;
+    case 'ARRAY':
+    case 'MAP':
+        return `${type.type}(${typeString(type.elem)})`;
+    case 'RECORD':
+        return `RECORD(${type.fields.map(f => `${f.name} \
+${typeString(f.type)}`).join(', ')})`;
+    default:
+        return type.type;
+    }
+}
+
+function literalString(val) {
+    if (typeof val === 'string') {
+        return `'${val.replace(/'/g, '\'\'')}'`;
+    }
+    if (val instanceof Date) {
+        return `'${val.toISOString()}'`;
+    }
+    return String(val);
+}
+
+function invalidValue(val, type, path) {
+    let valStr;
+    try {
+        valStr = typeof val === 'object' && !(val instanceof NumberValue) &&
+            !(val instanceof Date) ? JSON.stringify(val) : String(val);
+    } catch {
+        valStr = String(val);
+    }
+    return ServiceError.illegalArgument(`Invalid value for field ${path} of \
+type ${typeString(type)}: ${valStr}`);
+}
+
+function toInteger(val) {
+    if (typeof val === 'bigint') {
+        return val;
+    }
+    const num = Number(val);
+    return Number.isSafeInteger(num) ? BigInt(num) :
+        (typeof val !== 'number' && /^-?\d+$/.test(String(val)) ?
+            BigInt(String(val)) : undefined);
+}
+
+//Converts JSON field value, values that do not exist in JSON are converted
+//to strings.
+function toJSONValue(val) {
+    if (val == null) {
+        return null;
+    }
+    if (val instanceof Date) {
+        return val.toISOString();
+    }
+    if (Buffer.isBuffer(val)) {
+        return val.toString('base64');
+    }
+    if (Array.isArray(val)) {
+        return val.map(toJSONValue);
+    }
+    if (typeof val === 'object' && !(val instanceof NumberValue)) {
+        const res = {};
+        for(const [key, elem] of Object.entries(val)) {
+            res[key] = toJSONValue(elem);
+        }
+        return res;
+    }
+    return val;
+}
+
+function truncateTimestamp(date, precision) {
+    if (precision >= 3) {
+        return date;
+    }
+    const unit = Math.pow(10, 3 - precision);
+    return new Date(Math.floor(date.getTime() / unit) * unit);
+}
+
+//Converts the value received from the driver to the type of the field.
+//Nested SQL NULLs are kept as null.
+function coerceValue(val, type, path) {
+    if (val == null || val === EMPTY_VALUE) {
+        return null;
+    }
+    switch(type.type) {
+    case 'INTEGER': {
+        const num = isNumeric(val) ? Number(val) : NaN;
+        if (!isInt32(num) || (typeof val === 'bigint' &&
+            BigInt(num) !== val)) {
+            throw invalidValue(val, type, path);
+        }
+        return num;
+    }
+    case 'LONG': {
+        //Similar to the service, integral doubles out of LONG range are
+        //clamped, e.g. 2^63 that is the closest double to 2^63 - 1.  Other
+        //integral doubles, such as 2^53, are exact.
+        if (typeof val === 'number' && Number.isInteger(val) &&
+            !Number.isSafeInteger(val)) {
+            return Math.abs(val) < 2 ** 63 ? BigInt(val) :
+                (val > 0 ? MAX_LONG : MIN_LONG);
+        }
+        const num = isNumeric(val) ? toInteger(val) : undefined;
+        if (num === undefined || num < MIN_LONG || num > MAX_LONG) {
+            throw invalidValue(val, type, path);
+        }
+        return num;
+    }
+    case 'FLOAT':
+    case 'DOUBLE':
+        if (!isNumeric(val)) {
+            throw invalidValue(val, type, path);
+        }
+        return type.type === 'FLOAT' ? Math.fround(Number(val)) :
+            Number(val);
+    case 'NUMBER':
+        if (!isNumeric(val)) {
+            throw invalidValue(val, type, path);
+        }
+        return val instanceof NumberValue ? val : new NumberValue(
+            String(val));
+    case 'STRING':
+        if (typeof val !== 'string') {
+            throw invalidValue(val, type, path);
+        }
+        return val;
+    case 'BOOLEAN':
+        if (typeof val !== 'boolean') {
+            throw invalidValue(val, type, path);
+        }
+        return val;
+    case 'BINARY':
+    case 'FIXED_BINARY': {
+        const res = typeof val === 'string' ? Buffer.from(val, 'base64') :
+            val;
+        if (!Buffer.isBuffer(res) || (type.size != null &&
+            res.length !== type.size)) {
+            throw invalidValue(val, type, path);
+        }
+        return res;
+    }
+    case 'TIMESTAMP': {
+        let res = val;
+        if (typeof val === 'string') {
+            //Timestamp strings without time zone are in UTC.
+            const hasZone = /(Z|[+-]\d\d:?\d\d)$/i.test(val);
+            res = new Date(hasZone || !val.includes('T') ? val : val + 'Z');
+        }
+        if (!(res instanceof Date) || isNaN(res.getTime())) {
+            throw invalidValue(val, type, path);
+        }
+        return truncateTimestamp(res, type.precision);
+    }
+    case 'ENUM':
+        if (!type.symbols.includes(val)) {
+            throw invalidValue(val, type, path);
+        }
+        return val;
+    case 'JSON':
+        return toJSONValue(val);
+    case 'ARRAY':
+        if (!Array.isArray(val)) {
+            throw invalidValue(val, type, path);
+        }
+        return val.map((elem, i) => coerceValue(elem, type.elem,
+            `${path}[${i}]`));
+    case 'MAP': {
+        if (typeof val !== 'object' || Array.isArray(val) ||
+            common.isAtomic(val)) {
+            throw invalidValue(val, type, path);
+        }
+        const res = {};
+        for(const [key, elem] of Object.entries(val)) {
+            res[key] = coerceValue(elem, type.elem, `${path}.${key}`);
+        }
+        return res;
+    }
+    case 'RECORD':
+        if (typeof val !== 'object' || Array.isArray(val) ||
+            common.isAtomic(val)) {
+            throw invalidValue(val, type, path);
+        }
+        return coerceFields(val, type.fields, false, path + '.');
+    default:
+        throw invalidValue(val, type, path);
+    }
+}
+
+function findField(fields, name) {
+    const lwr = name.toLowerCase();
+    return fields.find(f => f.name.toLowerCase() === lwr);
+}
+
+//Converts record or row value.  Missing fields get their default values.
+function coerceFields(val, fields, exactMatch, prefix) {
+    const vals = new Map();
+    for(const [key, elem] of Object.entries(val)) {
+        const field = findField(fields, key);
+        if (field == null) {
+            if (exactMatch) {
+                throw ServiceError.illegalArgument(`Field ${prefix}${key} \
+does not exist in the table`);
+            }
+            continue;
+        }
+        vals.set(field, elem);
+    }
+    const res = {};
+    for(const field of fields) {
+        const path = prefix + field.name;
+        if (!vals.has(field)) {
+            if (exactMatch && field.identity == null && !field.uuid) {
+                throw ServiceError.illegalArgument(`Missing value for field \
+${path}`);
+            }
+            res[field.name] = field.default != null ? field.default :
+                undefined;
+            continue;
+        }
+        let elem = vals.get(field);
+        //JSON null is kept as a value of JSON field.
+        if (elem === undefined || elem === EMPTY_VALUE || (elem === null &&
+            field.type.type !== 'JSON')) {
+            elem = field.default != null ? field.default : undefined;
+        } else {
+            elem = coerceValue(elem, field.type, path);
+        }
+        if (elem == null && !field.nullable && field.identity == null &&
+            !field.uuid) {
+            throw ServiceError.illegalArgument(`Field ${path} is not \
+nullable`);
+        }
+        res[field.name] = elem;
+    }
+    return res;
+}
+
+function fieldToJSON(field) {
+    const res = {
+        name: field.name,
+        type: field.type.type === 'FIXED_BINARY' ? 'BINARY' :
+            field.type.type,
+        nullable: field.nullable
+    };
+    typeToJSON(field.type, res);
+    if (field.default != null) {
+        res.default = field.default instanceof Date ?
+            field.default.toISOString() : String(field.default);
+    }
+    if (field.identity != null) {
+        res.generated = field.identity.always ? 'always' : 'by default';
+    } else if (field.uuid) {
+        res.asUuid = true;
+        if (field.uuid.generated) {
+            res.generated = 'by default';
+        }
+    }
+    return res;
+}
+
+function typeToJSON(type, res) {
+    switch(type.type) {
+    case 'FIXED_BINARY':
+        res.size = type.size;
+        break;
+    case 'TIMESTAMP':
+        res.precision = type.precision;
+        break;
+    case 'ENUM':
+        res.symbols = type.symbols;
+        break;
+    case 'ARRAY':
+    case 'MAP':
+        res.collection = { type: type.elem.type === 'FIXED_BINARY' ?
+            'BINARY' : type.elem.type };
+        typeToJSON(type.elem, res.collection);
+        break;
+    case 'RECORD':
+        res.fields = type.fields.map(fieldToJSON);
+        break;
+    default:
+        break;
+    }
+}
+
+function fieldToDDL(field) {
+    let res = `${field.name} ${typeString(field.type)}`;
+    if (field.identity != null) {
+        const id = field.identity;
+        res += ` GENERATED ${id.always ? 'ALWAYS' :
+            (id.onNull ? 'BY DEFAULT ON NULL' : 'BY DEFAULT')} AS IDENTITY \
+(START WITH ${id.start} INCREMENT BY ${id.increment})`;
+    } else if (field.uuid) {
+        res += ' AS UUID' + (field.uuid.generated ?
+            ' GENERATED BY DEFAULT' : '');
+    }
+    if (!field.nullable) {
+        res += ' NOT NULL';
+    }
+    if (field.default != null) {
+        res += ' DEFAULT ' + literalString(field.default);
+    }
+    return res;
+}
+
+//Schema of the table in the in-memory service, created from the CREATE TABLE
+//statement parsed by Parser.
+class TableSchema {
+
+    constructor(stmt) {
+        this.name = stmt.name;
+        this.fields = [];
+        this.ttl = stmt.ttl;
+        for(const field of stmt.fields) {
+            this._addField(field);
+        }
+        if (!stmt.primaryKey.length) {
+            throw ServiceError.illegalArgument(`Table ${this.name} must have \
+a primary key`);
+        }
+        this.primaryKey = stmt.primaryKey.map(name => {
+            const field = this._keyField(name);
+            //Primary key fields are always not nullable.
+            field.nullable = false;
+            return field.name;
+        });
+        if (new Set(this.primaryKey).size !== this.primaryKey.length) {
+            throw ServiceError.illegalArgument(`Duplicate primary key \
+field in table ${this.name}`);
+        }
+        this.shardKey = stmt.shardKey != null && stmt.shardKey.length ?
+            this.primaryKey.slice(0, stmt.shardKey.length) :
+            this.primaryKey.slice();
+        if (this.fields.filter(f => f.identity != null).length > 1) {
+            throw ServiceError.illegalArgument(`Table ${this.name} may only \
+have one identity field`);
+        }
+    }
+
+    _keyField(name) {
+        const field = this.getField(name);
+        if (field == null) {
+            throw ServiceError.illegalArgument(`Primary key field ${name} \
+does not exist in table ${this.name}`);
+        }
+        if (!KEY_TYPES.includes(field.type.type)) {
+            throw ServiceError.illegalArgument(`Invalid type \
+${field.type.type} for primary key field ${field.name}`);
+        }
+        return field;
+    }
+
+    _addField(field) {
+        if (this.getField(field.name) != null) {
+            throw ServiceError.illegalArgument(`Field ${field.name} already \
+exists in table ${this.name}`);
+        }
+        if (field.identity != null && ![ 'INTEGER', 'LONG', 'NUMBER' ]
+            .includes(field.type.type)) {
+            throw ServiceError.illegalArgument(`Identity field \
+${field.name} must be of type INTEGER, LONG or NUMBER`);
+        }
+        field = Object.assign({}, field);
+        if (field.default != null) {
+            field.default = coerceValue(field.default, field.type,
+                field.name);
+        }
+        this.fields.push(field);
+    }
+
+    get identityField() {
+        return this.fields.find(f => f.identity != null);
+    }
+
+    getField(name) {
+        return findField(this.fields, name);
+    }
+
+    addField(field) {
+        this._addField(field);
+    }
+
+    dropField(name) {
+        const field = this.getField(name);
+        if (field == null) {
+            throw ServiceError.illegalArgument(`Field ${name} does not exist \
+in table ${this.name}`);
+        }
+        if (this.primaryKey.includes(field.name)) {
+            throw ServiceError.illegalArgument(`Cannot drop primary key \
+field ${field.name}`);
+        }
+        this.fields.splice(this.fields.indexOf(field), 1);
+        return field.name;
+    }
+
+    coerceRow(row, exactMatch) {
+        if (row == null || typeof row !== 'object' || common.isAtomic(row) ||
+            Array.isArray(row)) {
+            throw ServiceError.illegalArgument('Invalid row value');
+        }
+        return coerceFields(row, this.fields, exactMatch, '');
+    }
+
+    //Returns values of the primary key fields present in the key in the
+    //order of the primary key.  If isPartial is true, the key may contain a
+    //prefix of the primary key.
+    coerceKey(key, isPartial) {
+        if (key == null || typeof key !== 'object' || common.isAtomic(key) ||
+            Array.isArray(key)) {
+            throw ServiceError.illegalArgument('Invalid primary key value');
+        }
+        const vals = new Map();
+        for(const [name, val] of Object.entries(key)) {
+            const field = this.getField(name);
+            if (field == null || !this.primaryKey.includes(field.name)) {
+                throw ServiceError.illegalArgument(`Field ${name} is not a \
+primary key field of table ${this.name}`);
+            }
+            vals.set(field.name, coerceValue(val, field.type, field.name));
+        }
+        const res = [];
+        for(const name of this.primaryKey) {
+            if (!vals.has(name) || vals.get(name) == null) {
+                break;
+            }
+            res.push(vals.get(name));
+        }
+        if (res.length !== vals.size || (!isPartial &&
+            res.length !== this.primaryKey.length)) {
+            throw ServiceError.illegalArgument(`Invalid primary key for \
+table ${this.name}, ${isPartial ? 'key fields must be a prefix of the \
+primary key' : 'missing primary key field'}`);
+        }
+        return res;
+    }
+
+    keyOf(row) {
+        return this.primaryKey.map(name => row[name]);
+    }
+
+    keyRow(key) {
+        const res = {};
+        key.forEach((val, i) => res[this.primaryKey[i]] = val);
+        return res;
+    }
+
+    toJSON(extra) {
+        const res = {
+            json_version: 1,
+            type: 'table',
+            name: this.name
+        };
+        Object.assign(res, extra);
+        res.shardKey = this.shardKey;
+        res.primaryKey = this.primaryKey;
+        if (this.ttl != null) {
+            res.ttl = `${this.ttl.value} ${this.ttl.unit}`;
+        }
+        res.fields = this.fields.map(fieldToJSON);
+        return JSON.stringify(res);
+    }
+
+    toDDL() {
+        const pk = this.shardKey.length < this.primaryKey.length ?
+            `SHARD(${this.shardKey.join(', ')})` +
+            this.primaryKey.slice(this.shardKey.length)
+                .map(name => ', ' + name).join('') :
+            this.primaryKey.join(', ');
+        let res = `CREATE TABLE ${this.name} (${this.fields.map(fieldToDDL)
+            .join(', ')}, PRIMARY KEY(${pk}))`;
+        if (this.ttl != null) {
+            res += ` USING TTL ${this.ttl.value} ${this.ttl.unit}`;
+        }
+        return res;
+    }
+}
+
+TableSchema.coerceValue = coerceValue;
+TableSchema.typeString = typeString;
+
+module.exports = TableSchema;
@@ -0,0 +1,679 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const ErrorCode = require('../error_code');
+const NoSQLArgumentError = require('../error').NoSQLArgumentError;
+const NoSQLNetworkError = require('../error').NoSQLNetworkError;
+const TableState = require('../constants').TableState;
+const CapacityMode = require('../constants').CapacityMode;
+const OpCode = require('../binary_protocol/constants').OpCode;
+const Protocol = require('../nson_protocol/protocol');
+const NsonReader = require('../nson_protocol/reader');
+const NsonWriter = require('../nson_protocol/writer');
+const Fields = require('../nson_protocol/constants').Fields;
+const isPosInt32 = require('../utils').isPosInt32;
+const Parser = require('./parser');
+const MemoryTable = require('./table');
+const MemoryQuery = require('./query');
+const common = require('./common');
+const ServiceError = common.ServiceError;
+const NumberValue = common.NumberValue;
+const sizeToKB = common.sizeToKB;
+
+//Options to decode requests and encode responses with Protocol methods.
+//LONG and NUMBER values are kept as bigint and NumberValue to preserve
+//their precision.
+const READ_OPT = {
+    longAsBigInt: true,
+    _dbNumber: {
+        create: str => new NumberValue(str)
+    }
+};
+
+const WRITE_OPT = {
+    _dbNumber: {
+        isInstance: val => val instanceof NumberValue,
+        stringValue: val => val.toString()
+    }
+};
+
+//Serial version reported to the driver, see HttpClient.
+const SERIAL_VERSION = 5;
+
+const ABSOLUTE = 0;
+const QUERY_SELECT = 5;
+
+const PUT_OPS = [ OpCode.PUT, OpCode.PUT_IF_ABSENT, OpCode.PUT_IF_PRESENT,
+    OpCode.PUT_IF_VERSION ];
+const DELETE_OPS = [ OpCode.DELETE, OpCode.DELETE_IF_VERSION ];
+
+//Operation names used to match injected errors.
+const OP_NAMES = {
+    [OpCode.GET]: 'get',
+    [OpCode.PUT]: 'put',
+    [OpCode.PUT_IF_ABSENT]: 'put',
+    [OpCode.PUT_IF_PRESENT]: 'put',
+    [OpCode.PUT_IF_VERSION]: 'put',
+    [OpCode.DELETE]: 'delete',
+    [OpCode.DELETE_IF_VERSION]: 'delete',
+    [OpCode.WRITE_MULTIPLE]: 'writeMany',
+    [OpCode.MULTI_DELETE]: 'deleteRange',
+    [OpCode.GET_TABLE]: 'getTable',
+    [OpCode.TABLE_REQUEST]: 'tableDDL',
+    [OpCode.GET_INDEXES]: 'getIndexes',
+    [OpCode.LIST_TABLES]: 'listTables',
+    [OpCode.PREPARE]: 'prepare',
+    [OpCode.QUERY]: 'query'
+};
+
+const OP_NAME_SET = new Set(Object.values(OP_NAMES));
+
+function consumed(readKB, writeKB, consistency) {
+    const isAbsolute = consistency != null &&
+        consistency[Fields.TYPE] === ABSOLUTE;
+    return {
+        [Fields.READ_UNITS]: isAbsolute ? readKB * 2 : readKB,
+        [Fields.READ_KB]: readKB,
+        [Fields.WRITE_KB]: writeKB
+    };
+}
+
+function rowResult(rec) {
+    const res = {
+        [Fields.VALUE]: rec.row,
+        [Fields.ROW_VERSION]: rec.version,
+        [Fields.MODIFIED]: BigInt(rec.modTime)
+    };
+    if (rec.expTime) {
+        res[Fields.EXPIRATION] = BigInt(rec.expTime);
+    }
+    return res;
+}
+
+function returnInfo(rec) {
+    return {
+        [Fields.EXISTING_VALUE]: rec.row,
+        [Fields.EXISTING_VERSION]: rec.version,
+        [Fields.EXISTING_MOD_TIME]: BigInt(rec.modTime)
+    };
+}
+
+function opResult(res, returnRow) {
+    const ret = { [Fields.SUCCESS]: res.success };
+    if (res.rec != null) {
+        ret[Fields.ROW_VERSION] = res.rec.version;
+    }
+    if (res.generated != null) {
+        ret[Fields.GENERATED] = res.generated;
+    }
+    if (returnRow && res.existing != null) {
+        ret[Fields.RETURN_INFO] = returnInfo(res.existing);
+    }
+    return ret;
+}
+
+function toErrorCode(errorCode) {
+    if (typeof errorCode === 'string') {
+        errorCode = ErrorCode[errorCode.toUpperCase()];
+    }
+    return errorCode instanceof ErrorCode ? errorCode : undefined;
+}
+
+/**
+ * In-process emulator of Oracle NoSQL Database service.  Used with
+ * {@link ServiceType.MEMORY} to run applications and tests without a
+ * running Cloud Simulator or Proxy.  Requests are serialized and the
+ * responses are deserialized the same way as when talking to the service
+ * over HTTP, but the data is kept in memory for the lifetime of the
+ * instance.
+ */
+class MemoryService {
+
+    constructor() {
+        this._tables = new Map();
+        this._errors = [];
+    }
+
+    get _serialVersion() {
+        return SERIAL_VERSION;
+    }
+
+    _validateErrorOpt(opt) {
+        if (opt == null || typeof opt !== 'object') {
+            throw new NoSQLArgumentError('Missing or invalid options for \
+injected error');
+        }
+        const errorCode = toErrorCode(opt.errorCode);
+        if (errorCode == null) {
+            throw new NoSQLArgumentError(`Invalid error code for injected \
+error: ${opt.errorCode}`);
+        }
+        if (errorCode.ordinal >= ErrorCode.NETWORK_ERROR.ordinal &&
+            errorCode !== ErrorCode.NETWORK_ERROR) {
+            throw new NoSQLArgumentError(`Error code ${errorCode.name} \
+cannot be returned by the service`);
+        }
+        let ops = opt.op;
+        if (ops != null) {
+            ops = Array.isArray(ops) ? ops : [ ops ];
+            for(const op of ops) {
+                if (!OP_NAME_SET.has(op)) {
+                    throw new NoSQLArgumentError(`Invalid operation for \
+injected error: ${op}`);
+                }
+            }
+        }
+        if (opt.tableName != null && typeof opt.tableName !== 'string') {
+            throw new NoSQLArgumentError(`Invalid table name for injected \
+error: ${opt.tableName}`);
+        }
+        const count = opt.count != null ? opt.count : 1;
+        if (count !== Infinity && !isPosInt32(count)) {
+            throw new NoSQLArgumentError(`Invalid count for injected error: \
+${opt.count}`);
+        }
+        return {
+            errorCode,
+            message: opt.message != null ? String(opt.message) :
+                `Injected error ${errorCode.name}`,
+            ops: ops != null ? new Set(ops) : null,
+            tableName: opt.tableName != null ?
+                opt.tableName.toLowerCase() : null,
+            count
+        };
+    }
+
+    injectError(opt) {
+        this._errors.push(this._validateErrorOpt(opt));
+        return this;
+    }
+
+    clearErrors() {
+        this._errors.length = 0;
+        return this;
+    }
+
+    clear() {
+        this._tables.clear();
+        this.clearErrors();
+        return this;
+    }
+
+    _checkInjectedError(opName, tableName, req) {
+        const tblName = tableName != null ? tableName.toLowerCase() : null;
+        const idx = this._errors.findIndex(err =>
+            (err.ops == null || err.ops.has(opName)) &&
+            (err.tableName == null || err.tableName === tblName));
+        if (idx === -1) {
+            return;
+        }
+        const err = this._errors[idx];
+        if (--err.count === 0) {
+            this._errors.splice(idx, 1);
+        }
+        if (err.errorCode === ErrorCode.NETWORK_ERROR) {
+            throw new NoSQLNetworkError(err.message, req);
+        }
+        throw new ServiceError(err.errorCode, err.message);
+    }
+
+    _getTable(name) {
+        const table = name != null ?
+            this._tables.get(name.toLowerCase()) : undefined;
+        if (table == null) {
+            throw new ServiceError(ErrorCode.TABLE_NOT_FOUND, `Table not \
+found: ${name}`);
+        }
+        return table;
+    }
+
+    _tableResult(table, state, opt) {
+        const res = {
+            [Fields.TABLE_NAME]: table.name,
+            [Fields.TABLE_STATE]: state.ordinal
+        };
+        if (state === TableState.DROPPED) {
+            return res;
+        }
+        res[Fields.TABLE_SCHEMA] = table.schemaJSON;
+        res[Fields.TABLE_DDL] = table.ddl;
+        res[Fields.ETAG] = table.etag;
+        if (table.limits != null) {
+            res[Fields.LIMITS] = {
+                [Fields.READ_UNITS]: table.limits.readUnits,
+                [Fields.WRITE_UNITS]: table.limits.writeUnits,
+                [Fields.STORAGE_GB]: table.limits.storageGB,
+                [Fields.LIMITS_MODE]: table.limits.mode
+            };
+        }
+        if (table.freeFormTags != null) {
+            res[Fields.FREE_FORM_TAGS] = table.freeFormTags;
+        }
+        if (table.definedTags != null) {
+            res[Fields.DEFINED_TAGS] = table.definedTags;
+        }
+        if (opt != null && opt.operationId) {
+            res[Fields.OPERATION_ID] = String(opt.operationId);
+        }
+        return res;
+    }
+
+    _readLimits(lm) {
+        const mode = lm[Fields.LIMITS_MODE] != null ?
+            lm[Fields.LIMITS_MODE] : CapacityMode.PROVISIONED.ordinal;
+        const onDemand = mode === CapacityMode.ON_DEMAND.ordinal;
+        return {
+            readUnits: onDemand ? 10000 : lm[Fields.READ_UNITS],
+            writeUnits: onDemand ? 5000 : lm[Fields.WRITE_UNITS],
+            storageGB: lm[Fields.STORAGE_GB],
+            mode
+        };
+    }
+
+    _setTableOpt(table, payload) {
+        if (payload[Fields.LIMITS] != null) {
+            table.limits = this._readLimits(payload[Fields.LIMITS]);
+        }
+        if (payload[Fields.FREE_FORM_TAGS] != null) {
+            table.freeFormTags = payload[Fields.FREE_FORM_TAGS];
+        }
+        if (payload[Fields.DEFINED_TAGS] != null) {
+            table.definedTags = payload[Fields.DEFINED_TAGS];
+        }
+    }
+
+    _checkETag(table, payload) {
+        const etag = payload[Fields.ETAG];
+        if (etag != null && etag !== table.etag) {
+            throw ServiceError.illegalArgument(`ETag mismatch for table \
+${table.name}`);
+        }
+    }
+
+    _createTable(stmt, payload) {
+        if (stmt.name.includes('.')) {
+            throw ServiceError.notSupported('Child table');
+        }
+        const lwr = stmt.name.toLowerCase();
+        const existing = this._tables.get(lwr);
+        if (existing != null) {
+            if (stmt.ifNotExists) {
+                return this._tableResult(existing, TableState.ACTIVE);
+            }
+            throw new ServiceError(ErrorCode.TABLE_EXISTS, `Table \
+${stmt.name} already exists`);
+        }
+        const table = new MemoryTable(stmt, {});
+        this._setTableOpt(table, payload);
+        this._tables.set(lwr, table);
+        return this._tableResult(table, TableState.ACTIVE);
+    }
+
+    _dropTable(stmt) {
+        const lwr = stmt.name.toLowerCase();
+        const table = this._tables.get(lwr);
+        if (table == null) {
+            if (stmt.ifExists) {
+                return {
+                    [Fields.TABLE_NAME]: stmt.name,
+                    [Fields.TABLE_STATE]: TableState.DROPPED.ordinal
+                };
+            }
+            throw new ServiceError(ErrorCode.TABLE_NOT_FOUND, `Table not \
+found: ${stmt.name}`);
+        }
+        this._tables.delete(lwr);
+        return this._tableResult(table, TableState.DROPPED);
+    }
+
+    _tableRequest(header, payload) {
+        const stmtStr = payload[Fields.STATEMENT];
+        //Table limits or tags update.
+        if (stmtStr == null) {
+            const table = this._getTable(header[Fields.TABLE_NAME]);
+            this._checkETag(table, payload);
+            this._setTableOpt(table, payload);
+            return this._tableResult(table, TableState.ACTIVE);
+        }
+        const stmt = Parser.parse(stmtStr);
+        switch(stmt.kind) {
+        case 'createTable':
+            return this._createTable(stmt, payload);
+        case 'dropTable':
+            return this._dropTable(stmt);
+        case 'select':
+            throw ServiceError.illegalArgument(`Query statement is not \
+allowed in tableDDL: ${stmtStr}`);
+        default: {
+            const table = this._getTable(stmt.kind === 'alterTable' ?
+                stmt.name : stmt.tableName);
+            this._checkETag(table, payload);
+            if (stmt.kind === 'createIndex') {
+                table.createIndex(stmt);
+            } else if (stmt.kind === 'dropIndex') {
+                table.dropIndex(stmt);
+            } else {
+                table.alter(stmt);
+            }
+            return this._tableResult(table, TableState.ACTIVE);
+        }
+        }
+    }
+
+    _getIndexes(header, payload) {
+        const table = this._getTable(header[Fields.TABLE_NAME]);
+        let indexes = Array.from(table.indexes.values());
+        const name = payload[Fields.INDEX];
+        if (name != null) {
+            const idx = table.indexes.get(name.toLowerCase());
+            if (idx == null) {
+                throw new ServiceError(ErrorCode.INDEX_NOT_FOUND, `Index \
+${name} does not exist in table ${table.name}`);
+            }
+            indexes = [ idx ];
+        }
+        return {
+            [Fields.INDEXES]: indexes.map(idx => ({
+                [Fields.NAME]: idx.name,
+                [Fields.FIELDS]: idx.fields.map(f => {
+                    const res = { [Fields.PATH]: f.path };
+                    if (f.type != null) {
+                        res[Fields.TYPE] = f.type;
+                    }
+                    return res;
+                })
+            }))
+        };
+    }
+
+    _listTables(payload) {
+        const names = Array.from(this._tables.values(), t => t.name).sort();
+        const start = payload[Fields.LIST_START_INDEX] || 0;
+        const limit = payload[Fields.LIST_MAX_TO_READ];
+        const tables = names.slice(start, limit ? start + limit : undefined);
+        return {
+            [Fields.TABLES]: tables,
+            [Fields.LAST_INDEX]: start + tables.length
+        };
+    }
+
+    _get(header, payload, now) {
+        const table = this._getTable(header[Fields.TABLE_NAME]);
+        const res = table.get(payload[Fields.KEY], now);
+        const ret = {
+            [Fields.CONSUMED]: consumed(res.readKB, 0,
+                payload[Fields.CONSISTENCY])
+        };
+        if (res.rec != null) {
+            ret[Fields.ROW] = rowResult(res.rec);
+        }
+        return ret;
+    }
+
+    _writeOp(table, opCode, op, now) {
+        const returnRow = !!op[Fields.RETURN_ROW];
+        if (PUT_OPS.includes(opCode)) {
+            return table.preparePut({
+                opCode,
+                value: op[Fields.VALUE],
+                ttl: op[Fields.TTL],
+                updateTTL: !!op[Fields.UPDATE_TTL],
+                exactMatch: !!op[Fields.EXACT_MATCH],
+                matchVersion: op[Fields.ROW_VERSION],
+                returnRow
+            }, now);
+        }
+        if (DELETE_OPS.includes(opCode)) {
+            return table.prepareDelete({
+                opCode,
+                key: op[Fields.KEY],
+                matchVersion: op[Fields.ROW_VERSION]
+            }, now);
+        }
+        throw ServiceError.illegalArgument(`Invalid operation code: \
+${opCode}`);
+    }
+
+    _write(header, payload, now) {
+        const table = this._getTable(header[Fields.TABLE_NAME]);
+        const opCode = header[Fields.OP_CODE];
+        const res = this._writeOp(table, opCode, payload, now);
+        table.apply(res);
+        const ret = opResult(res, payload[Fields.RETURN_ROW]);
+        ret[Fields.CONSUMED] = consumed(res.readKB, res.writeKB);
+        //Success is returned for put operations as row version.
+        if (!DELETE_OPS.includes(opCode)) {
+            delete ret[Fields.SUCCESS];
+        }
+        return ret;
+    }
+
+    //All operations are executed atomically: if any operation fails with
+    //abortOnFail set, none of the changes are applied.
+    _writeMany(header, payload, now) {
+        const ops = payload[Fields.OPERATIONS] || [];
+        let table;
+        let shardKey;
+        const keys = new Set();
+        const results = ops.map((op, i) => {
+            const tableName = op[Fields.TABLE_NAME] != null ?
+                op[Fields.TABLE_NAME] : header[Fields.TABLE_NAME];
+            const opTable = this._getTable(tableName);
+            if (table == null) {
+                table = opTable;
+            } else if (opTable !== table) {
+                throw ServiceError.notSupported('Operations on multiple \
+tables in writeMany');
+            }
+            const res = this._writeOp(table, op[Fields.OP_CODE], op, now);
+            const key = JSON.parse(res.ks);
+            const sk = JSON.stringify(key.slice(0,
+                table.schema.shardKey.length));
+            if (shardKey == null) {
+                shardKey = sk;
+            } else if (sk !== shardKey) {
+                throw ServiceError.illegalArgument(`Operation at index ${i} \
+has different shard key from other operations in writeMany`);
+            }
+            if (keys.has(res.ks)) {
+                throw ServiceError.illegalArgument(`Operation at index ${i} \
+has the same primary key as another operation in writeMany`);
+            }
+            keys.add(res.ks);
+            return res;
+        });
+        let readKB = 0;
+        let writeKB = 0;
+        for(const res of results) {
+            readKB += res.readKB;
+            writeKB += res.writeKB;
+        }
+        const ret = { [Fields.CONSUMED]: consumed(readKB, 0) };
+        const failIdx = results.findIndex((res, i) => !res.success &&
+            ops[i][Fields.ABORT_ON_FAIL]);
+        if (failIdx !== -1) {
+            ret[Fields.WM_FAILURE] = {
+                [Fields.WM_FAIL_INDEX]: failIdx,
+                [Fields.WM_FAIL_RESULT]: opResult(results[failIdx],
+                    ops[failIdx][Fields.RETURN_ROW])
+            };
+            return ret;
+        }
+        results.forEach(res => table.apply(res));
+        ret[Fields.CONSUMED] = consumed(readKB, writeKB);
+        ret[Fields.WM_SUCCESS] = results.map((res, i) => opResult(res,
+            ops[i][Fields.RETURN_ROW]));
+        return ret;
+    }
+
+    _deleteRange(header, payload, now) {
+        const table = this._getTable(header[Fields.TABLE_NAME]);
+        const rg = payload[Fields.RANGE];
+        const bound = val => val != null ? {
+            value: val[Fields.VALUE],
+            inclusive: !!val[Fields.INCLUSIVE]
+        } : undefined;
+        const res = table.deleteRange({
+            key: payload[Fields.KEY],
+            range: rg != null ? {
+                path: rg[Fields.RANGE_PATH],
+                start: bound(rg[Fields.START]),
+                end: bound(rg[Fields.END])
+            } : undefined,
+            maxWriteKB: payload[Fields.MAX_WRITE_KB]
+        }, now);
+        const ret = {
+            [Fields.NUM_DELETIONS]: res.deletedCount,
+            [Fields.CONSUMED]: consumed(res.readKB, res.writeKB)
+        };
+        if (res.continuationKey != null) {
+            ret[Fields.CONTINUATION_KEY] = res.continuationKey;
+        }
+        return ret;
+    }
+
+    _prepareQuery(stmtStr) {
+        const stmt = Parser.parse(stmtStr);
+        if (stmt.kind !== 'select') {
+            throw ServiceError.notSupported(`Statement ${stmtStr}`);
+        }
+        const table = this._getTable(stmt.tableName);
+        return new MemoryQuery(stmt, table);
+    }
+
+    //The prepared statement is the query text, which is parsed again when
+    //the query is executed.
+    _prepStmtResult(stmtStr, query, ret) {
+        ret[Fields.PREPARED_QUERY] = Buffer.from(stmtStr, 'utf8');
+        ret[Fields.TABLE_NAME] = query._table.name;
+        ret[Fields.QUERY_OPERATION] = QUERY_SELECT;
+        return ret;
+    }
+
+    _prepare(payload) {
+        const stmtStr = payload[Fields.STATEMENT];
+        const query = this._prepareQuery(stmtStr);
+        const ret = { [Fields.CONSUMED]: consumed(0, 0) };
+        if (payload[Fields.GET_QUERY_PLAN]) {
+            ret[Fields.QUERY_PLAN_STRING] = `SINGLE PARTITION SCAN of \
+${query._table.name}`;
+        }
+        return this._prepStmtResult(stmtStr, query, ret);
+    }
+
+    _query(payload, now) {
+        const isPrepared = !!payload[Fields.IS_PREPARED];
+        const stmtStr = isPrepared ?
+            payload[Fields.PREPARED_QUERY].toString('utf8') :
+            payload[Fields.STATEMENT];
+        const query = this._prepareQuery(stmtStr);
+        const vars = new Map();
+        for(const bv of payload[Fields.BIND_VARIABLES] || []) {
+            vars.set(bv[Fields.NAME], bv[Fields.VALUE]);
+        }
+        const results = query.execute(vars, now).rows;
+        const ck = payload[Fields.CONTINUATION_KEY];
+        let idx = ck != null ? ck.readUInt32BE(0) : 0;
+        const limit = payload[Fields.NUMBER_LIMIT];
+        const maxReadKB = payload[Fields.MAX_READ_KB];
+        const rows = [];
+        let readKB = 0;
+        while(idx < results.length && (!limit || rows.length < limit) &&
+            (!maxReadKB || readKB < maxReadKB)) {
+            const res = results[idx++];
+            rows.push(res.row);
+            readKB += sizeToKB(res.size);
+        }
+        const ret = {
+            [Fields.QUERY_RESULTS]: rows,
+            [Fields.CONSUMED]: consumed(Math.max(readKB, 1), 0,
+                payload[Fields.CONSISTENCY])
+        };
+        if (idx < results.length) {
+            const buf = Buffer.alloc(4);
+            buf.writeUInt32BE(idx);
+            ret[Fields.CONTINUATION_KEY] = buf;
+        }
+        return isPrepared ? ret : this._prepStmtResult(stmtStr, query, ret);
+    }
+
+    _dispatch(header, payload) {
+        const now = Date.now();
+        switch(header[Fields.OP_CODE]) {
+        case OpCode.GET:
+            return this._get(header, payload, now);
+        case OpCode.PUT:
+        case OpCode.PUT_IF_ABSENT:
+        case OpCode.PUT_IF_PRESENT:
+        case OpCode.PUT_IF_VERSION:
+        case OpCode.DELETE:
+        case OpCode.DELETE_IF_VERSION:
+            return this._write(header, payload, now);
+        case OpCode.WRITE_MULTIPLE:
+            return this._writeMany(header, payload, now);
+        case OpCode.MULTI_DELETE:
+            return this._deleteRange(header, payload, now);
+        case OpCode.GET_TABLE:
+            return this._tableResult(this._getTable(
+                header[Fields.TABLE_NAME]), TableState.ACTIVE, {
+                operationId: payload[Fields.OPERATION_ID]
+            });
+        case OpCode.TABLE_REQUEST:
+            return this._tableRequest(header, payload);
+        case OpCode.GET_INDEXES:
+            return this._getIndexes(header, payload);
+        case OpCode.GET_TABLE_USAGE:
+            this._getTable(header[Fields.TABLE_NAME]);
+            throw ServiceError.notSupported('Table usage');
+        case OpCode.LIST_TABLES:
+            return this._listTables(payload);
+        case OpCode.PREPARE:
+            return this._prepare(payload);
+        case OpCode.QUERY:
+            return this._query(payload, now);
+        default:
+            throw ServiceError.notSupported(`Operation with code \
+${header[Fields.OP_CODE]}`);
+        }
+    }
+
+    //Called by HttpClient with the serialized request.  Writes the response
+    //into resBuf.
+    async _execute(reqBuf, resBuf, req) {
+        const nr = new NsonReader(reqBuf);
+        nr.dataReader.readInt16BE();
+        nr.next();
+        const msg = Protocol.readFieldValue(nr, READ_OPT);
+        const header = msg[Fields.HEADER] || {};
+        const payload = msg[Fields.PAYLOAD] || {};
+
+        let res;
+        try {
+            this._checkInjectedError(OP_NAMES[header[Fields.OP_CODE]],
+                header[Fields.TABLE_NAME], req);
+            res = this._dispatch(header, payload);
+        } catch(err) {
+            if (err instanceof NoSQLNetworkError) {
+                throw err;
+            }
+            res = err instanceof ServiceError ? {
+                [Fields.ERROR_CODE]: err.errorCode.ordinal,
+                [Fields.EXCEPTION]: err.message
+            } : {
+                [Fields.ERROR_CODE]: ErrorCode.SERVER_ERROR.ordinal,
+                [Fields.EXCEPTION]: `Unexpected error in the in-memory \
+service: ${err.message}`
+            };
+        }
+
+        Protocol.writeFieldValue(new NsonWriter(resBuf), res, WRITE_OPT);
+    }
+}
+
+module.exports = MemoryService;
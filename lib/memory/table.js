@@ -0,0 +1,417 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const ErrorCode = require('../error_code');
+const OpCode = require('../binary_protocol/constants').OpCode;
+const TableSchema = require('./schema');
+const common = require('./common');
+const ServiceError = common.ServiceError;
+const NumberValue = common.NumberValue;
+const compareValues = common.compareValues;
+const keyString = common.keyString;
+const valueSize = common.valueSize;
+const sizeToKB = common.sizeToKB;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let versionSeq = 0n;
+
+function newVersion() {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(++versionSeq);
+    return buf;
+}
+
+function randomUUID() {
+    const buf = crypto.randomBytes(16);
+    buf[6] = (buf[6] & 0x0f) | 0x40;
+    buf[8] = (buf[8] & 0x3f) | 0x80;
+    const hex = buf.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-\
+${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+//ttl is either string "<n> DAYS|HOURS" received from the driver or the
+//table default TTL.  Returns 0 if the row does not expire.  Similar to the
+//service, the expiration time is rounded up to the next hour or day
+//boundary.
+function expirationTime(ttl, now) {
+    if (typeof ttl === 'string') {
+        const parts = ttl.trim().split(/\s+/);
+        ttl = { value: Number(parts[0]), unit: String(parts[1])
+            .toUpperCase() };
+    }
+    if (!ttl.value) {
+        return 0;
+    }
+    const unitMs = ttl.unit === 'HOURS' ? HOUR_MS : DAY_MS;
+    return Math.ceil((now + ttl.value * unitMs) / unitMs) * unitMs;
+}
+
+function compareKeys(key1, key2) {
+    const len = Math.min(key1.length, key2.length);
+    for(let i = 0; i < len; i++) {
+        const res = compareValues(key1[i], key2[i]);
+        if (res) {
+            return res;
+        }
+    }
+    return key1.length - key2.length;
+}
+
+function findKey(obj, name) {
+    if (obj == null || typeof obj !== 'object') {
+        return undefined;
+    }
+    const lwr = name.toLowerCase();
+    return Object.keys(obj).find(key => key.toLowerCase() === lwr);
+}
+
+//Table in the in-memory service.  Each row is stored as a record
+//containing primary key values, row value converted to the field types,
+//version and modification and expiration times.  Expired rows are removed
+//lazily when accessed.
+class MemoryTable {
+
+    constructor(stmt, opt) {
+        this.schema = new TableSchema(stmt);
+        this.limits = opt.limits;
+        this.freeFormTags = opt.freeFormTags;
+        this.definedTags = opt.definedTags;
+        this.indexes = new Map();
+        this.rows = new Map();
+        this._updateETag();
+        const idField = this.schema.identityField;
+        if (idField != null) {
+            this._nextId = BigInt(idField.identity.start);
+        }
+    }
+
+    get name() {
+        return this.schema.name;
+    }
+
+    _updateETag() {
+        this.etag = crypto.randomBytes(8).toString('base64');
+    }
+
+    _isLive(rec, now) {
+        return !rec.expTime || rec.expTime > now;
+    }
+
+    _getRec(ks, now) {
+        const rec = this.rows.get(ks);
+        if (rec == null) {
+            return undefined;
+        }
+        if (!this._isLive(rec, now)) {
+            this.rows.delete(ks);
+            return undefined;
+        }
+        return rec;
+    }
+
+    _nextIdentity(field) {
+        const val = this._nextId;
+        this._nextId += BigInt(field.identity.increment);
+        switch(field.type.type) {
+        case 'INTEGER':
+            return Number(val);
+        case 'NUMBER':
+            return new NumberValue(val.toString());
+        default:
+            return val;
+        }
+    }
+
+    //Generates identity or UUID value if needed.
+    _generate(row, value) {
+        for(const field of this.schema.fields) {
+            if (field.identity == null && (!field.uuid ||
+                !field.uuid.generated)) {
+                continue;
+            }
+            const key = findKey(value, field.name);
+            const isMissing = key === undefined || value[key] === undefined;
+            if (field.identity != null) {
+                if (field.identity.always && !isMissing) {
+                    throw ServiceError.illegalArgument(`Value may not be \
+specified for identity field ${field.name} generated always`);
+                }
+                if (isMissing || (field.identity.onNull &&
+                    value[key] === null)) {
+                    return row[field.name] = this._nextIdentity(field);
+                }
+            } else if (isMissing || value[key] === null) {
+                return row[field.name] = randomUUID();
+            }
+        }
+        return undefined;
+    }
+
+    _checkRow(row) {
+        for(const field of this.schema.fields) {
+            if (!field.nullable && row[field.name] == null) {
+                throw ServiceError.illegalArgument(
+                    `Missing value for not nullable field ${field.name}`);
+            }
+        }
+    }
+
+    _readKB(rec) {
+        return rec != null ? sizeToKB(rec.size) : 1;
+    }
+
+    get(key, now) {
+        const rec = this._getRec(keyString(this.schema.coerceKey(key)),
+            now);
+        return { rec, readKB: this._readKB(rec) };
+    }
+
+    //Computes the result of put operation without applying it, so that the
+    //results of all operations in writeMany can be checked before the
+    //changes are made.
+    preparePut(op, now) {
+        const row = this.schema.coerceRow(op.value, op.exactMatch);
+        const generated = this._generate(row, op.value);
+        this._checkRow(row);
+        const key = this.schema.keyOf(row);
+        const ks = keyString(key);
+        const existing = this._getRec(ks, now);
+        let success;
+        switch(op.opCode) {
+        case OpCode.PUT_IF_ABSENT:
+            success = existing == null;
+            break;
+        case OpCode.PUT_IF_PRESENT:
+            success = existing != null;
+            break;
+        case OpCode.PUT_IF_VERSION:
+            success = existing != null && op.matchVersion != null &&
+                existing.version.equals(op.matchVersion);
+            break;
+        default:
+            success = true;
+            break;
+        }
+        const res = { success, existing, generated, ks, readKB: 0,
+            writeKB: 0 };
+        if (op.opCode !== OpCode.PUT || op.returnRow) {
+            res.readKB = this._readKB(existing);
+        }
+        if (!success) {
+            return res;
+        }
+        //Same as the service, the existing row is not returned if its
+        //version was matched.
+        if (op.opCode === OpCode.PUT_IF_VERSION) {
+            res.existing = undefined;
+        }
+        let expTime;
+        if (existing == null || op.updateTTL) {
+            expTime = expirationTime(op.ttl != null ? op.ttl :
+                (this.schema.ttl || { value: 0 }), now);
+        } else {
+            expTime = existing.expTime;
+        }
+        const size = valueSize(row);
+        res.rec = { key, row, version: newVersion(), modTime: now, expTime,
+            size };
+        res.writeKB = sizeToKB(size);
+        return res;
+    }
+
+    prepareDelete(op, now) {
+        const ks = keyString(this.schema.coerceKey(op.key));
+        const existing = this._getRec(ks, now);
+        const success = existing != null && (op.opCode !==
+            OpCode.DELETE_IF_VERSION || (op.matchVersion != null &&
+            existing.version.equals(op.matchVersion)));
+        return {
+            success,
+            //See preparePut().
+            existing: success && op.opCode === OpCode.DELETE_IF_VERSION ?
+                undefined : existing,
+            ks,
+            isDelete: true,
+            readKB: this._readKB(existing),
+            writeKB: success ? sizeToKB(existing.size) : 0
+        };
+    }
+
+    apply(res) {
+        if (!res.success) {
+            return;
+        }
+        if (res.isDelete) {
+            this.rows.delete(res.ks);
+        } else {
+            this.rows.set(res.ks, res.rec);
+        }
+    }
+
+    //Returns live rows with primary key starting with the given key values,
+    //sorted by primary key.
+    scan(prefix, now) {
+        const recs = [];
+        for(const [ks, rec] of this.rows) {
+            if (!this._isLive(rec, now)) {
+                this.rows.delete(ks);
+                continue;
+            }
+            if (prefix.every((val, i) => compareValues(val, rec.key[i]) ===
+                0)) {
+                recs.push(rec);
+            }
+        }
+        return recs.sort((rec1, rec2) => compareKeys(rec1.key, rec2.key));
+    }
+
+    _checkShardKey(key) {
+        if (key.length < this.schema.shardKey.length) {
+            throw ServiceError.illegalArgument(`Key must contain all shard \
+key fields of table ${this.name}: ${this.schema.shardKey.join(', ')}`);
+        }
+    }
+
+    _rangeFilter(key, range) {
+        if (range == null) {
+            return () => true;
+        }
+        const idx = key.length;
+        const name = this.schema.primaryKey[idx];
+        if (name == null || name.toLowerCase() !==
+            String(range.path).toLowerCase()) {
+            throw ServiceError.illegalArgument(`Field range must be on the \
+next primary key field after the key fields: ${name}`);
+        }
+        const type = this.schema.getField(name).type;
+        const start = range.start && TableSchema.coerceValue(
+            range.start.value, type, name);
+        const end = range.end && TableSchema.coerceValue(range.end.value,
+            type, name);
+        return rec => {
+            const val = rec.key[idx];
+            if (start != null) {
+                const res = compareValues(val, start);
+                if (res < 0 || (res === 0 && !range.start.inclusive)) {
+                    return false;
+                }
+            }
+            if (end != null) {
+                const res = compareValues(val, end);
+                if (res > 0 || (res === 0 && !range.end.inclusive)) {
+                    return false;
+                }
+            }
+            return true;
+        };
+    }
+
+    //Since deleted rows are removed, the next call with continuation key
+    //resumes deletion from the start of the range.
+    deleteRange(op, now) {
+        const key = this.schema.coerceKey(op.key, true);
+        this._checkShardKey(key);
+        const filter = this._rangeFilter(key, op.range);
+        const recs = this.scan(key, now).filter(filter);
+        const res = { deletedCount: 0, readKB: 0, writeKB: 0 };
+        for(const rec of recs) {
+            if (op.maxWriteKB && res.writeKB >= op.maxWriteKB) {
+                res.continuationKey = Buffer.from(keyString(rec.key));
+                break;
+            }
+            this.rows.delete(keyString(rec.key));
+            res.deletedCount++;
+            res.readKB += sizeToKB(rec.size);
+            res.writeKB += sizeToKB(rec.size);
+        }
+        return res;
+    }
+
+    createIndex(stmt) {
+        const lwr = stmt.name.toLowerCase();
+        if (this.indexes.has(lwr)) {
+            if (stmt.ifNotExists) {
+                return;
+            }
+            throw new ServiceError(ErrorCode.INDEX_EXISTS, `Index \
+${stmt.name} already exists in table ${this.name}`);
+        }
+        for(const field of stmt.fields) {
+            const name = field.path.split(/[.[]/)[0].trim();
+            if (this.schema.getField(name) == null) {
+                throw ServiceError.illegalArgument(`Invalid index field \
+${field.path}, field ${name} does not exist in table ${this.name}`);
+            }
+        }
+        this.indexes.set(lwr, { name: stmt.name, fields: stmt.fields });
+        this._updateETag();
+    }
+
+    dropIndex(stmt) {
+        const lwr = stmt.name.toLowerCase();
+        if (!this.indexes.has(lwr)) {
+            if (stmt.ifExists) {
+                return;
+            }
+            throw new ServiceError(ErrorCode.INDEX_NOT_FOUND, `Index \
+${stmt.name} does not exist in table ${this.name}`);
+        }
+        this.indexes.delete(lwr);
+        this._updateETag();
+    }
+
+    alter(stmt) {
+        if (stmt.ttl != null) {
+            this.schema.ttl = stmt.ttl;
+        }
+        for(const field of stmt.add) {
+            this.schema.addField(field);
+            const added = this.schema.getField(field.name);
+            for(const rec of this.rows.values()) {
+                rec.row[added.name] = added.default != null ?
+                    added.default : undefined;
+            }
+        }
+        for(const name of stmt.drop) {
+            const dropped = this.schema.dropField(name);
+            for(const rec of this.rows.values()) {
+                delete rec.row[dropped];
+            }
+        }
+        this._updateETag();
+    }
+
+    get ddl() {
+        return this.schema.toDDL();
+    }
+
+    get schemaJSON() {
+        const extra = {};
+        if (this.limits != null) {
+            extra.limits = {
+                readLimit: this.limits.readUnits,
+                writeLimit: this.limits.writeUnits,
+                sizeLimit: this.limits.storageGB
+            };
+        }
+        if (this.indexes.size) {
+            extra.indexes = Array.from(this.indexes.values(), idx => ({
+                name: idx.name,
+                fields: idx.fields.map(f => f.path)
+            }));
+        }
+        return this.schema.toJSON(extra);
+    }
+}
+
+module.exports = MemoryTable;
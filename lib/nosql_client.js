@@ -744,12 +744,7 @@ class NoSQLClient extends NoSQLClientImpl {
      * @see {@link GetResult}
      */
     get(tableName, key, opt) {
-        return this._execute(ops.GetOp, {
-            api: this.get,
-            tableName,
-            key,
-            opt
-        });
+        return this._get(tableName, key, opt);
     }
 
     /**
@@ -1168,7 +1163,19 @@ class NoSQLClient extends NoSQLClientImpl {
      * {@link Config}#compartment. See {@link Config}#compartment for more
      * information
      * @param {number} [opt.timeout] Timeout for the operation in
-     * milliseconds.  Defaults to {@link Config}#timeout
+     * milliseconds.  Defaults to {@link Config}#timeout.  If
+     * <em>opt.autoSplit</em> is set, this timeout applies to each
+     * sub-batch separately
+     * @param {boolean} [opt.autoSplit] If set to true, operations are
+     * allowed to exceed the limits described above and to have different
+     * shard keys.  The operations are grouped by shard key and split into
+     * sub-batches within the limits, each executed as a separate
+     * transaction, and the results are merged into one
+     * {@link WriteMultipleResult}.  Note that in this case the operation as
+     * a whole is no longer atomic
+     * @param {number} [opt.concurrency] Maximum number of sub-batches
+     * executed concurrently when <em>opt.autoSplit</em> is set.  Defaults
+     * to 4
      * @returns {Promise} Promise of {@link WriteMultipleResult}
      */
     writeMany(tableName, operations, opt) {
@@ -1179,12 +1186,15 @@ class NoSQLClient extends NoSQLClientImpl {
             operations = tableName;
             tableName = undefined;
         }
-        return this._execute(ops.WriteMultipleOp, {
+        const req = {
             api: this.writeMany,
             tableName,
             ops: operations,
             opt
-        });
+        };
+        return opt != null && opt.autoSplit ?
+            this._writeManySplit(req) :
+            this._execute(ops.WriteMultipleOp, req);
     }
 
     /**
@@ -1216,15 +1226,22 @@ class NoSQLClient extends NoSQLClientImpl {
      * <em>opt.ifPresent</em> or <em>opt.matchVersion</em> options, see
      * discussion in {@link NoSQLClient#put}.  Other failures will result
      * in error
+     * @param {boolean} [opt.autoSplit] Same as in
+     * {@link NoSQLClient#writeMany}
+     * @param {number} [opt.concurrency] Same as in
+     * {@link NoSQLClient#writeMany}
      * @returns {Promise} Promise of {@link WriteMultipleResult}
      */
     putMany(tableName, rows, opt) {
-        return this._execute(ops.WriteMultipleOp, {
+        const req = {
             api: this.putMany,
             tableName,
             rows,
             opt
-        });
+        };
+        return opt != null && opt.autoSplit ?
+            this._writeManySplit(req) :
+            this._execute(ops.WriteMultipleOp, req);
     }
 
     /**
@@ -1255,15 +1272,22 @@ class NoSQLClient extends NoSQLClientImpl {
      * failures due non-existence of the row or inability to match
      * <em>opt.matchVersion</em>, see discussion in
      * {@link NoSQLClient#delete}.  Other failures will result in error
+     * @param {boolean} [opt.autoSplit] Same as in
+     * {@link NoSQLClient#writeMany}
+     * @param {number} [opt.concurrency] Same as in
+     * {@link NoSQLClient#writeMany}
      * @returns {Promise} Promise of {@link WriteMultipleResult}
      */
     deleteMany(tableName, keys, opt) {
-        return this._execute(ops.WriteMultipleOp, {
+        const req = {
             api: this.deleteMany,
             tableName,
             keys,
             opt
-        });
+        };
+        return opt != null && opt.autoSplit ?
+            this._writeManySplit(req) :
+            this._execute(ops.WriteMultipleOp, req);
     }
 
     /**
@@ -1372,6 +1396,21 @@ class NoSQLClient extends NoSQLClientImpl {
      * subset of it in locally. If memory consumption exceeds this value,
      * error will result.  Default is 1GB.  Defaults to
      * {@link Config}#maxMemoryMB
+     * @param {string} [opt.spillDir] Directory for temporary files used
+     * by sorting and grouping operations when the memory used by the query
+     * exceeds maxMemoryMB, instead of failing the query.  Duplicate
+     * elimination is not spilled to disk.  By default, no temporary files
+     * are used
+     * @param {boolean} [opt.profile] If set to true, the execution profile
+     * of the query is returned as {@link QueryResult}#queryProfile with the
+     * final result of the query.  The profile includes the number of rows,
+     * time and peak memory of each plan iterator executed by the driver and
+     * the number of requests to the service.  Defaults to false
+     * @param {number} [opt.parallelism] Maximum number of concurrent
+     * requests to the service for sorting queries executed on all shards.
+     * If greater than 1, the driver fetches results from several shards
+     * concurrently, subject to <em>opt.maxMemoryMB</em> and rate limiting.
+     * Defaults to 1
      * @param {ContinuationKey} [opt.continuationKey] Continuation key
      * returned in {@link QueryResult} from previous call to this API used to
      * continue the query.  If there are no more results,
@@ -1707,6 +1746,54 @@ class NoSQLClient extends NoSQLClientImpl {
         });
     }
 
+    bulkPut(tableName, rows, opt) {
+        return this._bulkPut(tableName, rows, opt);
+    }
+
+    queryStream(stmt, opt) {
+        return this._queryStream(stmt, opt);
+    }
+
+    parallelScan(tableNameOrStmt, opt) {
+        return this._parallelScan(tableNameOrStmt, opt);
+    }
+
+    queryLocal(prepStmt, rows, opt) {
+        return this._queryLocal(prepStmt, rows, opt);
+    }
+
+    select(tableName) {
+        return this._select(tableName);
+    }
+
+    update(tableName) {
+        return this._update(tableName);
+    }
+
+    deleteFrom(tableName) {
+        return this._deleteFrom(tableName);
+    }
+
+    export(tableName, output, opt) {
+        return this._export(tableName, output, opt);
+    }
+
+    import(tableName, input, opt) {
+        return this._import(tableName, input, opt);
+    }
+
+    getStats(reset) {
+        return this._getStats(reset);
+    }
+
+    getStatementCacheStats() {
+        return this._getStatementCacheStats();
+    }
+
+    getRequestQueueStats() {
+        return this._getRequestQueueStats();
+    }
+
     /**
      * For testing only.
      * @returns {number} The current serial version in use
@@ -25,7 +25,23 @@ const sleep = require('./utils').sleep;
 const replaceObject = require('./utils').replaceObject;
 const PreparedStatement = require('./stmt').PreparedStatement;
 const QueryPlanExecutor = require('./query/common').QueryPlanExecutor;
+const LocalQueryExecutor = require('./query/local').LocalQueryExecutor;
+const QueryProfiler = require('./query/profile');
+const QueryStream = require('./query/stream');
+const ParallelScan = require('./query/scan');
+const SelectBuilder = require('./sql_builder').SelectBuilder;
+const UpdateBuilder = require('./sql_builder').UpdateBuilder;
+const DeleteBuilder = require('./sql_builder').DeleteBuilder;
+const StatementCache = require('./stmt_cache').StatementCache;
+const RowMapper = require('./row_mapper');
+const isStaleError = require('./stmt_cache').isStaleError;
+const BulkPut = require('./bulk_put');
+const exportTable = require('./export_import').exportTable;
+const importTable = require('./export_import').importTable;
 const NoSQLError = require('./error').NoSQLError;
+const Limits = require('./constants').Limits;
+const addConsumedCapacity = require('./utils').addConsumedCapacity;
+const shardKeyString = require('./utils').shardKeyString;
 
 //Default timeout for admin list operations such as listNamespaces, listUsers,
 //listRoles.
@@ -35,12 +51,24 @@ const DEF_ADMIN_LIST_TIMEOUT = 30000;
 //1-minute usage records.
 const DEF_TABLE_USAGE_LIMIT = 1440;
 
+//Default number of sub-batches executed concurrently by writeMany, putMany
+//and deleteMany when opt.autoSplit is set.
+const DEF_SPLIT_CONCURRENCY = 4;
+
 class NoSQLClientImpl extends EventEmitter {
 
     constructor(config) {
         super();
         this._config = Config.create(config);
         this._client = new HttpClient(this._config);
+        if (this._config.statementCache) {
+            this._stmtCache = new StatementCache(
+                this._config.statementCache);
+        }
+        //Parsed table schemas used by row mappers, see _getRowSchema().
+        this._rowSchemas = new Map();
+        //Shard keys used to split writeMany operations, see _getShardKey().
+        this._shardKeys = new Map();
         //Forward all events from the _client.
         this.on('newListener', (event, listener) => {
             this._client.on(event, listener);
@@ -267,27 +295,264 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
         }
     }
 
+    async _fetchShardKey(tableName, req) {
+        const res = await this._execute(ops.GetTableOp, {
+            api: this.getTable,
+            table: tableName,
+            opt: {
+                compartment: req.opt.compartment,
+                namespace: req.opt.namespace,
+                timeout: req.opt.timeout
+            }
+        });
+        let schema;
+        try {
+            schema = JSON.parse(res.schema);
+        } catch(err) {
+            throw new NoSQLProtocolError(`Error parsing schema of table \
+${tableName}`, err, req);
+        }
+        //If the shard key is not specified in the table DDL, the whole
+        //primary key is the shard key.
+        const shardKey = schema != null && Array.isArray(schema.shardKey) &&
+            schema.shardKey.length ? schema.shardKey :
+            (schema != null ? schema.primaryKey : null);
+        if (!Array.isArray(shardKey) || !shardKey.length) {
+            throw new NoSQLProtocolError(`Missing shard key in schema of \
+table ${tableName}`, null, req);
+        }
+        return shardKey;
+    }
+
+    //Shard keys are cached until the next table DDL operation completes,
+    //same as row schemas, see _getRowSchema().  The same table name may
+    //refer to different tables in different compartments or namespaces.
+    _getShardKey(tableName, req) {
+        const key = [ req.opt.compartment, req.opt.namespace,
+            tableName.toLowerCase() ].join(':');
+        let res = this._shardKeys.get(key);
+        if (res == null) {
+            res = this._fetchShardKey(tableName, req);
+            res.catch(() => this._shardKeys.delete(key));
+            this._shardKeys.set(key, res);
+        }
+        return res;
+    }
+
+    //Groups operations by shard key and splits each group into sub-batches
+    //of at most Limits.BATCH_OP_NUMBER operations.  Returns array of
+    //sub-batches, each sub-batch being an array of operation indexes.
+    async _splitWriteMany(req) {
+        const shardKeys = new Map();
+        const groups = new Map();
+        for(let i = 0; i < req.ops.length; i++) {
+            const op = req.ops[i];
+            const tableName = req.tableName != null ? req.tableName :
+                op.tableName;
+            let shardKey = shardKeys.get(tableName);
+            if (shardKey == null) {
+                shardKey = await this._getShardKey(tableName, req);
+                shardKeys.set(tableName, shardKey);
+            }
+            const key = shardKeyString(tableName, shardKey,
+                op.put != null ? op.row : op.key);
+            let group = groups.get(key);
+            if (group == null) {
+                group = [];
+                groups.set(key, group);
+            }
+            group.push(i);
+        }
+
+        const batches = [];
+        for(const group of groups.values()) {
+            for(let i = 0; i < group.length; i += Limits.BATCH_OP_NUMBER) {
+                batches.push(group.slice(i, i + Limits.BATCH_OP_NUMBER));
+            }
+        }
+        return batches;
+    }
+
+    async _writeManySplit(req) {
+        //Save user's operations since they will be modified by validation.
+        const srcOps = Array.isArray(req.ops) ? req.ops.map(op =>
+            op != null && typeof op === 'object' ?
+                Object.assign({}, op) : op) : null;
+
+        //Validate all operations before issuing any requests.  Validation
+        //also converts operations to canonical form, see
+        //WriteMultipleOp.validate().
+        ops.WriteMultipleOp.applyDefaults(req, this._config);
+        ops.WriteMultipleOp.validate(req);
+
+        const batches = await this._splitWriteMany(req);
+        const opt = req.opt;
+        const total = {
+            consumedCapacity: undefined,
+            results: new Array(req.ops.length),
+            failedOpIndexes: []
+        };
+        let error;
+
+        const makeSubRequest = batch => {
+            const subReq = {
+                api: req.api,
+                tableName: req.tableName,
+                //Each sub-request needs its own options object since
+                //request-specific values such as requestTimeout are stored
+                //there.
+                opt: Object.assign({}, opt)
+            };
+            if ('rows' in req) {
+                subReq.rows = batch.map(i => req.rows[i]);
+            } else if ('keys' in req) {
+                subReq.keys = batch.map(i => req.keys[i]);
+            } else {
+                subReq.ops = batch.map(i => Object.assign({}, srcOps[i]));
+            }
+            return subReq;
+        };
+
+        const addResult = (batch, res) => {
+            if (res.consumedCapacity != null) {
+                if (total.consumedCapacity == null) {
+                    total.consumedCapacity = {};
+                }
+                addConsumedCapacity(total.consumedCapacity,
+                    res.consumedCapacity);
+            }
+            if (res.results != null) {
+                for(let i = 0; i < batch.length; i++) {
+                    const opRes = res.results[i];
+                    total.results[batch[i]] = opRes;
+                    if (!opRes.success) {
+                        total.failedOpIndexes.push(batch[i]);
+                    }
+                }
+                return;
+            }
+            //The sub-batch was aborted, none of its operations were applied.
+            total.failedOpIndexes.push(...batch);
+            const failedOpIndex = batch[res.failedOpIndex];
+            if (total.failedOpIndex == null ||
+                failedOpIndex < total.failedOpIndex) {
+                total.failedOpIndex = failedOpIndex;
+                total.failedOpResult = res.failedOpResult;
+            }
+        };
+
+        //Status of each sub-batch, only returned if some sub-batch fails
+        //with an error, see below.
+        const subBatches = [];
+
+        //Each worker executes sub-batches one at a time until there are no
+        //more sub-batches left or an error occurs.
+        const worker = async () => {
+            while(batches.length && !error) {
+                const batch = batches.shift();
+                try {
+                    addResult(batch, await this._execute(
+                        ops.WriteMultipleOp, makeSubRequest(batch)));
+                    subBatches.push({ opIndexes: batch, completed: true });
+                } catch(err) {
+                    //If the sub-batch is too large, split it in half.
+                    if (err.errorCode ===
+                        ErrorCode.REQUEST_SIZE_LIMIT_EXCEEDED &&
+                        batch.length > 1) {
+                        const mid = Math.ceil(batch.length / 2);
+                        batches.push(batch.slice(0, mid), batch.slice(mid));
+                        continue;
+                    }
+                    subBatches.push({
+                        opIndexes: batch,
+                        completed: false,
+                        error: err
+                    });
+                    if (!error) {
+                        error = err;
+                    }
+                }
+            }
+        };
+
+        const concurrency = Math.min(opt.concurrency != null ?
+            opt.concurrency : DEF_SPLIT_CONCURRENCY, batches.length);
+        const workers = [];
+        for(let i = 0; i < concurrency; i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+        total.failedOpIndexes.sort((a, b) => a - b);
+        if (error) {
+            //Let the caller know which operations were already applied.
+            for(const batch of batches) {
+                subBatches.push({ opIndexes: batch, completed: false });
+            }
+            total.subBatches = subBatches;
+            error.partialResult = total;
+            throw error;
+        }
+        return total;
+    }
+
+    _bulkPut(tableName, rows, opt, api = this.bulkPut) {
+        return new BulkPut(this, {
+            api,
+            tableName,
+            rows,
+            opt
+        }).run();
+    }
+
     async _prepare(stmt, opt) {
-        const res = await this._client.execute(ops.PrepareOp, {
+        const req = {
             api: this.prepare,
             stmt,
             opt
-        });
+        };
+        let cacheKey;
+        if (this._stmtCache != null && typeof stmt === 'string') {
+            cacheKey = StatementCache.key(stmt, opt);
+            //Query plan and result schema are only returned if requested,
+            //so such requests are always sent to the server.
+            if (opt == null || (typeof opt === 'object' &&
+                !opt.getQueryPlan && !opt.getResultSchema)) {
+                const res = this._stmtCache.get(cacheKey);
+                if (res != null) {
+                    //still validate options passed for correctness
+                    ops.PrepareOp.applyDefaults(req, this._config);
+                    ops.PrepareOp.validate(req);
+                    return res;
+                }
+            }
+        }
+        const res = await this._client.execute(ops.PrepareOp, req);
         res.__proto__ = PreparedStatement.prototype;
+        if (cacheKey != null) {
+            this._stmtCache.put(cacheKey, res);
+        }
         return res;
     }
 
-    async _query(stmt, opt) {
+    async _query(stmt, opt, api = this.query) {
+        const start = process.hrtime.bigint();
         const req = {
-            api: this.query,
+            api,
             opt
         };
 
         let ck = opt ? opt.continuationKey : null;
+        let cacheKey;
         if (ck && ck._prepStmt) {
             req.prepStmt = ck._prepStmt;
         } else if (typeof stmt !== 'string') {
             req.prepStmt = stmt;
+        } else if (this._stmtCache != null) {
+            cacheKey = StatementCache.key(stmt, opt);
+            req.prepStmt = this._stmtCache.get(cacheKey);
+            if (req.prepStmt == null) {
+                req.stmt = stmt;
+            }
         } else {
             req.stmt = stmt;
         }
@@ -297,9 +562,14 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
             //We always read the prepared statement if the request does not
             //have it.
             assert(res._prepStmt);
+            if (cacheKey != null) {
+                this._stmtCache.put(cacheKey, res._prepStmt);
+                cacheKey = undefined;
+            }
             //Simple query may already have results, so we just return them.
             if (!res._prepStmt._queryPlan) {
-                return res;
+                return this._mapQueryResult(req,
+                    QueryProfiler.profileSimpleQuery(req, res, start));
             }
 
             //Advanced query will have no results in this case, only the
@@ -313,6 +583,30 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
             req.opt.continuationKey = ck;
         }
 
+        if (cacheKey == null) {
+            return this._queryPrepared(req, ck, start);
+        }
+
+        //The prepared statement was taken from the cache.  If it turns out
+        //to be stale, it is removed from the cache.  In this case, if this
+        //is the first call for the query, we retry it with the SQL text,
+        //which prepares the statement again.  Otherwise the query cannot be
+        //continued with the new statement and we rethrow the error.
+        try {
+            return await this._queryPrepared(req, ck, start);
+        } catch(err) {
+            if (!isStaleError(err)) {
+                throw err;
+            }
+            this._stmtCache.delete(cacheKey);
+            if (ck != null) {
+                throw err;
+            }
+            return this._query(stmt, opt, api);
+        }
+    }
+
+    async _queryPrepared(req, ck, start) {
         //Advanced query.
         if (req.prepStmt._queryPlan) {
             let qpExec = ck ? ck._qpExec : null;
@@ -320,11 +614,98 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
                 //First advanced query call, create plan executor.
                 qpExec = new QueryPlanExecutor(this, req.prepStmt);
             }
-            return qpExec.execute(req);
+            let res;
+            try {
+                res = await qpExec.execute(req);
+            } catch(err) {
+                //The query cannot be continued after the error, unless it
+                //is retryable and the application has continuation key.
+                if (!ck || !err.retryable) {
+                    await qpExec.close().catch(() => {});
+                }
+                throw err;
+            }
+            return this._mapQueryResult(req, res);
         }
 
         //Simple query.
-        return this._client.execute(ops.QueryOp, req);
+        const res = await this._client.execute(ops.QueryOp, req);
+        return this._mapQueryResult(req,
+            QueryProfiler.profileSimpleQuery(req, res, start));
+    }
+
+    async _get(tableName, key, opt) {
+        const req = {
+            api: this.get,
+            tableName,
+            key,
+            opt
+        };
+        const res = await this._execute(ops.GetOp, req);
+        if (res.row != null) {
+            const mapper = RowMapper.forRequest(req.opt, tableName,
+                this._config._rowMappers);
+            if (mapper != null) {
+                const fields = await this._getRowSchema(tableName, req.opt);
+                res.row = mapper.fromRow(res.row, fields,
+                    this._config._dbNumber);
+            }
+        }
+        return res;
+    }
+
+    //Only the rows returned by SELECT queries are converted.  The result
+    //schema is used if it was requested when preparing the query,
+    //otherwise the table schema is used.
+    async _mapQueryResult(req, res) {
+        if (res.rows == null || !res.rows.length ||
+            ops.QueryOp.doesWrites(req, res)) {
+            return res;
+        }
+        const tableName = ops.QueryOp.getTableName(req, res);
+        const mapper = RowMapper.forRequest(req.opt, tableName,
+            this._config._rowMappers);
+        if (mapper == null) {
+            return res;
+        }
+        let fields = RowMapper.parseSchema(
+            ops.QueryOp._getPrepStmt(req, res)._schema);
+        if (fields == null && tableName != null) {
+            fields = await this._getRowSchema(tableName, req.opt);
+        }
+        res.rows = res.rows.map(row => mapper.fromRow(row, fields,
+            this._config._dbNumber));
+        return res;
+    }
+
+    //The table schema is retrieved once per table and is discarded on
+    //completion of table DDL operations.  If it cannot be retrieved, the
+    //rows are converted without the schema and the retrieval is attempted
+    //again for the next operation.  The schemas are keyed the same way as
+    //shard keys, see _getShardKey().
+    _getRowSchema(tableName, opt) {
+        if (opt == null) {
+            opt = {};
+        }
+        const key = [ opt.compartment, opt.namespace,
+            tableName.toLowerCase() ].join(':');
+        let res = this._rowSchemas.get(key);
+        if (res == null) {
+            const getOpt = {};
+            for(const name of [ 'compartment', 'namespace', 'timeout' ]) {
+                if (opt[name] !== undefined) {
+                    getOpt[name] = opt[name];
+                }
+            }
+            res = this.getTable(tableName, getOpt).then(
+                tbl => RowMapper.parseSchema(tbl.schema),
+                () => {
+                    this._rowSchemas.delete(key);
+                    return undefined;
+                });
+            this._rowSchemas.set(key, res);
+        }
+        return res;
     }
 
     async * _queryIterable(stmt, opt) {
@@ -335,11 +716,74 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
             opt.continuationKey = undefined;
         }
         
-        do {
-            const res = await this.query(stmt, opt);
-            opt.continuationKey = res.continuationKey;
-            yield res;
-        } while(opt.continuationKey);
+        try {
+            do {
+                const res = await this.query(stmt, opt);
+                opt.continuationKey = res.continuationKey;
+                yield res;
+            } while(opt.continuationKey);
+        } finally {
+            //The iteration was stopped early by the application or by the
+            //error.
+            await this._closeQuery(opt.continuationKey);
+        }
+    }
+
+    //Releases the resources held by the driver for the advanced query that
+    //is not completed, such as spill files.  The query cannot be continued
+    //with this continuation key afterwards.  The errors are ignored, since
+    //the query is no longer used.
+    async _closeQuery(ck) {
+        if (ck != null && ck._qpExec != null) {
+            await ck._qpExec.close().catch(() => {});
+        }
+    }
+
+    _export(tableName, output, opt) {
+        return exportTable(this, {
+            api: this.export,
+            tableName,
+            output,
+            opt
+        });
+    }
+
+    _import(tableName, input, opt) {
+        return importTable(this, {
+            api: this.import,
+            tableName,
+            input,
+            opt
+        });
+    }
+
+    _queryStream(stmt, opt) {
+        return new QueryStream(this, stmt, opt);
+    }
+
+    _parallelScan(tableNameOrStmt, opt) {
+        return new ParallelScan(this, tableNameOrStmt, opt).segments;
+    }
+
+    async _queryLocal(prepStmt, rows, opt) {
+        const req = {
+            api: this.queryLocal,
+            prepStmt,
+            opt
+        };
+        return new LocalQueryExecutor(this, req, rows).execute();
+    }
+
+    _select(tableName) {
+        return new SelectBuilder(tableName, this);
+    }
+
+    _update(tableName) {
+        return new UpdateBuilder(tableName, this);
+    }
+
+    _deleteFrom(tableName) {
+        return new DeleteBuilder(tableName, this);
     }
 
     _execute(op, req) {
@@ -408,6 +852,14 @@ ${this._config.serviceType} (requires Cloud Service)`, null, req);
                 res._stmt.match(/^\s*DROP\s+TABLE\s+/i);
             ret = await this._forTableState(res, isDropTable ?
                 TableState.DROPPED : TableState.ACTIVE, opt, skipInit);
+            //Statements prepared before the DDL operation completed may
+            //use an outdated table schema or indexes.
+            if (this._stmtCache != null) {
+                this._stmtCache.invalidateTable(ret.tableName != null ?
+                    ret.tableName : res.tableName);
+            }
+            this._rowSchemas.clear();
+            this._shardKeys.clear();
         }
         return replaceObject(res, ret);
     }
@@ -528,6 +980,18 @@ array in the output for listRoles operation', null, req);
         });
     }
 
+    _getStats(reset) {
+        return this._client.getStats(reset);
+    }
+
+    _getStatementCacheStats() {
+        return this._stmtCache != null ? this._stmtCache.stats : undefined;
+    }
+
+    _getRequestQueueStats() {
+        return this._client.getRequestQueueStats();
+    }
+
     //used for testing
     get _serialVersion() {
         return this._client.serialVersion;
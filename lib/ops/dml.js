@@ -49,7 +49,7 @@ class PutOp extends Op {
         req.opt.ttl = TTLUtil._validate(req.opt.ttl, req);
     }
 
-    static _validate(req, isSubRequest = false) {
+    static _validate(req, isSubRequest = false, tableName = req.tableName) {
         if (req.opt.ifAbsent && req.opt.ifPresent) {
             throw new NoSQLArgumentError('Options ifAbsent and ifPresent ' +
                 'cannot be specified together', req);
@@ -63,7 +63,7 @@ class PutOp extends Op {
             throw new NoSQLArgumentError('Invalid identity cache size', req);
         }
         this._validateWriteRequest(req, isSubRequest);
-        this._chkRow(req);
+        this._chkRow(req, tableName);
         this._validateTTL(req);
         this._chkMatchVersion(req);
     }
@@ -177,7 +177,8 @@ ${op.tableName}`, req);
                     `${idx}: cannot have both put and delete`, req);
             }
             op.row = op.put;
-            PutOp._validate(op, true);
+            PutOp._validate(op, true, op.tableName != null ?
+                op.tableName : req.tableName);
             if (PutOp.doesReads(op)) {
                 req._doesReads = true;
             }
@@ -219,7 +220,15 @@ ${op.tableName}`, req);
             throw new NoSQLArgumentError(
                 'Missing, invalid or empty operations array', req);
         }
-        if (req.ops.length > Limits.BATCH_OP_NUMBER) {
+        //With autoSplit, the operations will be split into sub-batches that
+        //are within the limit, see NoSQLClientImpl._writeManySplit().
+        if (req.opt.autoSplit) {
+            if (req.opt.concurrency != null &&
+                !isPosInt32(req.opt.concurrency)) {
+                throw new NoSQLArgumentError(
+                    `Invalid concurrency value: ${req.opt.concurrency}`, req);
+            }
+        } else if (req.ops.length > Limits.BATCH_OP_NUMBER) {
             throw new NoSQLArgumentError('Number of batch operations ' +
                 `exceeds limit of ${Limits.BATCH_OP_NUMBER}`, req);
         }
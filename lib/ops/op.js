@@ -18,6 +18,7 @@ const Limits = require('../constants').Limits;
 const Config = require('../config');
 const isPosInt32 = require('../utils').isPosInt32;
 const isPlainObject = require('../utils').isPlainObject;
+const RowMapper = require('../row_mapper');
 const hasOwnProperty = require('../utils').hasOwnProperty;
 
 class Op {
@@ -55,7 +56,10 @@ ${req._serialVersion}`, null, req);
         }
     }
 
-    static _chkRow(req) {
+    static _chkRow(req, tableName = req.tableName) {
+        //Class instances are converted to rows by the row mapper or their
+        //toRow() method.
+        req.row = RowMapper.toRow(req.row, req.opt, tableName);
         if (typeof req.row === 'string') {
             try {
                 req.row = JSON.parse(req.row);
@@ -131,6 +131,14 @@ class QueryOp extends QueryOpBase {
         if (req.opt.maxMemoryMB != null && !isPosInt32(req.opt.maxMemoryMB)) {
             throw new NoSQLArgumentError('Invalid "maxMemoryMB" value', req);
         }
+        if (req.opt.spillDir != null && (typeof req.opt.spillDir !==
+            'string' || !req.opt.spillDir.length)) {
+            throw new NoSQLArgumentError('Invalid "spillDir" value', req);
+        }
+        if (req.opt.parallelism != null &&
+            !isPosInt32(req.opt.parallelism)) {
+            throw new NoSQLArgumentError('Invalid "parallelism" value', req);
+        }
         if (req.opt.traceLevel != null &&
             (!isPosInt32OrZero(req.opt.traceLevel) ||
             req.opt.traceLevel > 32)) {
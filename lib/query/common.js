@@ -14,6 +14,7 @@ const QueryOp = require('../ops').QueryOp;
 const ccAsObj = require('../ops').ccAsObj;
 const ServiceType = require('../constants').ServiceType;
 const NoSQLQueryError = require('../error').NoSQLQueryError;
+const QueryProfiler = require('./profile');
 
 class QueryPlanExecutor {
 
@@ -67,14 +68,22 @@ ${bindCnt} does not match expected ${this._extVars.length}`);
     }
 
     makeIterator(step) {
-        return step ? new step.itCls(this, step) : null;
+        if (!step) {
+            return null;
+        }
+        return this._profiler ? this._profiler.makeIterator(step) :
+            new step.itCls(this, step);
     }
 
     async execute(req) {
+        const start = process.hrtime.bigint();
         QueryOp.applyDefaults(req, this._client._config);
         QueryOp.validate(req);
 
         this._req = req;
+        if (this._closed) {
+            throw this.illegalState('Query has been closed');
+        }
         this._maxMem = req.opt._maxMemory == null ? //test hook
             req.opt.maxMemoryMB * 1024 * 1024 : req.opt._maxMemory;
         //default consumed capacity if no requests to the server were made
@@ -86,7 +95,8 @@ ${bindCnt} does not match expected ${this._extVars.length}`);
                 writeKB: 0
             };
         }
-        //We limit to 1 request to the server per user's call to query().
+        //We limit to 1 request to the server (or 1 round of concurrent
+        //requests if using opt.parallelism) per user's call to query().
         this._fetchDone = false;
         //Indicates whether user needs to call query() again.
         this._needUserCont = false;
@@ -100,6 +110,10 @@ ${bindCnt} does not match expected ${this._extVars.length}`);
             this._rows = [];
             const limit = req.opt ? req.opt.limit : 0;
             if (!this._iter) {
+                //Profiling is enabled by the first query() call.
+                if (req.opt.profile) {
+                    this._profiler = new QueryProfiler(this);
+                }
                 this._iter = this.makeIterator(this._prepStmt._queryPlan);
             }
             while(await this._iter.next()) {
@@ -109,15 +123,53 @@ ${bindCnt} does not match expected ${this._extVars.length}`);
                     break;
                 }
             }
+        } else {
+            //The rows kept from the call that threw are returned, but the
+            //query is not completed yet.
+            this._needUserCont = true;
         }
         const res = this._makeResult();
         if (this._traces) {
             res.queryTraces = this._traces;
         }
+        if (this._profiler) {
+            this._profiler.addTime(start);
+            //Profile is returned with the final result of the query.
+            if (!this._needUserCont) {
+                res.queryProfile = this._profiler.profile;
+            }
+        }
         this._rows = null;
+        if (!this._needUserCont) {
+            //Spill files may remain if not all results of the iterator
+            //were consumed, e.g. because of LIMIT.
+            await this.close();
+        }
         return res;
     }
 
+    //Registers the spill of the plan iterator, so that the spill files are
+    //removed by close().
+    addSpill(spill) {
+        if (this._spills == null) {
+            this._spills = [];
+        }
+        this._spills.push(spill);
+        return spill;
+    }
+
+    //Called when the query is completed, failed or abandoned by the
+    //application before completion to release the resources held by the
+    //plan iterators.  The query cannot be continued after that.
+    async close() {
+        this._closed = true;
+        const spills = this._spills;
+        this._spills = undefined;
+        if (spills != null) {
+            await Promise.all(spills.map(spill => spill.close()));
+        }
+    }
+
     get maxMem() {
         return this._maxMem;
     }
@@ -130,9 +182,24 @@ ${bindCnt} does not match expected ${this._extVars.length}`);
         return this._req.opt;
     }
 
-    incMem(val) {
+    //If noThrow is true, the caller is responsible for checking
+    //memExceeded, which is used by iterators that can spill to disk.
+    incMem(val, noThrow) {
         this._mem += val;
-        if (this._mem > this._maxMem) {
+        if (this._profiler) {
+            this._profiler.onMemChange(val);
+        }
+        if (!noThrow) {
+            this.checkMem();
+        }
+    }
+
+    get memExceeded() {
+        return this._mem > this._maxMem;
+    }
+
+    checkMem() {
+        if (this.memExceeded) {
             throw this.memoryExceeded(`Memory used for the query exceeded \
 maximum allowed value of ${this.maxMemMB} MB`);
         }
@@ -141,6 +208,9 @@ maximum allowed value of ${this.maxMemMB} MB`);
     decMem(val) {
         this._mem -= val;
         assert(this._mem >= 0);
+        if (this._profiler) {
+            this._profiler.onMemChange(-val);
+        }
     }
 
     addTraces(traces) {
@@ -0,0 +1,273 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const util = require('util');
+const ReceiveIterator = require('./receive');
+const SFWIterator = require('./sfw');
+const SortIterator = require('./sort');
+const GroupIterator = require('./group');
+const ArithOpIterator = require('./arith').ArithOpIterator;
+const ConstIterator = require('./value').ConstIterator;
+const VarRefIterator = require('./value').VarRefIterator;
+const ExtVarRefIterator = require('./value').ExtVarRefIterator;
+const FieldStepIterator = require('./value').FieldStepIterator;
+const FuncSizeIterator = require('./value').FuncSizeIterator;
+const FuncSumIterator = require('./func').FuncSumIterator;
+const FuncMinMaxIterator = require('./func').FuncMinMaxIterator;
+const FuncCollectIterator = require('./func').FuncCollectIterator;
+
+function _sortSpecs(step) {
+    //See QueryPlanSerializer._deserializeSortSpecs() for nullRank.
+    return step.sortSpecs ? step.sortSpecs.map(ss => ({
+        field: ss.fieldName,
+        isDesc: ss.isDesc,
+        nullsFirst: ss.nullRank < 0
+    })) : undefined;
+}
+
+//Functions that return properties and children of the explanation node for
+//each iterator class.
+const explainers = new Map([
+    [ ReceiveIterator, (step, ctx) => ({
+        kind: 'RECEIVE',
+        props: {
+            distributionKind: step.distKind.name,
+            sortSpecs: _sortSpecs(step),
+            primaryKeyFields: step.pkFields ? step.pkFields : undefined,
+            eliminatesDuplicates: step.pkFields != null,
+            serverPlan: ctx.serverPlan
+        }
+    }) ],
+    [ SFWIterator, step => ({
+        kind: 'SFW',
+        props: {
+            columns: step.colNames,
+            groupByFields: step.gbColCnt > 0 ?
+                step.colNames.slice(0, step.gbColCnt) : undefined,
+            fromVariable: step.fromVarName,
+            isSelectStar: step.isSelectStar
+        },
+        children: [
+            [ 'from', step.fromStep ],
+            ...step.colSteps.map((s, i) => [ step.colNames[i], s ]),
+            [ 'offset', step.offsetStep ],
+            [ 'limit', step.limitStep ]
+        ]
+    }) ],
+    [ SortIterator, step => ({
+        kind: 'SORT',
+        props: {
+            sortSpecs: _sortSpecs(step),
+            countsMemory: step.countMem
+        },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ GroupIterator, step => ({
+        kind: 'GROUP',
+        props: {
+            groupByFields: step.colNames.slice(0, step.gbColCnt),
+            aggregates: step.aggrFuncCodes ? step.aggrFuncCodes.map(
+                (code, i) => ({
+                    field: step.colNames[step.gbColCnt + i],
+                    func: code.name
+                })) : [],
+            isDistinct: step.isDistinct,
+            countsMemory: step.countMem
+        },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ ConstIterator, step => ({
+        kind: 'CONST',
+        props: { value: step.val }
+    }) ],
+    [ VarRefIterator, step => ({
+        kind: 'VAR_REF',
+        props: { variable: step.name }
+    }) ],
+    [ ExtVarRefIterator, step => ({
+        kind: 'EXTERNAL_VAR_REF',
+        props: { variable: step.name, position: step.pos }
+    }) ],
+    [ FieldStepIterator, step => ({
+        kind: 'FIELD_STEP',
+        props: { field: step.fldName },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ ArithOpIterator, step => ({
+        kind: 'ARITH_OP',
+        props: { operators: step.ops },
+        children: step.args.map(s => [ 'arg', s ])
+    }) ],
+    [ FuncSizeIterator, step => ({
+        kind: 'FUNC',
+        props: { func: 'FN_SIZE' },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ FuncSumIterator, step => ({
+        kind: 'FUNC',
+        props: { func: 'FN_SUM' },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ FuncMinMaxIterator, step => ({
+        kind: 'FUNC',
+        props: { func: step.funcCode.name },
+        children: [ [ 'input', step.input ] ]
+    }) ],
+    [ FuncCollectIterator, step => ({
+        kind: 'FUNC',
+        props: {
+            func: step.isDistinct ?
+                'FN_ARRAY_COLLECT_DISTINCT' : 'FN_ARRAY_COLLECT'
+        },
+        children: [ [ 'input', step.input ] ]
+    }) ]
+]);
+
+function _explainStep(step, ctx, role) {
+    const explainer = explainers.get(step.itCls);
+    const res = explainer != null ? explainer(step, ctx) :
+        { kind: step.displayName };
+    const node = { kind: res.kind, name: step.displayName };
+    if (role != null) {
+        node.role = role;
+    }
+    if (res.props) {
+        for(const [key, val] of Object.entries(res.props)) {
+            if (val !== undefined) {
+                node[key] = val;
+            }
+        }
+    }
+    node.children = res.children ? res.children
+        .filter(([, s]) => s != null)
+        .map(([r, s]) => _explainStep(s, ctx, r)) : [];
+    return node;
+}
+
+function _nodeLabel(node) {
+    let res = node.name;
+    const props = Object.entries(node)
+        .filter(([key]) => ![ 'kind', 'name', 'role', 'children',
+            'serverPlan' ].includes(key))
+        .map(([key, val]) => `${key}: ${util.inspect(val,
+            { breakLength: Infinity, depth: 3 })}`);
+    if (props.length) {
+        res += ` (${props.join(', ')})`;
+    }
+    return res;
+}
+
+function _toText(node, indent, lines) {
+    const prefix = ' '.repeat(indent);
+    lines.push(prefix + (node.role != null ? `${node.role}: ` : '') +
+        _nodeLabel(node));
+    if (node.serverPlan != null) {
+        for(const line of node.serverPlan.split('\n')) {
+            if (line.trim()) {
+                lines.push(`${prefix}  | ${line}`);
+            }
+        }
+    }
+    for(const child of node.children) {
+        _toText(child, indent + 2, lines);
+    }
+}
+
+function _dotStr(str) {
+    return '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\n/g, '\\l') + '"';
+}
+
+function _toDot(node, lines, cnt) {
+    const id = `n${cnt.val++}`;
+    let label = _nodeLabel(node);
+    if (node.serverPlan != null) {
+        label += '\n' + node.serverPlan + '\n';
+    }
+    lines.push(`  ${id} [label=${_dotStr(label)}];`);
+    for(const child of node.children) {
+        const childId = _toDot(child, lines, cnt);
+        lines.push(`  ${id} -> ${childId}` + (child.role != null ?
+            ` [label=${_dotStr(child.role)}];` : ';'));
+    }
+    return id;
+}
+
+/**
+ * @classdesc Structured representation of the execution plan of a prepared
+ * query, returned by {@link PreparedStatement#explain}.
+ * <p>
+ * Advanced queries (such as queries with sorting, grouping, aggregation or
+ * duplicate elimination over multiple shards) are executed partially by the
+ * driver.  The {@link QueryExplanation#root} is the tree of the driver-side
+ * plan iterators.  Each node is an object with <em>kind</em> (iterator
+ * kind such as RECEIVE, SFW, SORT, GROUP, etc.), <em>name</em>,
+ * <em>children</em> and properties specific to the iterator kind.  The
+ * RECEIVE node, which receives the results from the service, includes the
+ * distribution kind of the query: SINGLE_PARTITION, ALL_PARTITIONS or
+ * ALL_SHARDS.
+ * <p>
+ * The part of the query executed by the service, including pushed-down
+ * predicates and index usage, is described by the service plan printout
+ * that is available only if the statement was prepared with
+ * <em>opt.getQueryPlan</em> set to true (see {@link NoSQLClient#prepare}).
+ * It is included as <em>serverPlan</em> in the RECEIVE node, or in the
+ * root node of kind SERVER for simple queries that are executed entirely
+ * by the service.
+ * @hideconstructor
+ */
+class QueryExplanation {
+
+    constructor(prepStmt) {
+        const ctx = { serverPlan: prepStmt._queryPlanStr };
+        /**
+         * Root node of the plan tree.
+         * @type {object}
+         * @readonly
+         */
+        this.root = prepStmt._queryPlan != null ?
+            _explainStep(prepStmt._queryPlan, ctx) :
+            Object.assign({ kind: 'SERVER', name: 'SERVER' },
+                ctx.serverPlan != null ?
+                    { serverPlan: ctx.serverPlan } : undefined,
+                { children: [] });
+    }
+
+    /**
+     * Returns the plan as indented text, one node per line.
+     * @returns {string} Plan text
+     */
+    toString() {
+        const lines = [];
+        _toText(this.root, 0, lines);
+        return lines.join('\n');
+    }
+
+    /**
+     * Returns the plan in DOT format of Graphviz.
+     * @returns {string} Plan in DOT format
+     */
+    toDot() {
+        const lines = [ 'digraph QueryPlan {', '  node [shape=box];' ];
+        _toDot(this.root, lines, { val: 0 });
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Returns the root node, used by JSON.stringify().
+     * @returns {object} Root node
+     */
+    toJSON() {
+        return this.root;
+    }
+
+}
+
+module.exports = QueryExplanation;
@@ -22,6 +22,7 @@ const SQLFuncCode = require('./common').SQLFuncCode;
 const normalizeNumeric = require('./utils').normalizeNumeric;
 const resBuf2MapKey = require('./utils').resBuf2MapKey;
 const sizeof = require('./utils').sizeof;
+const Spill = require('./spill');
 
 //Regarding _writeSortedMaps: for grouping columns of type MAP, RECORD or
 //JSON, received from the server as js objects, we do not consider the order
@@ -30,6 +31,17 @@ const sizeof = require('./utils').sizeof;
 //group keys.  To achieve this, we serialize these objects in sorted order
 //of their property names when creating a group key.
 
+//If opt.spillDir is specified (and this is not the distinct case), when the
+//query memory exceeds maxMemoryMB, the partial group rows collected so far
+//are written, sorted by group key, to a temporary file and removed from the
+//group map.  At the end, the runs are merged with the remaining in-memory
+//partial rows and the partial rows with equal keys are combined using
+//ValueAggregator.merge().
+
+function compareKeys(rec1, rec2) {
+    return rec1[0] < rec2[0] ? -1 : (rec1[0] > rec2[0] ? 1 : 0);
+}
+
 class GroupIterator extends PlanIterator {
 
     constructor(qpExec, step) {
@@ -47,14 +59,18 @@ class GroupIterator extends PlanIterator {
         };
         
         if (this._step.countMem) {
+            if (qpExec.opt.spillDir != null && !step.isDistinct) {
+                this._spill = qpExec.addSpill(new Spill(this,
+                    qpExec.opt.spillDir));
+            }
             this._incMem = mem => {
                 this._mem += mem;
-                this._qpExec.incMem(mem);
+                this._qpExec.incMem(mem, this._spill != null);
             };    
         }
     }
 
-    _createGroupRow(row) {
+    _createGroupRow(row, incMem = this._incMem) {
         const res = {};
         let i;
 
@@ -65,8 +81,8 @@ class GroupIterator extends PlanIterator {
             //EMPTY_VALUE is only possible here for the distinct case,
             //otherwise this row will be skipped in next()
             res[colName] = val !== EMPTY_VALUE ? val : undefined;
-            if (this._incMem) {
-                this._incMem(sizeof(val));
+            if (incMem) {
+                incMem(sizeof(val));
             }
         }
 
@@ -78,21 +94,21 @@ class GroupIterator extends PlanIterator {
             switch(funcCode) {
             case SQLFuncCode.FN_MIN:
             case SQLFuncCode.FN_MAX:
-                res[colName] = new MinMaxAggregator(this, this._incMem,
+                res[colName] = new MinMaxAggregator(this, incMem,
                     funcCode === SQLFuncCode.FN_MIN);
                 break;
             case SQLFuncCode.FN_SUM:
-                res[colName] = new SumAggregator(this, this._incMem);
+                res[colName] = new SumAggregator(this, incMem);
                 break;
             case SQLFuncCode.FN_COUNT_STAR:
             case SQLFuncCode.FN_COUNT:
             case SQLFuncCode.FN_COUNT_NUMBERS:
-                res[colName] = new CountAggregator(this, this._incMem,
+                res[colName] = new CountAggregator(this, incMem,
                     funcCode);
                 break;
             case SQLFuncCode.FN_ARRAY_COLLECT:
             case SQLFuncCode.FN_ARRAY_COLLECT_DISTINCT:
-                res[colName] = new CollectAggregator(this, this._incMem,
+                res[colName] = new CollectAggregator(this, incMem,
                     funcCode === SQLFuncCode.FN_ARRAY_COLLECT_DISTINCT,
                     this._qpExec.opt._testMode);
                 break;
@@ -131,7 +147,72 @@ class GroupIterator extends PlanIterator {
         }
     }
 
+    //Returns partial group rows as arrays containing the group key followed
+    //by the values of all columns, sorted by the group key.
+    _partialRows() {
+        const res = [];
+        for(const [key, groupRow] of this._groupMap) {
+            const rec = [ key ];
+            for(let i = 0; i < this._step.colNames.length; i++) {
+                const val = groupRow[this._step.colNames[i]];
+                rec.push(i < this._step.gbColCnt ? val : val.result);
+            }
+            res.push(rec);
+        }
+        return res.sort((rec1, rec2) => compareKeys(rec1, rec2));
+    }
+
+    async _spillGroups() {
+        await this._spill.writeRun(this._partialRows());
+        this._groupMap.clear();
+        this._qpExec.decMem(this._mem);
+        this._mem = 0;
+        //Memory used by other iterators may still exceed the limit.
+        this._qpExec.checkMem();
+    }
+
+    async _nextMerged() {
+        let rec = this._mergedRec;
+        if (rec === undefined) {
+            if (!await this._merged.next()) {
+                this._merged = null;
+                await this._spill.close();
+                return false;
+            }
+            rec = this._merged.value;
+        }
+
+        const colNames = this._step.colNames;
+        const row = {};
+        for(let i = 0; i < colNames.length; i++) {
+            row[colNames[i]] = rec[i + 1];
+        }
+        const groupRow = this._createGroupRow(row, null);
+        const key = rec[0];
+        do {
+            for(let i = this._step.gbColCnt; i < colNames.length; i++) {
+                groupRow[colNames[i]].merge(rec[i + 1]);
+            }
+            rec = await this._merged.next() ? this._merged.value : null;
+        } while(rec != null && rec[0] === key);
+        this._mergedRec = rec;
+
+        if (rec == null) {
+            this._merged = null;
+            await this._spill.close();
+        }
+
+        for(let i = this._step.gbColCnt; i < colNames.length; i++) {
+            groupRow[colNames[i]] = groupRow[colNames[i]].result;
+        }
+        this.result = groupRow;
+        return true;
+    }
+
     async next() {
+        if (this._merged !== undefined) {
+            return this._merged != null ? this._nextMerged() : false;
+        }
         if (this._resIter == null) {
             while(await this._inputIter.next()) {
                 const inputRow = this._inputIter.result;
@@ -154,10 +235,19 @@ class GroupIterator extends PlanIterator {
                     }
                 }
                 this._aggregate(groupRow, inputRow);
+                if (this._spill != null && this._qpExec.memExceeded) {
+                    await this._spillGroups();
+                }
             }
             if (this._qpExec._needUserCont || this._step.isDistinct) {
                 return false;
             }
+            if (this._spill != null && this._spill.runCount) {
+                this._merged = await this._spill.merge(this._partialRows(),
+                    compareKeys);
+                this._groupMap.clear();
+                return this._nextMerged();
+            }
             this._resIter = this._groupMap.entries();
         }
 
@@ -191,6 +281,13 @@ class GroupIterator extends PlanIterator {
             this._mem = 0;
         }
         this._resIter = null;
+        if (this._spill != null) {
+            this._merged = undefined;
+            this._mergedRec = undefined;
+            //Removal of the spill files is not awaited by reset(), the
+            //errors are ignored.
+            this._spill.close().catch(() => {});
+        }
     }
 
 }
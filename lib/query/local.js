@@ -0,0 +1,195 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const util = require('util');
+const QueryOp = require('../ops').QueryOp;
+const NoSQLArgumentError = require('../error').NoSQLArgumentError;
+const BinaryProtocol = require('../binary_protocol/protocol');
+const DataWriter = require('../binary_protocol/writer');
+const QueryPlanExecutor = require('./common').QueryPlanExecutor;
+const PlanIterator = require('./common').PlanIterator;
+const ReceiveIterator = require('./receive');
+const compareRows = require('./compare').compareRows;
+const resBuf2MapKey = require('./utils').resBuf2MapKey;
+const sizeof = require('./utils').sizeof;
+
+function _isIterable(input) {
+    return input != null && (typeof input[Symbol.asyncIterator] ===
+        'function' || typeof input[Symbol.iterator] === 'function');
+}
+
+/**
+ * LocalReceiveIterator takes the place of ReceiveIterator when the query
+ * plan is executed over the rows supplied by the application.  The rows
+ * are read from an array, iterable or async iterable instead of being
+ * received from the proxy.  Because the rows are not received sorted by
+ * shard, for sorting queries all rows are read and sorted before the first
+ * result is returned.  Duplicate elimination is performed the same way as
+ * in ReceiveIterator.
+ */
+class LocalReceiveIterator extends PlanIterator {
+
+    constructor(qpExec, step) {
+        super(qpExec, step);
+        const input = qpExec._input;
+        this._inputIter = typeof input[Symbol.asyncIterator] === 'function' ?
+            input[Symbol.asyncIterator]() : input[Symbol.iterator]();
+        if (step.pkFields) {
+            this._dup = new Set();
+            this._dw = new DataWriter();
+        }
+        if (step.sortSpecs) {
+            this._curr = -1;
+        }
+    }
+
+    unsupportedComp(val) {
+        return this.illegalArg(`Sort expression returns value not suitable \
+for comparison: ${util.inspect(val)}`);
+    }
+
+    //See ReceiveIterator._pk2MapKey().
+    _pk2MapKey(row) {
+        this._dw.reset();
+        for(let fldName of this._step.pkFields) {
+            BinaryProtocol.writeFieldValue(this._dw, row[fldName],
+                this._qpExec.opt);
+        }
+        return resBuf2MapKey(this._dw.buffer);
+    }
+
+    _chkDup(row) {
+        let key = this._pk2MapKey(row);
+        if (this._dup.has(key)) {
+            return true;
+        }
+        this._dup.add(key);
+        this._qpExec.incMem(sizeof(this, key));
+        return false;
+    }
+
+    //Returns undefined when there are no more input rows.
+    async _nextInput() {
+        for(;;) {
+            const res = await this._inputIter.next();
+            if (res.done) {
+                return undefined;
+            }
+            const row = res.value;
+            if (row == null || typeof row !== 'object' ||
+                Array.isArray(row)) {
+                throw this.illegalArg(
+                    `Invalid input row: ${util.inspect(row)}`);
+            }
+            if (!this._dup || !this._chkDup(row)) {
+                return row;
+            }
+        }
+    }
+
+    async _sortingNext() {
+        if (this._curr === -1) {
+            this._rows = [];
+            let row;
+            while((row = await this._nextInput()) !== undefined) {
+                this._rows.push(row);
+                this._qpExec.incMem(sizeof(this, row));
+            }
+            this._rows.sort((row1, row2) => compareRows(this, row1, row2,
+                this._step.sortSpecs));
+            this._curr = 0;
+        }
+        if (this._curr < this._rows.length) {
+            this.result = this._rows[this._curr];
+            this._rows[this._curr++] = null; //release memory for the row
+            return true;
+        }
+        return false;
+    }
+
+    async next() {
+        if (this._step.sortSpecs) {
+            return this._sortingNext();
+        }
+        const row = await this._nextInput();
+        if (row === undefined) {
+            return false;
+        }
+        this.result = row;
+        return true;
+    }
+
+    //should not be called
+    reset() {
+        throw this.illegalState(
+            'Reset should not be called for LocalReceiveIterator');
+    }
+
+}
+
+LocalReceiveIterator._isAsync = true;
+
+/**
+ * Executes the driver part of the query plan of the prepared statement over
+ * the rows supplied by the application without sending any requests to the
+ * service.  The rows take the place of the results of the server part of
+ * the plan, so that sorting, grouping, aggregation, OFFSET and LIMIT are
+ * performed with the same semantics as for the query results.  The server
+ * part of the plan, including the WHERE clause, is not executed.
+ */
+class LocalQueryExecutor extends QueryPlanExecutor {
+
+    constructor(client, req, input) {
+        if (req.prepStmt == null || typeof req.prepStmt !== 'object') {
+            throw new NoSQLArgumentError('Invalid prepared statement', req);
+        }
+        QueryOp.applyDefaults(req, client._config);
+        QueryOp.validate(req);
+        if (!req.prepStmt._queryPlan) {
+            throw new NoSQLArgumentError('Prepared statement does not have \
+the driver query plan and can only be executed by the service', req);
+        }
+        if (!_isIterable(input)) {
+            throw new NoSQLArgumentError(
+                `Invalid input rows: ${util.inspect(input)}`, req);
+        }
+        super(client, req.prepStmt);
+        this._req = req;
+        this._input = input;
+        this._maxMem = req.opt._maxMemory == null ? //test hook
+            req.opt.maxMemoryMB * 1024 * 1024 : req.opt._maxMemory;
+        this._needUserCont = false;
+    }
+
+    makeIterator(step) {
+        if (step && step.itCls === ReceiveIterator) {
+            step = Object.assign({}, step, { itCls: LocalReceiveIterator });
+        }
+        return super.makeIterator(step);
+    }
+
+    async execute() {
+        try {
+            const iter = this.makeIterator(this._prepStmt._queryPlan);
+            const rows = [];
+            while(await iter.next()) {
+                rows.push(iter.result);
+            }
+            return rows;
+        } finally {
+            await this.close();
+        }
+    }
+
+}
+
+module.exports = {
+    LocalQueryExecutor,
+    LocalReceiveIterator
+};
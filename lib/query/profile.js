@@ -0,0 +1,209 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+function _elapsedMs(start) {
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function _batchKey(shardId, partId) {
+    return partId != null ? `p${partId}` : `s${shardId}`;
+}
+
+//Collects the execution profile of the advanced query when opt.profile is
+//set.  Each plan iterator created by QueryPlanExecutor.makeIterator() is
+//instrumented by wrapping its next() method to count the rows produced and
+//the time spent (including the time spent in its input iterators).
+//
+//The iterators being constructed and the iterators whose next() is
+//currently executing are tracked as stacks.  This works for async iterators
+//as well, since the plan is executed by a single chain of next() calls.
+//The memory charged via QueryPlanExecutor.incMem() and decMem() is
+//attributed to the iterator at the top of the execution stack.
+class QueryProfiler {
+
+    constructor(qpExec) {
+        this._qpExec = qpExec;
+        this._nodes = new Map();
+        this._root = null;
+        this._parent = null;
+        this._stack = [];
+        this._timeMs = 0;
+        this._requests = 0;
+        this._peakMem = 0;
+    }
+
+    _instrument(it, node) {
+        const next = it.next.bind(it);
+        const stack = this._stack;
+        if (it.isAsync()) {
+            it.next = async () => {
+                const start = process.hrtime.bigint();
+                stack.push(node);
+                try {
+                    const res = await next();
+                    if (res) {
+                        node.rows++;
+                    }
+                    return res;
+                } finally {
+                    stack.pop();
+                    node.timeMs += _elapsedMs(start);
+                }
+            };
+        } else {
+            it.next = () => {
+                const start = process.hrtime.bigint();
+                stack.push(node);
+                try {
+                    const res = next();
+                    if (res) {
+                        node.rows++;
+                    }
+                    return res;
+                } finally {
+                    stack.pop();
+                    node.timeMs += _elapsedMs(start);
+                }
+            };
+        }
+    }
+
+    makeIterator(step) {
+        const node = {
+            name: step.displayName,
+            rows: 0,
+            timeMs: 0,
+            mem: 0,
+            peakMem: 0,
+            children: []
+        };
+        if (this._parent) {
+            this._parent.children.push(node);
+        } else {
+            assert(!this._root);
+            this._root = node;
+        }
+
+        //Input iterators are created in the constructor of their parent.
+        const parent = this._parent;
+        this._parent = node;
+        let it;
+        try {
+            it = new step.itCls(this._qpExec, step);
+        } finally {
+            this._parent = parent;
+        }
+
+        this._nodes.set(it, node);
+        this._instrument(it, node);
+        return it;
+    }
+
+    //Called for each call to QueryPlanExecutor.execute().
+    addTime(start) {
+        this._timeMs += _elapsedMs(start);
+    }
+
+    onMemChange(delta) {
+        const node = this._stack[this._stack.length - 1];
+        if (node) {
+            node.mem += delta;
+            node.peakMem = Math.max(node.peakMem, node.mem);
+        }
+        this._peakMem = Math.max(this._peakMem, this._qpExec._mem);
+    }
+
+    //Called by ReceiveIterator for each request to the service.
+    addRequest(it, rowCnt) {
+        const node = this._nodes.get(it);
+        assert(node);
+        node.requests = (node.requests || 0) + 1;
+        node.rowsReceived = (node.rowsReceived || 0) + rowCnt;
+        this._requests++;
+    }
+
+    //Called by ReceiveIterator for each batch of results received for a
+    //given shard or partition.
+    addBatch(it, shardId, partId, rowCnt) {
+        const node = this._nodes.get(it);
+        assert(node);
+        if (!node.batches) {
+            node.batches = new Map();
+        }
+        const key = _batchKey(shardId, partId);
+        let batch = node.batches.get(key);
+        if (!batch) {
+            batch = partId != null ? { partitionId: partId } :
+                { shardId };
+            batch.count = 0;
+            batch.rows = 0;
+            node.batches.set(key, batch);
+        }
+        batch.count++;
+        batch.rows += rowCnt;
+    }
+
+    _nodeProfile(node) {
+        const res = {
+            name: node.name,
+            rows: node.rows,
+            timeMs: node.timeMs,
+            peakMemory: node.peakMem
+        };
+        if (node.requests != null) {
+            res.serverRequests = node.requests;
+            res.rowsReceived = node.rowsReceived;
+        }
+        if (node.batches) {
+            res.batches = Array.from(node.batches.values(),
+                batch => Object.assign({}, batch));
+        }
+        res.children = node.children.map(child => this._nodeProfile(child));
+        return res;
+    }
+
+    get profile() {
+        return {
+            timeMs: this._timeMs,
+            serverRequests: this._requests,
+            peakMemory: this._peakMem,
+            plan: this._root ? this._nodeProfile(this._root) : undefined
+        };
+    }
+
+    //Simple queries are executed entirely by the service, so their profile
+    //only includes the time and the number of requests.  The profile is
+    //accumulated in the continuation key the same way as the batch number
+    //for query tracing (see QueryOp.onResult()).  As for advanced queries,
+    //profiling is enabled by the first query() call.
+    static profileSimpleQuery(req, res, start) {
+        assert(req.opt);
+        const ck = req.opt.continuationKey;
+        const prev = ck != null ? ck._profile : null;
+        if (!prev && (!req.opt.profile || ck != null)) {
+            return res;
+        }
+        const profile = {
+            timeMs: (prev ? prev.timeMs : 0) + _elapsedMs(start),
+            serverRequests: (prev ? prev.serverRequests : 0) + 1,
+            peakMemory: 0
+        };
+        if (res.continuationKey) {
+            res.continuationKey._profile = profile;
+        } else {
+            res.queryProfile = profile;
+        }
+        return res;
+    }
+
+}
+
+module.exports = QueryProfiler;
@@ -19,6 +19,7 @@ const compareRows = require('./compare').compareRows;
 const resBuf2MapKey = require('./utils').resBuf2MapKey;
 const sizeof = require('./utils').sizeof;
 const convertEmptyToNull = require('./utils').convertEmptyToNull;
+const addConsumedCapacity = require('../utils').addConsumedCapacity;
 
 function hasLocalResults(res) {
     return res.rows && res._idx != null && res._idx < res.rows.length;
@@ -57,6 +58,15 @@ class ReceiveIterator extends PlanIterator {
                 //seed empty shard results for sortingNext() loop
                 this._spRes = new MinHeap(cmp, topoInfo.shardIds.map(
                     _shardId => ({ _shardId })));
+                //Fetch from multiple shards concurrently, see
+                //opt.parallelism.  The prefetched results count towards
+                //maxMemoryMB.
+                if (qpExec.opt.parallelism > 1) {
+                    this._parallelism = qpExec.opt.parallelism;
+                    this._totalRows = 0;
+                    this._totalMem = 0;
+                    this._totalBatches = 0;
+                }
             } else if (step.distKind === DistributionKind.ALL_PARTITIONS) {
                 this._spRes = new MinHeap(cmp);
                 this._allPartSort = true;
@@ -152,6 +162,7 @@ ${res._partId[i]}, expected index range [${rowIdx}, ${end})`);
             };
             this._spRes.add(pRes);
             this._setMemStats(pRes);
+            this._profileBatch(pRes);
             rowIdx = end;
         }
         if (rowIdx !== res.rows.length) {
@@ -236,9 +247,17 @@ type: ${this._step.distKind}`);
         res._idx = 0; //initialize index to iterate
         res._shardId = shardId; //set shard id if any
 
-        //We only make one internal request per user's query() call,
-        //so the same consumed capacity will be returned to the user
-        this._qpExec._cc = res.consumedCapacity;
+        //We only make one internal request (or one round of concurrent
+        //requests if using opt.parallelism) per user's query() call, so the
+        //same consumed capacity will be returned to the user
+        if (this._qpExec._fetchDone && this._qpExec._cc != null &&
+            res.consumedCapacity != null) {
+            //Don't modify consumed capacity of the previous request.
+            this._qpExec._cc = Object.assign({}, this._qpExec._cc);
+            addConsumedCapacity(this._qpExec._cc, res.consumedCapacity);
+        } else {
+            this._qpExec._cc = res.consumedCapacity;
+        }
         this._qpExec._fetchDone = true;
 
         assert(res._reachedLimit || !res.continuationKey ||
@@ -248,9 +267,22 @@ type: ${this._step.distKind}`);
             this._qpExec.addTraces(res.queryTraces);
         }
 
+        if (this._qpExec._profiler) {
+            this._qpExec._profiler.addRequest(this, res.rows.length);
+        }
+
         return res;
     }
 
+    //Records results received from a shard or partition in the query
+    //profile, see QueryProfiler.
+    _profileBatch(res) {
+        if (this._qpExec._profiler) {
+            this._qpExec._profiler.addBatch(this, res._shardId, res._partId,
+                res.rows.length);
+        }
+    }
+
     //Returns true if phase 1 is completed
     async _doAllPartSortPhase1() {
         //have to postpone phase 1 to the next query() call
@@ -314,6 +346,8 @@ type: ${this._step.distKind}`);
             limit = this._getLimitFromMem();
             //For ALL_PARTITIONS query, decrement memory from previous result
             this._qpExec.decMem(fromRes._mem);
+        } else {
+            this._releaseMem(fromRes);
         }
         let res;
         try {
@@ -326,10 +360,19 @@ type: ${this._step.distKind}`);
             }
             throw err;
         }
+        //results for the same partition as the previous batch
+        if (fromRes._partId != null) {
+            res._partId = fromRes._partId;
+        }
+        this._profileBatch(res);
         this._spRes.add(res);
         if (this._allPartSort) {
             this._setMemStats(res);
         } else {
+            if (this._parallelism) {
+                this._setMemStats(res);
+                this._totalBatches++;
+            }
             if (fromRes._vScan != null) {
                 fromRes._vScan.isInfoSent = true;
             }
@@ -341,6 +384,60 @@ type: ${this._step.distKind}`);
         }
     }
 
+    //Releases memory of the prefetched result, see opt.parallelism.
+    _releaseMem(res) {
+        if (this._parallelism && res._mem) {
+            this._qpExec.decMem(res._mem);
+            res._mem = 0;
+        }
+    }
+
+    //Limits the number of concurrent requests based on the average memory
+    //of the results received so far.
+    _getParallelFetchCnt() {
+        if (!this._totalBatches) {
+            return this._parallelism;
+        }
+        const memPerBatch = this._totalMem / this._totalBatches;
+        const cnt = Math.floor(
+            (this._qpExec.maxMem - this._qpExec._mem) / memPerBatch);
+        return Math.max(Math.min(cnt, this._parallelism), 1);
+    }
+
+    //Fetches results concurrently for fromRes and other shards that need
+    //remote fetch.  The results without local rows are ordered first by
+    //_compareRes(), so these shards are at the top of the MinHeap.
+    async _parallelSortingFetch(fromRes) {
+        const fromResults = [ fromRes ];
+        const cnt = this._getParallelFetchCnt();
+        while(fromResults.length < cnt) {
+            const res = this._spRes.peek();
+            if (!res || hasLocalResults(res)) {
+                break;
+            }
+            this._spRes.pop();
+            if (res.rows && !res.continuationKey) {
+                //no more results for this shard
+                this._releaseMem(res);
+                continue;
+            }
+            fromResults.push(res);
+        }
+
+        //Wait for all requests to complete before throwing the error, so
+        //that all received results are added to the MinHeap.
+        let error;
+        await Promise.all(fromResults.map(res => this._sortingFetch(res)
+            .catch(err => {
+                if (error == null) {
+                    error = err;
+                }
+            })));
+        if (error != null) {
+            throw error;
+        }
+    }
+
     _localNext(res) {
         const row = res.rows[res._idx];
         res.rows[res._idx++] = null; //release memory for the row
@@ -374,13 +471,17 @@ type: ${this._step.distKind}`);
                 }
                 if (!res.continuationKey) {
                     //no more results for this shard or partition
+                    this._releaseMem(res);
                     continue;
                 }
             }
             //remote fetch is needed
             if (this._qpExec._fetchDone) {
-                //We limit to 1 fetch per query() call
+                //We limit to 1 fetch (or 1 round of concurrent fetches) per
+                //query() call
                 break;
+            } else if (this._parallelism) {
+                await this._parallelSortingFetch(res);
             } else {
                 await this._sortingFetch(res);
             }
@@ -392,6 +493,7 @@ type: ${this._step.distKind}`);
                 //optimization to release array memory before next
                 //query() call
                 res.rows = null;
+                this._releaseMem(res);
             }
             this._spRes.add(res);
             this._qpExec._needUserCont = true;
@@ -0,0 +1,232 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const QueryOp = require('../ops').QueryOp;
+const NoSQLArgumentError = require('../error').NoSQLArgumentError;
+const DistributionKind = require('./common').DistributionKind;
+const ReceiveIterator = require('./receive');
+const isPosInt32 = require('../utils').isPosInt32;
+const isPosInt32OrZero = require('../utils').isPosInt32OrZero;
+
+//Shard id used if the query cannot be split by shard, in which case the
+//query is not sent to a specific shard and is executed as a whole by the
+//only segment.
+const NO_SHARD_ID = -1;
+
+function _isValidContinuationKey(ck) {
+    return ck != null && typeof ck === 'object' &&
+        Array.isArray(ck.shardIds) &&
+        ck.shardIds.every(id => Number.isInteger(id)) &&
+        isPosInt32OrZero(ck.shardIndex) &&
+        ck.shardIndex <= ck.shardIds.length &&
+        (ck.key == null || typeof ck.key === 'string');
+}
+
+//Segment of the scan returned by NoSQLClient.parallelScan().  The segment
+//scans its shards one at a time.  The continuation key is a plain object
+//that can be serialized or passed to a worker thread, containing the shard
+//ids of the segment, the index of the shard currently being scanned and
+//the continuation key returned by the service for this shard (as base64
+//string).  The continuation key is advanced only when the next batch is
+//requested, so iterating over the segment again after a failure continues
+//from the last batch that has not been fully processed.
+class ScanSegment {
+
+    constructor(scan, segment, ck) {
+        this._scan = scan;
+        this._segment = segment;
+        this._ck = ck;
+    }
+
+    get segment() {
+        return this._segment;
+    }
+
+    get continuationKey() {
+        return this._ck;
+    }
+
+    async * [Symbol.asyncIterator]() {
+        const prep = await this._scan._prepare();
+        if (this._ck == null) {
+            this._ck = {
+                shardIds: prep.shardIds.filter((id, idx) =>
+                    idx % this._scan._segmentCnt === this._segment),
+                shardIndex: 0
+            };
+        }
+        for(;;) {
+            const ck = this._ck;
+            if (ck.shardIndex >= ck.shardIds.length) {
+                return;
+            }
+            const res = await this._scan._fetch(prep, ck);
+            const nextCk = {
+                shardIds: ck.shardIds,
+                shardIndex: ck.shardIndex
+            };
+            if (res.continuationKey) {
+                nextCk.key = res.continuationKey.toString('base64');
+            } else {
+                nextCk.shardIndex++;
+            }
+            yield {
+                consumedCapacity: res.consumedCapacity,
+                rows: res.rows
+            };
+            this._ck = nextCk;
+        }
+    }
+
+}
+
+//Returns true if the query can be sent to individual shards.  This is only
+//done for the all-shard queries sorted by the service, for which
+//ReceiveIterator sends the query to each shard and merges the results.
+//The plan must consist only of the receive step, otherwise the results of
+//the segments would need to be processed further by the driver.  Queries
+//that need duplicate elimination are not split, since it is done by the
+//driver.
+function _isShardQuery(plan) {
+    return plan.itCls === ReceiveIterator &&
+        plan.distKind === DistributionKind.ALL_SHARDS &&
+        plan.sortSpecs != null && plan.pkFields == null;
+}
+
+//Executes NoSQLClient.parallelScan().  The statement is prepared once and
+//shared by all segments.  If the query can be split by shard, the shards
+//from the topology are distributed among the segments in round-robin
+//fashion and the query is sent to each shard in the same way as
+//ReceiveIterator does for sorting all-shard queries.  Otherwise, the
+//service does not allow the query to be executed on a specific shard, so
+//the query can only be executed as a whole by a single segment.
+class ParallelScan {
+
+    constructor(client, stmt, opt) {
+        this._client = client;
+        this._validate(stmt, opt);
+        //Table name cannot contain white space, while SQL statement always
+        //does.
+        if (typeof stmt === 'string' && !/\s/.test(stmt)) {
+            //The full table scan uses the primary index and is executed by
+            //the service on all partitions, which cannot be requested
+            //separately.
+            if (opt.segments > 1) {
+                throw new NoSQLArgumentError(`Full scan of table ${stmt} \
+cannot be split into segments, use a query sorted by the fields of a \
+secondary index instead`, opt);
+            }
+            stmt = `SELECT * FROM ${stmt}`;
+        }
+        this._stmt = stmt;
+        this._segmentCnt = opt.segments;
+        this._opt = Object.assign({}, opt);
+        delete this._opt.segments;
+        delete this._opt.continuationKeys;
+        const cks = opt.continuationKeys;
+        this.segments = Array.from({ length: this._segmentCnt },
+            (v, i) => new ScanSegment(this, i, cks != null ?
+                cks[i] : undefined));
+    }
+
+    _validate(stmt, opt) {
+        if (typeof stmt === 'string') {
+            if (!stmt.length) {
+                throw new NoSQLArgumentError(
+                    'Invalid table name or statement', opt);
+            }
+        } else if (stmt == null || typeof stmt !== 'object' ||
+            !Buffer.isBuffer(stmt._prepStmt)) {
+            throw new NoSQLArgumentError('Invalid prepared statement', opt);
+        }
+        if (opt == null || typeof opt !== 'object') {
+            throw new NoSQLArgumentError('Missing or invalid options', opt);
+        }
+        if (!isPosInt32(opt.segments)) {
+            throw new NoSQLArgumentError('Invalid "segments" value', opt);
+        }
+        const cks = opt.continuationKeys;
+        if (cks != null && (!Array.isArray(cks) ||
+            cks.length !== opt.segments ||
+            !cks.every(ck => ck == null || _isValidContinuationKey(ck)))) {
+            throw new NoSQLArgumentError('Invalid "continuationKeys" value',
+                opt);
+        }
+    }
+
+    async _doPrepare() {
+        let prepStmt = this._stmt;
+        if (typeof prepStmt === 'string') {
+            //Options that are not set must not be present, otherwise they
+            //would not be inherited from the config.
+            const prepOpt = {};
+            for(const key of [ 'compartment', 'namespace', 'timeout' ]) {
+                if (this._opt[key] !== undefined) {
+                    prepOpt[key] = this._opt[key];
+                }
+            }
+            prepStmt = await this._client.prepare(prepStmt, prepOpt);
+        }
+        const plan = prepStmt._queryPlan;
+        if (plan && !_isShardQuery(plan)) {
+            throw new NoSQLArgumentError('Parallel scan does not support \
+queries that are partially executed by the driver, such as queries with \
+grouping, aggregation, OFFSET or LIMIT', this._opt);
+        }
+        //See QueryPlanExecutor constructor.
+        const topoInfo = this._client._config._topoInfo ||
+            prepStmt._topoInfo;
+        if (plan && topoInfo != null && topoInfo.shardIds != null &&
+            topoInfo.shardIds.length) {
+            return { prepStmt, topoInfo, shardIds: topoInfo.shardIds };
+        }
+        //Otherwise the other segments would silently return no results.
+        if (this._segmentCnt > 1) {
+            throw new NoSQLArgumentError(plan ? 'Parallel scan cannot split \
+the query into segments without the topology information' : 'Parallel scan \
+cannot split into segments the query that is not sorted by the fields of a \
+secondary index', this._opt);
+        }
+        return { prepStmt, topoInfo, shardIds: [ NO_SHARD_ID ] };
+    }
+
+    //The segments share the same preparation.  If it fails, it will be
+    //retried when iterating over the segment again.
+    _prepare() {
+        if (this._prep == null) {
+            this._prep = this._doPrepare();
+            this._prep.catch(() => {
+                this._prep = null;
+            });
+        }
+        return this._prep;
+    }
+
+    //See ReceiveIterator._fetch().
+    _fetch(prep, ck) {
+        const shardId = ck.shardIds[ck.shardIndex];
+        const req = {
+            api: this._client.parallelScan,
+            prepStmt: prep.prepStmt,
+            opt: Object.assign({}, this._opt, {
+                continuationKey: ck.key != null ?
+                    Buffer.from(ck.key, 'base64') : undefined
+            })
+        };
+        if (shardId !== NO_SHARD_ID) {
+            req._queryInternal = true;
+            req._topoInfo = prep.topoInfo;
+            req._shardId = shardId;
+        }
+        return this._client._execute(QueryOp, req);
+    }
+
+}
+
+module.exports = ParallelScan;
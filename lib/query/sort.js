@@ -13,11 +13,16 @@ const PlanIterator = require('./common').PlanIterator;
 const compareRows = require('./compare').compareRows;
 const sizeof = require('./utils').sizeof;
 const convertEmptyToNull = require('./utils').convertEmptyToNull;
+const Spill = require('./spill');
 
 /**
  * Sorts MapValues based on their values on a specified set of top-level
  * fields. It is used by the driver to implement the geo_near function,
  * which sorts results by distance.
+ * If opt.spillDir is specified, when the query memory exceeds maxMemoryMB,
+ * the rows collected so far are sorted and written to a temporary file as
+ * a sorted run.  The runs are then merged with the remaining in-memory rows
+ * (external merge sort).
  */
 class SortIterator extends PlanIterator {
 
@@ -27,6 +32,10 @@ class SortIterator extends PlanIterator {
         this._rows = [];
         if (step.countMem) {
             this._mem = 0;
+            if (qpExec.opt.spillDir != null) {
+                this._spill = qpExec.addSpill(new Spill(this,
+                    qpExec.opt.spillDir));
+            }
         }
         this._curr = -1;
     }
@@ -43,6 +52,32 @@ SORT');
 for comparison: ${util.inspect(val)}`);
     }
 
+    _compare(row1, row2) {
+        return compareRows(this, row1, row2, this._step.sortSpecs);
+    }
+
+    async _spillRows() {
+        this._rows.sort((row1, row2) => this._compare(row1, row2));
+        await this._spill.writeRun(this._rows);
+        this._rows = [];
+        this._qpExec.decMem(this._mem);
+        this._mem = 0;
+        //Memory used by other iterators may still exceed the limit.
+        this._qpExec.checkMem();
+    }
+
+    async _nextMerged() {
+        if (!await this._merged.next()) {
+            this._merged = null;
+            await this._spill.close();
+            return false;
+        }
+        const res = this._merged.value;
+        convertEmptyToNull(res);
+        this.result = res;
+        return true;
+    }
+
     async next() {
         if (this._curr === -1) {
             while(await this._inputIter.next()) {
@@ -51,15 +86,25 @@ for comparison: ${util.inspect(val)}`);
                 if (this._step.countMem) {
                     const mem = sizeof(this, row);
                     this._mem += mem;
-                    this._qpExec.incMem(mem);
+                    this._qpExec.incMem(mem, this._spill != null);
+                    if (this._spill != null && this._qpExec.memExceeded) {
+                        await this._spillRows();
+                    }
                 }
             }
             if (this._qpExec._needUserCont) {
                 return false;
             }
-            this._rows.sort((row1, row2) =>
-                compareRows(this, row1, row2, this._step.sortSpecs));
+            this._rows.sort((row1, row2) => this._compare(row1, row2));
             this._curr = 0;
+            if (this._spill != null && this._spill.runCount) {
+                this._merged = await this._spill.merge(this._rows,
+                    (row1, row2) => this._compare(row1, row2));
+                this._rows = [];
+            }
+        }
+        if (this._merged != null) {
+            return this._nextMerged();
         }
         if (this._curr < this._rows.length) {
             const res = this._rows[this._curr];
@@ -78,6 +123,12 @@ for comparison: ${util.inspect(val)}`);
             this._qpExec.decMem(this._mem);
             this._mem = 0;
         }
+        if (this._spill != null) {
+            this._merged = null;
+            //Removal of the spill files is not awaited by reset(), the
+            //errors are ignored.
+            this._spill.close().catch(() => {});
+        }
     }
 
 }
@@ -0,0 +1,346 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fsp = require('fs').promises;
+const path = require('path');
+const EMPTY_VALUE = require('../constants').EMPTY_VALUE;
+const Type = require('../binary_protocol/constants').Type;
+const DataWriter = require('../binary_protocol/writer');
+const DataReader = require('../binary_protocol/reader');
+const NoSQLProtocolError = require('../error').NoSQLProtocolError;
+const isInt32 = require('../utils').isInt32;
+const MinHeap = require('./min_heap');
+
+//Spill files are written and read in chunks of this size.
+const CHUNK_SIZE = 64 * 1024;
+
+//Compact encoding of values in spill files.  Unlike
+//BinaryProtocol.writeFieldValue(), it preserves EMPTY_VALUE and the
+//distinction between numbers and bigints, so that the values read back are
+//the same as the values written.
+function writeValue(dw, val, ctx) {
+    if (val === undefined) {
+        return dw.writeByte(Type.NULL);
+    }
+    if (val === null) {
+        return dw.writeByte(Type.JSON_NULL);
+    }
+    if (val === EMPTY_VALUE) {
+        return dw.writeByte(Type.EMPTY);
+    }
+    switch(typeof val) {
+    case 'boolean':
+        dw.writeByte(Type.BOOLEAN);
+        dw.writeBoolean(val);
+        break;
+    case 'string':
+        dw.writeByte(Type.STRING);
+        dw.writeString(val);
+        break;
+    case 'number':
+        if (isInt32(val)) {
+            dw.writeByte(Type.INTEGER);
+            dw.writeInt(val);
+        } else {
+            dw.writeByte(Type.DOUBLE);
+            dw.writeDouble(val);
+        }
+        break;
+    case 'bigint':
+        dw.writeByte(Type.LONG);
+        dw.writeLong(val);
+        break;
+    default:
+        assert(typeof val === 'object');
+        if (Buffer.isBuffer(val)) {
+            dw.writeByte(Type.BINARY);
+            dw.writeBinary(val);
+        } else if (val instanceof Date) {
+            dw.writeByte(Type.TIMESTAMP);
+            dw.writeDate(val);
+        } else if (Array.isArray(val)) {
+            dw.writeByte(Type.ARRAY);
+            dw.writeInt(val.length);
+            for(const elem of val) {
+                writeValue(dw, elem, ctx);
+            }
+        } else if (ctx._dbNumber != null && ctx._dbNumber.isInstance(val)) {
+            dw.writeByte(Type.NUMBER);
+            dw.writeString(ctx._dbNumber.stringValue(val));
+        } else {
+            const ent = val instanceof Map ? Array.from(val) :
+                Object.entries(val);
+            dw.writeByte(Type.MAP);
+            dw.writeInt(ent.length);
+            for(const [key, elem] of ent) {
+                dw.writeString(key);
+                writeValue(dw, elem, ctx);
+            }
+        }
+        break;
+    }
+}
+
+function readValue(dr, ctx) {
+    const type = dr.readByte();
+    switch(type) {
+    case Type.NULL:
+        return undefined;
+    case Type.JSON_NULL:
+        return null;
+    case Type.EMPTY:
+        return EMPTY_VALUE;
+    case Type.BOOLEAN:
+        return dr.readBoolean();
+    case Type.STRING:
+        return dr.readString();
+    case Type.INTEGER:
+        return dr.readInt();
+    case Type.DOUBLE:
+        return dr.readDouble();
+    case Type.LONG:
+        return dr.readLong(true);
+    case Type.BINARY:
+        return dr.readBinary();
+    case Type.TIMESTAMP:
+        return dr.readDate();
+    case Type.ARRAY: {
+        const res = new Array(dr.readInt());
+        for(let i = 0; i < res.length; i++) {
+            res[i] = readValue(dr, ctx);
+        }
+        return res;
+    }
+    case Type.NUMBER:
+        assert(ctx._dbNumber != null);
+        return ctx._dbNumber.create(dr.readString());
+    case Type.MAP: {
+        const res = {};
+        const cnt = dr.readInt();
+        for(let i = 0; i < cnt; i++) {
+            const key = dr.readString();
+            res[key] = readValue(dr, ctx);
+        }
+        return res;
+    }
+    default:
+        throw new NoSQLProtocolError(
+            `Unknown value type code in spill file: ${type}`);
+    }
+}
+
+//Reads back the values of one run.  Each value is preceded by its encoded
+//length so that the file can be read in chunks.
+class RunReader {
+
+    constructor(ctx, fh) {
+        this._ctx = ctx;
+        this._fh = fh;
+        this._buf = Buffer.alloc(0);
+        this._off = 0;
+        this._pos = 0;
+        this._eof = false;
+    }
+
+    //Ensures that at least len bytes are available in the buffer.
+    async _fill(len) {
+        while(this._buf.length - this._off < len && !this._eof) {
+            const rest = this._buf.subarray(this._off);
+            const chunk = Buffer.allocUnsafe(Math.max(CHUNK_SIZE, len));
+            const { bytesRead } = await this._fh.read(chunk, 0, chunk.length,
+                this._pos);
+            this._pos += bytesRead;
+            this._eof = bytesRead === 0;
+            this._buf = Buffer.concat([rest, chunk.subarray(0, bytesRead)]);
+            this._off = 0;
+        }
+        return this._buf.length - this._off >= len;
+    }
+
+    async next() {
+        if (!await this._fill(4)) {
+            return false;
+        }
+        const len = this._buf.readInt32BE(this._off);
+        this._off += 4;
+        if (!await this._fill(len)) {
+            throw new NoSQLProtocolError('Unexpected end of spill file');
+        }
+        const dr = new DataReader(this._buf.subarray(this._off,
+            this._off + len));
+        this._off += len;
+        this.value = readValue(dr, this._ctx);
+        return true;
+    }
+
+}
+
+//Source of sorted values kept in memory.
+class ArrayReader {
+
+    constructor(arr) {
+        this._arr = arr;
+        this._idx = 0;
+    }
+
+    async next() {
+        if (this._idx === this._arr.length) {
+            return false;
+        }
+        this.value = this._arr[this._idx];
+        this._arr[this._idx++] = null; //release memory for the value
+        return true;
+    }
+
+}
+
+//Merges sorted sources using MinHeap.  Values that compare equal are
+//returned in the order of their sources.
+class MergeIterator {
+
+    constructor(sources, cmp) {
+        this._sources = sources;
+        this._heap = new MinHeap((src1, src2) =>
+            cmp(src1.value, src2.value) || src1._srcIdx - src2._srcIdx);
+    }
+
+    async _init() {
+        for(let i = 0; i < this._sources.length; i++) {
+            const src = this._sources[i];
+            src._srcIdx = i;
+            if (await src.next()) {
+                this._heap.add(src);
+            }
+        }
+    }
+
+    async next() {
+        const src = this._heap.pop();
+        if (src == null) {
+            return false;
+        }
+        this.value = src.value;
+        if (await src.next()) {
+            this._heap.add(src);
+        }
+        return true;
+    }
+
+}
+
+//Used by SortIterator and GroupIterator when opt.spillDir is specified to
+//write sorted runs of values to temporary files when the memory used by the
+//query exceeds maxMemoryMB and to merge them back.  The files are created in
+//a temporary directory under opt.spillDir, which is removed by close().
+class Spill {
+
+    constructor(ctx, dir) {
+        this._ctx = ctx;
+        this._dir = dir;
+        this._files = [];
+        this._handles = [];
+    }
+
+    get runCount() {
+        return this._files.length;
+    }
+
+    _ioError(action, err) {
+        return this._ctx.illegalState(`Failed to ${action} query spill file \
+in ${this._dir}: ${err.message}`, err);
+    }
+
+    async _writeFile(file, values) {
+        const fh = await fsp.open(file, 'w');
+        try {
+            const dw = new DataWriter();
+            for(const val of values) {
+                const off = dw.buffer.length;
+                dw.writeInt32BE(0);
+                writeValue(dw, val, this._ctx);
+                dw.buffer.buffer.writeInt32BE(dw.buffer.length - off - 4,
+                    off);
+                if (dw.buffer.length >= CHUNK_SIZE) {
+                    await fh.write(dw.buffer.buffer, 0, dw.buffer.length);
+                    dw.reset();
+                }
+            }
+            if (dw.buffer.length) {
+                await fh.write(dw.buffer.buffer, 0, dw.buffer.length);
+            }
+        } finally {
+            await fh.close();
+        }
+    }
+
+    //Writes the values, which must be sorted, as a new run.
+    async writeRun(values) {
+        try {
+            if (this._tmpDir == null) {
+                this._tmpDir = await fsp.mkdtemp(path.join(this._dir,
+                    'nosql-query-'));
+            }
+            const file = path.join(this._tmpDir, `run${this._files.length}`);
+            this._files.push(file);
+            await this._writeFile(file, values);
+        } catch(err) {
+            throw this._ioError('write', err);
+        }
+    }
+
+    //Returns iterator over the values of all runs and the sorted in-memory
+    //values merged in the order given by cmp.  For equal values, the order
+    //in which they were written is preserved, with in-memory values last.
+    async merge(values, cmp) {
+        const sources = [];
+        try {
+            for(const file of this._files) {
+                const fh = await fsp.open(file, 'r');
+                this._handles.push(fh);
+                sources.push(new RunReader(this._ctx, fh));
+            }
+            sources.push(new ArrayReader(values));
+            const res = new MergeIterator(sources, cmp);
+            await res._init();
+            return res;
+        } catch(err) {
+            throw this._ioError('read', err);
+        }
+    }
+
+    //Removes the spill files.
+    async close() {
+        const handles = this._handles;
+        const files = this._files;
+        const tmpDir = this._tmpDir;
+        this._handles = [];
+        this._files = [];
+        this._tmpDir = undefined;
+        for(const fh of handles) {
+            await fh.close();
+        }
+        for(const file of files) {
+            try {
+                await fsp.unlink(file);
+            } catch(err) {
+                //The file is not created if writeRun() failed to open it.
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+        }
+        if (tmpDir != null) {
+            await fsp.rmdir(tmpDir);
+        }
+    }
+
+}
+
+module.exports = Spill;
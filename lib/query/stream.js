@@ -0,0 +1,118 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const Readable = require('stream').Readable;
+const NoSQLArgumentError = require('../error').NoSQLArgumentError;
+const isPosInt32 = require('../utils').isPosInt32;
+const addConsumedCapacity = require('../utils').addConsumedCapacity;
+
+//Readable stream of query result rows returned by
+//NoSQLClient.queryStream().  Each call to NoSQLClientImpl._query() executes
+//the query using QueryOp and, for advanced queries, QueryPlanExecutor,
+//returning one batch of results.  The next batch is only fetched when the
+//rows already pushed have been consumed (that is, when _read() is called
+//after push() returned false), so the query is paused while the consumer is
+//slow.
+class QueryStream extends Readable {
+
+    constructor(client, stmt, opt) {
+        const hwm = opt != null ? opt.highWaterMark : undefined;
+        super({
+            objectMode: true,
+            highWaterMark: isPosInt32(hwm) ? hwm : undefined
+        });
+        this._client = client;
+        this._stmt = stmt;
+        if (opt == null) {
+            opt = {};
+        } else if (typeof opt === 'object') {
+            opt = Object.assign({}, opt);
+            opt.continuationKey = undefined;
+        }
+        this._opt = opt;
+        this._consumedCapacity = undefined;
+        this._queryProfile = undefined;
+        this._fetching = false;
+        this._done = false;
+    }
+
+    _validate() {
+        const hwm = this._opt.highWaterMark;
+        if (hwm != null && !isPosInt32(hwm)) {
+            throw new NoSQLArgumentError(`Invalid highWaterMark value: \
+${hwm}`, this._opt);
+        }
+    }
+
+    get consumedCapacity() {
+        return this._consumedCapacity;
+    }
+
+    get queryProfile() {
+        return this._queryProfile;
+    }
+
+    async _fetch() {
+        this._fetching = true;
+        try {
+            this._validate();
+            let more = true;
+            while(more && !this._done) {
+                const res = await this._client._query(this._stmt, this._opt,
+                    this._client.queryStream);
+                if (this.destroyed) {
+                    //The query is closed by _destroy().
+                    this._opt.continuationKey = res.continuationKey;
+                    return;
+                }
+                if (res.consumedCapacity != null) {
+                    if (this._consumedCapacity == null) {
+                        this._consumedCapacity = {};
+                    }
+                    addConsumedCapacity(this._consumedCapacity,
+                        res.consumedCapacity);
+                }
+                if (res.queryProfile != null) {
+                    this._queryProfile = res.queryProfile;
+                }
+                this._opt.continuationKey = res.continuationKey;
+                this._done = res.continuationKey == null;
+                //Batch may be empty while there are more results.
+                for(const row of res.rows) {
+                    more = this.push(row);
+                }
+            }
+            if (this._done) {
+                this.push(null);
+            }
+        } catch(err) {
+            this.destroy(err);
+        } finally {
+            this._fetching = false;
+        }
+    }
+
+    //If the query is not completed, it is closed after the batch being
+    //fetched, if any, is received.
+    _destroy(err, callback) {
+        Promise.resolve(this._fetchPromise).then(
+            () => this._client._closeQuery(this._opt.continuationKey))
+            .then(() => callback(err));
+    }
+
+    _read() {
+        //If the batch is being fetched, the rows will be pushed when it is
+        //received.
+        if (!this._fetching) {
+            this._fetchPromise = this._fetch();
+        }
+    }
+}
+
+module.exports = QueryStream;
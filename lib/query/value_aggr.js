@@ -47,6 +47,12 @@ class ValueAggregator {
 "ValueAggregator"');
     }
 
+    //Merges partial result of another aggregator of the same kind, used
+    //when the group-by partial results are spilled to disk.
+    merge(val) {
+        this.aggregate(val);
+    }
+
     get result() {
         return this._aggrVal;
     }
@@ -159,6 +165,10 @@ class CountAggregator extends SingleValueAggregator {
 
         this._aggrVal = add(this, this._aggrVal, 1);
     }
+
+    merge(val) {
+        this._aggrVal = add(this, this._aggrVal, val);
+    }
 }
 
 class CollectAggregator extends ValueAggregator {
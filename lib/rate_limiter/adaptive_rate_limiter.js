@@ -0,0 +1,112 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const SimpleRateLimiter = require('./simple_rate_limiter');
+
+//The demand is considered to have reached the limit if the rate of units
+//consumed during the interval is at least this portion of the limit.
+const FULL_USE = 0.9;
+
+//Rate limiter used by RateLimiterClient when RateLimiterConfig.adaptive is
+//set.  Instead of using the table limits, it learns the sustainable rate of
+//units (or operations, if the service does not report consumed capacity)
+//using additive increase / multiplicative decrease.  The limit starts at
+//initialUnits.  At the end of each interval during which the demand
+//reached the limit and there were no signs of overload, the limit is
+//increased by increaseUnits.  When throttling or SERVICE_UNAVAILABLE error
+//is received or the operation latency exceeds latencyThreshold, the limit
+//is multiplied by decreaseFactor, at most once per interval, since the
+//operations already in flight will report the same overload.  The limit
+//stays between minUnits and the cap set by setLimit(), if any.  The units
+//are paced by SimpleRateLimiter.
+class AdaptiveRateLimiter {
+
+    //opt is RateLimiterConfig.adaptive with defaults applied by
+    //RateLimiterClient.
+    constructor(opt, maxBurstSecs) {
+        this._opt = opt;
+        this._rl = new SimpleRateLimiter(maxBurstSecs);
+        this._max = Infinity;
+        this._lastDecrease = 0;
+        this._startInterval(Date.now());
+        this._applyLimit(opt.initialUnits);
+    }
+
+    _applyLimit(limit) {
+        this._limit = Math.max(Math.min(limit, this._max),
+            this._opt.minUnits);
+        this._rl.setLimit(this._limit);
+    }
+
+    _startInterval(now) {
+        this._used = 0;
+        this._waited = false;
+        this._start = now;
+    }
+
+    _adjust(now) {
+        const elapsed = now - this._start;
+        if (elapsed < this._opt.interval) {
+            return;
+        }
+        if (this._waited ||
+            this._used * 1000 / elapsed >= this._limit * FULL_USE) {
+            this._applyLimit(this._limit + this._opt.increaseUnits);
+        }
+        this._startInterval(now);
+    }
+
+    _decrease() {
+        const now = Date.now();
+        if (now - this._lastDecrease < this._opt.interval) {
+            return;
+        }
+        this._lastDecrease = now;
+        this._applyLimit(this._limit * this._opt.decreaseFactor);
+        this._rl.onThrottle();
+        //The demand is measured again with the new limit.
+        this._startInterval(now);
+    }
+
+    get limit() {
+        return this._limit;
+    }
+
+    async consumeUnits(units, timeout, consumeOnTimeout) {
+        const res = await this._rl.consumeUnits(units, timeout,
+            consumeOnTimeout);
+        this._used += units;
+        if (res > 0) {
+            this._waited = true;
+        }
+        this._adjust(Date.now());
+        return res;
+    }
+
+    //The limit set by RateLimiterClient is the cap for the learned limit.
+    setLimit(limit) {
+        this._max = limit > 0 ? limit : Infinity;
+        this._applyLimit(this._limit);
+    }
+
+    onThrottle() {
+        this._decrease();
+    }
+
+    //Called with the latency of each successful operation.
+    onLatency(latency) {
+        if (this._opt.latencyThreshold != null &&
+            latency > this._opt.latencyThreshold) {
+            this._decrease();
+        }
+    }
+
+}
+
+module.exports = AdaptiveRateLimiter;
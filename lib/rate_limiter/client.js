@@ -8,6 +8,7 @@
 'use strict';
 
 const assert = require('assert');
+const crypto = require('crypto');
 const path = require('path');
 
 const ErrorCode = require('../error').ErrorCode;
@@ -18,6 +19,10 @@ const TableState = require('../constants').TableState;
 const GetTableOp = require('../ops').GetTableOp;
 const ServiceType = require('../constants').ServiceType;
 const SimpleRateLimiter = require('./simple_rate_limiter');
+const SharedRateLimiter = require('./shared_rate_limiter');
+const FileRateLimiterStore = require('./file_store');
+const PriorityScheduler = require('./priority_scheduler');
+const AdaptiveRateLimiter = require('./adaptive_rate_limiter');
 const requireNoWP = require('../utils').requireNoWP;
 const isChildTable = require('../utils').isChildTable;
 const topTableName = require('../utils').topTableName;
@@ -28,6 +33,15 @@ const BG_CHECK_INTERVAL = 600000;
 //Timeout over multiple retries for getTable in background
 const BG_GETTABLE_TIMEOUT = 300000;
 
+//Defaults for RateLimiterConfig.adaptive
+const DEF_ADAPTIVE = {
+    initialUnits: 100,
+    minUnits: 1,
+    increaseUnits: 10,
+    decreaseFactor: 0.5,
+    interval: 1000
+};
+
 //It seems that clearTimeout already ignores invalid values, this is just
 //in case this behavior changes in future
 function _clearTimeout(tm) {
@@ -75,6 +89,9 @@ class from module ${rl}`, client._config, err);
                 }
                 this._maxBurstSecs = rl.maxBurstSeconds;
             }
+            this._initStore(rl, client._config);
+            this._initPriorities(rl, client._config);
+            this._initAdaptive(rl, client._config);
             break;
         default:
             throw new NoSQLArgumentError(
@@ -95,18 +112,148 @@ class from module ${rl}`, client._config, err);
         this._rlUpdateMap = new Map();
     }
 
+    _initStore(rl, cfg) {
+        if (rl.store == null) {
+            return;
+        }
+        if (typeof rl.store === 'string') {
+            this._store = new FileRateLimiterStore(rl.store);
+        } else if (typeof rl.store === 'object' &&
+            typeof rl.store.update === 'function' &&
+            typeof rl.store.remove === 'function') {
+            this._store = rl.store;
+        } else {
+            throw new NoSQLArgumentError(
+                `Invalid value of rateLimiter.store: ${rl.store}`, cfg);
+        }
+        if (rl.syncInterval != null) {
+            if (typeof rl.syncInterval !== 'number' ||
+                !(rl.syncInterval > 0)) {
+                throw new NoSQLArgumentError(
+                    'Invalid value of rateLimiter.syncInterval: ' +
+                    rl.syncInterval, cfg);
+            }
+            this._syncInterval = rl.syncInterval;
+        }
+        //Clients of different services, compartments or namespaces may use
+        //the same store, so their limiters for the tables with the same name
+        //must have different keys.  The hash keeps the keys short enough to
+        //be used as part of file names.
+        this._storeScope = crypto.createHash('sha256').update(
+            JSON.stringify([ cfg.url != null ? cfg.url.href : null,
+                cfg.compartment, cfg.namespace ]))
+            .digest('hex').slice(0, 16);
+    }
+
+    _initPriorities(rl, cfg) {
+        if (rl.priorities == null) {
+            return;
+        }
+        const names = typeof rl.priorities === 'object' ?
+            Object.keys(rl.priorities) : [];
+        if (!names.length) {
+            throw new NoSQLArgumentError(
+                `Invalid value of rateLimiter.priorities: ${rl.priorities}`,
+                cfg);
+        }
+        let total = 0;
+        for(const name of names) {
+            const share = rl.priorities[name];
+            if (!Number.isFinite(share) || share <= 0) {
+                throw new NoSQLArgumentError(
+                    `Invalid value of rateLimiter.priorities.${name}: \
+${share}`, cfg);
+            }
+            total += share;
+        }
+        //The shares are normalized to add up to 1.
+        this._priorities = new Map(names.map(name =>
+            [ name, rl.priorities[name] / total ]));
+        this._defPriority = rl.defaultPriority != null ?
+            rl.defaultPriority : names[0];
+        if (!this._priorities.has(this._defPriority)) {
+            throw new NoSQLArgumentError(
+                'Invalid value of rateLimiter.defaultPriority: ' +
+                rl.defaultPriority, cfg);
+        }
+    }
+
+    _initAdaptive(rl, cfg) {
+        if (rl.adaptive == null || rl.adaptive === false) {
+            return;
+        }
+        if (rl.adaptive !== true && typeof rl.adaptive !== 'object') {
+            throw new NoSQLArgumentError(
+                `Invalid value of rateLimiter.adaptive: ${rl.adaptive}`, cfg);
+        }
+        if (this._store != null) {
+            throw new NoSQLArgumentError('Cannot use rateLimiter.adaptive \
+together with rateLimiter.store', cfg);
+        }
+        const opt = rl.adaptive === true ? {} : rl.adaptive;
+        const invalid = name => new NoSQLArgumentError(
+            `Invalid value of rateLimiter.adaptive.${name}: ${opt[name]}`,
+            cfg);
+        this._adaptive = Object.assign({}, DEF_ADAPTIVE);
+        for(const name of [ 'initialUnits', 'minUnits', 'increaseUnits',
+            'interval', 'latencyThreshold' ]) {
+            if (opt[name] != null) {
+                if (!Number.isFinite(opt[name]) || opt[name] <= 0) {
+                    throw invalid(name);
+                }
+                this._adaptive[name] = opt[name];
+            }
+        }
+        if (opt.decreaseFactor != null) {
+            if (typeof opt.decreaseFactor !== 'number' ||
+                !(opt.decreaseFactor > 0 && opt.decreaseFactor < 1)) {
+                throw invalid('decreaseFactor');
+            }
+            this._adaptive.decreaseFactor = opt.decreaseFactor;
+        }
+        //Caps by lower-case name of the top-level table.
+        this._adaptiveCaps = new Map();
+        if (opt.tableLimits != null) {
+            if (typeof opt.tableLimits !== 'object') {
+                throw invalid('tableLimits');
+            }
+            for(const [tblName, caps] of Object.entries(opt.tableLimits)) {
+                if (caps == null || typeof caps !== 'object' ||
+                    [ caps.readUnits, caps.writeUnits ].some(units =>
+                        units != null && !(Number.isFinite(units) &&
+                        units > 0))) {
+                    throw new NoSQLArgumentError(`Invalid value of \
+rateLimiter.adaptive.tableLimits for table ${tblName}`, cfg);
+                }
+                this._adaptiveCaps.set(topTableName(tblName).toLowerCase(),
+                    caps);
+            }
+        }
+    }
+
+    _closeLimiters(ent) {
+        if (ent != null && this._store != null && !ent.noLimits) {
+            ent.readRL.close();
+            ent.writeRL.close();
+        }
+    }
+
     _doUpdateLimiters(tblNameLower, tblRes) {
         if (tblRes.tableState === TableState.DROPPED) {
+            this._closeLimiters(this._rlMap.get(tblNameLower));
             this._rlMap.delete(tblNameLower);
             return;
         }
 
-        if (tblRes.tableState !== TableState.ACTIVE) {
+        //Adaptive limiters do not use table limits.
+        if (this._adaptive != null ||
+            tblRes.tableState !== TableState.ACTIVE) {
             return;
         }
 
         //special case for table with no limits
         if (tblRes.tableLimits == null) {
+            this._closeLimiters(this._rlMap.get(tblNameLower));
             this._rlMap.set(tblNameLower, { noLimits: true });
             return;
         }
@@ -116,12 +263,14 @@ class from module ${rl}`, client._config, err);
             //we store readUnits and writeUnits in ent to allow precise
             //integer comparsion in order to update the limiters
             //(see the else... clause below)
-            ent = {
+            ent = this._initSchedulers({
                 readUnits: tblRes.tableLimits.readUnits,
-                readRL: this._createLimiter(tblRes.tableLimits.readUnits),
+                readRL: this._createLimiter(tblRes.tableLimits.readUnits,
+                    this._storeKey('read', tblNameLower)),
                 writeUnits: tblRes.tableLimits.writeUnits,
-                writeRL: this._createLimiter(tblRes.tableLimits.writeUnits),
-            };
+                writeRL: this._createLimiter(tblRes.tableLimits.writeUnits,
+                    this._storeKey('write', tblNameLower)),
+            });
             this._rlMap.set(tblNameLower, ent);
         } else {
             if (ent.readUnits !== tblRes.tableLimits.readUnits) {
@@ -135,6 +284,28 @@ class from module ${rl}`, client._config, err);
         }
     }
 
+    _initSchedulers(ent) {
+        if (this._priorities != null) {
+            ent.readSched = new PriorityScheduler(ent.readRL,
+                this._priorities);
+            ent.writeSched = new PriorityScheduler(ent.writeRL,
+                this._priorities);
+        }
+        return ent;
+    }
+
+    //Adaptive limiters are created on the first operation on the table
+    //with the caps from RateLimiterConfig.adaptive.tableLimits, if any.
+    _createAdaptiveEnt(tblNameLower) {
+        const caps = this._adaptiveCaps.get(tblNameLower) || {};
+        const ent = this._initSchedulers({
+            readRL: this._createLimiter(caps.readUnits),
+            writeRL: this._createLimiter(caps.writeUnits)
+        });
+        this._rlMap.set(tblNameLower, ent);
+        return ent;
+    }
+
     //tblRes is undefined in case of error during getTable
     _updateLimiters(tblNameLower, tblRes) {
         _clearTimeout(this._rlUpdateMap.get(tblNameLower));
@@ -143,6 +314,10 @@ class from module ${rl}`, client._config, err);
             this._doUpdateLimiters(tblNameLower, tblRes);
         }
 
+        if (this._adaptive != null) {
+            return;
+        }
+
         //keep checking table limits at regular interval BG_CHECK_INTERVAL
         //if was not successful or if using multiple clients each using
         //portion of table limits (this._limiterRatio)
@@ -193,6 +368,9 @@ class from module ${rl}`, client._config, err);
 
         tblName = topTableName(tblName).toLowerCase();
         req._rlEnt = this._rlMap.get(tblName);
+        if (req._rlEnt == null && this._adaptive != null) {
+            req._rlEnt = this._createAdaptiveEnt(tblName);
+        }
         if (req._rlEnt != null) {
             //initialize rate limit delays to be computed later
             if (req._doesReads) {
@@ -206,9 +384,26 @@ class from module ${rl}`, client._config, err);
         }
     }
 
-    _createLimiter(units) {
+    _storeKey(kind, tblNameLower) {
+        return `${this._storeScope}:${kind}:${tblNameLower}`;
+    }
+
+    //The key identifies the limiter among the instances of
+    //SharedRateLimiter that share the same table limit.
+    _createLimiter(units, key) {
         let res;
-        if (this._maxBurstSecs != null) {
+        if (this._adaptive != null) {
+            assert(this._limiterCls === SimpleRateLimiter);
+            //The cap is not affected by rateLimiterPercent.
+            res = new AdaptiveRateLimiter(this._adaptive,
+                this._maxBurstSecs);
+            res.setLimit(units);
+            return res;
+        } else if (this._store != null) {
+            assert(this._limiterCls === SimpleRateLimiter);
+            res = new SharedRateLimiter(this._store, key, this._maxBurstSecs,
+                this._syncInterval);
+        } else if (this._maxBurstSecs != null) {
             assert(this._limiterCls === SimpleRateLimiter);
             res = new SimpleRateLimiter(this._maxBurstSecs);
         } else {
@@ -223,12 +418,17 @@ class from module ${rl}`, client._config, err);
             units : units * this._limiterRatio);
     }
 
+    //Adaptive rate limiting does not need table limits, so it is also
+    //supported on-premises.
     static rateLimitingEnabled(cfg) {
-        return cfg.serviceType != ServiceType.KVSTORE && cfg.rateLimiter;
+        return cfg.rateLimiter && (cfg.serviceType != ServiceType.KVSTORE ||
+            (cfg.rateLimiter.adaptive != null &&
+            cfg.rateLimiter.adaptive !== false));
     }
 
     close() {
         this._rlUpdateMap.forEach(val => _clearTimeout(val));
+        this._rlMap.forEach(ent => this._closeLimiters(ent));
     }
 
     updateLimiters(tblRes) {
@@ -244,9 +444,36 @@ class from module ${rl}`, client._config, err);
     initRequest(req) {
         req._doesReads = req._op.doesReads(req);
         req._doesWrites = req._op.doesWrites(req);
+        if (this._priorities != null) {
+            const priority = req.opt.priority != null ?
+                req.opt.priority : this._defPriority;
+            if (!this._priorities.has(priority)) {
+                throw new NoSQLArgumentError(
+                    `Invalid priority: ${priority}`, req);
+            }
+            req._priority = priority;
+        }
         this._setRLEnt(req);
     }
 
+    //With priorities, the units consumed on admission are accumulated over
+    //retries in req._rrlUnits and req._wrlUnits to be adjusted by the
+    //actual units in finishRequest().
+    async _acquire(req, rl, sched, unitsProp, timeout) {
+        if (sched == null) {
+            return rl.consumeUnits(0, timeout, false);
+        }
+        const res = await sched.acquire(req._priority, timeout);
+        req[unitsProp] = (req[unitsProp] || 0) + res.units;
+        return res.delay;
+    }
+
+    _release(req, rl, sched, units, unitsProp, timeout) {
+        return sched == null ? rl.consumeUnits(units, timeout, true) :
+            sched.release(req._priority, units, req[unitsProp] || 0,
+                timeout);
+    }
+
     async startRequest(req, timeout, totalTimeout, numRetries) {
         if (req._rlEnt == null || req._rlEnt.noLimits) {
             return;
@@ -256,20 +483,24 @@ class from module ${rl}`, client._config, err);
             if (req._doesReads) {
                 assert(req._rrlDelay != null);
                 startTime = Date.now();
-                req._rrlDelay += await req._rlEnt.readRL.consumeUnits(
-                    0, timeout, false);
+                req._rrlDelay += await this._acquire(req,
+                    req._rlEnt.readRL, req._rlEnt.readSched, '_rrlUnits',
+                    timeout);
             }
             if (req._doesWrites) {
                 assert(req._wrlDelay != null);
                 if (startTime) {
                     timeout = Math.max(startTime + timeout - Date.now(), 0);    
                 }
-                req._wrlDelay += await req._rlEnt.writeRL.consumeUnits(
-                    0, timeout, false);
+                req._wrlDelay += await this._acquire(req,
+                    req._rlEnt.writeRL, req._rlEnt.writeSched, '_wrlUnits',
+                    timeout);
             }
         } catch(err) {
             throw new NoSQLTimeoutError(totalTimeout, numRetries, req, err);
         }
+        //Used to compute the latency for adaptive limiters.
+        req._rlStartTime = Date.now();
     }
 
     async finishRequest(req, res, timeout) {
@@ -290,22 +521,39 @@ class from module ${rl}`, client._config, err);
             return;
         }
 
-        assert(res.consumedCapacity != null);
+        //Consumed capacity is not returned on-premises, in which case
+        //adaptive limiters count operations instead of units.
+        const cc = res.consumedCapacity;
+        assert(cc != null || this._adaptive != null);
+
+        if (this._adaptive != null && req._rlStartTime != null) {
+            const latency = Date.now() - req._rlStartTime;
+            if (req._doesReads) {
+                req._rlEnt.readRL.onLatency(latency);
+            }
+            if (req._doesWrites) {
+                req._rlEnt.writeRL.onLatency(latency);
+            }
+        }
 
         if (req._doesReads) {
             assert(req._rrlDelay != null);
-            res.consumedCapacity.readRateLimitDelay = req._rrlDelay;
-            res.consumedCapacity.readRateLimitDelay +=
-                await req._rlEnt.readRL.consumeUnits(
-                    res.consumedCapacity.readUnits, timeout, true);
+            const delay = req._rrlDelay + await this._release(req,
+                req._rlEnt.readRL, req._rlEnt.readSched,
+                cc != null ? cc.readUnits : 1, '_rrlUnits', timeout);
+            if (cc != null) {
+                cc.readRateLimitDelay = delay;
+            }
         }
         
         if (req._doesWrites) {
             assert(req._wrlDelay != null);
-            res.consumedCapacity.writeRateLimitDelay = req._wrlDelay;
-            res.consumedCapacity.writeRateLimitDelay +=
-                await req._rlEnt.writeRL.consumeUnits(
-                    res.consumedCapacity.writeUnits, timeout, true);
+            const delay = req._wrlDelay + await this._release(req,
+                req._rlEnt.writeRL, req._rlEnt.writeSched,
+                cc != null ? cc.writeUnits : 1, '_wrlUnits', timeout);
+            if (cc != null) {
+                cc.writeRateLimitDelay = delay;
+            }
         }
     }
 
@@ -320,6 +568,15 @@ class from module ${rl}`, client._config, err);
         } else if (err.errorCode === ErrorCode.WRITE_LIMIT_EXCEEDED) {
             req._doesWrites = true;
             req._rlEnt.writeRL.onThrottle(err);
+        } else if (err.errorCode === ErrorCode.SERVICE_UNAVAILABLE &&
+            this._adaptive != null) {
+            //The service may be overloaded by the operations of any kind.
+            if (req._doesReads) {
+                req._rlEnt.readRL.onThrottle(err);
+            }
+            if (req._doesWrites) {
+                req._rlEnt.writeRL.onThrottle(err);
+            }
         }
     }
 
@@ -0,0 +1,132 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const fsp = require('fs').promises;
+const path = require('path');
+const NoSQLArgumentError = require('../error').NoSQLArgumentError;
+
+//Encodes the key or instance id to be used as part of file name.  The dots
+//are encoded since they are used as separators.
+function _fileName(str) {
+    return encodeURIComponent(str).replace(/[.*]/g,
+        c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+async function _ignoreNotFound(promise) {
+    try {
+        return await promise;
+    } catch(err) {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+}
+
+/**
+ * @classdesc
+ * Cloud Service or Cloud Simulator only.
+ * <p>
+ * Implementation of {@link RateLimiterStore} that keeps the state of the
+ * shared rate limiters in files in the specified directory, which allows
+ * {@link NoSQLClient} instances in different processes on the same host to
+ * share table limits.  The state of each rate limiter instance is kept in a
+ * separate file that is only written by this instance, so no file locking
+ * is required.  The files of the instances that have left are removed by
+ * the remaining instances once they expire.
+ * @see {@link RateLimiterConfig}
+ */
+class FileRateLimiterStore {
+
+    /**
+     * Constructs an instance of FileRateLimiterStore.
+     * @param {string} dir Directory for the state files.  It is created if
+     * it does not exist
+     */
+    constructor(dir) {
+        if (typeof dir !== 'string' || !dir.length) {
+            throw new NoSQLArgumentError(
+                `Invalid rate limiter store directory: ${dir}`);
+        }
+        this._dir = dir;
+    }
+
+    _file(prefix, instanceId) {
+        return path.join(this._dir, prefix + _fileName(instanceId) +
+            '.json');
+    }
+
+    async _readState(file, now) {
+        let ent;
+        try {
+            ent = JSON.parse(await fsp.readFile(file, 'utf8'));
+        } catch(err) {
+            //The file may be removed or not yet renamed into place.
+            if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+                return undefined;
+            }
+            throw err;
+        }
+        if (ent == null || typeof ent.expires !== 'number' ||
+            ent.expires <= now) {
+            await _ignoreNotFound(fsp.unlink(file));
+            return undefined;
+        }
+        return ent.state;
+    }
+
+    /**
+     * Implements {@link RateLimiterStore#update}.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @param {RateLimiterState} state State of the rate limiter instance
+     * @param {number} ttl Time in milliseconds after which the state
+     * expires
+     * @returns {Promise} Promise of the array of the states of all instances
+     * of the shared rate limiter
+     */
+    async update(key, instanceId, state, ttl) {
+        const prefix = _fileName(key) + '.';
+        const file = this._file(prefix, instanceId);
+        const tmpFile = file + '.tmp';
+        await fsp.mkdir(this._dir, { recursive: true });
+        //Rename is atomic, so other instances never read partial file.
+        await fsp.writeFile(tmpFile, JSON.stringify({
+            state,
+            expires: Date.now() + ttl
+        }));
+        await fsp.rename(tmpFile, file);
+
+        const now = Date.now();
+        const res = [];
+        for(const name of await fsp.readdir(this._dir)) {
+            if (name.startsWith(prefix) && name.endsWith('.json')) {
+                const ent = await this._readState(
+                    path.join(this._dir, name), now);
+                if (ent != null) {
+                    res.push(ent);
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Implements {@link RateLimiterStore#remove}.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @returns {Promise} Promise resolved when the state is removed
+     */
+    async remove(key, instanceId) {
+        await _ignoreNotFound(fsp.unlink(this._file(_fileName(key) + '.',
+            instanceId)));
+    }
+
+}
+
+module.exports = FileRateLimiterStore;
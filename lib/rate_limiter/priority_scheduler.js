@@ -0,0 +1,135 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const NoSQLTimeoutError = require('../error').NoSQLTimeoutError;
+
+//Weight of the units consumed by the last operation in the estimate of
+//units per operation of the priority class.
+const EST_ALPHA = 0.2;
+
+//Initial estimate of units per operation.
+const DEF_EST = 1;
+
+//Used by RateLimiterClient when RateLimiterConfig.priorities is set to
+//schedule the operations of different priority classes on one table limiter
+//(read or write) using weighted fair queueing.  Each class has a queue of
+//waiting operations and a virtual time, which advances by the units
+//consumed by the class divided by its share.  The operations are admitted
+//one at a time, from the class that would have the smallest virtual time
+//after admitting its next operation.  Thus, when several classes are busy,
+//each gets at least its share of the limit, while the capacity not used by
+//some classes is available to the others.  Since the units consumed by the
+//operation are not known until it completes, on admission the limiter
+//consumes the estimated units (the moving average for the class), which
+//are adjusted by the difference with the actual units after the operation
+//completes.
+class PriorityScheduler {
+
+    //shares is a map of class name to its share, the shares add up to 1.
+    constructor(limiter, shares) {
+        this._limiter = limiter;
+        this._classes = new Map();
+        for(const [name, share] of shares) {
+            this._classes.set(name, {
+                share,
+                queue: [],
+                vtime: 0,
+                est: DEF_EST
+            });
+        }
+        this._vtime = 0;
+    }
+
+    _next() {
+        let res;
+        let minFinish;
+        for(const cls of this._classes.values()) {
+            if (!cls.queue.length) {
+                continue;
+            }
+            const finish = cls.vtime + cls.est / cls.share;
+            if (res == null || finish < minFinish) {
+                res = cls;
+                minFinish = finish;
+            }
+        }
+        return res;
+    }
+
+    async _run() {
+        this._running = true;
+        try {
+            let cls;
+            while((cls = this._next()) != null) {
+                const waiter = cls.queue.shift();
+                clearTimeout(waiter.timer);
+                const units = cls.est;
+                this._vtime = cls.vtime;
+                cls.vtime += units / cls.share;
+                let timeout = waiter.timeout;
+                if (timeout != null) {
+                    timeout = Math.max(waiter.start + timeout - Date.now(),
+                        0);
+                }
+                try {
+                    await this._limiter.consumeUnits(units, timeout, false);
+                } catch(err) {
+                    //The units were not consumed.
+                    cls.vtime -= units / cls.share;
+                    waiter.reject(err);
+                    continue;
+                }
+                waiter.resolve({ delay: Date.now() - waiter.start, units });
+            }
+        } finally {
+            this._running = false;
+        }
+    }
+
+    //Waits until the operation of the given class is admitted.  Returns the
+    //delay in milliseconds and the units consumed on admission, which
+    //should be passed to release() after the operation completes.
+    acquire(name, timeout) {
+        const cls = this._classes.get(name);
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, start: Date.now(), timeout };
+            if (timeout != null) {
+                waiter.timer = setTimeout(() => {
+                    const idx = cls.queue.indexOf(waiter);
+                    if (idx !== -1) {
+                        cls.queue.splice(idx, 1);
+                        reject(new NoSQLTimeoutError(`Rate limiter timed \
+out waiting ${timeout} ms for priority class ${name}`));
+                    }
+                }, timeout);
+            }
+            //The class that was idle does not get credit for the idle time.
+            if (!cls.queue.length && cls.vtime < this._vtime) {
+                cls.vtime = this._vtime;
+            }
+            cls.queue.push(waiter);
+            if (!this._running) {
+                this._run();
+            }
+        });
+    }
+
+    //Consumes the difference between the actual units consumed by the
+    //operation and the units consumed on its admission, which may be
+    //negative.  Returns the delay in milliseconds.
+    release(name, units, admitted, timeout) {
+        const cls = this._classes.get(name);
+        cls.vtime += (units - admitted) / cls.share;
+        cls.est += EST_ALPHA * (units - cls.est);
+        return this._limiter.consumeUnits(units - admitted, timeout, true);
+    }
+
+}
+
+module.exports = PriorityScheduler;
@@ -0,0 +1,161 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const SimpleRateLimiter = require('./simple_rate_limiter');
+
+//Default interval at which the state is exchanged with other instances.
+const DEF_SYNC_INTERVAL = 1000;
+
+//The state of the instance expires if it was not updated for this number
+//of sync intervals, which means that the instance has left.
+const TTL_INTERVALS = 3;
+
+//Portion of the limit divided equally between all instances regardless of
+//their demand, so that idle instances can start consuming units right away.
+const MIN_SHARE = 0.2;
+
+function _weight(state) {
+    return state != null && Number.isFinite(state.weight) &&
+        state.weight > 0 ? state.weight : 0;
+}
+
+//Rate limiter used by RateLimiterClient when RateLimiterConfig.store is
+//set.  It enforces the share of the limit allotted to this instance by
+//SimpleRateLimiter.  The instances of the same table limit in different
+//processes are identified by the key and exchange their state via the store
+//every sync interval.  The state is the weight of the instance, which is
+//the rate of units it consumed during the last interval.  If the instance
+//had to wait for the units, which means that its demand exceeds its share,
+//the share is added to the weight.  Each instance computes its share from
+//the weights of all live instances: MIN_SHARE of the limit is divided
+//equally and the rest is divided in proportion to the weights.  Because all
+//instances use the same states, the shares add up to the limit, and they
+//are rebalanced as the instances join, leave or change their demand.  If
+//the store is not available, the last known shares are used.
+class SharedRateLimiter {
+
+    constructor(store, key, maxBurstSecs, syncInterval = DEF_SYNC_INTERVAL) {
+        this._store = store;
+        this._key = key;
+        this._id = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+        this._syncInterval = syncInterval;
+        this._rl = new SimpleRateLimiter(maxBurstSecs);
+        this._used = 0;
+        this._waited = false;
+        this._weight = 0;
+        this._lastSync = Date.now();
+    }
+
+    _applyShare() {
+        if (this._limit == null) {
+            return;
+        }
+        const states = this._states != null && this._states.length ?
+            this._states : [ { weight: this._weight } ];
+        const total = states.reduce((sum, state) => sum + _weight(state), 0);
+        const ratio = MIN_SHARE / states.length + (1 - MIN_SHARE) *
+            (total > 0 ? this._weight / total : 1 / states.length);
+        this._share = this._limit * Math.min(ratio, 1);
+        this._rl.setLimit(this._share);
+    }
+
+    async _doSync() {
+        const now = Date.now();
+        const secs = Math.max(now - this._lastSync, 1) / 1000;
+        let weight = Math.max(this._used, 0) / secs;
+        if (this._waited && this._share != null) {
+            weight += this._share;
+        }
+        this._used = 0;
+        this._waited = false;
+        this._lastSync = now;
+        try {
+            const states = await this._store.update(this._key, this._id,
+                { weight }, this._syncInterval * TTL_INTERVALS);
+            this._weight = weight;
+            this._states = Array.isArray(states) ? states : undefined;
+        } catch {
+            //Rate limiting is best effort, so the errors of the store are
+            //ignored and the next sync is retried at the regular interval.
+        }
+        this._applyShare();
+    }
+
+    _sync() {
+        if (this._syncing == null && !this._closed) {
+            this._syncing = this._doSync().finally(() => {
+                this._syncing = null;
+            });
+        }
+        return this._syncing;
+    }
+
+    get share() {
+        return this._share;
+    }
+
+    //The first operation waits until the share is obtained from the store.
+    async consumeUnits(units, timeout, consumeOnTimeout) {
+        if (!this._ready) {
+            const start = Date.now();
+            await this._sync();
+            this._ready = true;
+            if (timeout != null) {
+                timeout = Math.max(timeout - (Date.now() - start), 0);
+            }
+        }
+        const res = await this._rl.consumeUnits(units, timeout,
+            consumeOnTimeout);
+        //Negative units are returned by PriorityScheduler.
+        this._used += units;
+        if (res > 0) {
+            this._waited = true;
+        }
+        return res;
+    }
+
+    setLimit(limit) {
+        if (!(limit > 0)) {
+            this._limit = null;
+            this._share = null;
+            this._rl.setLimit(limit);
+            return;
+        }
+        this._limit = limit;
+        if (this._timer == null) {
+            this._timer = setInterval(() => this._sync(),
+                this._syncInterval);
+            this._timer.unref();
+        }
+        this._applyShare();
+    }
+
+    onThrottle(err) {
+        this._waited = true;
+        this._rl.onThrottle(err);
+    }
+
+    //Called when the client is closed or the table is dropped.  The other
+    //instances will rebalance on their next sync.
+    close() {
+        if (this._timer != null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this._closed = true;
+        //Remove the state after the pending update, if any.
+        Promise.resolve(this._syncing)
+            .then(() => this._store.remove(this._key, this._id))
+            .catch(() => {});
+    }
+
+}
+
+module.exports = SharedRateLimiter;
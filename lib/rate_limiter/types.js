@@ -113,6 +113,21 @@
  * table's limits to each instance.  Although not optimal (not accounting for
  * overuse or underuse at a particular instance), this will allow correct
  * rate limiting of operations on multiple concurrent instances.
+ * Alternatively, you can set {@link RateLimiterConfig#store} to let the
+ * instances of the default rate limiter share each table's limits via a
+ * shared store and rebalance their shares according to their demand and as
+ * the instances join and leave, see {@link RateLimiterConfig}.
+ * <p>
+ * By default, all operations on a table compete equally for its limits.
+ * You can set {@link RateLimiterConfig#priorities} to reserve a share of
+ * each table's limits for each priority class of operations, such as
+ * interactive and batch, see {@link PriorityOpt}.
+ * <p>
+ * Alternatively to using table limits, you can set
+ * {@link RateLimiterConfig#adaptive} to let the default rate limiter learn
+ * the sustainable rate of each table from throttling errors and latency,
+ * which also allows rate limiting on-premises, see
+ * {@link AdaptiveRateLimiterConfig}.
  * <p>
  * As mentioned above, the driver provides a default rate limiter as
  * {@link SimpleRateLimiter} class, which you can use by setting
@@ -0,0 +1,71 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const ErrorCode = require('./error_code');
+const NoSQLError = require('./error').NoSQLError;
+
+//Limits the number of concurrent requests sent by HttpClient.  Requests
+//over the limit wait in FIFO queue of at most maxQueued requests and
+//requests that do not fit into the queue fail right away.  When the request
+//completes, its slot is passed directly to the first waiting request, so
+//the number of active requests only goes down when the queue is empty.
+class RequestQueue {
+
+    constructor(maxActive, maxQueued) {
+        this._maxActive = maxActive;
+        this._maxQueued = maxQueued;
+        this._active = 0;
+        this._queue = [];
+    }
+
+    get stats() {
+        return {
+            active: this._active,
+            queued: this._queue.length
+        };
+    }
+
+    //Waits for the slot for at most timeout ms and returns the time waited.
+    acquire(req, timeout) {
+        if (this._active < this._maxActive) {
+            this._active++;
+            return 0;
+        }
+        if (this._queue.length >= this._maxQueued) {
+            throw new NoSQLError(ErrorCode.REQUEST_QUEUE_FULL, `Request \
+queue is full with ${this._queue.length} requests waiting, the request was \
+not sent`, null, req);
+        }
+        const start = Date.now();
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => resolve(Date.now() - start)
+            };
+            waiter.timer = setTimeout(() => {
+                this._queue.splice(this._queue.indexOf(waiter), 1);
+                reject(new NoSQLError(ErrorCode.REQUEST_TIMEOUT, `Request \
+timed out after waiting ${timeout} ms in the request queue`, null, req));
+            }, timeout);
+            this._queue.push(waiter);
+        });
+    }
+
+    release() {
+        const waiter = this._queue.shift();
+        if (waiter != null) {
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+        } else {
+            this._active--;
+        }
+    }
+
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,314 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const isPlainObject = require('./utils').isPlainObject;
+
+//Row mappers created from the specifications passed in the options, so
+//that the same specification is not validated for every operation.
+const mapperCache = new WeakMap();
+
+//Table names are case-insensitive.  The table name of the query may or may
+//not include the namespace, so we look up the mapper by both.
+function _tableKeys(tableName) {
+    const key = tableName.toLowerCase();
+    const idx = key.indexOf(':');
+    return idx !== -1 ? [ key, key.substring(idx + 1) ] : [ key ];
+}
+
+//Converts field definitions in the JSON schema of the table or of the query
+//result into a map from lower-case field names to the field types.
+function _parseFields(fields) {
+    if (!Array.isArray(fields)) {
+        return undefined;
+    }
+    const res = new Map();
+    for(const field of fields) {
+        if (field != null && typeof field.name === 'string') {
+            res.set(field.name.toLowerCase(), _parseType(field));
+        }
+    }
+    return res;
+}
+
+function _parseType(type) {
+    if (type == null || typeof type.type !== 'string') {
+        return undefined;
+    }
+    return {
+        type: type.type.toUpperCase(),
+        fields: _parseFields(type.fields),
+        elem: _parseType(type.collection)
+    };
+}
+
+//Values received from the service already have the type of their field,
+//except for the values inside JSON fields and NUMBER values if dbNumber is
+//not configured.  Thus the value is only converted if its representation
+//does not match the field type.
+function _fromValue(val, type, mapper, dbNumber) {
+    if (val == null || typeof val === 'function') {
+        return val;
+    }
+    switch(type != null ? type.type : undefined) {
+    case 'TIMESTAMP':
+        if (typeof val === 'string' || typeof val === 'number') {
+            const date = new Date(val);
+            return isNaN(date.getTime()) ? val : date;
+        }
+        return val;
+    case 'NUMBER':
+        if (dbNumber != null && !dbNumber.isInstance(val) &&
+            (typeof val === 'number' || typeof val === 'string' ||
+            typeof val === 'bigint')) {
+            return dbNumber.create(typeof val === 'bigint' ?
+                val.toString() : val);
+        }
+        return val;
+    case 'ARRAY':
+        if (Array.isArray(val)) {
+            return val.map(elem => _fromValue(elem, type.elem, mapper,
+                dbNumber));
+        }
+        return val;
+    case 'MAP':
+        if (val instanceof Map) {
+            return new Map(Array.from(val, ([ key, elem ]) => [ key,
+                _fromValue(elem, type.elem, mapper, dbNumber) ]));
+        }
+        if (isPlainObject(val)) {
+            const res = {};
+            for(const [ key, elem ] of Object.entries(val)) {
+                res[key] = _fromValue(elem, type.elem, mapper, dbNumber);
+            }
+            return res;
+        }
+        return val;
+    case 'RECORD':
+        if (isPlainObject(val)) {
+            return mapper != null ?
+                mapper.fromRow(val, type.fields, dbNumber) :
+                _fromFields(val, type.fields, undefined, dbNumber);
+        }
+        return val;
+    default:
+        break;
+    }
+    //Without the schema, the nested mapper is applied to the objects and
+    //the arrays of objects.
+    if (mapper != null) {
+        if (Array.isArray(val)) {
+            return val.map(elem => _fromValue(elem, undefined, mapper,
+                dbNumber));
+        }
+        if (isPlainObject(val)) {
+            return mapper.fromRow(val, undefined, dbNumber);
+        }
+    }
+    return val;
+}
+
+function _fromFields(row, fields, mappers, dbNumber) {
+    const res = {};
+    for(const [ key, val ] of Object.entries(row)) {
+        const lwrKey = key.toLowerCase();
+        res[key] = _fromValue(val,
+            fields != null ? fields.get(lwrKey) : undefined,
+            mappers != null ? mappers.get(lwrKey) : undefined, dbNumber);
+    }
+    return res;
+}
+
+function _toValue(val, mapper) {
+    if (val == null || typeof val !== 'object' || Buffer.isBuffer(val) ||
+        val instanceof Date || val instanceof Map) {
+        return val;
+    }
+    if (Array.isArray(val)) {
+        return val.map(elem => _toValue(elem, mapper));
+    }
+    if (mapper != null && mapper._isInstance(val)) {
+        return mapper.toRow(val);
+    }
+    if (isPlainObject(val)) {
+        return _toFields(val);
+    }
+    //Other class instances, such as dbNumber values, are passed as is.
+    return typeof val.toRow === 'function' ? _toFields(val.toRow()) : val;
+}
+
+function _toFields(row, mappers) {
+    if (!isPlainObject(row)) {
+        return row;
+    }
+    const res = {};
+    for(const [ key, val ] of Object.entries(row)) {
+        res[key] = _toValue(val,
+            mappers != null ? mappers.get(key.toLowerCase()) : undefined);
+    }
+    return res;
+}
+
+//Converts query result rows and rows returned by get operation into
+//instances of the user class and class instances passed to put operations
+//back into plain rows.  The mapper is created from the specification that
+//is either the class itself or an object with the class, optional
+//fromRow() and toRow() functions and the mappers for nested record fields.
+//The conversion of the field values is driven by the schema when it is
+//available, see NoSQLClientImpl._mapRows().
+class RowMapper {
+
+    constructor(spec) {
+        if (typeof spec === 'function') {
+            spec = { type: spec };
+        } else if (spec == null || typeof spec !== 'object') {
+            throw new NoSQLArgumentError(`Invalid row mapper: ${spec}`);
+        }
+        for(const key of [ 'type', 'fromRow', 'toRow' ]) {
+            if (spec[key] != null && typeof spec[key] !== 'function') {
+                throw new NoSQLArgumentError(
+                    `Invalid row mapper ${key}: ${spec[key]}`);
+            }
+        }
+        if (spec.type != null && (spec.type.prototype == null ||
+            typeof spec.type.prototype !== 'object')) {
+            throw new NoSQLArgumentError(
+                `Row mapper type is not a class: ${spec.type}`);
+        }
+        if (spec.type == null && spec.fromRow == null) {
+            throw new NoSQLArgumentError(
+                'Row mapper must specify either type or fromRow');
+        }
+        if (spec.fields != null && !isPlainObject(spec.fields)) {
+            throw new NoSQLArgumentError(
+                `Invalid row mapper fields: ${spec.fields}`);
+        }
+        this._type = spec.type;
+        this._fromRow = spec.fromRow;
+        this._toRow = spec.toRow;
+        if (spec.fields != null) {
+            this._fields = new Map();
+            for(const [ key, val ] of Object.entries(spec.fields)) {
+                this._fields.set(key.toLowerCase(), RowMapper.create(val));
+            }
+        }
+    }
+
+    static create(spec) {
+        if (spec instanceof RowMapper) {
+            return spec;
+        }
+        if (spec == null || (typeof spec !== 'object' &&
+            typeof spec !== 'function')) {
+            return new RowMapper(spec);
+        }
+        let res = mapperCache.get(spec);
+        if (res == null) {
+            res = new RowMapper(spec);
+            mapperCache.set(spec, res);
+        }
+        return res;
+    }
+
+    //Validates Config.rowMappers and returns the map keyed by lower-case
+    //table names.
+    static createMap(rowMappers) {
+        if (!isPlainObject(rowMappers)) {
+            throw new NoSQLArgumentError(
+                `Invalid rowMappers value: ${rowMappers}`);
+        }
+        const res = new Map();
+        for(const [ tableName, spec ] of Object.entries(rowMappers)) {
+            res.set(tableName.toLowerCase(), RowMapper.create(spec));
+        }
+        return res;
+    }
+
+    //Returns the mapper for the operation.  The mapper in the options
+    //takes precedence over the mapper registered for the table, and null
+    //disables the mapping.
+    static forRequest(opt, tableName, rowMappers) {
+        if (opt != null && opt.rowMapper !== undefined) {
+            return opt.rowMapper !== null ?
+                RowMapper.create(opt.rowMapper) : undefined;
+        }
+        if (rowMappers == null || typeof tableName !== 'string') {
+            return undefined;
+        }
+        for(const key of _tableKeys(tableName)) {
+            const res = rowMappers.get(key);
+            if (res != null) {
+                return res;
+            }
+        }
+        return undefined;
+    }
+
+    //Returns the field types from the JSON schema of the table or of the
+    //query result, or undefined if the schema cannot be parsed.
+    static parseSchema(schema) {
+        if (typeof schema !== 'string') {
+            return undefined;
+        }
+        try {
+            return _parseFields(JSON.parse(schema).fields);
+        } catch {
+            return undefined;
+        }
+    }
+
+    //Converts the row passed to put operation if it is a class instance.
+    //Other values are returned as is to be rejected by the validation.
+    static toRow(row, opt, tableName) {
+        if (row == null || typeof row !== 'object' || isPlainObject(row) ||
+            Array.isArray(row) || row instanceof Map) {
+            return row;
+        }
+        //Options inherit Config._rowMappers, see Op.applyDefaults().
+        const mapper = RowMapper.forRequest(opt, tableName,
+            opt != null ? opt._rowMappers : undefined);
+        if (mapper != null && mapper._isInstance(row)) {
+            return mapper.toRow(row);
+        }
+        return typeof row.toRow === 'function' ? _toFields(row.toRow()) :
+            row;
+    }
+
+    _isInstance(obj) {
+        return this._type != null ? obj instanceof this._type :
+            this._toRow != null;
+    }
+
+    fromRow(row, fields, dbNumber) {
+        row = _fromFields(row, fields, this._fields, dbNumber);
+        if (this._fromRow != null) {
+            return this._fromRow(row);
+        }
+        if (typeof this._type.fromRow === 'function') {
+            return this._type.fromRow(row);
+        }
+        //The constructor is not called, since its parameters are not
+        //known.
+        return Object.assign(Object.create(this._type.prototype), row);
+    }
+
+    toRow(obj) {
+        let row;
+        if (this._toRow != null) {
+            row = this._toRow(obj);
+        } else if (typeof obj.toRow === 'function') {
+            row = obj.toRow();
+        } else {
+            row = Object.assign({}, obj);
+        }
+        return _toFields(row, this._fields);
+    }
+}
+
+module.exports = RowMapper;
@@ -0,0 +1,593 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const TTLUtil = require('./ttl_util');
+const isPosInt32 = require('./utils').isPosInt32;
+const isPosInt32OrZero = require('./utils').isPosInt32OrZero;
+
+const ID_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+//Optional namespace, followed by table name, which may be the name of a
+//child table.
+const TABLE_NAME_RE = new RegExp('^([A-Za-z][A-Za-z0-9_.]*:)?' +
+    '[A-Za-z][A-Za-z0-9_]*(\\.[A-Za-z][A-Za-z0-9_]*)*$');
+
+//Allows type names such as ARRAY(INTEGER) or RECORD(a INTEGER, b STRING),
+//but nothing that could terminate the declaration.
+const TYPE_RE = /^[A-Za-z][A-Za-z0-9_(), ]*$/;
+
+//Names of auto-generated variables are assigned after the statement is
+//rendered, so that they do not conflict with the names of named variables.
+const AUTO_VAR_PREFIX = 'p';
+const AUTO_VAR_RE = /\0(\d+)\0/g;
+
+//Alias of the table in the generated statements.
+const TABLE_ALIAS = 't';
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+//Infers the type in the variable declaration from the value.
+function _inferType(value) {
+    switch(typeof value) {
+    case 'string':
+        return 'STRING';
+    case 'boolean':
+        return 'BOOLEAN';
+    case 'number':
+        return Number.isSafeInteger(value) ? 'LONG' : 'DOUBLE';
+    case 'bigint':
+        return value >= INT64_MIN && value <= INT64_MAX ? 'LONG' : 'NUMBER';
+    default:
+        break;
+    }
+    if (value instanceof Date) {
+        return 'TIMESTAMP(9)';
+    }
+    if (Buffer.isBuffer(value)) {
+        return 'BINARY';
+    }
+    return 'JSON';
+}
+
+//Field step that is not a valid identifier is written as string literal.
+function _fieldStep(name) {
+    if (typeof name !== 'string' || !name.length || name.includes('\0')) {
+        throw new NoSQLArgumentError(`Invalid field name: ${name}`);
+    }
+    return ID_RE.test(name) ? name :
+        '"' + name.replace(/["\\]/g, '\\$&') + '"';
+}
+
+function _chkTableName(tableName) {
+    if (typeof tableName !== 'string' || !TABLE_NAME_RE.test(tableName)) {
+        throw new NoSQLArgumentError(`Invalid table name: ${tableName}`);
+    }
+    return tableName;
+}
+
+//Collects the variables used in the statement.
+class RenderContext {
+
+    constructor() {
+        this._vars = new Map();
+        this._autoParams = [];
+    }
+
+    var(param) {
+        if (param._name == null) {
+            let idx = this._autoParams.indexOf(param);
+            if (idx === -1) {
+                idx = this._autoParams.push(param) - 1;
+            }
+            return `\0${idx}\0`;
+        }
+        const prev = this._vars.get(param._name);
+        if (prev != null && prev !== param && (prev._value !== param._value ||
+            prev._type !== param._type)) {
+            throw new NoSQLArgumentError(`Variable $${param._name} is used \
+with different values or types`);
+        }
+        this._vars.set(param._name, param);
+        return '$' + param._name;
+    }
+
+    operand(val) {
+        if (val instanceof Path) {
+            return val._render(this);
+        }
+        return this.var(val instanceof Param ? val : new Param(null, val));
+    }
+
+    finish(sql) {
+        const names = [];
+        let cnt = 0;
+        for(const param of this._autoParams) {
+            let name;
+            do {
+                name = AUTO_VAR_PREFIX + ++cnt;
+            } while(this._vars.has(name));
+            this._vars.set(name, param);
+            names.push(name);
+        }
+        sql = sql.replace(AUTO_VAR_RE, (m, idx) => '$' + names[idx]);
+        const bindings = {};
+        let decl = '';
+        for(const [ name, param ] of this._vars) {
+            decl += `$${name} ${param._type}; `;
+            bindings['$' + name] = param._value;
+        }
+        return {
+            sql: decl ? `DECLARE ${decl}${sql}` : sql,
+            bindings
+        };
+    }
+}
+
+class Param {
+
+    constructor(name, value, type) {
+        if (name != null && (typeof name !== 'string' || !ID_RE.test(name))) {
+            throw new NoSQLArgumentError(`Invalid variable name: ${name}`);
+        }
+        if (value === undefined) {
+            throw new NoSQLArgumentError(`Missing value for variable \
+${name != null ? '$' + name : ''}`);
+        }
+        if (type != null && (typeof type !== 'string' ||
+            !TYPE_RE.test(type))) {
+            throw new NoSQLArgumentError(`Invalid variable type: ${type}`);
+        }
+        this._name = name != null ? name : null;
+        this._value = value;
+        this._type = type != null ? type : _inferType(value);
+    }
+
+    get name() {
+        return this._name;
+    }
+
+    get value() {
+        return this._value;
+    }
+
+    get type() {
+        return this._type;
+    }
+}
+
+//Path is immutable, each method returns a new path with the step added.
+class Path {
+
+    constructor(root, steps, alias) {
+        this._root = root;
+        this._steps = steps;
+        this._alias = alias;
+    }
+
+    static _parse(root, steps) {
+        const res = [];
+        for(const step of steps) {
+            if (typeof step !== 'string') {
+                throw new NoSQLArgumentError(`Invalid path step: ${step}`);
+            }
+            for(const name of step.split('.')) {
+                res.push(_fieldStep(name));
+            }
+        }
+        if (root === TABLE_ALIAS && !res.length) {
+            throw new NoSQLArgumentError('Missing path');
+        }
+        return new Path(root, res);
+    }
+
+    static from(val) {
+        return val instanceof Path ? val : this._parse(TABLE_ALIAS, [ val ]);
+    }
+
+    _add(step) {
+        return new Path(this._root, this._steps.concat(step));
+    }
+
+    field(name) {
+        return this._add(_fieldStep(name));
+    }
+
+    at(idx) {
+        if (!isPosInt32OrZero(idx)) {
+            throw new NoSQLArgumentError(`Invalid array index: ${idx}`);
+        }
+        return this._add(`[${idx}]`);
+    }
+
+    slice(from, to) {
+        if ((from != null && !isPosInt32OrZero(from)) ||
+            (to != null && !isPosInt32OrZero(to))) {
+            throw new NoSQLArgumentError(
+                `Invalid array slice: [${from}:${to}]`);
+        }
+        return this._add(`[${from != null ? from : ''}:\
+${to != null ? to : ''}]`);
+    }
+
+    //Filter condition is rendered with the rest of the statement.
+    elements(cond) {
+        if (cond != null && !(cond instanceof Condition)) {
+            throw new NoSQLArgumentError(
+                `Invalid array filter condition: ${cond}`);
+        }
+        return this._add(cond != null ? cond : '[]');
+    }
+
+    as(alias) {
+        if (typeof alias !== 'string' || !ID_RE.test(alias)) {
+            throw new NoSQLArgumentError(`Invalid alias: ${alias}`);
+        }
+        return new Path(this._root, this._steps, alias);
+    }
+
+    _render(ctx) {
+        let res = this._root;
+        for(const step of this._steps) {
+            if (step instanceof Condition) {
+                res += `[${step._render(ctx)}]`;
+            } else {
+                res += step.startsWith('[') ? step : '.' + step;
+            }
+        }
+        return res;
+    }
+
+    _renderField(ctx) {
+        const res = this._render(ctx);
+        return this._alias != null ? `${res} AS ${this._alias}` : res;
+    }
+}
+
+class Condition {
+
+    constructor(render) {
+        this._render = render;
+    }
+
+    static _from(cond) {
+        if (!(cond instanceof Condition)) {
+            throw new NoSQLArgumentError(`Invalid condition: ${cond}`);
+        }
+        return cond;
+    }
+
+    static compare(op, left, right) {
+        left = Path.from(left);
+        return new Condition(ctx =>
+            `${left._render(ctx)} ${op} ${ctx.operand(right)}`);
+    }
+
+    static logical(op, conds) {
+        if (!conds.length) {
+            throw new NoSQLArgumentError(`Missing conditions for ${op}`);
+        }
+        conds = conds.map(cond => this._from(cond));
+        return new Condition(ctx => conds.length === 1 ?
+            conds[0]._render(ctx) :
+            `(${conds.map(cond => cond._render(ctx)).join(` ${op} `)})`);
+    }
+}
+
+//Base class for statement builders.
+class StatementBuilder {
+
+    constructor(tableName, client) {
+        this._tableName = _chkTableName(tableName);
+        this._client = client;
+        this._where = [];
+    }
+
+    where(cond) {
+        this._where.push(Condition._from(cond));
+        return this;
+    }
+
+    _renderWhere(ctx) {
+        return this._where.length ? ' WHERE ' +
+            Condition.logical('AND', this._where)._render(ctx) : '';
+    }
+
+    _renderReturning(ctx) {
+        if (this._returning == null) {
+            return '';
+        }
+        return ' RETURNING ' + (this._returning.length ?
+            this._returning.map(p => p._renderField(ctx)).join(', ') : '*');
+    }
+
+    build() {
+        const ctx = new RenderContext();
+        return ctx.finish(this._render(ctx));
+    }
+
+    toString() {
+        return this.build().sql;
+    }
+
+    async prepare(opt) {
+        if (this._client == null) {
+            throw new NoSQLArgumentError(
+                'Statement builder is not associated with NoSQLClient');
+        }
+        const stmt = this.build();
+        const prepStmt = await this._client.prepare(stmt.sql, opt);
+        if (Object.keys(stmt.bindings).length) {
+            prepStmt.bindings = stmt.bindings;
+        }
+        return prepStmt;
+    }
+
+    //Options that are not set must not be present in the prepare options,
+    //otherwise they would not be inherited from the config.
+    async * queryIterable(opt) {
+        let prepOpt;
+        if (opt != null && typeof opt === 'object') {
+            prepOpt = {};
+            for(const key of [ 'compartment', 'namespace', 'timeout' ]) {
+                if (opt[key] !== undefined) {
+                    prepOpt[key] = opt[key];
+                }
+            }
+        }
+        const prepStmt = await this.prepare(prepOpt);
+        yield * this._client.queryIterable(prepStmt, opt);
+    }
+}
+
+class SelectBuilder extends StatementBuilder {
+
+    constructor(tableName, client) {
+        super(tableName, client);
+        this._fields = [];
+        this._orderBy = [];
+    }
+
+    fields(...fields) {
+        this._fields.push(...fields.map(f => Path.from(f)));
+        return this;
+    }
+
+    orderBy(field, direction) {
+        let dir = '';
+        if (direction != null) {
+            dir = typeof direction === 'string' ?
+                direction.toUpperCase() : null;
+            if (dir !== 'ASC' && dir !== 'DESC') {
+                throw new NoSQLArgumentError(
+                    `Invalid sort direction: ${direction}`);
+            }
+            dir = ' ' + dir;
+        }
+        const path = Path.from(field);
+        this._orderBy.push(ctx => path._render(ctx) + dir);
+        return this;
+    }
+
+    limit(limit) {
+        if (!isPosInt32(limit)) {
+            throw new NoSQLArgumentError(`Invalid limit: ${limit}`);
+        }
+        this._limit = limit;
+        return this;
+    }
+
+    offset(offset) {
+        if (!isPosInt32OrZero(offset)) {
+            throw new NoSQLArgumentError(`Invalid offset: ${offset}`);
+        }
+        this._offset = offset;
+        return this;
+    }
+
+    _render(ctx) {
+        let res = 'SELECT ' + (this._fields.length ?
+            this._fields.map(p => p._renderField(ctx)).join(', ') : '*') +
+            ` FROM ${this._tableName} ${TABLE_ALIAS}` +
+            this._renderWhere(ctx);
+        if (this._orderBy.length) {
+            res += ' ORDER BY ' + this._orderBy.map(f => f(ctx)).join(', ');
+        }
+        if (this._limit != null) {
+            res += ` LIMIT ${this._limit}`;
+        }
+        if (this._offset != null) {
+            res += ` OFFSET ${this._offset}`;
+        }
+        return res;
+    }
+}
+
+class UpdateBuilder extends StatementBuilder {
+
+    constructor(tableName, client) {
+        super(tableName, client);
+        this._clauses = [];
+    }
+
+    _addClause(clause, path, value) {
+        path = Path.from(path);
+        this._clauses.push(ctx => `${clause} ${path._render(ctx)}` +
+            (value !== undefined ? ' ' + value(ctx) : ''));
+        return this;
+    }
+
+    set(path, value) {
+        return this._addClause('SET', path,
+            ctx => '= ' + ctx.operand(value));
+    }
+
+    add(path, value, pos) {
+        if (pos != null && !isPosInt32OrZero(pos)) {
+            throw new NoSQLArgumentError(`Invalid array position: ${pos}`);
+        }
+        return this._addClause('ADD', path, ctx =>
+            (pos != null ? pos + ' ' : '') + ctx.operand(value));
+    }
+
+    put(path, value) {
+        return this._addClause('PUT', path, ctx => ctx.operand(value));
+    }
+
+    remove(path) {
+        return this._addClause('REMOVE', path);
+    }
+
+    setTTL(ttl) {
+        ttl = TTLUtil._validate(ttl);
+        //TTL of 0 means that the row does not expire.
+        const clause = ttl.days != null ?
+            `SET TTL ${ttl.days !== Infinity ? ttl.days : 0} DAYS` :
+            `SET TTL ${ttl.hours} HOURS`;
+        this._clauses.push(() => clause);
+        return this;
+    }
+
+    returning(...fields) {
+        this._returning = fields.map(f => Path.from(f));
+        return this;
+    }
+
+    _render(ctx) {
+        if (!this._clauses.length) {
+            throw new NoSQLArgumentError('Missing update clauses');
+        }
+        return `UPDATE ${this._tableName} ${TABLE_ALIAS} ` +
+            this._clauses.map(c => c(ctx)).join(', ') +
+            this._renderWhere(ctx) + this._renderReturning(ctx);
+    }
+}
+
+class DeleteBuilder extends StatementBuilder {
+
+    returning(...fields) {
+        this._returning = fields.map(f => Path.from(f));
+        return this;
+    }
+
+    _render(ctx) {
+        return `DELETE FROM ${this._tableName} ${TABLE_ALIAS}` +
+            this._renderWhere(ctx) + this._renderReturning(ctx);
+    }
+}
+
+//The methods of SQL do not use "this", so they can be destructured.
+class SQL {
+
+    static param(name, value, type) {
+        return new Param(name, value, type);
+    }
+
+    static path(...steps) {
+        return Path._parse(TABLE_ALIAS, steps);
+    }
+
+    static elem(...steps) {
+        return Path._parse('$element', steps);
+    }
+
+    static pos() {
+        return new Path('$pos', []);
+    }
+
+    static eq(left, right) {
+        return Condition.compare('=', left, right);
+    }
+
+    static ne(left, right) {
+        return Condition.compare('!=', left, right);
+    }
+
+    static lt(left, right) {
+        return Condition.compare('<', left, right);
+    }
+
+    static le(left, right) {
+        return Condition.compare('<=', left, right);
+    }
+
+    static gt(left, right) {
+        return Condition.compare('>', left, right);
+    }
+
+    static ge(left, right) {
+        return Condition.compare('>=', left, right);
+    }
+
+    static between(path, low, high) {
+        return Condition.logical('AND', [ Condition.compare('>=', path, low),
+            Condition.compare('<=', path, high) ]);
+    }
+
+    static inList(path, values) {
+        if (!Array.isArray(values) || !values.length) {
+            throw new NoSQLArgumentError(`Invalid values for IN: ${values}`);
+        }
+        path = Path.from(path);
+        return new Condition(ctx => `${path._render(ctx)} IN \
+(${values.map(val => ctx.operand(val)).join(', ')})`);
+    }
+
+    static exists(path) {
+        path = Path.from(path);
+        return new Condition(ctx => `EXISTS ${path._render(ctx)}`);
+    }
+
+    static isNull(path) {
+        path = Path.from(path);
+        return new Condition(ctx => `${path._render(ctx)} IS NULL`);
+    }
+
+    static isNotNull(path) {
+        path = Path.from(path);
+        return new Condition(ctx => `${path._render(ctx)} IS NOT NULL`);
+    }
+
+    static and(...conds) {
+        return Condition.logical('AND', conds);
+    }
+
+    static or(...conds) {
+        return Condition.logical('OR', conds);
+    }
+
+    static not(cond) {
+        cond = Condition._from(cond);
+        return new Condition(ctx => `NOT (${cond._render(ctx)})`);
+    }
+
+    static select(tableName) {
+        return new SelectBuilder(tableName);
+    }
+
+    static update(tableName) {
+        return new UpdateBuilder(tableName);
+    }
+
+    static deleteFrom(tableName) {
+        return new DeleteBuilder(tableName);
+    }
+}
+
+module.exports = {
+    SQL,
+    Param,
+    Path,
+    Condition,
+    StatementBuilder,
+    SelectBuilder,
+    UpdateBuilder,
+    DeleteBuilder
+};
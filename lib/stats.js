@@ -0,0 +1,237 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const apiName = require('./utils').apiName;
+
+//Default maximum number of latency samples kept for each statistics entry
+//to compute latency percentiles.
+const DEF_MAX_LATENCY_SAMPLES = 1024;
+
+const PERCENTILES = [ 50, 90, 95, 99 ];
+
+//Collects operation latencies.  To limit memory usage, percentiles are
+//computed from a uniform random sample (reservoir) of at most maxSamples
+//latencies, so they are exact only when the number of operations does not
+//exceed maxSamples.
+class LatencyCollector {
+
+    constructor(maxSamples) {
+        this._maxSamples = maxSamples;
+        this._samples = [];
+        this._count = 0;
+        this._sum = 0;
+        this._min = Infinity;
+        this._max = 0;
+    }
+
+    add(val) {
+        this._count++;
+        this._sum += val;
+        if (val < this._min) {
+            this._min = val;
+        }
+        if (val > this._max) {
+            this._max = val;
+        }
+        if (this._samples.length < this._maxSamples) {
+            this._samples.push(val);
+        } else {
+            const idx = Math.floor(Math.random() * this._count);
+            if (idx < this._maxSamples) {
+                this._samples[idx] = val;
+            }
+        }
+    }
+
+    snapshot() {
+        const res = {
+            min: this._count ? this._min : 0,
+            max: this._max,
+            avg: this._count ? this._sum / this._count : 0
+        };
+        const samples = this._samples.slice().sort((a, b) => a - b);
+        for(const p of PERCENTILES) {
+            //Nearest-rank method.
+            res['p' + p] = samples.length ?
+                samples[Math.ceil(p / 100 * samples.length) - 1] : 0;
+        }
+        return res;
+    }
+}
+
+//Statistics for the total, single operation type, single table or single
+//priority class.
+class StatsEntry {
+
+    constructor(maxSamples) {
+        this._count = 0;
+        this._errors = 0;
+        this._errorsByCode = {};
+        this._requests = 0;
+        this._retries = 0;
+        this._throttled = 0;
+        this._bytesSent = 0;
+        this._bytesReceived = 0;
+        this._readUnits = 0;
+        this._writeUnits = 0;
+        this._rateLimiterDelay = 0;
+        this._latency = new LatencyCollector(maxSamples);
+    }
+
+    add(tracker, latency, err, res) {
+        this._count++;
+        this._requests += tracker.requests;
+        if (tracker.requests > 1) {
+            this._retries += tracker.requests - 1;
+        }
+        this._throttled += tracker.throttled;
+        this._bytesSent += tracker.bytesSent;
+        this._bytesReceived += tracker.bytesReceived;
+        this._latency.add(latency);
+        if (err != null) {
+            this._errors++;
+            const code = err.errorCode != null ? err.errorCode.name :
+                err.name;
+            this._errorsByCode[code] = (this._errorsByCode[code] || 0) + 1;
+            return;
+        }
+        const cc = res != null ? res.consumedCapacity : null;
+        if (cc != null) {
+            this._readUnits += cc.readUnits || 0;
+            this._writeUnits += cc.writeUnits || 0;
+            this._rateLimiterDelay += (cc.readRateLimitDelay || 0) +
+                (cc.writeRateLimitDelay || 0);
+        }
+    }
+
+    snapshot() {
+        return {
+            count: this._count,
+            errors: this._errors,
+            errorsByCode: Object.assign({}, this._errorsByCode),
+            requests: this._requests,
+            retries: this._retries,
+            throttled: this._throttled,
+            bytesSent: this._bytesSent,
+            bytesReceived: this._bytesReceived,
+            readUnits: this._readUnits,
+            writeUnits: this._writeUnits,
+            rateLimiterDelay: this._rateLimiterDelay,
+            latency: this._latency.snapshot()
+        };
+    }
+}
+
+function snapshotMap(map) {
+    const res = {};
+    for(const [key, entry] of map) {
+        res[key] = entry.snapshot();
+    }
+    return res;
+}
+
+//Client-side statistics collected by HttpClient.  For each operation
+//executed by HttpClient.execute(), HttpClient accumulates the number of
+//requests, throttled requests and bytes sent and received in req._stats,
+//which are added to the statistics when the operation completes.
+class Stats {
+
+    constructor(cfg, client) {
+        this._maxSamples = cfg.maxLatencySamples != null ?
+            cfg.maxLatencySamples : DEF_MAX_LATENCY_SAMPLES;
+        this._reset(new Date());
+        if (cfg.interval != null) {
+            this._timer = setInterval(() => client.emit('stats',
+                this.snapshot(true)), cfg.interval);
+            //Do not prevent the application from exiting.
+            this._timer.unref();
+        }
+    }
+
+    _reset(startTime) {
+        this._startTime = startTime;
+        this._total = new StatsEntry(this._maxSamples);
+        this._ops = new Map();
+        this._tables = new Map();
+        this._priorities = new Map();
+    }
+
+    _entry(map, key) {
+        let entry = map.get(key);
+        if (entry == null) {
+            entry = new StatsEntry(this._maxSamples);
+            map.set(key, entry);
+        }
+        return entry;
+    }
+
+    _add(op, req, latency, err, res) {
+        const tracker = req._stats;
+        this._total.add(tracker, latency, err, res);
+        this._entry(this._ops, apiName(op, req)).add(tracker, latency, err,
+            res);
+        //The table name is known only if the request was validated.
+        const tableName = req._op === op ? op.getTableName(req, res) :
+            req.tableName;
+        if (typeof tableName === 'string') {
+            this._entry(this._tables, tableName).add(tracker, latency, err,
+                res);
+        }
+        //Priority class is set by RateLimiterClient if
+        //RateLimiterConfig.priorities is used.
+        if (req._priority != null) {
+            this._entry(this._priorities, req._priority).add(tracker,
+                latency, err, res);
+        }
+    }
+
+    //Collects statistics for the operation executed by fn().
+    async trackOperation(op, req, fn) {
+        req._stats = {
+            requests: 0,
+            throttled: 0,
+            bytesSent: 0,
+            bytesReceived: 0
+        };
+        const startTime = Date.now();
+        try {
+            const res = await fn();
+            this._add(op, req, Date.now() - startTime, null, res);
+            return res;
+        } catch(err) {
+            this._add(op, req, Date.now() - startTime, err);
+            throw err;
+        }
+    }
+
+    snapshot(reset) {
+        const endTime = new Date();
+        const res = {
+            startTime: this._startTime,
+            endTime,
+            total: this._total.snapshot(),
+            operations: snapshotMap(this._ops),
+            tables: snapshotMap(this._tables),
+            priorities: snapshotMap(this._priorities)
+        };
+        if (reset) {
+            this._reset(endTime);
+        }
+        return res;
+    }
+
+    close() {
+        if (this._timer != null) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = Stats;
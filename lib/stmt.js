@@ -9,6 +9,7 @@
 
 const isPosInt = require('./utils').isPosInt;
 const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const QueryExplanation = require('./query/explain');
 
 /**
  * Defines classes related to SQL statement and query execution such as
@@ -176,6 +177,22 @@ position: ${key}, exceeds total ${this._varNames.length}`);
         return this._schema;
     }
 
+    /**
+     * Returns structured representation of the execution plan of this
+     * prepared statement, including the plan executed by the driver for
+     * advanced queries.  It can be rendered as indented text or in DOT
+     * format.  See {@link QueryExplanation}.
+     * @example // Print the query plan.
+     * let prepStmt = await client.prepare(
+     *     'SELECT name, count(*) FROM Emp GROUP BY name',
+     *     { getQueryPlan: true });
+     * console.log(prepStmt.explain().toString());
+     * @returns {QueryExplanation} Query plan explanation
+     */
+    explain() {
+        return new QueryExplanation(this);
+    }
+
     /**
      * Returns a copy of this prepared statement without its variables.
      * <p>
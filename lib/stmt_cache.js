@@ -0,0 +1,128 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const ErrorCode = require('./error_code');
+const PreparedStatement = require('./stmt').PreparedStatement;
+
+//Errors returned when executing a prepared statement that indicate that the
+//table or index it was prepared against no longer exists, in which case the
+//statement has to be prepared again.
+function isStaleError(err) {
+    return err.errorCode === ErrorCode.TABLE_NOT_FOUND ||
+        err.errorCode === ErrorCode.INDEX_NOT_FOUND;
+}
+
+//Table names are case-insensitive and may be qualified by namespace.  Note
+//that we ignore the namespace when invalidating by table name, so that we
+//may invalidate more statements than necessary, but never less.
+function _tableKey(tableName) {
+    const idx = tableName.indexOf(':');
+    return (idx !== -1 ? tableName.substring(idx + 1) : tableName)
+        .toLowerCase();
+}
+
+//LRU cache of prepared statements used by NoSQLClientImpl, keyed by SQL
+//text, compartment and namespace.  Map iteration order is the insertion
+//order, so the least recently used entry is always the first one.  The
+//cached statements are never returned directly, only their copies made by
+//PreparedStatement.copyStatement(), so that the bindings set by different
+//queries are isolated.
+class StatementCache {
+
+    constructor(cfg) {
+        this._maxSize = cfg.maxSize;
+        this._map = new Map();
+        this._hits = 0;
+        this._misses = 0;
+        this._evictions = 0;
+        this._invalidations = 0;
+    }
+
+    static key(stmt, opt) {
+        //Options are validated later by the operation, so we do not assume
+        //their type here.
+        const compartment = opt != null ? opt.compartment : undefined;
+        const namespace = opt != null ? opt.namespace : undefined;
+        return `${compartment != null ? compartment : ''}\0\
+${namespace != null ? namespace : ''}\0${stmt}`;
+    }
+
+    get(key) {
+        const prepStmt = this._map.get(key);
+        if (prepStmt == null) {
+            this._misses++;
+            return undefined;
+        }
+        this._hits++;
+        //Move the entry to the end of the LRU order.
+        this._map.delete(key);
+        this._map.set(key, prepStmt);
+        const res = prepStmt.copyStatement();
+        //No capacity is consumed when the statement is taken from the cache.
+        if (res.consumedCapacity != null) {
+            res.consumedCapacity = {
+                readUnits: 0,
+                readKB: 0,
+                writeUnits: 0,
+                writeKB: 0
+            };
+        }
+        return res;
+    }
+
+    //The prepared statement returned by the query is a plain object, so we
+    //make it an instance of PreparedStatement.  The entry is a copy, so it
+    //does not share the bindings with the statement being put.
+    put(key, prepStmt) {
+        const entry = PreparedStatement.prototype.copyStatement.call(
+            prepStmt);
+        this._map.delete(key);
+        this._map.set(key, entry);
+        if (this._map.size > this._maxSize) {
+            this._map.delete(this._map.keys().next().value);
+            this._evictions++;
+        }
+    }
+
+    delete(key) {
+        if (this._map.delete(key)) {
+            this._invalidations++;
+        }
+    }
+
+    invalidateTable(tableName) {
+        if (typeof tableName !== 'string') {
+            return;
+        }
+        const tableKey = _tableKey(tableName);
+        for(const [ key, prepStmt ] of this._map) {
+            if (typeof prepStmt._tableName === 'string' &&
+                _tableKey(prepStmt._tableName) === tableKey) {
+                this._map.delete(key);
+                this._invalidations++;
+            }
+        }
+    }
+
+    get stats() {
+        return {
+            size: this._map.size,
+            maxSize: this._maxSize,
+            hits: this._hits,
+            misses: this._misses,
+            evictions: this._evictions,
+            invalidations: this._invalidations
+        };
+    }
+}
+
+module.exports = {
+    StatementCache,
+    isStaleError
+};
@@ -0,0 +1,195 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const apiName = require('./utils').apiName;
+const isThrottlingError = require('./utils').isThrottlingError;
+
+//Values of OpenTelemetry SpanKind and SpanStatusCode enumerations.  We
+//don't depend on @opentelemetry/api package, the tracer and the meter are
+//supplied by the application.
+const SPAN_KIND_INTERNAL = 0;
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+const DB_SYSTEM = 'oracle.nosql';
+
+const Metrics = {
+    OPERATION_DURATION: 'nosql.client.operation.duration',
+    REQUEST_DURATION: 'nosql.client.request.duration',
+    RETRIES: 'nosql.client.retries',
+    THROTTLED: 'nosql.client.throttled'
+};
+
+function errorType(err) {
+    return err.errorCode != null ? err.errorCode.name : err.name;
+}
+
+//Creates span and metrics attributes common to the operation and the
+//request (attempt) spans.
+function baseAttributes(op, req) {
+    const attrs = {
+        'db.system': DB_SYSTEM,
+        'db.operation.name': apiName(op, req),
+        'nosql.op': op.name
+    };
+    if (typeof req.tableName === 'string') {
+        attrs['db.collection.name'] = req.tableName;
+    }
+    return attrs;
+}
+
+function setError(span, err) {
+    span.recordException(err);
+    span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+    span.setAttribute('error.type', errorType(err));
+}
+
+//Optional OpenTelemetry-compatible instrumentation of HttpClient.  Creates
+//a span for each operation executed by HttpClient.execute() and a child
+//span for each request (attempt) sent to the service, and records latency
+//histograms, retry and throttling counters.
+class Telemetry {
+
+    constructor(cfg) {
+        this._tracer = cfg.tracer;
+        const meter = cfg.meter;
+        if (meter != null) {
+            this._opDuration = meter.createHistogram(
+                Metrics.OPERATION_DURATION, {
+                    description: 'Duration of NoSQL operations',
+                    unit: 'ms'
+                });
+            this._reqDuration = meter.createHistogram(
+                Metrics.REQUEST_DURATION, {
+                    description: 'Duration of individual requests to NoSQL \
+service, including retries',
+                    unit: 'ms'
+                });
+            this._retries = meter.createCounter(Metrics.RETRIES, {
+                description: 'Number of retried NoSQL requests'
+            });
+            this._throttled = meter.createCounter(Metrics.THROTTLED, {
+                description: 'Number of NoSQL requests that failed due to \
+throttling'
+            });
+        }
+    }
+
+    _startOpSpan(name, attrs, fn) {
+        const opt = { kind: SPAN_KIND_INTERNAL, attributes: attrs };
+        //Make the operation span active, if supported, so that the request
+        //spans are created as its children.
+        if (typeof this._tracer.startActiveSpan === 'function') {
+            return this._tracer.startActiveSpan(name, opt, fn);
+        }
+        return fn(this._tracer.startSpan(name, opt));
+    }
+
+    _setResult(span, client, req, res) {
+        span.setAttribute('nosql.serial_version', client.serialVersion);
+        span.setAttribute('nosql.retry_count', req._tmNumRetries);
+        const cc = res != null ? res.consumedCapacity : null;
+        if (cc == null) {
+            return;
+        }
+        span.setAttributes({
+            'nosql.read_units': cc.readUnits,
+            'nosql.write_units': cc.writeUnits,
+            'nosql.read_kb': cc.readKB,
+            'nosql.write_kb': cc.writeKB
+        });
+        if (cc.readRateLimitDelay != null || cc.writeRateLimitDelay != null) {
+            span.setAttribute('nosql.rate_limiter_delay',
+                (cc.readRateLimitDelay || 0) + (cc.writeRateLimitDelay || 0));
+        }
+    }
+
+    //Traces the operation executed by fn().
+    async traceOperation(client, op, req, fn) {
+        req._tmNumRetries = 0;
+        const attrs = baseAttributes(op, req);
+        const startTime = Date.now();
+        let status = 'ok';
+        const run = async span => {
+            try {
+                const res = await fn();
+                if (span != null) {
+                    this._setResult(span, client, req, res);
+                }
+                return res;
+            } catch(err) {
+                status = errorType(err);
+                if (span != null) {
+                    this._setResult(span, client, req);
+                    setError(span, err);
+                }
+                throw err;
+            } finally {
+                if (span != null) {
+                    span.end();
+                }
+                if (this._opDuration != null) {
+                    this._opDuration.record(Date.now() - startTime,
+                        Object.assign({}, attrs, { 'nosql.status': status }));
+                }
+            }
+        };
+        return this._tracer != null ?
+            this._startOpSpan(`nosql.${attrs['db.operation.name']}`, attrs,
+                run) :
+            run();
+    }
+
+    //Traces single request (attempt) of the operation executed by fn().
+    //numRetries is the number of the attempt, starting from 1.
+    async traceRequest(client, op, req, numRetries, fn) {
+        req._tmNumRetries = numRetries - 1;
+        const attrs = baseAttributes(op, req);
+        if (numRetries > 1 && this._retries != null) {
+            this._retries.add(1, attrs);
+        }
+        const span = this._tracer != null ? this._tracer.startSpan(
+            `nosql.${attrs['db.operation.name']}.request`, {
+                kind: SPAN_KIND_CLIENT,
+                attributes: Object.assign({ 'nosql.attempt': numRetries },
+                    attrs)
+            }) : null;
+        const startTime = Date.now();
+        let status = 'ok';
+        try {
+            const res = await fn();
+            if (span != null) {
+                this._setResult(span, client, req, res);
+            }
+            return res;
+        } catch(err) {
+            status = errorType(err);
+            if (isThrottlingError(err) && this._throttled != null) {
+                this._throttled.add(1, Object.assign({}, attrs,
+                    { 'error.type': status }));
+            }
+            if (span != null) {
+                setError(span, err);
+            }
+            throw err;
+        } finally {
+            if (span != null) {
+                span.end();
+            }
+            if (this._reqDuration != null) {
+                this._reqDuration.record(Date.now() - startTime,
+                    Object.assign({}, attrs, { 'nosql.status': status }));
+            }
+        }
+    }
+}
+
+Telemetry.Metrics = Metrics;
+
+module.exports = Telemetry;
@@ -31,7 +31,8 @@
  * <ul>
  * <li>To represent rows as objects, you may only use plain JavaScript
  * objects, that is object literals.  The driver will reject any class
- * instances</li>
+ * instances, unless they are converted to rows by a row mapper (see
+ * {@link RowMapperConfig}) or by their <em>toRow</em> method</li>
  * <li>You may also specify a valid JSON string as a row value, in which case
  * it will be parsed via <em>JSON.parse</em> and the result subjected to the
  * same validation as above</li>
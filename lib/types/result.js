@@ -336,6 +336,14 @@
  * {@link WriteMultipleResult}#results property will be undefined in this
  * case.  You may check for the success of the entire operation by whether
  * {@link WriteMultipleResult}#results is defined.
+ * <p>
+ * If <em>opt.autoSplit</em> was set, the result is merged from the results
+ * of all sub-batches.  In this case {@link WriteMultipleResult}#results is
+ * always defined and has undefined entries for operations in sub-batches
+ * that were aborted, {@link WriteMultipleResult}#failedOpIndex and
+ * {@link WriteMultipleResult}#failedOpResult refer to the first aborted
+ * sub-batch, if any, and {@link WriteMultipleResult}#failedOpIndexes lists
+ * all operations that were not applied.
  *
  * @see {@link NoSQLClient#writeMany}
  * @see {@link NoSQLClient#putMany}
@@ -359,6 +367,10 @@
  * @property {(PutResult|DeleteResult)} failedOpResult Result of failed sub
  * operation that resulted in the entire operation aborting.  Undefined if
  * the operation was successful
+ * @property {number[]} failedOpIndexes Only set if <em>opt.autoSplit</em> was
+ * set.  Sorted array of indexes of all sub operations that were not applied,
+ * either because they were unsuccessful or because their sub-batch was
+ * aborted
  */
 
 /**
@@ -406,6 +418,9 @@
  * instances, the array may be empty
  * @property {ContinuationKey} continuationKey Continuation key, or null if
  * there are no more results available
+ * @property {object} [queryProfile] Execution profile of the query, present
+ * only in the final result of the query executed with <em>opt.profile</em>
+ * set to true, see {@link NoSQLClient#query}
  */
 
 /**
@@ -11,6 +11,7 @@ const assert = require('assert');
 const fs = require('fs');
 const readline = require('readline');
 const NoSQLArgumentError = require('./error').NoSQLArgumentError;
+const ErrorCode = require('./error_code');
 
 //Test if integer is 32 bit signed integer.
 function isInt32(n) {
@@ -235,6 +236,63 @@ function replaceObject(dst, src) {
     return Object.assign(dst, src);
 }
 
+//Add consumed capacity of a sub-request to the total.
+function addConsumedCapacity(total, cc) {
+    for(const key in cc) {
+        if (typeof cc[key] === 'number') {
+            total[key] = (total[key] || 0) + cc[key];
+        }
+    }
+}
+
+//Field names are case-insensitive, so if the row does not have the field
+//with the exact name, we try to find it ignoring case.
+function getFieldValue(row, fieldName) {
+    if (fieldName in row) {
+        return row[fieldName];
+    }
+    const nameLwr = fieldName.toLowerCase();
+    for(const [key, val] of Object.entries(row)) {
+        if (key.toLowerCase() === nameLwr) {
+            return val;
+        }
+    }
+    return undefined;
+}
+
+//Returns string key that identifies the shard of the row or primary key
+//within the table hierarchy.  Operations that have the same shard key string
+//can be issued in the same writeMany request.  This only needs to be precise
+//in one direction: different shard key values should never produce the same
+//string (different representations of the same value may produce different
+//strings, resulting only in smaller sub-batches).
+function shardKeyString(tableName, shardKey, row) {
+    //Tables in the same hierarchy share the shard key.
+    const idx = tableName.lastIndexOf(':');
+    const topName = tableName.slice(0, idx + 1) +
+        topTableName(tableName.slice(idx + 1));
+    const vals = [ topName.toLowerCase() ];
+    for(const fieldName of shardKey) {
+        const val = getFieldValue(row, fieldName);
+        vals.push(val instanceof Date ? 'd' + val.getTime() :
+            (typeof val).charAt(0) + String(val));
+    }
+    return JSON.stringify(vals);
+}
+
+//Name of NoSQLClient method that issued the operation, used to report
+//tracing and statistics.
+function apiName(op, req) {
+    return req.api != null && req.api.name ? req.api.name : op.name;
+}
+
+//Whether the error indicates that the request was throttled.
+function isThrottlingError(err) {
+    return err.errorCode === ErrorCode.READ_LIMIT_EXCEEDED ||
+        err.errorCode === ErrorCode.WRITE_LIMIT_EXCEEDED ||
+        err.errorCode === ErrorCode.OPERATION_LIMIT_EXCEEDED;
+}
+
 module.exports = {
     isInt32,
     isPosInt,
@@ -256,5 +314,10 @@ module.exports = {
     topTableName,
     compare,
     sortMapEntries,
-    replaceObject
+    replaceObject,
+    addConsumedCapacity,
+    getFieldValue,
+    shardKeyString,
+    apiName,
+    isThrottlingError
 };
@@ -13,6 +13,7 @@
 import type { Config } from "../../config";
 import type { AuthConfig } from "../config";
 import type { IAMAuthorizationProvider } from "./auth_provider";
+import type { NoSQLClientEvents } from "../../events";
 
 /**
  * This type encapsulates credentials required for generating OCI request
@@ -610,6 +611,23 @@ export interface IAMConfig extends Partial<IAMCredentials> {
      */
     refreshAheadMs?: number|null;
 
+    /**
+     * If set to true, the driver will watch the files from which the
+     * credentials are loaded for changes, such as when the secrets mounted
+     * as files in Kubernetes are rotated.  These are the OCI configuration
+     * file ({@link configFile}) together with the private key file and the
+     * security token file it refers to, or {@link privateKeyFile}.  The
+     * files are checked every 5 seconds.  When any of them changes, the
+     * driver loads the new credentials, including the private key, and
+     * creates new request signature right away instead of using the cached
+     * one.  If the new credentials are missing or invalid, the driver keeps
+     * using the current credentials.  Each reload, successful or not, is
+     * reported by {@link NoSQLClientEvents#credentialsReload} event.  May
+     * only be set if the credentials are specified in one of these files.
+     * @defaultValue false
+     */
+    watchFiles?: boolean;
+
     /**
      * Timeout in milliseconds used for requests to the authorization server.
      * Currently this is only used with Instance Principal and OKE workload
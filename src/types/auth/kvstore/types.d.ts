@@ -6,6 +6,7 @@
  */
 
 import type { KVStoreAuthorizationProvider } from "./auth_provider";
+import type { NoSQLClientEvents } from "../../events";
 
 /**
  * This configuration is required to authenticate against secure On-Premises
@@ -89,6 +90,21 @@ export interface KVStoreAuthConfig {
      * token half way before its expiration time.
      */
     autoRenew?: boolean;
+
+    /**
+     * If set to true, the driver will watch the credentials file specified
+     * as {@link credentials} property for changes, such as when the secrets
+     * mounted as files in Kubernetes are rotated.  The file is checked
+     * every 5 seconds.  When it changes, the driver loads the new
+     * credentials and logs in again right away instead of waiting for the
+     * current authentication token to expire.  If loading the credentials
+     * or the login fails, the driver keeps using the current token.  Each
+     * reload, successful or not, is reported by
+     * {@link NoSQLClientEvents#credentialsReload} event.  May only be set
+     * if {@link credentials} is a file path.
+     * @defaultValue false
+     */
+    watchFiles?: boolean;
 }
 
 /**
@@ -6,19 +6,27 @@
  */
 
 import type { AgentOptions as HttpsAgentOptions } from "https";
-import type { ServiceType } from "./constants";
+import type { ServiceType, CircuitBreakerState } from "./constants";
 import type { CompletionOpt, TableDDLOpt, AdminDDLOpt } from "./opt";
-import type { Consistency } from "./constants";
+import type { Consistency, EndpointSelection } from "./constants";
 import type { Durability } from "./param";
 import type { Region } from "./region";
 import type { AuthConfig } from "./auth/config";
 import type { DBNumberConfig } from "./db_number";
 import type { RateLimiter, RateLimiterConstructor } from
     "./rate_limiter/rate_limiter";
+import type { RateLimiterConfig } from "./rate_limiter/shared_rate_limiter";
 import type { Operation } from "./param";
 import type { NoSQLClient } from "./nosql_client";
 import type { NoSQLError } from "./error";
 import type { IAMConfig } from "./auth/iam/types";
+import type { MemoryService } from "./memory_service";
+import type { Interceptor } from "./interceptor";
+import type { TelemetryConfig } from "./telemetry";
+import type { StatsConfig, ClientStats } from "./stats";
+import type { StatementCacheConfig, StatementCacheStats } from "./stmt";
+import type { RowMapper } from "./data";
+import type { NoSQLClientEvents } from "./events";
 
 /**
  * Configuration object passed to construct {@link NoSQLClient} instance.
@@ -60,11 +68,12 @@ export interface Config {
     /**
      * Type of service the driver will be using.  May be specified as either
      * {@link ServiceType} enumeration or string.  Currently supported values
-     * are {@link ServiceType.CLOUD}, {@link ServiceType.CLOUDSIM} and
-     * {@link ServiceType.KVSTORE}. Although this property is optional, it is
-     * recommended to specify it to avoid ambiguity. If not specified, in most
-     * cases the driver will deduce the service type from other information in
-     * {@link Config}.  See {@link ServiceType} for details.
+     * are {@link ServiceType.CLOUD}, {@link ServiceType.CLOUDSIM},
+     * {@link ServiceType.KVSTORE} and {@link ServiceType.MEMORY}. Although
+     * this property is optional, it is recommended to specify it to avoid
+     * ambiguity. If not specified, in most cases the driver will deduce the
+     * service type from other information in {@link Config}.  See
+     * {@link ServiceType} for details.
      */
     serviceType?: ServiceType | string;
 
@@ -109,6 +118,40 @@ export interface Config {
      */
     region?: Region|string;
 
+    /**
+     * On premise only. Endpoints of multiple proxy instances to use instead
+     * of single {@link endpoint}.  Each endpoint has the same format as
+     * {@link endpoint} and all endpoints must use the same protocol.  Each
+     * request is sent to one of the endpoints selected as specified by
+     * {@link endpointSelection}.  When a request to an endpoint fails with
+     * network error, the endpoint is excluded from the selection for
+     * {@link endpointEjectTimeout} milliseconds and the request is retried
+     * on another endpoint.  If all endpoints are excluded, the endpoint
+     * whose exclusion expires first is used.  When using kvstore
+     * authentication (see {@link AuthConfig#kvstore}), the driver logs in
+     * to each endpoint separately, as authentication tokens may be specific
+     * to a proxy instance.  You may specify only one of {@link endpoints},
+     * {@link endpoint} or {@link region}.
+     * @see {@link EndpointSelection}
+     */
+    endpoints?: (string|URL)[];
+
+    /**
+     * On premise only. Specifies how to select the endpoint for each request
+     * when {@link endpoints} is specified.  May be specified as either
+     * {@link EndpointSelection} enumeration or string.
+     * @defaultValue {@link EndpointSelection.ROUND_ROBIN}
+     */
+    endpointSelection?: EndpointSelection | string;
+
+    /**
+     * On premise only. Time in milliseconds during which an endpoint is
+     * excluded from the selection after a network error when
+     * {@link endpoints} is specified.
+     * @defaultValue 30000 (30 seconds)
+     */
+    endpointEjectTimeout?: number;
+
     /**
      * Timeout in for non-DDL operations in milliseconds.  Note that for
      * operations that are automatically retried, the timeout is cumulative
@@ -299,18 +342,22 @@ export interface Config {
     longAsBigInt?: boolean;
 
     /**
-     * For Cloud Service or Cloud Simulator only. Enables rate limiting
-     * based on table limits.  You may use default rate limiter provided by
+     * For Cloud Service or Cloud Simulator only, unless adaptive rate
+     * limiting is used (see {@link RateLimiterConfig#adaptive}).  Enables
+     * rate limiting based on table limits.  You may use default rate limiter provided by
      * the driver or supply a custom rate limiter.  Set this value to
      * <em>true</em> to use default rate limiter (see
      * {@link SimpleRateLimiter}). To use custom rate limiter, set this value
      * to the constructor function of your custom {@link RateLimiter} class.
      * Alternatively, provide a module name which exports the constructor
-     * function. If not specified or set to <em>false</em>, rate limiting is
-     * disabled.
+     * function.  To use default rate limiter with custom settings, such as
+     * to share table limits between multiple {@link NoSQLClient} instances,
+     * set this value to {@link RateLimiterConfig} object.  If not specified
+     * or set to <em>false</em>, rate limiting is disabled.
      * @see {@link RateLimiter}
+     * @see {@link RateLimiterConfig}
      */
-    rateLimiter?: boolean|RateLimiterConstructor|string;
+    rateLimiter?: boolean|RateLimiterConstructor|string|RateLimiterConfig;
 
     /**
      * For Cloud Service or Cloud Simulator only.  When rate limiting is
@@ -322,6 +369,107 @@ export interface Config {
      * @see {@link RateLimiter}
      */
     rateLimiterPercent?: number;
+
+    /**
+     * For {@link ServiceType.MEMORY} only. Instance of
+     * {@link MemoryService} that will execute the requests issued by this
+     * {@link NoSQLClient} instance.  Specify this property to share the
+     * tables between multiple {@link NoSQLClient} instances or to inject
+     * errors via {@link MemoryService#injectError}.  If not specified, new
+     * empty {@link MemoryService} instance is created for this
+     * {@link NoSQLClient} instance.  Properties {@link endpoint} and
+     * {@link region} may not be specified together with
+     * {@link ServiceType.MEMORY}.
+     * @see {@link MemoryService}
+     */
+    memoryService?: MemoryService;
+
+    /**
+     * Ordered chain of interceptors that may observe and modify the
+     * requests sent by this {@link NoSQLClient} instance and their results.
+     * See {@link Interceptor} for details.
+     * @see {@link Interceptor}
+     */
+    interceptors?: Interceptor[];
+
+    /**
+     * Enables tracing and metrics using the supplied OpenTelemetry-compatible
+     * tracer and/or meter.  If not specified, tracing and metrics are
+     * disabled.  See {@link TelemetryConfig} for details.
+     * @see {@link TelemetryConfig}
+     */
+    telemetry?: TelemetryConfig;
+
+    /**
+     * Enables collection of client-side statistics, such as operation
+     * counts, latencies, errors and retries, per operation type and per
+     * table.  Specify <em>true</em> to enable with default settings or
+     * {@link StatsConfig} object to customize them.  See
+     * {@link NoSQLClient#getStats}.
+     * @defaultValue false
+     * @see {@link StatsConfig}
+     * @see {@link ClientStats}
+     */
+    stats?: boolean | StatsConfig;
+
+    /**
+     * Enables the circuit breaker that makes operations fail fast while the
+     * service is unreachable or unavailable, instead of retrying each
+     * operation until its timeout.  Specify <em>true</em> to enable with
+     * default settings or {@link CircuitBreakerConfig} object to customize
+     * them.  See {@link CircuitBreakerConfig} for details.
+     * @defaultValue false
+     * @see {@link CircuitBreakerConfig}
+     */
+    circuitBreaker?: boolean | CircuitBreakerConfig;
+
+    /**
+     * Maximum number of requests this {@link NoSQLClient} instance sends to
+     * the service concurrently.  When this number is reached, subsequent
+     * requests wait in a FIFO queue until one of the requests in flight
+     * completes.  The time spent in the queue counts against the timeout of
+     * the operation (see {@link timeout}), and if the timeout expires while
+     * waiting, the operation fails with {@link NoSQLTimeoutError}.  Each
+     * retry of the operation is queued separately, so the requests waiting
+     * to be retried do not occupy the slots.  Must be a positive integer.
+     * If not specified, the number of concurrent requests is not limited.
+     * @see {@link maxQueuedRequests}
+     * @see {@link NoSQLClient#getRequestQueueStats}
+     */
+    maxConcurrentRequests?: number;
+
+    /**
+     * When {@link maxConcurrentRequests} is set, the maximum number of
+     * requests that may wait in the queue.  When the queue is full, new
+     * operations fail right away with {@link ErrorCode.REQUEST_QUEUE_FULL}.
+     * Must be a non-negative integer or <em>Infinity</em>.  If set to 0,
+     * operations fail when {@link maxConcurrentRequests} is reached.
+     * @defaultValue Infinity
+     */
+    maxQueuedRequests?: number;
+
+    /**
+     * Enables the cache of prepared statements for queries given as SQL
+     * text.  Specify <em>true</em> to enable with default settings or
+     * {@link StatementCacheConfig} object to customize them.  See
+     * {@link StatementCacheConfig} for details.
+     * @defaultValue false
+     * @see {@link StatementCacheConfig}
+     * @see {@link StatementCacheStats}
+     */
+    statementCache?: boolean | StatementCacheConfig;
+
+    /**
+     * Row mappers registered per table, keyed by table name.  The row
+     * mapper converts the rows of the table returned by get operations and
+     * SELECT queries into instances of user classes and the class instances
+     * passed to put operations back into rows.  Table names are
+     * case-insensitive.  The row mapper can be overridden for a particular
+     * operation using its <em>rowMapper</em> option.  See
+     * {@link RowMapperConfig} for details.
+     * @see {@link RowMapperConfig}
+     */
+    rowMappers?: { [tableName: string]: RowMapper };
 }
 
 /**
@@ -475,6 +623,76 @@ export interface RetryHandler {
         err: NoSQLError) => number);
 }
 
+/**
+ * Configuration of the circuit breaker, specified as
+ * {@link Config#circuitBreaker}.
+ * <p>
+ * The circuit breaker tracks the outcomes of requests sent by
+ * {@link NoSQLClient} instance, including retries.  A request is
+ * considered failed if it results in {@link ErrorCode.NETWORK_ERROR},
+ * {@link ErrorCode.SERVICE_UNAVAILABLE} or HTTP status 503 (Service
+ * Unavailable).  Any other outcome, successful or not, means that the
+ * service is responding.  The circuit breaker may be in one of the states
+ * described by {@link CircuitBreakerState}:
+ * <ul>
+ * <li>{@link CircuitBreakerState.CLOSED}: the requests are sent normally.
+ * When, among the last {@link windowSize} requests, the percentage of
+ * failed requests reaches {@link failureThreshold}, the circuit breaker
+ * opens.  The failure rate is not evaluated until at least
+ * {@link minRequests} requests have completed.</li>
+ * <li>{@link CircuitBreakerState.OPEN}: the operations fail fast with
+ * {@link ErrorCode.CIRCUIT_BREAKER_OPEN} without sending the requests.  The
+ * error that caused the circuit breaker to open is available as
+ * {@link NoSQLError#cause}.  After {@link openTimeout}, the circuit breaker
+ * becomes half-open.</li>
+ * <li>{@link CircuitBreakerState.HALF_OPEN}: up to {@link halfOpenRequests}
+ * trial requests are sent, while the other operations fail fast.  If all
+ * trial requests succeed, the circuit breaker closes.  If any of them
+ * fails, the circuit breaker opens again.</li>
+ * </ul>
+ * Each state change is emitted as
+ * {@link NoSQLClientEvents#circuitBreakerState} event.
+ * <p>
+ * Note that the state is kept per {@link NoSQLClient} instance.
+ * @see {@link Config#circuitBreaker}
+ */
+export interface CircuitBreakerConfig {
+    /**
+     * Percentage of failed requests in the sliding window at or above
+     * which the circuit breaker opens.  Must be > 0 and <= 100.
+     * @defaultValue 50
+     */
+    failureThreshold?: number;
+
+    /**
+     * Number of the most recent requests in the sliding window used to
+     * compute the failure rate.
+     * @defaultValue 20
+     */
+    windowSize?: number;
+
+    /**
+     * Minimum number of requests in the sliding window before the failure
+     * rate is evaluated.  Cannot be greater than {@link windowSize}.
+     * @defaultValue 10
+     */
+    minRequests?: number;
+
+    /**
+     * Time in milliseconds the circuit breaker stays open before allowing
+     * trial requests.
+     * @defaultValue 30000 (30 seconds)
+     */
+    openTimeout?: number;
+
+    /**
+     * Number of trial requests allowed in half-open state.  All of them must
+     * succeed for the circuit breaker to close.
+     * @defaultValue 1
+     */
+    halfOpenRequests?: number;
+}
+
 /**
  * Represents http or https connection options used for driver http requests.
  * These are the same options that can be passed to constructors of Node.js
@@ -9,7 +9,8 @@
  * Defines enumeration types and constants used by the driver.
  */
 
-import type { Config } from "./config";
+import type { Config, CircuitBreakerConfig } from "./config";
+import type { ErrorCode } from "./error_code";
 import type { AuthConfig } from "./auth/config";
 import type { IAMAuthorizationProvider } from "./auth/iam/auth_provider";
 import type { KVStoreAuthorizationProvider } from
@@ -19,14 +20,14 @@ import type { KVStoreAuthorizationProvider } from
  * Service type is specified in the initial configuration used to create
  * {@link NoSQLClient} instance and indicates what kind of service the
  * driver will be using.  Currently supported values are
- * {@link ServiceType.CLOUDSIM}, {@link ServiceType.CLOUD} and
- * {@link ServiceType.KVSTORE}.  In addition to {@link ServiceType}
- * enumeration, these values may be specified as strings "CLOUDSIM", "CLOUD"
- * or "KVSTORE", case-insensitive.  This is useful if using JSON configuration
- * file.  If {@link ServiceType} is not present in the initial configuration,
- * the driver will try to deduce service type from the
- * information provided in authorization property {@link Config#auth} (see
- * {@link AuthConfig}) in the following way:
+ * {@link ServiceType.CLOUDSIM}, {@link ServiceType.CLOUD},
+ * {@link ServiceType.KVSTORE} and {@link ServiceType.MEMORY}.  In addition to
+ * {@link ServiceType} enumeration, these values may be specified as strings
+ * "CLOUDSIM", "CLOUD", "KVSTORE" or "MEMORY", case-insensitive.  This is
+ * useful if using JSON configuration file.  If {@link ServiceType} is not
+ * present in the initial configuration, the driver will try to deduce
+ * service type from the information provided in authorization property
+ * {@link Config#auth} (see {@link AuthConfig}) in the following way:
  * <ul>
  * <li>If {@link Config#auth} is undefined or null, the service type is
  * determined as follows: if {@link Config#region} is specified, the service
@@ -80,7 +81,17 @@ export enum ServiceType {
      * @see {@link KVStoreAuthConfig}
      * @see {@page connect-on-prem.md}
      */
-    KVSTORE = "KVSTORE"
+    KVSTORE = "KVSTORE",
+
+    /**
+     * In-process emulator of Oracle NoSQL Database service, see
+     * {@link MemoryService}. No endpoint or authorization is used and the
+     * data is kept in memory. Intended for testing without a running Cloud
+     * Simulator or Proxy.
+     * @see {@link MemoryService}
+     * @see {@link Config#memoryService}
+     */
+    MEMORY = "MEMORY"
 }
 
 /**
@@ -205,3 +216,44 @@ export enum AdminState {
      */
     IN_PROGRESS = "IN_PROGRESS"
 }
+
+/**
+ * Describes the state of the circuit breaker, see
+ * {@link CircuitBreakerConfig}.
+ */
+export enum CircuitBreakerState {
+    /**
+     * Requests are sent to the service normally.  This is the initial state.
+     */
+    CLOSED = "CLOSED",
+
+    /**
+     * Requests fail fast with {@link ErrorCode.CIRCUIT_BREAKER_OPEN} without
+     * being sent to the service.
+     */
+    OPEN = "OPEN",
+
+    /**
+     * Limited number of trial requests are sent to the service to determine
+     * whether it has recovered, the rest fail fast.
+     */
+    HALF_OPEN = "HALF_OPEN"
+}
+
+/**
+ * On premise only.
+ * <p>
+ * Describes how the driver selects the proxy to send each request to when
+ * multiple endpoints are specified, see {@link Config#endpoints}.
+ */
+export enum EndpointSelection {
+    /**
+     * Endpoints are used in turn.  This is the default.
+     */
+    ROUND_ROBIN = "ROUND_ROBIN",
+
+    /**
+     * The endpoint with the fewest requests in progress is used.
+     */
+    LEAST_PENDING = "LEAST_PENDING"
+}
@@ -29,7 +29,8 @@ import type { ExtractByType, Expand } from "./type_utils";
  * <ul>
  * <li>To represent rows as objects, you may only use plain JavaScript
  * objects, that is object literals.  The driver will reject any class
- * instances</li>
+ * instances, unless they are converted to rows by a row mapper (see
+ * {@link RowMapperConfig}) or by their <em>toRow</em> method</li>
  * <li>You may also specify a valid JSON string as a row value, in which case
  * it will be parsed via <em>JSON.parse</em> and the result subjected to the
  * same validation as above</li>
@@ -352,3 +353,89 @@ export type RowKey<TRow> = Expand<Partial<ExtractByType<TRow, KeyField>>>;
 export type FieldValue = AtomicField | FieldValue[] |
     { [name: string]: FieldValue } | Map<string, FieldValue> |
     CustomFieldTypes[keyof CustomFieldTypes];
+
+/**
+ * Class of the objects that represent table rows or query results, used
+ * by {@link RowMapperConfig}.  The class may define static method
+ * <em>fromRow</em> that creates an instance from the row and instance
+ * method <em>toRow</em> that converts the instance back to the row.
+ * @typeParam T Type of the instances
+ */
+export type RowClass<T> = abstract new (...args: any[]) => T;
+
+/**
+ * Row mapper converts table rows and query results into instances of user
+ * classes on read and class instances back into rows on write.  Row mapper
+ * may be registered for a table in {@link Config#rowMappers} or specified
+ * per operation in {@link GetOpt#rowMapper}, {@link QueryOpt#rowMapper}
+ * and {@link PutIfOpt#rowMapper}.  The row mapper can be specified as this
+ * object or just as the class, in which case it is equivalent to
+ * specifying {@link type}.
+ * <p>
+ * On read, the row mapper converts the rows returned by
+ * {@link NoSQLClient#get} and by SELECT queries, including
+ * {@link NoSQLClient#queryIterable} and {@link NoSQLClient#queryStream}.
+ * Before the row is converted to the class instance, its field values are
+ * converted according to the schema: the values of <em>TIMESTAMP</em>
+ * fields are converted to <em>Date</em>, the values of <em>NUMBER</em>
+ * fields are converted to the number type configured by
+ * {@link Config#dbNumber} and the values of nested record fields that have
+ * their own mapper in {@link fields} are converted to the instances of the
+ * nested classes.  For queries, the schema is
+ * {@link PreparedStatement#resultSchema} if it was requested when
+ * preparing the query, otherwise it is the table schema, see
+ * {@link TableResult#schema}.  The table schema is retrieved once per table
+ * and retrieved again after a table DDL operation completes.  If the
+ * schema is not available, the nested mappers are applied to all nested
+ * objects and arrays of objects in the corresponding fields.
+ * <p>
+ * On write, class instances passed to {@link NoSQLClient#put},
+ * {@link NoSQLClient#putMany}, {@link NoSQLClient#writeMany} and other put
+ * operations are converted to rows using {@link toRow} function if
+ * specified, otherwise using the <em>toRow</em> method of the instance if
+ * defined, otherwise by copying own enumerable properties of the instance.
+ * Class instances that have <em>toRow</em> method are converted even if no
+ * row mapper applies to the operation.
+ * @typeParam T Type of the objects that represent the rows
+ * @see {@link RowMapper}
+ */
+export interface RowMapperConfig<T = any> {
+    /**
+     * The class to convert the rows into.  The instance is created by the
+     * static <em>fromRow</em> method of the class if defined, otherwise
+     * the instance is created without calling the constructor and the
+     * fields of the row are assigned to it.  Either this property or
+     * {@link fromRow} must be specified.
+     */
+    type?: RowClass<T>;
+
+    /**
+     * Mappers for the nested record fields, keyed by field name.  The
+     * match between the keys and field names is case-insensitive.
+     */
+    fields?: { [name: string]: RowMapper };
+
+    /**
+     * Function that creates the object from the row.  Takes precedence
+     * over {@link type} on read.
+     * @param row The row with the field values already converted as
+     * described in {@link RowMapperConfig}
+     * @returns The object representing the row
+     */
+    fromRow?: (row: AnyRow) => T;
+
+    /**
+     * Function that converts the object to the row on write.  If
+     * {@link type} is not specified, it is applied to all class instances
+     * passed to put operations.
+     * @param obj The object representing the row
+     * @returns The row
+     */
+    toRow?: (obj: T) => AnyRow;
+}
+
+/**
+ * Row mapper, specified as the class or as {@link RowMapperConfig}.
+ * @typeParam T Type of the objects that represent the rows
+ */
+export type RowMapper<T = any> = RowClass<T> | RowMapperConfig<T>;
@@ -8,6 +8,7 @@
 import type { ErrorCode } from "./error_code";
 import type { Operation } from "./param";
 import type { Config } from "./config";
+import type { WriteManyPartialResult } from "./result";
 
 /**
  * This is the base class for all errors returned by the driver.
@@ -96,6 +97,16 @@ export class NoSQLError extends Error {
      * @readonly
      */
     readonly operation?: Operation|Config;
+
+    /**
+     * Only set for the error of {@link NoSQLClient#writeMany},
+     * {@link NoSQLClient#putMany} or {@link NoSQLClient#deleteMany} with
+     * {@link AutoSplitOpt#autoSplit} enabled.  Contains the results of the
+     * sub-batches that completed before the error, which may have been
+     * applied, see {@link WriteManyPartialResult}.
+     * @readonly
+     */
+    readonly partialResult?: WriteManyPartialResult;
 }
 
 /**
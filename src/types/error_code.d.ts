@@ -9,7 +9,8 @@ import type { NoSQLError, NoSQLArgumentError, NoSQLTimeoutError,
     NoSQLNetworkError, NoSQLServiceError, NoSQLAuthorizationError,
     NoSQLQueryError } from "./error";
 import type { NoSQLClient } from "./nosql_client";
-import type { Config, RetryConfig, RetryHandler } from "./config";
+import type { Config, RetryConfig, RetryHandler, CircuitBreakerConfig }
+    from "./config";
 import type { AuthorizationProvider } from "./auth/config";
 import type { ServiceType } from "./constants";
 import type { TableResult } from "./result";
@@ -349,5 +350,26 @@ export enum ErrorCode {
      * @see {@link NoSQLClient#query}
      * @see {@link Config#maxMemoryMB}
      */
-    MEMORY_LIMIT_EXCEEDED = "MEMORY_LIMIT_EXCEEDED"
+    MEMORY_LIMIT_EXCEEDED = "MEMORY_LIMIT_EXCEEDED",
+
+    /**
+     * Indicates that the operation failed without being sent to the service
+     * because the circuit breaker is open, which happens after a large
+     * proportion of recent requests failed due to the service being
+     * unreachable or unavailable.  The original error that caused the
+     * circuit breaker to open is available as {@link NoSQLError#cause} of
+     * this error.  This error is not retryable.
+     * @see {@link CircuitBreakerConfig}
+     */
+    CIRCUIT_BREAKER_OPEN = "CIRCUIT_BREAKER_OPEN",
+
+    /**
+     * Indicates that the operation failed without being sent to the service
+     * because the number of concurrent requests reached
+     * {@link Config#maxConcurrentRequests} and the queue of waiting requests
+     * reached {@link Config#maxQueuedRequests}.  This error is not
+     * retryable.
+     * @see {@link NoSQLClient#getRequestQueueStats}
+     */
+    REQUEST_QUEUE_FULL = "REQUEST_QUEUE_FULL"
 }
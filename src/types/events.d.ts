@@ -6,10 +6,14 @@
  */
 
 import type { EventEmitter } from "stream";
-import type { TableState } from "./constants";
+import type { TableState, CircuitBreakerState } from "./constants";
 import type { NoSQLError } from "./error";
 import type { Operation } from "./param";
-import type { ConsumedCapacity } from "./result";
+import type { ConsumedCapacity, BulkPutProgress } from "./result";
+import type { ClientStats, StatsConfig } from "./stats";
+import type { Config, CircuitBreakerConfig } from "./config";
+import type { IAMConfig } from "./auth/iam/types";
+import type { KVStoreAuthConfig } from "./auth/kvstore/types";
 
 /**
  * This interface describes the events emitted by {@link NoSQLClient}
@@ -84,6 +88,72 @@ export interface NoSQLClientEvents {
      * {@link TableState}
      */
     tableState(tableName: string, tableState: TableState): void;
+
+    /**
+     * NoSQLClient progress event.
+     *
+     * Emitted by {@link NoSQLClient#bulkPut} after each request it issues
+     * completes.  Can be used to report the progress of the load and to
+     * store the checkpoint in order to resume the load if it is
+     * interrupted.
+     *
+     * @event
+     * @param {BulkPutProgress} progress Progress of the load, see
+     * {@link BulkPutProgress}
+     * @param {Operation} op Object describing {@link NoSQLClient#bulkPut}
+     * operation, see {@link Operation}
+     */
+    progress(progress: BulkPutProgress, op: Operation): void;
+
+    /**
+     * NoSQLClient stats event.
+     *
+     * Emitted periodically at the interval specified by
+     * {@link StatsConfig#interval} when statistics collection is enabled via
+     * {@link Config#stats}.  Delivers the statistics collected since the
+     * previous event, after which the statistics are reset.
+     *
+     * @event
+     * @param {ClientStats} stats Statistics snapshot, see
+     * {@link ClientStats}
+     */
+    stats(stats: ClientStats): void;
+
+    /**
+     * NoSQLClient circuitBreakerState event.
+     *
+     * Emitted when the state of the circuit breaker changes, if the circuit
+     * breaker is enabled via {@link Config#circuitBreaker}.  Can be used by
+     * health checks to detect that the service is unreachable or
+     * unavailable.  See {@link CircuitBreakerConfig}.
+     *
+     * @event
+     * @param {CircuitBreakerState} state New state of the circuit breaker,
+     * see {@link CircuitBreakerState}
+     * @param {CircuitBreakerState} prevState Previous state of the circuit
+     * breaker
+     * @param {NoSQLError} [err] When the circuit breaker opens, the error
+     * that caused it to open, otherwise <em>undefined</em>
+     */
+    circuitBreakerState(state: CircuitBreakerState,
+        prevState: CircuitBreakerState, err?: NoSQLError): void;
+
+    /**
+     * NoSQLClient credentialsReload event.
+     *
+     * Emitted after the driver reloads the credentials because the
+     * credentials files have changed, if enabled via
+     * {@link IAMConfig#watchFiles} or {@link KVStoreAuthConfig#watchFiles}.
+     * If the reload has failed, the driver keeps using the previous
+     * credentials until the files change again.
+     *
+     * @event
+     * @param {Array<string|Buffer>} files Credentials files that have
+     * changed
+     * @param {NoSQLError} [err] If the reload has failed, the error that
+     * caused the failure, otherwise <em>undefined</em>
+     */
+    credentialsReload(files: (string|Buffer)[], err?: NoSQLError): void;
 }
 
 declare module "nosql_client" {
@@ -0,0 +1,151 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import type { Config } from "./config";
+import type { Operation } from "./param";
+import type { NoSQLClient } from "./nosql_client";
+
+/**
+ * Context of the request passed to the methods of {@link Interceptor}.
+ * New context is created for each request sent to the service, including
+ * each retry of the operation, and the same context is passed to all the
+ * interceptor methods invoked for this request.  You may use the context
+ * to store additional information needed by the interceptor, e.g. the
+ * request start time, using your own properties.
+ */
+export interface InterceptorContext {
+    /**
+     * Name of the request type, such as "GetOp", "PutOp", "QueryOp" or
+     * "TableDDLOp".  Note that one {@link NoSQLClient} method may send
+     * requests of different types, e.g. {@link NoSQLClient#tableDDL} sends
+     * "TableDDLOp" request followed by "GetTableOp" requests to wait for
+     * the operation completion.
+     */
+    readonly opName: string;
+
+    /**
+     * {@link Operation} object describing the {@link NoSQLClient} method
+     * that issued this request.
+     */
+    readonly operation: Operation;
+
+    /**
+     * Options for this request.  Extends {@link Config}, same as
+     * {@link Operation#opt}.
+     */
+    readonly opt: object;
+
+    /**
+     * Serialized content of the request.  This is a copy, so modifying it
+     * does not affect the request sent to the service.
+     */
+    readonly content: Buffer;
+
+    /**
+     * Additional HTTP headers to send with the request.  Interceptors may
+     * add headers to this object in {@link Interceptor#onRequest}.  These
+     * headers are sent after the headers set by the driver, so they
+     * override the driver headers with the same name.  Not used with
+     * {@link ServiceType.MEMORY}.
+     */
+    headers: Record<string, string>;
+
+    /**
+     * You may add your own properties to the context.
+     */
+    [name: string]: any;
+}
+
+/**
+ * Interceptor is a middleware that may observe and modify requests sent by
+ * {@link NoSQLClient} to the service and their results.  Interceptors are
+ * specified as {@link Config#interceptors} array and form an ordered chain.
+ * Interceptors may be used to add custom HTTP headers, log the requests,
+ * cache results or inject faults for testing.
+ * <p>
+ * The interceptors are invoked for each request sent to the service,
+ * including each retry of the operation, after the request has been
+ * serialized and authorized.  For each request, {@link onRequest} methods
+ * of the interceptors are called in the order they appear in
+ * {@link Config#interceptors}, after which the request is sent.  Each
+ * interceptor wraps the subsequent interceptors, so {@link onResult} and
+ * {@link onError} methods are called in reverse order, after the result is
+ * deserialized or the error has occurred.
+ * <p>
+ * If {@link onRequest} returns a result, the request is not sent and the
+ * subsequent interceptors are not invoked.  Instead, the result is passed
+ * to {@link onResult} methods of this and the preceding interceptors.  Note
+ * that the result must have the same form as the result of the
+ * corresponding {@link NoSQLClient} method.  If {@link onRequest} throws an
+ * error, it is passed to {@link onError} methods of the preceding
+ * interceptors.  The final error is handled by the driver the same way as
+ * the error returned by the service, so throwing retryable error such as
+ * {@link NoSQLError} with {@link ErrorCode.READ_LIMIT_EXCEEDED} will cause
+ * the request to be retried.
+ * <p>
+ * All the methods are optional, but each interceptor must have at least one
+ * of them.  Each method may be sync or async.
+ *
+ * @example
+ * Adding custom header and logging.
+ * ```ts
+ * const client = new NoSQLClient({
+ *     region: Region.US_ASHBURN_1,
+ *     interceptors: [
+ *         {
+ *             onRequest: ctx => {
+ *                 ctx.headers["x-tenant-id"] = tenantId;
+ *                 ctx.startTime = Date.now();
+ *             },
+ *             onResult: ctx => {
+ *                 console.log(`${ctx.opName} took \
+ * ${Date.now() - ctx.startTime} ms`);
+ *             },
+ *             onError: (ctx, err) => {
+ *                 console.log(`${ctx.opName} failed: ${err.message}`);
+ *             }
+ *         }
+ *     ]
+ * });
+ * ```
+ * @see {@link Config#interceptors}
+ */
+export interface Interceptor {
+    /**
+     * Called before the request is sent to the service.  May modify
+     * {@link InterceptorContext#headers}.  To send the request, return
+     * <em>undefined</em>.  To skip sending the request, return the result
+     * for the operation.  May throw an error to fail the request.
+     * @param ctx Request context
+     * @returns <em>undefined</em> or the result for the operation, or
+     * Promise resolved with either of these
+     */
+    onRequest?(ctx: InterceptorContext): any;
+
+    /**
+     * Called with the result of the request.  To keep the result, return
+     * <em>undefined</em>.  To replace the result, return the new result.
+     * May throw an error to fail the request.
+     * @param ctx Request context
+     * @param res Result
+     * @returns <em>undefined</em> or the new result, or Promise resolved
+     * with either of these
+     */
+    onResult?(ctx: InterceptorContext, res: any): any;
+
+    /**
+     * Called with the error that occurred for the request.  To keep the
+     * error, return <em>undefined</em>.  To replace the error, return the
+     * new error.
+     * @param ctx Request context
+     * @param err Error
+     * @returns <em>undefined</em> or the new error, or Promise resolved
+     * with either of these
+     */
+    onError?(ctx: InterceptorContext, err: Error): Error | void |
+        Promise<Error | void>;
+}
@@ -0,0 +1,150 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import type { ErrorCode } from "./error_code";
+
+/**
+ * Names of operations of {@link MemoryService} used to restrict injected
+ * errors to particular operations, see {@link InjectedErrorOpt#op}.  Each
+ * name corresponds to the request sent by the respective method of
+ * {@link NoSQLClient}. Note that "put" and "delete" include conditional
+ * and <em>ifVersion</em> variants and "query" includes each call to
+ * {@link NoSQLClient#query} and each batch of
+ * {@link NoSQLClient#queryIterable} and {@link NoSQLClient#queryStream}.
+ */
+export type MemoryServiceOp = "get" | "put" | "delete" | "writeMany" |
+    "deleteRange" | "getTable" | "tableDDL" | "getIndexes" | "listTables" |
+    "prepare" | "query";
+
+/**
+ * Options passed to {@link MemoryService#injectError}.
+ */
+export interface InjectedErrorOpt {
+    /**
+     * Error code of the error, either {@link ErrorCode} enumeration constant
+     * or its name as a string, case-insensitive.  Any error code that may be
+     * returned by the service can be used, for example
+     * {@link ErrorCode.READ_LIMIT_EXCEEDED} or
+     * {@link ErrorCode.SERVICE_UNAVAILABLE}.  In addition,
+     * {@link ErrorCode.NETWORK_ERROR} may be used to simulate a failure to
+     * communicate with the service.  Other error codes generated only by
+     * the driver are not allowed.
+     */
+    errorCode: ErrorCode | string;
+
+    /**
+     * Error message.
+     * @defaultValue "Injected error" followed by the error code name.
+     */
+    message?: string;
+
+    /**
+     * Operation or array of operations for which the error is returned.
+     * If not specified, the error is returned for any operation.
+     */
+    op?: MemoryServiceOp | MemoryServiceOp[];
+
+    /**
+     * Table name, case-insensitive.  If specified, the error is only
+     * returned for operations on this table.
+     */
+    tableName?: string;
+
+    /**
+     * How many times the error is returned before it is removed, may be
+     * <em>Infinity</em> to return the error until
+     * {@link MemoryService#clearErrors} is called.  Note that retryable
+     * errors are retried by the driver, so each retry counts as a separate
+     * request.
+     * @defaultValue 1
+     */
+    count?: number;
+}
+
+/**
+ * @classdesc
+ * In-process emulator of Oracle NoSQL Database service, used with
+ * {@link ServiceType.MEMORY} to run applications and tests without a running
+ * Cloud Simulator or Proxy.
+ * <p>
+ * Requests are serialized and responses are deserialized by the driver in
+ * the same way as when communicating with the service over HTTP, so the
+ * driver code paths other than networking are exercised.  Tables and their
+ * data are kept in memory for the lifetime of the instance.  You may share
+ * one instance between several {@link NoSQLClient} instances by specifying
+ * it as {@link Config#memoryService}.
+ * <p>
+ * The following operations are supported: {@link NoSQLClient#get},
+ * {@link NoSQLClient#put} and its variants, {@link NoSQLClient#delete} and
+ * its variants, {@link NoSQLClient#writeMany} and its variants,
+ * {@link NoSQLClient#deleteRange}, {@link NoSQLClient#getTable},
+ * {@link NoSQLClient#tableDDL}, {@link NoSQLClient#setTableLimits},
+ * {@link NoSQLClient#getIndexes}, {@link NoSQLClient#listTables},
+ * {@link NoSQLClient#prepare} and queries.  DDL operations complete
+ * immediately.  Child tables are not supported.
+ * <p>
+ * Only SELECT queries on single table with WHERE clause containing
+ * equality conditions on all shard key fields (single-partition queries) are
+ * supported.  The queries may contain projections, comparison, logical and
+ * arithmetic operators, IN and BETWEEN, IS NULL, ORDER BY, LIMIT and OFFSET,
+ * but not function calls, aggregates, GROUP BY or updates.  Other
+ * operations and queries fail with
+ * {@link ErrorCode.OPERATION_NOT_SUPPORTED}.
+ * <p>
+ * Consumed capacity is returned, but it is only approximate and table limits
+ * are not enforced.  Use {@link MemoryService#injectError} to test handling
+ * of throttling and other errors.
+ *
+ * @example
+ * Using MemoryService in a test.
+ * ```ts
+ * const memService = new MemoryService();
+ * const client = new NoSQLClient({
+ *     serviceType: ServiceType.MEMORY,
+ *     memoryService: memService
+ * });
+ * await client.tableDDL("CREATE TABLE t(id INTEGER, name STRING, \
+ *     PRIMARY KEY(id))");
+ * memService.injectError({
+ *     errorCode: ErrorCode.WRITE_LIMIT_EXCEEDED,
+ *     op: "put",
+ *     count: 2
+ * });
+ * // Will succeed after 2 retries.
+ * await client.put("t", { id: 1, name: "abc" });
+ * ```
+ * @see {@link ServiceType.MEMORY}
+ * @see {@link Config#memoryService}
+ */
+export class MemoryService {
+    /**
+     * Creates new empty instance of the in-memory service.
+     */
+    constructor();
+
+    /**
+     * Injects an error to be returned by the service for subsequent
+     * requests, see {@link InjectedErrorOpt}.  If multiple injected errors
+     * match the request, the one injected first is returned.
+     * @param opt Error options
+     * @returns This instance
+     * @throws {NoSQLArgumentError} If the options are invalid
+     */
+    injectError(opt: InjectedErrorOpt): this;
+
+    /**
+     * Removes all injected errors.
+     * @returns This instance
+     */
+    clearErrors(): this;
+
+    /**
+     * Drops all tables and removes all injected errors.
+     * @returns This instance
+     */
+    clear(): this;
+}
@@ -6,19 +6,23 @@
  */
 
 import type { EventEmitter } from "events";
+import type { Readable, Writable } from "stream";
 import type { Config } from "./config";
 import type { TableDDLOpt, ModifyTableOpt, CompletionOpt, GetTableOpt,
     TableUsageOpt, GetIndexOpt, GetIndexesOpt, ListTablesOpt, GetOpt, PutOpt,
     PutIfOpt, DeleteOpt, DeleteIfOpt, MultiDeleteOpt, WriteMultipleOpt,
-    PutManyOpt, DeleteManyOpt, PrepareOpt, QueryOpt, AdminDDLOpt,
-    AdminStatusOpt, AdminListOpt, AddReplicaOpt, ReplicaStatsOpt }
+    PutManyOpt, DeleteManyOpt, BulkPutOpt, PrepareOpt, QueryOpt,
+    QueryStreamOpt, ParallelScanOpt, LocalQueryOpt, ExportOpt, ImportOpt,
+    AdminDDLOpt, AdminStatusOpt, AdminListOpt, AddReplicaOpt, ReplicaStatsOpt }
     from "./opt";
 import type { TableLimits, TableETag, DefinedTags, FreeFormTags,
     WriteOperation, RowVersion, Operation } from "./param";
 import type { TableResult, TableUsageResult, IndexInfo, ListTablesResult,
     GetResult, PutResult, DeleteResult, MultiDeleteResult,
-    WriteMultipleResult, QueryResult, AdminResult, UserInfo,
-    ReplicaStats, ReplicaStatsResult } from "./result";
+    WriteMultipleResult, QueryResult, QueryStream, ScanSegment, AdminResult,
+    UserInfo,
+    ReplicaStats, ReplicaStatsResult, BulkPutResult, ExportResult }
+    from "./result";
 import type { ServiceType, TableState, AdminState } from "./constants";
 import type { RowKey, AnyRow, AnyKey } from "./data";
 import type { PreparedStatement } from "./stmt";
@@ -28,6 +32,11 @@ import type { KVStoreAuthConfig } from "./auth/kvstore/types";
 import type { NoSQLError } from "./error";
 import type { NoSQLClientEvents } from "./events";
 import type { Region } from "./region";
+import type { ClientStats, StatsConfig, RequestQueueStats } from "./stats";
+import type { StatementCacheConfig, StatementCacheStats } from "./stmt";
+import type { SQL, StatementBuilder, SelectBuilder, UpdateBuilder,
+    DeleteBuilder }
+    from "./sql_builder";
 
 /**
  * Defines NoSQLClient, which is the point of access to the
@@ -188,6 +197,55 @@ export class NoSQLClient extends EventEmitter {
      */
     close(): Promise<void>;
 
+    /**
+     * Returns the snapshot of client-side statistics collected by this
+     * {@link NoSQLClient} instance.  The statistics are collected only if
+     * enabled via {@link Config#stats}.
+     * <p>
+     * The snapshot covers the period since this instance was created or
+     * since the statistics were last reset, either by calling this method
+     * with <em>reset</em> set to true or by emitting
+     * {@link NoSQLClientEvents#stats} event if {@link StatsConfig#interval}
+     * is specified.
+     * @example
+     * Finding the slowest table.
+     * ```ts
+     * const stats = client.getStats();
+     * const [ slowest ] = Object.entries(stats.tables)
+     *     .sort(([, s1], [, s2]) => s2.latency.p99 - s1.latency.p99);
+     * ```
+     * @param {boolean} [reset] If true, resets the statistics after taking
+     * the snapshot.  Defaults to false
+     * @returns {ClientStats|undefined} Statistics snapshot, see
+     * {@link ClientStats}, or <em>undefined</em> if statistics collection
+     * is not enabled
+     * @see {@link StatsConfig}
+     */
+    getStats(reset?: boolean): ClientStats | undefined;
+
+    /**
+     * Returns statistics of the prepared statement cache of this
+     * {@link NoSQLClient} instance, such as the number of cache hits and
+     * misses.  The cache is used only if enabled via
+     * {@link Config#statementCache}.
+     * @returns {StatementCacheStats|undefined} Statement cache statistics,
+     * see {@link StatementCacheStats}, or <em>undefined</em> if the cache is
+     * not enabled
+     * @see {@link StatementCacheConfig}
+     */
+    getStatementCacheStats(): StatementCacheStats | undefined;
+
+    /**
+     * Returns the current number of requests in flight and waiting in the
+     * queue, which may be used to make autoscaling decisions.  The queue is
+     * used only if enabled via {@link Config#maxConcurrentRequests}.
+     * @returns {RequestQueueStats|undefined} Request queue state, see
+     * {@link RequestQueueStats}, or <em>undefined</em> if the number of
+     * concurrent requests is not limited
+     * @see {@link Config#maxQueuedRequests}
+     */
+    getRequestQueueStats(): RequestQueueStats | undefined;
+
     /**
      * Obtains and caches authorization information in advance of performing
      * database operations.
@@ -941,6 +999,11 @@ export class NoSQLClient extends EventEmitter {
      * call to this API is 50.</li>
      * <li>The total request size is limited to 25MB.</li>
      * </ul>
+     * To write larger number of operations or operations with different
+     * shard keys, you may enable {@link AutoSplitOpt#autoSplit}, in which
+     * case the operations are split into multiple sub-batches and the
+     * operation as a whole is no longer atomic.
+     * <p>
      * The result of this operation is returned as
      * {@link WriteMultipleResult}.  On successful completion, it will store
      * array of the execution results of all sub operations.  If this
@@ -1073,6 +1136,115 @@ export class NoSQLClient extends EventEmitter {
      */
     deleteMany<TRow extends AnyRow>(tableName: string, keys: RowKey<TRow>[],
         opt?: DeleteManyOpt): Promise<WriteMultipleResult<TRow>>;
+
+    /**
+     * Writes rows from an iterable, async iterable or readable stream (in
+     * object mode) into a table.  This API is intended for loading large
+     * number of rows.
+     * <p>
+     * The rows are grouped by shard key and written by multiple
+     * {@link NoSQLClient#putMany} requests, with up to
+     * {@link BulkPutOpt#concurrency} requests in flight.  The input is read
+     * only as fast as the rows can be written, so it is not necessary to
+     * have all the rows in memory.  If rate limiting is enabled (see
+     * {@link Config#rateLimiter}), the requests are subject to the rate
+     * limiter for the table.
+     * <p>
+     * The load as a whole is not atomic.  Rows for which put operation was
+     * unsuccessful (see {@link BulkPutProgress#rowsFailed}) do not stop the
+     * load.  If any request fails with an error, no new requests are issued
+     * and the error is thrown after the requests in flight complete.  In
+     * this case, some of the rows may have already been written.
+     * <p>
+     * The progress of the load is reported via
+     * {@link NoSQLClientEvents#progress} event.  Each progress contains
+     * {@link BulkPutProgress#checkpoint} that can be used to resume the load
+     * after failure by passing it as {@link BulkPutOpt#checkpoint}.
+     * Alternatively, the checkpoint may be persisted automatically by
+     * specifying {@link BulkPutOpt#checkpointFile}.
+     * @example
+     * Loading rows from a file with one JSON row per line.
+     * ```ts
+     * async function* readRows(file) {
+     *     const lines = readline.createInterface({
+     *         input: fs.createReadStream(file)
+     *     });
+     *     for await (const line of lines) {
+     *         yield JSON.parse(line);
+     *     }
+     * }
+     *
+     * client.on('progress', progress => {
+     *     console.log(`${progress.rowsWritten} rows written`);
+     * });
+     * const res = await client.bulkPut('MyTable', readRows('rows.json'), {
+     *     concurrency: 8,
+     *     checkpointFile: 'rows.json.checkpoint'
+     * });
+     * ```
+     * @async
+     * @typeParam TRow Type of table row instance. Must include primary key
+     * fields. Defaults to {@link AnyRow}.
+     * @param {string} tableName Table name
+     * @param {Iterable<TRow>|AsyncIterable<TRow>} rows Rows to put
+     * @param {BulkPutOpt} [opt] Options object, see {@link BulkPutOpt}
+     * @returns {Promise} Promise of {@link BulkPutResult}
+     * @see {@link putMany}
+     */
+    bulkPut<TRow extends AnyRow>(tableName: string,
+        rows: Iterable<TRow>|AsyncIterable<TRow>, opt?: BulkPutOpt):
+        Promise<BulkPutResult>;
+
+    /**
+     * Exports all rows of a table to a writable stream in one of the formats
+     * described in {@link ExportFormat}.  The rows are read using
+     * {@link NoSQLClient#queryIterable}.
+     * <p>
+     * In addition to the rows, the export header is written that contains
+     * table schema, table DDL and indexes, see {@link ExportOpt#headerFile}.
+     * The header allows {@link NoSQLClient#import} to convert the values to
+     * the column types and to recreate the table, possibly using a different
+     * service.
+     * @example
+     * Copying a table between two services.
+     * ```ts
+     * await srcClient.export('MyTable', fs.createWriteStream('t.json'));
+     * await dstClient.import('MyTable', fs.createReadStream('t.json'),
+     *     { createTable: true });
+     * ```
+     * @async
+     * @param {string} tableName Table name
+     * @param {Writable} output Writable stream to write the rows to
+     * @param {ExportOpt} [opt] Options object, see {@link ExportOpt}
+     * @returns {Promise} Promise of {@link ExportResult}
+     * @see {@link import}
+     */
+    export(tableName: string, output: Writable, opt?: ExportOpt):
+        Promise<ExportResult>;
+
+    /**
+     * Imports rows written by {@link NoSQLClient#export} into a table.  The
+     * input may be a readable stream or an iterable or async iterable of
+     * strings or Buffers.  The rows are written using
+     * {@link NoSQLClient#bulkPut} (which uses {@link NoSQLClient#putMany}),
+     * so all of its options and considerations apply, including
+     * {@link NoSQLClientEvents#progress} events and resuming the import from
+     * a checkpoint.
+     * <p>
+     * Optionally, the table and its indexes may be created before importing
+     * the rows, see {@link ImportOpt#createTable}.
+     * @async
+     * @param {string} tableName Table name
+     * @param {Readable|Iterable|AsyncIterable} input Input to read the rows
+     * from
+     * @param {ImportOpt} [opt] Options object, see {@link ImportOpt}
+     * @returns {Promise} Promise of {@link BulkPutResult}
+     * @see {@link export}
+     * @see {@link bulkPut}
+     */
+    import(tableName: string,
+        input: Readable|Iterable<string|Buffer>|AsyncIterable<string|Buffer>,
+        opt?: ImportOpt): Promise<BulkPutResult>;
     
     /**
      * Prepares a query for execution and reuse. See {@link NoSQLClient#query}
@@ -1190,6 +1362,238 @@ export class NoSQLClient extends EventEmitter {
     queryIterable<TRow extends AnyRow>(stmt: string|PreparedStatement,
         opt?: QueryOpt): AsyncIterable<QueryResult<TRow>>;
 
+    /**
+     * Returns query results as an object-mode Node.js <em>Readable</em>
+     * stream of records.  Unlike {@link NoSQLClient#queryIterable}, which
+     * returns each batch of results as {@link QueryResult}, each chunk read
+     * from the stream is a single record, so the stream can be passed
+     * directly to <em>pipeline()</em> or consumed with <em>for-await-of</em>
+     * loop.
+     * <p>
+     * The query is started when the data is first read from the stream.
+     * The next batch of results is fetched from the service only when the
+     * rows of the previous batch have been consumed (subject to
+     * {@link QueryStreamOpt#highWaterMark}), so that a slow consumer pauses
+     * the query.  If the query fails, the stream is destroyed with
+     * {@link NoSQLError}, which is emitted as <em>error</em> event of the
+     * stream.
+     * <p>
+     * The capacity consumed by the query is available as
+     * {@link QueryStream#consumedCapacity} and is final when the stream
+     * ends.
+     * <p>
+     * All other considerations described in {@link NoSQLClient#query} apply
+     * when using this API.
+     * @example
+     * Writing query results to a file as newline-delimited JSON.
+     * ```ts
+     * const stream = client.queryStream('SELECT * FROM orders');
+     * await pipeline(stream,
+     *     async function*(rows) {
+     *         for await (const row of rows) {
+     *             yield JSON.stringify(row) + '\n';
+     *         }
+     *     },
+     *     fs.createWriteStream('orders.json'));
+     * console.log(stream.consumedCapacity);
+     * ```
+     * @typeParam TRow Type that represent the shape of query result record.
+     * This may be different from the shape of table row. Defaults to
+     * {@link AnyRow}
+     * @param {string|PreparedStatement} stmt Query statement, same as for
+     * {@link NoSQLClient#query}
+     * @param {QueryStreamOpt} [opt] Options object, see
+     * {@link QueryStreamOpt}
+     * @returns {QueryStream} Readable stream of query result records, see
+     * {@link QueryStream}
+     * @see {@link NoSQLClient#query}
+     */
+    queryStream<TRow extends AnyRow>(stmt: string|PreparedStatement,
+        opt?: QueryStreamOpt): QueryStream<TRow>;
+
+    /**
+     * Splits a query into {@link ParallelScanOpt#segments} independent
+     * segments that can be processed concurrently, such as by a pool of
+     * workers.  The work is split by shard: the shards of the store are
+     * distributed among the segments and each segment executes the query on
+     * its shards, one shard at a time.  If there are more segments than
+     * shards, some segments will not return any results.
+     * <p>
+     * The service allows executing a query on a specific shard only for the
+     * queries that scan all shards and return the results of each shard
+     * sorted, such as queries that use <em>ORDER BY</em> on the fields of a
+     * secondary index that is not a multi-key index, e.g.
+     * <em>SELECT * FROM orders ORDER BY created</em> with index on
+     * <em>created</em>.  Other queries executed entirely by the service,
+     * including the full table scan when the table name is given, cannot be
+     * split and can only be executed with a single segment, which is useful
+     * to resume the scan with {@link ScanSegment#continuationKey}.  Use
+     * {@link PreparedStatement#explain} to check the query plan: the query
+     * is split if the plan consists of a single receive step with
+     * distribution kind <em>ALL_SHARDS</em> and sort fields.
+     * <p>
+     * Each returned {@link ScanSegment} is an async iterable of
+     * {@link QueryResult} that can be iterated over using
+     * <em>for-await-of</em> loop, same as the iterable returned by
+     * {@link NoSQLClient#queryIterable}.  The statement is prepared once,
+     * when any of the segments is first iterated over.
+     * <p>
+     * The progress of each segment is available as
+     * {@link ScanSegment#continuationKey}, which is a plain object that can
+     * be saved as JSON or passed to a worker thread.  If processing of the
+     * segment fails, iterating over the same segment again continues the
+     * scan from the last batch of results that has not been fully
+     * processed, so the rows in this batch may be returned again.  To
+     * resume the scan in a different {@link NoSQLClient} instance or a
+     * different process, pass the saved continuation keys as
+     * {@link ParallelScanOpt#continuationKeys}.
+     * <p>
+     * Queries that require processing of the results by the driver other
+     * than merging the sorted results of the shards, such as grouping,
+     * aggregation, duplicate elimination, <em>OFFSET</em> or
+     * <em>LIMIT</em>, will result in {@link NoSQLArgumentError} when
+     * iterating over the segments.  So will the queries that cannot be
+     * split when more than one segment is requested, or if the service does
+     * not provide the topology information.  Note that the rows of
+     * different shards are not merged, so the rows of each segment are
+     * sorted only within each shard.
+     * @example
+     * Processing table rows by 4 concurrent workers.
+     * ```ts
+     * const segments = client.parallelScan(
+     *     'SELECT * FROM orders ORDER BY created', { segments: 4 });
+     * await Promise.all(segments.map(async segment => {
+     *     for await(const res of segment) {
+     *         // Do something with res.rows
+     *     }
+     * }));
+     * ```
+     * @typeParam TRow Type that represent the shape of query result record.
+     * This may be different from the shape of table row. Defaults to
+     * {@link AnyRow}
+     * @param {string|PreparedStatement} tableNameOrStmt Name of the table
+     * to scan, SQL query string or a prepared query represented as
+     * {@link PreparedStatement}, see {@link NoSQLClient#prepare}
+     * @param {ParallelScanOpt} opt Options object, see
+     * {@link ParallelScanOpt}
+     * @returns {ScanSegment[]} Array of segments, see {@link ScanSegment}
+     * @throws {NoSQLArgumentError} If the options are invalid or the table
+     * name is given with more than one segment
+     */
+    parallelScan<TRow extends AnyRow>(
+        tableNameOrStmt: string|PreparedStatement,
+        opt: ParallelScanOpt): ScanSegment<TRow>[];
+
+    /**
+     * Executes the driver part of the query plan of the prepared statement
+     * over the supplied rows instead of the results received from the
+     * service.  No requests are sent to the service.  This allows to
+     * re-sort, re-group, re-aggregate or limit the rows already available to
+     * the application, such as the combined results of several
+     * {@link NoSQLClient#query} calls, with the same semantics as used by
+     * the driver for the query results, including the ordering of NULL and
+     * EMPTY values and the numeric type promotion.
+     * <p>
+     * The statement must be prepared by {@link NoSQLClient#prepare} and
+     * must have the driver query plan, see
+     * {@link PreparedStatement#explain}.  Only the steps of the driver part
+     * of the plan are executed.  The supplied rows are passed to the plan in
+     * place of its receive step (<em>RECV</em>), so the steps of the server
+     * part of the plan are not applied to them.  In particular, the
+     * <em>WHERE</em> clause is not evaluated and the rows are not filtered,
+     * and any projection performed by the server part is not applied.  Use
+     * this API only for the rows that already satisfy the query conditions.
+     * <p>
+     * The rows must have the shape of the results of the server part of the
+     * plan, which is the shape of the query results only for some queries.
+     * For queries with aggregate functions, the server part returns partial
+     * aggregates for each shard that the driver part combines.  E.g. partial
+     * values of <em>count</em> and <em>sum</em> are added up, so the results
+     * of the query can be aggregated again, but for <em>avg</em> the server
+     * part returns partial sum and count instead of the average, so the
+     * results of such query cannot be used as the input.  Use
+     * {@link PreparedStatement#explain} to see the columns expected by the
+     * driver part of the plan.
+     * <p>
+     * Because the supplied rows are not sorted, if the receive step requires
+     * sorted input, all rows are read and sorted before being passed to the
+     * rest of the plan.  If the receive step performs duplicate elimination,
+     * it is done by the same primary key fields.  Any bind variables must be
+     * set in the prepared statement, same as for {@link NoSQLClient#query}.
+     * @example
+     * Re-grouping the results of the same query executed with different
+     * bind variables.  Note that all results of each query are collected
+     * using {@link NoSQLClient#queryIterable}, because one call to
+     * {@link NoSQLClient#query} may return only a part of the results.
+     * ```ts
+     * const prepStmt = await client.prepare(
+     *     'DECLARE $city STRING; SELECT dept, count(*) AS cnt, ' +
+     *     'sum(salary) AS total FROM Emp WHERE city = $city GROUP BY dept');
+     * const rows = [];
+     * for(const city of [ 'Boston', 'Chicago' ]) {
+     *     prepStmt.set('$city', city);
+     *     for await(const res of client.queryIterable(prepStmt)) {
+     *         rows.push(...res.rows);
+     *     }
+     * }
+     * const totals = await client.queryLocal(prepStmt, rows);
+     * ```
+     * @typeParam TRow Type that represent the shape of query result record.
+     * Defaults to {@link AnyRow}
+     * @param {PreparedStatement} prepStmt Prepared statement, see
+     * {@link NoSQLClient#prepare}
+     * @param {Iterable|AsyncIterable} rows Array, iterable or async
+     * iterable of the input rows
+     * @param {LocalQueryOpt} [opt] Options object, see
+     * {@link LocalQueryOpt}
+     * @returns {Promise} Promise of the array of query result records
+     * @throws {NoSQLArgumentError} If the prepared statement does not have
+     * the driver query plan or the rows or the options are invalid
+     * @throws {NoSQLQueryError} If the query plan cannot be executed over
+     * the supplied rows, such as if the memory exceeds
+     * {@link LocalQueryOpt#maxMemoryMB}
+     */
+    queryLocal<TRow extends AnyRow>(prepStmt: PreparedStatement,
+        rows: Iterable<AnyRow>|AsyncIterable<AnyRow>,
+        opt?: LocalQueryOpt): Promise<TRow[]>;
+
+    /**
+     * Creates builder of SELECT statement for the table.  The builder
+     * generates SQL text with declared variables for all values used in
+     * the statement and can prepare and execute the statement using this
+     * instance, see {@link StatementBuilder}.
+     * @example
+     * ```ts
+     * const { eq, param } = SQL;
+     * const prepStmt = await client.select("Emp")
+     *     .where(eq("address.city", param("city", "Boston")))
+     *     .prepare();
+     * ```
+     * @param {string} tableName Table name
+     * @returns {SelectBuilder} Statement builder
+     * @throws {NoSQLArgumentError} If the table name is invalid
+     * @see {@link SQL}
+     */
+    select(tableName: string): SelectBuilder;
+
+    /**
+     * Creates builder of UPDATE statement for the table, see
+     * {@link NoSQLClient#select}.
+     * @param {string} tableName Table name
+     * @returns {UpdateBuilder} Statement builder
+     * @throws {NoSQLArgumentError} If the table name is invalid
+     */
+    update(tableName: string): UpdateBuilder;
+
+    /**
+     * Creates builder of DELETE statement for the table, see
+     * {@link NoSQLClient#select}.
+     * @param {string} tableName Table name
+     * @returns {DeleteBuilder} Statement builder
+     * @throws {NoSQLArgumentError} If the table name is invalid
+     */
+    deleteFrom(tableName: string): DeleteBuilder;
+
     /**
      * On-premise only.
      * <p>
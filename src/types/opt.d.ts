@@ -7,11 +7,14 @@
 
 import type { TableLimits, TableETag, DefinedTags, FreeFormTags, Durability,
     FieldRange, RowVersion, TimeToLive, MultiDeleteContinuationKey,
-    QueryContinuationKey } from "./param";
+    QueryContinuationKey, BulkPutCheckpoint, ScanContinuationKey }
+    from "./param";
 import type { Config } from "./config";
 import type { NoSQLClient } from "./nosql_client";
 import type { Consistency } from "./constants";
 import type { Region } from "./region";
+import type { RowMapper } from "./data";
+import type { RateLimiterConfig } from "./rate_limiter/shared_rate_limiter";
 
 /**
  * Cloud service only. Base option to specify compartment.
@@ -116,6 +119,23 @@ export interface TimeoutOpt {
      timeout?: number;
 }
 
+/**
+ * Cloud Service or Cloud Simulator only.  Base option to specify priority
+ * class of the operation for rate limiting.
+ */
+export interface PriorityOpt {
+    /**
+     * Priority class of the operation, which must be one of the classes in
+     * {@link RateLimiterConfig#priorities}, e.g. <em>"interactive"</em> or
+     * <em>"batch"</em>.  Determines the share of table limits available to
+     * the operation when operations of several classes wait for the rate
+     * limiter, see {@link RateLimiterConfig}.  Ignored if rate limiting is
+     * not enabled or {@link RateLimiterConfig#priorities} is not set.
+     * @defaultValue {@link RateLimiterConfig#defaultPriority}
+     */
+    priority?: string;
+}
+
 /**
  * Options passed to {@link NoSQLClient#getTable}.
  */
@@ -251,7 +271,15 @@ export interface ConsistencyOpt {
  * Options passed to {@link NoSQLClient#get}.
  */
 export interface GetOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
-    ConsistencyOpt {}
+    ConsistencyOpt, PriorityOpt {
+    /**
+     * Row mapper to convert the returned row, see {@link RowMapperConfig}.
+     * Overrides the row mapper registered for the table in
+     * {@link Config#rowMappers}.  Specify <em>null</em> to return the row
+     * as plain object.
+     */
+    rowMapper?: RowMapper | null;
+}
 
 /**
  * On-premises only. Base option to specify durability.
@@ -271,7 +299,7 @@ export interface DurabilityOpt {
  * {@link NoSQLClient#putIfPresent} and {@link NoSQLClient#putIfVersion}.
  */
 export interface PutIfOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
-    DurabilityOpt {
+    DurabilityOpt, PriorityOpt {
     /**
      * If set to true, existing row, its version and modification time will be
      * returned as part of {@link PutResult} under conditions described in
@@ -313,6 +341,13 @@ export interface PutIfOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
      * @defaultValue If not set, the DDL identity CACHE value is used.
      */
     identityCacheSize?: number;
+
+    /**
+     * Row mapper to convert the class instance passed as the row, see
+     * {@link RowMapperConfig}.  Overrides the row mapper registered for the
+     * table in {@link Config#rowMappers}.
+     */
+    rowMapper?: RowMapper | null;
 }
 
 /**
@@ -345,7 +380,7 @@ export interface PutOpt extends PutIfOpt {
  * Options passed to {@link NoSQLClient#deleteIfVersion}.
  */
 export interface DeleteIfOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
-    DurabilityOpt {
+    DurabilityOpt, PriorityOpt {
     /**
      * If set to true, existing row, its version and modification time will be
      * returned as part of {@link DeleteResult} under conditions described in
@@ -369,7 +404,7 @@ export interface DeleteOpt extends DeleteIfOpt {
  * Options passed to {@link NoSQLClient#deleteRange}.
  */
 export interface MultiDeleteOpt extends CompartmentOpt, NamespaceOpt,
-    TimeoutOpt, DurabilityOpt {
+    TimeoutOpt, DurabilityOpt, PriorityOpt {
     /**
      * Field range based on columns not provided in partial key.  For more
      * details, see {@link FieldRange}.
@@ -411,6 +446,43 @@ export interface AbortOnFailOpt {
     abortOnFail?: boolean;
 }
 
+/**
+ * Options to automatically split the operations passed to
+ * {@link NoSQLClient#writeMany}, {@link NoSQLClient#putMany} and
+ * {@link NoSQLClient#deleteMany} into multiple sub-batches.
+ */
+export interface AutoSplitOpt {
+    /**
+     * If set to true, the operations are allowed to exceed the limits on the
+     * number of operations and the request size of a single
+     * {@link NoSQLClient#writeMany} call and to have different shard keys.
+     * The operations are grouped by shard key (obtained from the table
+     * schema, see {@link TableResult#schema}) and split into sub-batches
+     * within the limits.  Each sub-batch is executed as a separate
+     * transaction and the results are merged into one
+     * {@link WriteMultipleResult}, see
+     * {@link WriteMultipleResult#failedOpIndexes}.
+     * <p>
+     * Note that in this case the operation as a whole is no longer atomic:
+     * if some sub-batches are aborted (see {@link AbortOnFailOpt}), other
+     * sub-batches may still be applied.  If a sub-batch fails with an error,
+     * no new sub-batches are started and the error is thrown after the
+     * sub-batches in progress complete, so some of the operations may have
+     * already been applied, see {@link NoSQLError#partialResult}.  The
+     * timeout ({@link TimeoutOpt#timeout}) applies to each sub-batch
+     * separately.
+     * @defaultValue false
+     */
+    autoSplit?: boolean;
+
+    /**
+     * Maximum number of sub-batches executed concurrently when
+     * {@link autoSplit} is enabled.  Must be positive integer.
+     * @defaultValue 4
+     */
+    concurrency?: number;
+}
+
 /**
  * Options passed to {@link NoSQLClient#writeMany}.
  * <p>
@@ -422,22 +494,178 @@ export interface AbortOnFailOpt {
  * may be specified in {@link WriteOperation} and will override values
  * specified here. For list of options, see {@link WriteOperation}.
  */
-export interface WriteMultipleOpt extends PutOpt, DeleteOpt, AbortOnFailOpt {}
+export interface WriteMultipleOpt extends PutOpt, DeleteOpt, AbortOnFailOpt,
+    AutoSplitOpt {}
 
 /**
  * Options passed to {@link NoSQLClient#putMany}.
  */
-export interface PutManyOpt extends PutOpt, AbortOnFailOpt {}
+export interface PutManyOpt extends PutOpt, AbortOnFailOpt, AutoSplitOpt {}
 
 /**
  * Options passed to {@link NoSQLClient#deleteMany}.
  */
-export interface DeleteManyOpt extends DeleteOpt, AbortOnFailOpt {}
+export interface DeleteManyOpt extends DeleteOpt, AbortOnFailOpt,
+    AutoSplitOpt {}
+
+/**
+ * Options passed to {@link NoSQLClient#bulkPut}.
+ * <p>
+ * Options of {@link PutOpt} apply to each row.  Note that
+ * {@link TimeoutOpt#timeout} applies to each {@link NoSQLClient#putMany}
+ * request issued by {@link NoSQLClient#bulkPut} and not to the load as a
+ * whole.
+ */
+export interface BulkPutOpt extends PutOpt {
+    /**
+     * Maximum number of requests in flight.  Must be positive integer.
+     * <p>
+     * If rate limiting is enabled (see {@link Config#rateLimiter}), the
+     * requests are also subject to the rate limiter for the table, so the
+     * actual number of requests in flight may be smaller.
+     * @defaultValue 4
+     */
+    concurrency?: number;
+
+    /**
+     * Maximum number of rows written in a single request.  Must be positive
+     * integer not greater than the limit on the number of operations in
+     * {@link NoSQLClient#writeMany}, which is 50.  Rows are grouped by shard
+     * key, so the requests may contain less rows, especially if the input is
+     * not ordered by shard key.  If set to 1, each row is written by a
+     * separate request.
+     * @defaultValue 50
+     */
+    batchSize?: number;
+
+    /**
+     * Checkpoint returned as {@link BulkPutProgress#checkpoint} by previous
+     * interrupted load.  If specified, the load is resumed by skipping the
+     * rows of the input that have already been written.  The input must
+     * contain the same rows in the same order as in the previous load.
+     */
+    checkpoint?: BulkPutCheckpoint;
+
+    /**
+     * Path to the file used to persist the checkpoint.  If the file exists
+     * when the load starts and {@link checkpoint} is not specified, the load
+     * is resumed from the checkpoint stored in the file.  The file is
+     * updated as the load progresses (see {@link checkpointInterval}) and
+     * when the load fails.  The file is removed when the load completes
+     * successfully.  The input must contain the same rows in the same order
+     * as in the previous load.
+     */
+    checkpointFile?: string;
+
+    /**
+     * Minimum interval in milliseconds between updates of
+     * {@link checkpointFile}.
+     * @defaultValue 1000 (1 second)
+     */
+    checkpointInterval?: number;
+}
+
+/**
+ * Format of the data written by {@link NoSQLClient#export} and read by
+ * {@link NoSQLClient#import}:
+ * <ul>
+ * <li><em>"ndjson"</em> - newline-delimited JSON, one row per line.  Values
+ * that cannot be represented in JSON, such as binary values
+ * (<em>Buffer</em>), timestamps (<em>Date</em>), <em>bigint</em> values of
+ * datatype <em>Long</em> (see {@link Config#longAsBigInt}), 3rd party number
+ * values of datatype <em>Number</em> (see {@link Config#dbNumber}) and
+ * non-finite floating point values are written as objects with single key
+ * <em>$binary</em>, <em>$date</em>, <em>$long</em>, <em>$number</em> and
+ * <em>$double</em> respectively.  Unless {@link ExportOpt#headerFile} is
+ * specified, the first line contains the export header.</li>
+ * <li><em>"csv"</em> - comma-separated values with the first line
+ * containing column names.  Binary values are written in base64 encoding,
+ * timestamps in ISO 8601 format and values of complex types (JSON, Record,
+ * Map and Array) as JSON text using the same conventions as for
+ * <em>"ndjson"</em>.  SQL NULL is written as empty field and empty string as
+ * <em>""</em>.</li>
+ * </ul>
+ */
+export type ExportFormat = "ndjson" | "csv";
+
+/**
+ * Options passed to {@link NoSQLClient#export}.
+ * <p>
+ * Note that {@link TimeoutOpt#timeout} applies to each request issued by
+ * {@link NoSQLClient#export} and not to the export as a whole.
+ */
+export interface ExportOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
+    ConsistencyOpt, PriorityOpt {
+    /**
+     * Format of the output, see {@link ExportFormat}.
+     * @defaultValue "ndjson"
+     */
+    format?: ExportFormat;
+
+    /**
+     * Path to the file to which the export header is written.  The header is
+     * a JSON object that contains table name, table schema (see
+     * {@link TableResult#schema}), table DDL (see
+     * {@link TableResult#tableDDL}), table limits and indexes.  If not
+     * specified, for <em>"ndjson"</em> format the header is written as the
+     * first line of the output and for <em>"csv"</em> format the header is
+     * not written.
+     */
+    headerFile?: string;
+
+    /**
+     * Whether to end the output stream when the export is done.  If true,
+     * {@link NoSQLClient#export} also waits for the output to finish.  The
+     * output is also ended if the export fails.
+     * @defaultValue true
+     */
+    end?: boolean;
+}
+
+/**
+ * Options passed to {@link NoSQLClient#import}.  Options of
+ * {@link BulkPutOpt} control how the rows are written to the table.
+ */
+export interface ImportOpt extends BulkPutOpt {
+    /**
+     * Format of the input, see {@link ExportFormat}.
+     * @defaultValue "ndjson"
+     */
+    format?: ExportFormat;
+
+    /**
+     * Path to the header file written by {@link NoSQLClient#export}, see
+     * {@link ExportOpt#headerFile}.  Must be specified if the header is not
+     * part of the input and {@link createTable} is true.  For <em>"csv"</em>
+     * format, the header is used to convert the values to column types.  If
+     * the header is not available, the schema of the target table is used
+     * for this purpose.
+     */
+    headerFile?: string;
+
+    /**
+     * If true, the table and its indexes are created (if they do not
+     * already exist) using the table DDL and indexes recorded in the export
+     * header before importing the rows.  The table is created with the
+     * name passed to {@link NoSQLClient#import}, which may be different from
+     * the name of the exported table.
+     * @defaultValue false
+     */
+    createTable?: boolean;
+
+    /**
+     * Cloud Service only.  Table limits used when creating the table if
+     * {@link createTable} is true.  If not specified, the table limits of
+     * the exported table recorded in the export header are used.
+     */
+    tableLimits?: TableLimits;
+}
 
 /**
  * Options passed to {@link NoSQLClient#prepare}.
  */
-export interface PrepareOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt {
+export interface PrepareOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
+    PriorityOpt {
 
     /**
      * If <em>true</em>, requests a printout of query execution plan to be
@@ -459,7 +687,7 @@ export interface PrepareOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt {
  * {@link NoSQLClient#queryIterable}.
  */
 export interface QueryOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
-    ConsistencyOpt {
+    ConsistencyOpt, PriorityOpt {
     /**
      * On-premises only.
      * {@link Durability} value used for the update query operation.  Defaults
@@ -505,9 +733,78 @@ export interface QueryOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
      */
     maxMemoryMB?: number;
 
+    /**
+     * Directory for temporary files used when the memory consumed by the
+     * query on the client side exceeds {@link maxMemoryMB}.  If specified,
+     * sorting and grouping operations performed by the driver write their
+     * intermediate results to temporary files in this directory instead of
+     * failing with {@link ErrorCode.MEMORY_LIMIT_EXCEEDED}.  The files are
+     * created in a new subdirectory that is removed when the sort or group
+     * operation completes, when the query completes or fails, or when the
+     * iteration over {@link NoSQLClient#queryIterable} or
+     * {@link NoSQLClient#queryStream} is stopped early (e.g. by
+     * <em>break</em> out of <em>for-await-of</em> loop or by destroying the
+     * stream).  If you use {@link NoSQLClient#query} with continuation key,
+     * the files of the query that is abandoned before its completion are not
+     * removed.  The directory must exist and be writable.
+     * <p>
+     * Note that duplicate elimination for queries on multi-key indexes
+     * and SELECT DISTINCT queries are not spilled to disk and are still
+     * subject to {@link maxMemoryMB}.
+     * <p>
+     * By default, no temporary files are used.
+     */
+    spillDir?: string;
+
+    /**
+     * If set to true, the driver collects the execution profile of the
+     * query, which is returned as {@link QueryResult#queryProfile} with the
+     * final result of the query.  For advanced queries, the profile includes
+     * the number of rows produced, the time spent and the peak memory used
+     * by each plan iterator executed by the driver, as well as the number of
+     * requests to the service and the batches of results received from each
+     * shard or partition.  Profiling adds some overhead to the query
+     * execution.
+     * <p>
+     * Note that the profile is enabled or disabled by the first call to
+     * {@link NoSQLClient#query} for a given query.
+     * @defaultValue false
+     */
+    profile?: boolean;
+
+    /**
+     * Maximum number of concurrent requests to the service issued by the
+     * driver for sorting queries that use secondary indexes and are thus
+     * executed on all shards (such as queries with ORDER BY clause).  By
+     * default, the driver fetches the results from one shard at a time.
+     * If set to a value greater than 1, the driver fetches the next batch
+     * of results from several shards concurrently, which may significantly
+     * reduce the query latency on clusters with many shards.  The number of
+     * concurrent requests is further limited so that the prefetched results
+     * fit within {@link maxMemoryMB}, and each request is subject to rate
+     * limiting if enabled (see {@link Config#rateLimiter}).  The consumed
+     * capacity returned in {@link QueryResult} includes the capacity
+     * consumed by all concurrent requests.
+     * <p>
+     * This option has no effect for other queries.  Note that its value is
+     * determined by the first call to {@link NoSQLClient#query} for a given
+     * query.
+     * @defaultValue 1
+     */
+    parallelism?: number;
+
+    /**
+     * Row mapper to convert the rows returned by SELECT query, see
+     * {@link RowMapperConfig}.  Overrides the row mapper registered in
+     * {@link Config#rowMappers} for the table of the query.  Specify
+     * <em>null</em> to return the rows as plain objects.  This option is
+     * not used by {@link NoSQLClient#parallelScan}.
+     */
+    rowMapper?: RowMapper | null;
+
     /**
      * Note: this option is not used and ignored when using
-     * {@link NoSQLClient#queryIterable}.
+     * {@link NoSQLClient#queryIterable} and {@link NoSQLClient#queryStream}.
      * <p>
      * Continuation key returned in {@link QueryResult} from previous call to
      * this API used to continue the query.  If there are no more results,
@@ -524,6 +821,66 @@ export interface QueryOpt extends CompartmentOpt, NamespaceOpt, TimeoutOpt,
     continuationKey?: QueryContinuationKey | null;
 }
 
+/**
+ * Options passed to {@link NoSQLClient#queryStream}.
+ */
+export interface QueryStreamOpt extends QueryOpt {
+    /**
+     * Maximum number of rows buffered by the stream before it stops fetching
+     * more results from the service, see <em>highWaterMark</em> option of
+     * Node.js <em>Readable</em> stream.  Note that the results are fetched
+     * in batches, so the number of buffered rows may exceed this value by up
+     * to the number of rows returned by single query request.  Must be
+     * positive integer.
+     * @defaultValue 16
+     */
+    highWaterMark?: number;
+}
+
+/**
+ * Options passed to {@link NoSQLClient#parallelScan}.  In addition to the
+ * options described here, all options of {@link QueryOpt} may be used,
+ * except for {@link QueryOpt#continuationKey}, which is ignored.
+ */
+export interface ParallelScanOpt extends QueryOpt {
+    /**
+     * Number of segments to split the scan into.  Must be positive integer.
+     */
+    segments: number;
+
+    /**
+     * Continuation keys of the segments, used to resume the scan, see
+     * {@link ScanSegment#continuationKey}.  If specified, the array must
+     * have one entry for each segment.  The entry may be undefined or null
+     * for a segment that has not been started.  The same statement and
+     * the same number of segments must be used as for the scan being
+     * resumed.
+     */
+    continuationKeys?: (ScanContinuationKey|undefined|null)[];
+}
+
+/**
+ * Options passed to {@link NoSQLClient#queryLocal}.
+ */
+export interface LocalQueryOpt {
+    /**
+     * Maximum amount of memory in megabytes that may be used to execute the
+     * query plan over the supplied rows, such as for sorting, grouping and
+     * duplicate elimination.  If memory consumption exceeds this value,
+     * error will result.  Defaults to {@link Config#maxMemoryMB}.
+     */
+    maxMemoryMB?: number;
+
+    /**
+     * Directory for temporary files used by sorting and grouping operations
+     * when the memory exceeds {@link maxMemoryMB}, same as
+     * {@link QueryOpt#spillDir}.  Note that sorting of the input rows
+     * performed in place of the receive step of the query plan, as
+     * described in {@link NoSQLClient#queryLocal}, is not spilled to disk.
+     */
+    spillDir?: string;
+}
+
 /**
  * Options passed to {@link NoSQLClient#adminDDL}.
  */
@@ -109,6 +109,54 @@ export type MultiDeleteContinuationKey =
  */
 export type QueryContinuationKey = OpaqueType<Buffer, "QueryContinuationKey">;
 
+/**
+ * Represents the progress of {@link NoSQLClient#bulkPut} that allows to
+ * resume the load after it was interrupted.  Unlike continuation keys, this
+ * is a plain JSON-serializable object, so it can be stored by the
+ * application in a file or a database.  Only values obtained from
+ * {@link BulkPutProgress#checkpoint} (or written to
+ * {@link BulkPutOpt#checkpointFile}) should be used.
+ * @see {@link BulkPutOpt#checkpoint}
+ */
+export interface BulkPutCheckpoint {
+    /**
+     * Name of the table being loaded.
+     */
+    readonly tableName: string;
+
+    /**
+     * Number of rows from the beginning of the input that have been written.
+     * When the load is resumed, this number of rows is skipped from the
+     * input.
+     */
+    readonly rowCount: number;
+}
+
+/**
+ * Represents the progress of a segment of the scan returned by
+ * {@link NoSQLClient#parallelScan}.  Unlike {@link QueryContinuationKey},
+ * this is a plain JSON-serializable object, so it can be stored by the
+ * application or passed to a worker thread.  Only values obtained from
+ * {@link ScanSegment#continuationKey} should be used.
+ * @see {@link ParallelScanOpt#continuationKeys}
+ */
+export interface ScanContinuationKey {
+    /**
+     * Ids of the shards scanned by the segment.
+     */
+    readonly shardIds: number[];
+
+    /**
+     * Index in {@link shardIds} of the shard currently being scanned.
+     */
+    readonly shardIndex: number;
+
+    /**
+     * Continuation key for the shard currently being scanned.
+     */
+    readonly key?: string;
+}
+
 /**
  * Note: On-Prem only.
  * <p>
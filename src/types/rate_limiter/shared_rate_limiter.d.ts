@@ -0,0 +1,287 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+/**
+ * Cloud Service or Cloud Simulator only, unless {@link adaptive} is set.
+ * <p>
+ * Configuration of the default rate limiter, which may be set as
+ * {@link Config#rateLimiter}.
+ * <p>
+ * If {@link store} is set, multiple {@link NoSQLClient} instances, which
+ * may run in different processes or on different hosts, share each table's
+ * limits.  Each instance periodically (see {@link syncInterval}) publishes
+ * its demand, which is the rate of units consumed recently, to the store and
+ * receives the demand of all other live instances.  Based on this
+ * information, each instance computes its share of the table limit: a
+ * portion of the limit is divided equally between all instances and the
+ * rest is divided in proportion to their demand.  The shares are rebalanced
+ * as the instances join and leave.  The instance leaves when its
+ * {@link NoSQLClient} is closed or, if it has stopped without closing, when
+ * its state expires after 3 sync intervals.  The first operation on a table
+ * waits until the share is obtained from the store.  If the store is not
+ * available, the last known shares are used.
+ * <p>
+ * All instances sharing the store must access the same service, since the
+ * shares are identified by table name only.  {@link Config#rateLimiterPercent}
+ * is applied to the table limits before they are shared.
+ * <p>
+ * If {@link priorities} is set, the operations on each table are scheduled
+ * according to their priority class, see {@link PriorityOpt#priority}.
+ * When operations of several classes wait for the table's limit, each class
+ * gets at least its share of the limit, while the units not used by some
+ * classes are available to the others.  Thus, operations of a class with a
+ * small share, such as batch jobs, use mostly the spare capacity and do not
+ * delay the operations of other classes.  Units consumed and time spent
+ * waiting for the rate limiters by each class are available in
+ * {@link ClientStats#priorities} if {@link Config#stats} is enabled.
+ * <p>
+ * If {@link adaptive} is set, the rate limiters learn the sustainable rate
+ * of each table instead of using its table limits, see
+ * {@link AdaptiveRateLimiterConfig}.
+ * @see {@link RateLimiter}
+ * @see {@link RateLimiterStore}
+ */
+export interface RateLimiterConfig {
+    /**
+     * Duration of the burst mode, see {@link SimpleRateLimiter}.
+     * @defaultValue 30
+     */
+    maxBurstSeconds?: number;
+
+    /**
+     * Store used to share table limits between {@link NoSQLClient}
+     * instances, as described above.  Either an instance of
+     * {@link RateLimiterStore} or a directory name, in which case
+     * {@link FileRateLimiterStore} using this directory is created.
+     * If not set, the table limits are not shared.
+     */
+    store?: RateLimiterStore|string;
+
+    /**
+     * Interval in milliseconds at which the state of the rate limiters is
+     * exchanged via the {@link store}.
+     * @defaultValue 1000 (1 second)
+     */
+    syncInterval?: number;
+
+    /**
+     * Priority classes of operations and their shares of table limits, as
+     * described above, e.g. <em>{ interactive: 0.8, batch: 0.2 }</em>.  The
+     * shares must be positive numbers and are normalized to add up to 1.
+     * If not set, all operations compete equally for table limits.
+     */
+    priorities?: Record<string, number>;
+
+    /**
+     * Priority class of operations that do not specify
+     * {@link PriorityOpt#priority}.  Must be one of the classes in
+     * {@link priorities}.  If not set, the first class in
+     * {@link priorities} is used.
+     */
+    defaultPriority?: string;
+
+    /**
+     * Enables adaptive rate limiting, which does not use table limits and
+     * thus is also supported on-premises.  Set to <em>true</em> to use the
+     * default settings or to {@link AdaptiveRateLimiterConfig} object.
+     * Cannot be used together with {@link store}.
+     * @defaultValue false
+     */
+    adaptive?: boolean|AdaptiveRateLimiterConfig;
+}
+
+/**
+ * Configuration of adaptive rate limiting, set as
+ * {@link RateLimiterConfig#adaptive}.
+ * <p>
+ * Instead of using table limits, the adaptive rate limiters learn the
+ * sustainable read and write rate of each table from the feedback of the
+ * service, using additive increase / multiplicative decrease (AIMD).  The
+ * limit of each rate limiter starts at {@link initialUnits}.  At the end of
+ * each {@link interval} during which the operations used up the limit
+ * without signs of overload, the limit is increased by
+ * {@link increaseUnits}.  When the operation fails with
+ * {@link ErrorCode.READ_LIMIT_EXCEEDED},
+ * {@link ErrorCode.WRITE_LIMIT_EXCEEDED} or
+ * {@link ErrorCode.SERVICE_UNAVAILABLE} or, if {@link latencyThreshold} is
+ * set, when the operation latency exceeds it, the limit is multiplied by
+ * {@link decreaseFactor}, at most once per {@link interval}.  The operations
+ * are paced in the same way as by {@link SimpleRateLimiter}.
+ * <p>
+ * The limits are in read and write units per second, as reported in
+ * {@link ConsumedCapacity}.  On-premises, where consumed capacity is not
+ * returned, the limits are in operations per second and the rate limiter
+ * delays are not reported.
+ * <p>
+ * {@link Config#rateLimiterPercent} does not apply to adaptive rate
+ * limiters.
+ */
+export interface AdaptiveRateLimiterConfig {
+    /**
+     * Initial limit of each rate limiter.
+     * @defaultValue 100
+     */
+    initialUnits?: number;
+
+    /**
+     * Minimum limit of each rate limiter.
+     * @defaultValue 1
+     */
+    minUnits?: number;
+
+    /**
+     * Amount by which the limit is increased.
+     * @defaultValue 10
+     */
+    increaseUnits?: number;
+
+    /**
+     * Factor by which the limit is multiplied when overload is detected,
+     * must be greater than 0 and less than 1.
+     * @defaultValue 0.5
+     */
+    decreaseFactor?: number;
+
+    /**
+     * Interval in milliseconds at which the limit may be adjusted, as
+     * described above.
+     * @defaultValue 1000 (1 second)
+     */
+    interval?: number;
+
+    /**
+     * Latency in milliseconds above which the operation is considered to
+     * indicate overload, as described above.  Latency of the last attempt
+     * of the operation is measured from the time the attempt is admitted by
+     * the rate limiter.  If not set, latency is not used.
+     */
+    latencyThreshold?: number;
+
+    /**
+     * Explicit caps for the limits of particular tables, by table name.
+     * The limits of the tables are never increased above their caps.
+     */
+    tableLimits?: Record<string, AdaptiveTableLimits>;
+}
+
+/**
+ * Caps for the limits of the table, see
+ * {@link AdaptiveRateLimiterConfig#tableLimits}.
+ */
+export interface AdaptiveTableLimits {
+    /**
+     * Maximum limit of the read rate limiter.  If not set, the read limit
+     * is not capped.
+     */
+    readUnits?: number;
+
+    /**
+     * Maximum limit of the write rate limiter.  If not set, the write limit
+     * is not capped.
+     */
+    writeUnits?: number;
+}
+
+/**
+ * State of one instance of the shared rate limiter kept in
+ * {@link RateLimiterStore}.  The store should treat it as opaque
+ * JSON-serializable object.
+ */
+export interface RateLimiterState {
+    /**
+     * Demand of the instance used to compute its share of the limit.
+     */
+    weight: number;
+}
+
+/**
+ * Cloud Service or Cloud Simulator only.
+ * <p>
+ * Interface of the store used to share table limits between
+ * {@link NoSQLClient} instances, see {@link RateLimiterConfig#store}.  The
+ * driver provides {@link FileRateLimiterStore} for instances on the same
+ * host.  To share table limits between hosts, implement this interface on
+ * top of a network key-value store.  For example, for Redis-like store the
+ * key may be mapped to a hash with field for each instance id, storing the
+ * state together with its expiration time.
+ * <p>
+ * Each shared rate limiter is identified by the key, which includes the
+ * table name, whether the limit is for reads or writes and the hash of the
+ * service endpoint, compartment and namespace of the {@link NoSQLClient}
+ * instance, so that the clients of different services, compartments or
+ * namespaces may use the same store.  Each instance
+ * of the shared rate limiter is identified by its instance id that is
+ * unique across processes.  The errors of the store are ignored by the
+ * driver.
+ */
+export interface RateLimiterStore {
+    /**
+     * Sets the state of the instance of the shared rate limiter and returns
+     * the states of all its live instances, including this one.  The state
+     * of the instance is live until it is updated again or until the given
+     * time to live expires, after which it must not be returned.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @param {RateLimiterState} state State of the rate limiter instance
+     * @param {number} ttl Time to live of the state in milliseconds
+     * @returns {Promise} Promise of the array of the states of all live
+     * instances of the shared rate limiter
+     */
+    update(key: string, instanceId: string, state: RateLimiterState,
+        ttl: number): Promise<RateLimiterState[]>;
+
+    /**
+     * Removes the state of the instance of the shared rate limiter.  Called
+     * when the instance leaves.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @returns {Promise} Promise resolved when the state is removed
+     */
+    remove(key: string, instanceId: string): Promise<void>;
+}
+
+/**
+ * Cloud Service or Cloud Simulator only.
+ * <p>
+ * Implementation of {@link RateLimiterStore} that keeps the state of the
+ * shared rate limiters in files in the specified directory, which allows
+ * {@link NoSQLClient} instances in different processes on the same host to
+ * share table limits.  The state of each rate limiter instance is kept in a
+ * separate file that is only written by this instance, so no file locking
+ * is required.  The files of the instances that have left are removed by
+ * the remaining instances once they expire.
+ * @see {@link RateLimiterConfig}
+ */
+export class FileRateLimiterStore implements RateLimiterStore {
+    /**
+     * Constructs an instance of FileRateLimiterStore.
+     * @param {string} dir Directory for the state files.  It is created if
+     * it does not exist
+     */
+    constructor(dir: string);
+
+    /**
+     * Implements {@link RateLimiterStore#update}.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @param {RateLimiterState} state State of the rate limiter instance
+     * @param {number} ttl Time in milliseconds after which the state
+     * expires
+     * @returns {Promise} Promise of the array of the states of all instances
+     * of the shared rate limiter
+     */
+    update(key: string, instanceId: string, state: RateLimiterState,
+        ttl: number): Promise<RateLimiterState[]>;
+
+    /**
+     * Implements {@link RateLimiterStore#remove}.
+     * @param {string} key Key of the shared rate limiter
+     * @param {string} instanceId Id of the rate limiter instance
+     * @returns {Promise} Promise resolved when the state is removed
+     */
+    remove(key: string, instanceId: string): Promise<void>;
+}
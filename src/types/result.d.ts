@@ -8,11 +8,13 @@
 import type { NoSQLClient } from "./nosql_client";
 import type { TableState, AdminState, CapacityMode } from "./constants";
 import type { TableLimits, TableETag, DefinedTags, FreeFormTags, RowVersion,
-    MultiDeleteContinuationKey, QueryContinuationKey } from "./param";
+    MultiDeleteContinuationKey, QueryContinuationKey, BulkPutCheckpoint,
+    ScanContinuationKey } from "./param";
 import type { AnyRow, IdentityField } from "./data";
 import type { PutOpt, DeleteOpt, QueryOpt, ListTablesOpt, ReplicaStatsOpt }
     from "./opt";
 import type { PreparedStatement } from "./stmt";
+import type { Readable } from "stream";
 import type { Region } from "./region";
 
 /**
@@ -641,6 +643,15 @@ export interface MultiDeleteResult extends ConsumedCapacityResult {
  * {@link WriteMultipleResult#results} property will be undefined in this
  * case. You may check for the success of the entire operation by whether
  * {@link WriteMultipleResult#results} is defined.
+ * <p>
+ * If {@link AutoSplitOpt#autoSplit} was enabled, the result is merged from
+ * the results of all sub-batches.  In this case
+ * {@link WriteMultipleResult#results} is always defined and has undefined
+ * entries for operations in sub-batches that were aborted,
+ * {@link WriteMultipleResult#failedOpIndex} and
+ * {@link WriteMultipleResult#failedOpResult} refer to the first aborted
+ * sub-batch, if any, and {@link WriteMultipleResult#failedOpIndexes} lists
+ * all operations that were not applied.
  * @typeParam TRow Type of table row instance, defaults to {@link AnyRow}
  */
 export interface WriteMultipleResult<TRow = AnyRow>
@@ -668,8 +679,110 @@ export interface WriteMultipleResult<TRow = AnyRow>
      * aborting. Undefined if the operation was successful.
      */
     readonly failedOpResult?: PutOpResult<TRow>|DeleteOpResult<TRow>;
+
+    /**
+     * Only set if {@link AutoSplitOpt#autoSplit} was enabled.  Sorted array
+     * of indexes of all sub operations that were not applied, either because
+     * they were unsuccessful (e.g. put with {@link PutOpt#ifAbsent} on
+     * existing row) or because their sub-batch was aborted.
+     */
+    readonly failedOpIndexes?: number[];
+}
+
+/**
+ * Status of the sub-batch of the operations executed by
+ * {@link NoSQLClient#writeMany}, {@link NoSQLClient#putMany} or
+ * {@link NoSQLClient#deleteMany} with {@link AutoSplitOpt#autoSplit}
+ * enabled, see {@link WriteManyPartialResult#subBatches}.
+ */
+export interface WriteManySubBatch {
+    /**
+     * Indexes of the operations in this sub-batch.
+     */
+    readonly opIndexes: number[];
+
+    /**
+     * True if the sub-batch completed, in which case the results of its
+     * operations are available in {@link WriteMultipleResult#results}.
+     */
+    readonly completed: boolean;
+
+    /**
+     * Error that the sub-batch failed with.  The operations of such
+     * sub-batch may or may not have been applied, e.g. if the error is
+     * timeout.  Undefined if the sub-batch completed or was not started.
+     */
+    readonly error?: Error;
+}
+
+/**
+ * Results of the sub-batches that were executed before
+ * {@link NoSQLClient#writeMany}, {@link NoSQLClient#putMany} or
+ * {@link NoSQLClient#deleteMany} with {@link AutoSplitOpt#autoSplit}
+ * enabled failed with an error, available as
+ * {@link NoSQLError#partialResult}.  The results are merged the same way as
+ * for successful operation, see {@link WriteMultipleResult}, but only
+ * include the sub-batches that completed.
+ * @typeParam TRow Type of table row instance, defaults to {@link AnyRow}
+ */
+export interface WriteManyPartialResult<TRow = AnyRow>
+    extends WriteMultipleResult<TRow> {
+    /**
+     * Status of each sub-batch, including the sub-batches that failed with
+     * an error or were not started.
+     */
+    readonly subBatches: WriteManySubBatch[];
+}
+
+/**
+ * Represents the progress of {@link NoSQLClient#bulkPut}.  It is passed to
+ * {@link NoSQLClientEvents#progress} event after each request issued by
+ * {@link NoSQLClient#bulkPut} completes.
+ */
+export interface BulkPutProgress extends ConsumedCapacityResult {
+    /**
+     * Name of the table being loaded.
+     */
+    readonly tableName: string;
+
+    /**
+     * Number of rows successfully written so far.  If the load was resumed
+     * from a checkpoint, the rows written by previous loads are not included.
+     */
+    readonly rowsWritten: number;
+
+    /**
+     * Number of rows that were not written so far because the put operation
+     * was unsuccessful, e.g. because of {@link PutOpt#ifAbsent} for existing
+     * row.  Such rows do not stop the load.
+     */
+    readonly rowsFailed: number;
+
+    /**
+     * Checkpoint that can be used to resume the load if it is interrupted,
+     * see {@link BulkPutOpt#checkpoint}.
+     */
+    readonly checkpoint: BulkPutCheckpoint;
 }
 
+/**
+ * Represents the result of {@link NoSQLClient#export}.
+ */
+export interface ExportResult extends ConsumedCapacityResult {
+    /**
+     * Number of rows written to the output.
+     */
+    readonly rowCount: number;
+}
+
+/**
+ * Represents the result of {@link NoSQLClient#bulkPut}.  The values are
+ * final, covering all rows of the input.  Note that
+ * {@link ConsumedCapacityResult#consumedCapacity} is the total capacity
+ * consumed by all requests issued by {@link NoSQLClient#bulkPut}.
+ */
+export interface BulkPutResult extends BulkPutProgress {}
+
 /**
  * QueryResult represents the result of {@link NoSQLClient#query } method and
  * results returned by iteration over {@link NoSQLClient#queryIterable}.
@@ -704,6 +817,189 @@ export interface QueryResult<TRow = AnyRow> extends ConsumedCapacityResult {
      * Continuation key, undefined if there are no more results available.
      */
     readonly continuationKey?: QueryContinuationKey;
+
+    /**
+     * Execution profile of the query, present only if the query was
+     * executed with {@link QueryOpt#profile} set to true and only in the
+     * final result of the query, that is when {@link continuationKey} is
+     * undefined.
+     */
+    readonly queryProfile?: QueryProfile;
+}
+
+/**
+ * Results received by the driver from a single shard or partition during
+ * the query execution, see {@link QueryProfileNode#batches}.
+ */
+export interface QueryBatchProfile {
+    /**
+     * Shard id, present for queries sent to all shards.
+     */
+    readonly shardId?: number;
+
+    /**
+     * Partition id, present for queries sent to all partitions.
+     */
+    readonly partitionId?: number;
+
+    /**
+     * Number of batches of results received from the shard or partition.
+     */
+    readonly count: number;
+
+    /**
+     * Total number of rows received from the shard or partition.
+     */
+    readonly rows: number;
+}
+
+/**
+ * Execution statistics of a plan iterator executed by the driver, which
+ * is a node in {@link QueryProfile#plan}.  The tree of these nodes matches
+ * the tree of {@link QueryPlanNode} returned by
+ * {@link PreparedStatement#explain}.
+ */
+export interface QueryProfileNode {
+    /**
+     * Name of the iterator, same as {@link QueryPlanNode#name}.
+     */
+    readonly name: string;
+
+    /**
+     * Number of results produced by the iterator.
+     */
+    readonly rows: number;
+
+    /**
+     * Time in milliseconds spent in the iterator, including the time spent
+     * in its child iterators and, for the RECEIVE iterator, waiting for the
+     * service.
+     */
+    readonly timeMs: number;
+
+    /**
+     * Peak memory in bytes used by the iterator for operations such as
+     * sorting, grouping and duplicate elimination, as counted towards
+     * {@link QueryOpt#maxMemoryMB}.
+     */
+    readonly peakMemory: number;
+
+    /**
+     * For the RECEIVE iterator, number of requests (round-trips) to the
+     * service.
+     */
+    readonly serverRequests?: number;
+
+    /**
+     * For the RECEIVE iterator, total number of rows received from the
+     * service.
+     */
+    readonly rowsReceived?: number;
+
+    /**
+     * For the RECEIVE iterator of sorting queries sent to all shards or all
+     * partitions, the results received from each shard or partition.
+     */
+    readonly batches?: QueryBatchProfile[];
+
+    /**
+     * Child iterators.
+     */
+    readonly children: QueryProfileNode[];
+}
+
+/**
+ * Execution profile of a query, returned as
+ * {@link QueryResult#queryProfile} when the query is executed with
+ * {@link QueryOpt#profile} set to true.  The profile covers all
+ * {@link NoSQLClient#query} calls made to execute the query.
+ * <p>
+ * For advanced queries that are partially executed by the driver, the
+ * profile includes statistics for each plan iterator executed by the driver
+ * (see {@link PreparedStatement#explain}).  For simple queries that are
+ * executed entirely by the service, only the total time and the number of
+ * requests are available.
+ */
+export interface QueryProfile {
+    /**
+     * Total time in milliseconds spent executing the query.
+     */
+    readonly timeMs: number;
+
+    /**
+     * Total number of requests (round-trips) to the service.
+     */
+    readonly serverRequests: number;
+
+    /**
+     * Peak memory in bytes used by the driver to execute the query, as
+     * counted towards {@link QueryOpt#maxMemoryMB}.
+     */
+    readonly peakMemory: number;
+
+    /**
+     * Statistics of the plan iterators executed by the driver, undefined for
+     * simple queries.
+     */
+    readonly plan?: QueryProfileNode;
+}
+
+/**
+ * QueryStream is an object-mode Node.js <em>Readable</em> stream of query
+ * result records returned by {@link NoSQLClient#queryStream}.  Each chunk
+ * read from the stream is a single record.
+ * <p>
+ * Consumed capacity of the query is available as
+ * {@link QueryStream#consumedCapacity}.
+ * @typeParam TRow Type that represent the shape of query result record,
+ * defaults to {@link AnyRow}
+ */
+export interface QueryStream<TRow = AnyRow> extends Readable {
+    /**
+     * Cloud Service only.
+     * <p>
+     * Cumulative capacity consumed by the query requests issued so far.  When
+     * the stream ends, this is the capacity consumed by the whole query.
+     * Undefined if using on-premises service or if no query requests have
+     * completed yet.
+     */
+    readonly consumedCapacity?: ConsumedCapacity;
+
+    /**
+     * Execution profile of the query if {@link QueryOpt#profile} was set to
+     * true, available when the stream ends.  Undefined otherwise.
+     */
+    readonly queryProfile?: QueryProfile;
+
+    /**
+     * Returns async iterator over query result records.
+     * @returns Async iterator of <em>TRow</em>
+     */
+    [Symbol.asyncIterator](): AsyncIterableIterator<TRow>;
+}
+
+/**
+ * Segment of the scan returned by {@link NoSQLClient#parallelScan}.  It is
+ * an async iterable of {@link QueryResult} that returns the query results
+ * from the shards of this segment.  {@link QueryResult#continuationKey} is
+ * not set in these results, use {@link continuationKey} instead.
+ * @typeParam TRow Type that represent the shape of query result record,
+ * defaults to {@link AnyRow}
+ */
+export interface ScanSegment<TRow = AnyRow>
+    extends AsyncIterable<QueryResult<TRow>> {
+    /**
+     * Index of this segment in the array returned by
+     * {@link NoSQLClient#parallelScan}.
+     */
+    readonly segment: number;
+
+    /**
+     * Continuation key of this segment.  It is updated when the next batch
+     * of results is requested, after the previous batch has been
+     * processed.  Undefined if the segment has not been started.
+     */
+    readonly continuationKey?: ScanContinuationKey;
 }
 
 /**
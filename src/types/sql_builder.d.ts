@@ -0,0 +1,528 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import type { NoSQLClient } from "./nosql_client";
+import type { PreparedStatement } from "./stmt";
+import type { PrepareOpt, QueryOpt } from "./opt";
+import type { QueryResult } from "./result";
+import type { AnyRow, FieldValue } from "./data";
+import type { TimeToLive } from "./param";
+import type { NoSQLArgumentError } from "./error";
+
+/**
+ * Result of {@link StatementBuilder#build}.
+ */
+export interface BuiltStatement {
+    /**
+     * SQL text of the statement.  If the statement uses any variables, it
+     * starts with the declaration of these variables.
+     */
+    sql: string;
+
+    /**
+     * Values of the variables, keyed by variable names including the
+     * <em>$</em> prefix.  This object can be used as
+     * {@link PreparedStatement#bindings}.
+     */
+    bindings: { [name: string]: FieldValue };
+}
+
+/**
+ * Named variable of the statement created by {@link SQL.param}.  The
+ * variable is declared with the given type or, if the type is not
+ * specified, the type inferred from the value as follows:
+ * <ul>
+ * <li><em>string</em> - <em>STRING</em></li>
+ * <li><em>boolean</em> - <em>BOOLEAN</em></li>
+ * <li><em>number</em> - <em>LONG</em> if the value is a safe integer,
+ * otherwise <em>DOUBLE</em></li>
+ * <li><em>bigint</em> - <em>LONG</em> if the value fits into 64-bit signed
+ * integer, otherwise <em>NUMBER</em></li>
+ * <li><em>Date</em> - <em>TIMESTAMP(9)</em></li>
+ * <li><em>Buffer</em> - <em>BINARY</em></li>
+ * <li>Any other value, including <em>null</em>, objects, arrays and
+ * <em>Map</em> instances - <em>JSON</em></li>
+ * </ul>
+ * Values that are not wrapped in {@link Param} are bound to the variables
+ * with generated names <em>$p1</em>, <em>$p2</em>, etc., skipping the names
+ * already used by named variables.
+ */
+export class Param {
+    /**
+     * @hidden
+     */
+    private constructor();
+
+    /**
+     * Name of the variable without the <em>$</em> prefix, or <em>null</em>
+     * if the name is generated.
+     */
+    readonly name: string | null;
+
+    /**
+     * Value of the variable.
+     */
+    readonly value: FieldValue;
+
+    /**
+     * Declared type of the variable.
+     */
+    readonly type: string;
+}
+
+/**
+ * Path to a field of the table row, of an array element in an array filter
+ * step or a field of such element.  Paths are immutable, each method
+ * returns a new path.  Field names that are not valid identifiers are
+ * quoted in the generated SQL.
+ * @see {@link SQL.path}
+ * @see {@link SQL.elem}
+ */
+export class Path {
+    /**
+     * @hidden
+     */
+    private constructor();
+
+    /**
+     * Adds field step to the path.
+     * @param {string} name Field name, which is not split on dots
+     * @returns {Path} New path
+     */
+    field(name: string): Path;
+
+    /**
+     * Adds array index step, e.g. <em>t.phones[0]</em>.
+     * @param {number} idx Array index as non-negative integer
+     * @returns {Path} New path
+     */
+    at(idx: number): Path;
+
+    /**
+     * Adds array slice step, e.g. <em>t.phones[1:3]</em>.
+     * @param {number} [from] Start index, inclusive
+     * @param {number} [to] End index, inclusive
+     * @returns {Path} New path
+     */
+    slice(from?: number, to?: number): Path;
+
+    /**
+     * Adds array filter step, e.g. <em>t.phones[$element.area = 415]</em>.
+     * Without the condition, the step selects all elements of the array,
+     * e.g. <em>t.phones[]</em>.
+     * @param {Condition} [cond] Filter condition, usually using paths
+     * created by {@link SQL.elem} and {@link SQL.pos}
+     * @returns {Path} New path
+     */
+    elements(cond?: Condition): Path;
+
+    /**
+     * Creates a copy of the path with an alias, used in the field list of
+     * SELECT statement or in RETURNING clause.
+     * @param {string} alias Alias
+     * @returns {Path} New path
+     */
+    as(alias: string): Path;
+}
+
+/**
+ * Condition used in WHERE clause or in array filter step, created by the
+ * methods of {@link SQL}.
+ */
+export class Condition {
+    /**
+     * @hidden
+     */
+    private constructor();
+
+    /**
+     * @hidden
+     */
+    private readonly _render: unknown;
+}
+
+/**
+ * Left operand of a comparison.  A string is a path to a row field with
+ * steps separated by dots, see {@link SQL.path}.
+ */
+export type PathOperand = Path | string;
+
+/**
+ * Right operand of a comparison.  A value that is not a {@link Path} is
+ * bound to a variable, so a string is always a value, not a path.
+ */
+export type ValueOperand = Path | Param | FieldValue;
+
+/**
+ * Base class for the statement builders.  Statement builders are created
+ * by {@link SQL.select}, {@link SQL.update} and {@link SQL.deleteFrom} or,
+ * to be able to execute the statement, by {@link NoSQLClient#select},
+ * {@link NoSQLClient#update} and {@link NoSQLClient#deleteFrom}.
+ * <p>
+ * The table is referenced in the statement by alias <em>t</em>.  The
+ * builder methods that add parts to the statement return the builder
+ * itself, so the calls can be chained.
+ * @example
+ * ```ts
+ * const { eq, gt, param } = SQL;
+ * const stmt = client.select("Emp")
+ *     .fields("name", "address.city")
+ *     .where(eq("address.city", param("city", "Boston")))
+ *     .where(gt("salary", 50000))
+ *     .orderBy("name")
+ *     .limit(10);
+ * for await(const res of stmt.queryIterable()) {
+ *     // Do something with res.rows
+ * }
+ * ```
+ */
+export class StatementBuilder {
+    /**
+     * @hidden
+     */
+    protected constructor();
+
+    /**
+     * Adds the condition to WHERE clause.  If called more than once, the
+     * conditions are combined by AND.
+     * @param {Condition} cond Condition
+     * @returns {this} This builder
+     */
+    where(cond: Condition): this;
+
+    /**
+     * Generates SQL text of the statement and the values of its variables.
+     * @returns {BuiltStatement} SQL text and bindings
+     * @throws {NoSQLArgumentError} If the statement is incomplete or the
+     * same named variable is used with different values or types
+     */
+    build(): BuiltStatement;
+
+    /**
+     * Returns SQL text of the statement, same as the <em>sql</em> property
+     * returned by {@link build}.
+     * @returns {string} SQL text
+     */
+    toString(): string;
+
+    /**
+     * Prepares the statement and sets its bindings.  Available only for
+     * the builders created by {@link NoSQLClient}.
+     * @param {PrepareOpt} [opt] Options for {@link NoSQLClient#prepare}
+     * @returns {Promise} Promise of {@link PreparedStatement}
+     * @throws {NoSQLArgumentError} If the builder is not associated with
+     * {@link NoSQLClient}
+     */
+    prepare(opt?: PrepareOpt): Promise<PreparedStatement>;
+
+    /**
+     * Prepares and executes the statement, see
+     * {@link NoSQLClient#queryIterable}.  Available only for the builders
+     * created by {@link NoSQLClient}.  The statement is prepared with
+     * <em>compartment</em>, <em>namespace</em> and <em>timeout</em> from
+     * the options.
+     * @typeParam TRow Type that represent the shape of query result record
+     * @param {QueryOpt} [opt] Query options
+     * @returns {AsyncIterable} Async iterable of {@link QueryResult}
+     */
+    queryIterable<TRow extends AnyRow = AnyRow>(opt?: QueryOpt):
+        AsyncIterable<QueryResult<TRow>>;
+}
+
+/**
+ * Builder of SELECT statement.
+ */
+export class SelectBuilder extends StatementBuilder {
+    /**
+     * Adds fields to the SELECT list.  If no fields are added, all fields
+     * are selected.
+     * @param {...PathOperand} fields Fields
+     * @returns {this} This builder
+     */
+    fields(...fields: PathOperand[]): this;
+
+    /**
+     * Adds field to ORDER BY clause.
+     * @param {PathOperand} field Field
+     * @param {string} [direction] <em>ASC</em> or <em>DESC</em>
+     * @returns {this} This builder
+     */
+    orderBy(field: PathOperand, direction?: "ASC" | "DESC" | "asc" |
+        "desc"): this;
+
+    /**
+     * Sets LIMIT clause.
+     * @param {number} limit Positive integer
+     * @returns {this} This builder
+     */
+    limit(limit: number): this;
+
+    /**
+     * Sets OFFSET clause.
+     * @param {number} offset Non-negative integer
+     * @returns {this} This builder
+     */
+    offset(offset: number): this;
+}
+
+/**
+ * Builder of UPDATE statement.  Update clauses are applied in the order
+ * they are added.  The statement must contain at least one update clause.
+ */
+export class UpdateBuilder extends StatementBuilder {
+    /**
+     * Adds SET clause.
+     * @param {PathOperand} path Target field
+     * @param {ValueOperand} value New value
+     * @returns {this} This builder
+     */
+    set(path: PathOperand, value: ValueOperand): this;
+
+    /**
+     * Adds ADD clause that adds elements to an array.
+     * @param {PathOperand} path Target array
+     * @param {ValueOperand} value Value to add
+     * @param {number} [pos] Position at which to add, by default the
+     * value is appended to the array
+     * @returns {this} This builder
+     */
+    add(path: PathOperand, value: ValueOperand, pos?: number): this;
+
+    /**
+     * Adds PUT clause that adds fields to a JSON object or a map.
+     * @param {PathOperand} path Target object or map
+     * @param {ValueOperand} value Object containing the fields to put
+     * @returns {this} This builder
+     */
+    put(path: PathOperand, value: ValueOperand): this;
+
+    /**
+     * Adds REMOVE clause.
+     * @param {PathOperand} path Field or array element to remove
+     * @returns {this} This builder
+     */
+    remove(path: PathOperand): this;
+
+    /**
+     * Adds SET TTL clause.
+     * @param {TimeToLive|number} ttl TTL of the row, see
+     * {@link TimeToLive}
+     * @returns {this} This builder
+     * @throws {NoSQLArgumentError} If TTL is invalid
+     */
+    setTTL(ttl: TimeToLive | number): this;
+
+    /**
+     * Sets RETURNING clause.  If no fields are given, all fields are
+     * returned.
+     * @param {...PathOperand} fields Fields
+     * @returns {this} This builder
+     */
+    returning(...fields: PathOperand[]): this;
+}
+
+/**
+ * Builder of DELETE statement.
+ */
+export class DeleteBuilder extends StatementBuilder {
+    /**
+     * Sets RETURNING clause.  If no fields are given, all fields are
+     * returned.
+     * @param {...PathOperand} fields Fields
+     * @returns {this} This builder
+     */
+    returning(...fields: PathOperand[]): this;
+}
+
+/**
+ * @classdesc Static methods to create the parts of the statements built
+ * by {@link StatementBuilder}.  The methods do not depend on
+ * <em>this</em>, so they can be destructured, e.g.
+ * <em>const { eq, and, param } = SQL</em>.
+ * <p>
+ * In comparisons, the left operand is a path and the right operand is a
+ * value.  Values are never inlined into the SQL text.  Instead, each value
+ * is bound to a declared variable, see {@link Param}.
+ * @see {@link StatementBuilder}
+ */
+export class SQL {
+    /**
+     * @hidden
+     */
+    private constructor();
+
+    /**
+     * Creates named variable.  Using the same named variable more than
+     * once in the statement results in a single declaration.
+     * @param {string} name Variable name without the <em>$</em> prefix
+     * @param {FieldValue} value Variable value
+     * @param {string} [type] Declared type, by default inferred from the
+     * value, see {@link Param}
+     * @returns {Param} Variable
+     * @throws {NoSQLArgumentError} If the name, value or type is invalid
+     */
+    static param(name: string, value: FieldValue, type?: string): Param;
+
+    /**
+     * Creates path to a row field.  Each string step is split on dots, so
+     * <em>path("address.city")</em> is the same as
+     * <em>path("address", "city")</em>.  To use field name containing a
+     * dot, use {@link Path#field}.
+     * @param {...string} steps Field steps
+     * @returns {Path} Path
+     */
+    static path(...steps: string[]): Path;
+
+    /**
+     * Creates path to the current element in an array filter step,
+     * <em>$element</em>, optionally followed by field steps.
+     * @param {...string} steps Field steps
+     * @returns {Path} Path
+     */
+    static elem(...steps: string[]): Path;
+
+    /**
+     * Creates reference to the position of the current element in an
+     * array filter step, <em>$pos</em>.
+     * @returns {Path} Path
+     */
+    static pos(): Path;
+
+    /**
+     * Creates <em>=</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static eq(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates <em>!=</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static ne(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates <em>&lt;</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static lt(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates <em>&lt;=</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static le(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates <em>&gt;</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static gt(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates <em>&gt;=</em> comparison.
+     * @param {PathOperand} left Left operand
+     * @param {ValueOperand} right Right operand
+     * @returns {Condition} Condition
+     */
+    static ge(left: PathOperand, right: ValueOperand): Condition;
+
+    /**
+     * Creates condition that the field is between the given values,
+     * inclusive.
+     * @param {PathOperand} path Field
+     * @param {ValueOperand} low Low bound
+     * @param {ValueOperand} high High bound
+     * @returns {Condition} Condition
+     */
+    static between(path: PathOperand, low: ValueOperand,
+        high: ValueOperand): Condition;
+
+    /**
+     * Creates IN condition.
+     * @param {PathOperand} path Field
+     * @param {ValueOperand[]} values Non-empty array of values
+     * @returns {Condition} Condition
+     */
+    static inList(path: PathOperand, values: ValueOperand[]): Condition;
+
+    /**
+     * Creates EXISTS condition.
+     * @param {PathOperand} path Field
+     * @returns {Condition} Condition
+     */
+    static exists(path: PathOperand): Condition;
+
+    /**
+     * Creates IS NULL condition.
+     * @param {PathOperand} path Field
+     * @returns {Condition} Condition
+     */
+    static isNull(path: PathOperand): Condition;
+
+    /**
+     * Creates IS NOT NULL condition.
+     * @param {PathOperand} path Field
+     * @returns {Condition} Condition
+     */
+    static isNotNull(path: PathOperand): Condition;
+
+    /**
+     * Combines the conditions by AND.
+     * @param {...Condition} conds One or more conditions
+     * @returns {Condition} Condition
+     */
+    static and(...conds: Condition[]): Condition;
+
+    /**
+     * Combines the conditions by OR.
+     * @param {...Condition} conds One or more conditions
+     * @returns {Condition} Condition
+     */
+    static or(...conds: Condition[]): Condition;
+
+    /**
+     * Negates the condition.
+     * @param {Condition} cond Condition
+     * @returns {Condition} Condition
+     */
+    static not(cond: Condition): Condition;
+
+    /**
+     * Creates SELECT statement builder that is not associated with
+     * {@link NoSQLClient}.  The statement can only be built, see
+     * {@link NoSQLClient#select}.
+     * @param {string} tableName Table name
+     * @returns {SelectBuilder} Statement builder
+     */
+    static select(tableName: string): SelectBuilder;
+
+    /**
+     * Creates UPDATE statement builder that is not associated with
+     * {@link NoSQLClient}, see {@link NoSQLClient#update}.
+     * @param {string} tableName Table name
+     * @returns {UpdateBuilder} Statement builder
+     */
+    static update(tableName: string): UpdateBuilder;
+
+    /**
+     * Creates DELETE statement builder that is not associated with
+     * {@link NoSQLClient}, see {@link NoSQLClient#deleteFrom}.
+     * @param {string} tableName Table name
+     * @returns {DeleteBuilder} Statement builder
+     */
+    static deleteFrom(tableName: string): DeleteBuilder;
+}
@@ -0,0 +1,234 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import type { Config } from "./config";
+import type { NoSQLClient } from "./nosql_client";
+import type { NoSQLClientEvents } from "./events";
+import type { ErrorCode } from "./error_code";
+import type { ConsumedCapacity } from "./result";
+import type { RateLimiterConfig } from "./rate_limiter/shared_rate_limiter";
+
+/**
+ * Configuration of client-side statistics collection, specified as
+ * {@link Config#stats}.
+ * <p>
+ * When statistics collection is enabled, {@link NoSQLClient} collects
+ * statistics of the operations it executes, which may be obtained on demand
+ * via {@link NoSQLClient#getStats} and, if {@link interval} is specified,
+ * are delivered periodically via {@link NoSQLClientEvents#stats} event.
+ * @see {@link ClientStats}
+ */
+export interface StatsConfig {
+    /**
+     * Interval in milliseconds at which {@link NoSQLClientEvents#stats}
+     * event is emitted.  Each event delivers the statistics collected since
+     * the previous event (or since the client was created), after which the
+     * statistics are reset.  If not specified, the statistics are not
+     * emitted periodically and are only available via
+     * {@link NoSQLClient#getStats}.
+     */
+    interval?: number;
+
+    /**
+     * Maximum number of latency samples kept for each operation type, each
+     * table and the total to compute latency percentiles.  If the number of
+     * operations exceeds this value, the percentiles are computed from a
+     * uniform random sample of operation latencies and thus are
+     * approximate.  Larger values result in more accurate percentiles at
+     * the expense of memory usage.
+     * @defaultValue 1024
+     */
+    maxLatencySamples?: number;
+}
+
+/**
+ * Operation latency statistics, in milliseconds.  Operation latency
+ * includes the time spent on retries and on rate limiter delays.
+ * Percentiles are computed using the nearest-rank method, see
+ * {@link StatsConfig#maxLatencySamples}.
+ */
+export interface LatencyStats {
+    /**
+     * Minimum latency.
+     */
+    min: number;
+
+    /**
+     * Maximum latency.
+     */
+    max: number;
+
+    /**
+     * Average latency.
+     */
+    avg: number;
+
+    /**
+     * 50th percentile (median) latency.
+     */
+    p50: number;
+
+    /**
+     * 90th percentile latency.
+     */
+    p90: number;
+
+    /**
+     * 95th percentile latency.
+     */
+    p95: number;
+
+    /**
+     * 99th percentile latency.
+     */
+    p99: number;
+}
+
+/**
+ * Statistics for all operations, for operations of one type, for operations
+ * on one table or for operations of one priority class, see
+ * {@link ClientStats}.
+ */
+export interface OperationStats {
+    /**
+     * Number of completed operations, successful or not.
+     */
+    count: number;
+
+    /**
+     * Number of operations that failed.
+     */
+    errors: number;
+
+    /**
+     * Number of failed operations by the name of {@link ErrorCode} of the
+     * error, e.g. <em>{ TABLE_NOT_FOUND: 2 }</em>.
+     */
+    errorsByCode: Record<string, number>;
+
+    /**
+     * Number of requests sent to the service, including retries.
+     */
+    requests: number;
+
+    /**
+     * Number of retried requests.
+     */
+    retries: number;
+
+    /**
+     * Number of requests that failed because of throttling, that is with
+     * {@link ErrorCode.READ_LIMIT_EXCEEDED},
+     * {@link ErrorCode.WRITE_LIMIT_EXCEEDED} or
+     * {@link ErrorCode.OPERATION_LIMIT_EXCEEDED}.
+     */
+    throttled: number;
+
+    /**
+     * Number of bytes sent to the service.
+     */
+    bytesSent: number;
+
+    /**
+     * Number of bytes received from the service.
+     */
+    bytesReceived: number;
+
+    /**
+     * Read units consumed by successful operations, see
+     * {@link ConsumedCapacity#readUnits}.
+     */
+    readUnits: number;
+
+    /**
+     * Write units consumed by successful operations, see
+     * {@link ConsumedCapacity#writeUnits}.
+     */
+    writeUnits: number;
+
+    /**
+     * Total time in milliseconds successful operations were delayed by rate
+     * limiters, see {@link ConsumedCapacity#readRateLimitDelay} and
+     * {@link ConsumedCapacity#writeRateLimitDelay}.  Always 0 if rate
+     * limiting is not enabled.
+     */
+    rateLimiterDelay: number;
+
+    /**
+     * Operation latency statistics.
+     */
+    latency: LatencyStats;
+}
+
+/**
+ * Current state of the request queue returned by
+ * {@link NoSQLClient#getRequestQueueStats}, see
+ * {@link Config#maxConcurrentRequests}.
+ */
+export interface RequestQueueStats {
+    /**
+     * Number of requests in flight.
+     */
+    active: number;
+
+    /**
+     * Number of requests waiting in the queue.  A queue that stays non-empty
+     * means that the application issues operations faster than the service
+     * completes them with the configured concurrency.
+     */
+    queued: number;
+}
+
+/**
+ * Snapshot of client-side statistics returned by
+ * {@link NoSQLClient#getStats} and delivered by
+ * {@link NoSQLClientEvents#stats} event.
+ * <p>
+ * Operations are grouped by the name of {@link NoSQLClient} method that
+ * issued them.  Note that some methods, such as {@link NoSQLClient#tableDDL}
+ * or {@link NoSQLClient#queryIterable}, may execute multiple operations,
+ * each of which is counted separately.
+ */
+export interface ClientStats {
+    /**
+     * Start of the period covered by the statistics, which is the time the
+     * {@link NoSQLClient} instance was created or the time the statistics
+     * were last reset.
+     */
+    startTime: Date;
+
+    /**
+     * End of the period covered by the statistics, which is the time the
+     * snapshot was taken.
+     */
+    endTime: Date;
+
+    /**
+     * Statistics for all operations.
+     */
+    total: OperationStats;
+
+    /**
+     * Statistics by the name of {@link NoSQLClient} method, e.g.
+     * <em>put</em>.
+     */
+    operations: Record<string, OperationStats>;
+
+    /**
+     * Statistics by table name, for operations on tables.
+     */
+    tables: Record<string, OperationStats>;
+
+    /**
+     * Statistics by priority class, for operations on tables when
+     * {@link RateLimiterConfig#priorities} is set.  For each class,
+     * {@link OperationStats#readUnits} and {@link OperationStats#writeUnits}
+     * are the units it consumed and {@link OperationStats#rateLimiterDelay}
+     * is the time it waited for the rate limiters.
+     */
+    priorities: Record<string, OperationStats>;
+}
@@ -7,6 +7,9 @@
 
 import type { ConsumedCapacity, ConsumedCapacityResult } from "./result";
 import type { FieldValue } from "./data";
+import type { Config } from "./config";
+import type { NoSQLClient } from "./nosql_client";
+import type { ErrorCode } from "./error_code";
 
 /**
  * Defines classes related to SQL statement and query execution such as
@@ -149,6 +152,23 @@ export class PreparedStatement implements ConsumedCapacityResult {
      */
     clearAll(): PreparedStatement;
 
+    /**
+     * Returns structured representation of the execution plan of this
+     * prepared statement, including the plan executed by the driver for
+     * advanced queries.  It can be rendered as indented text or in DOT
+     * format.  See {@link QueryExplanation}.
+     * @example
+     * Print the query plan.
+     * ```ts
+     * let prepStmt = await client.prepare(
+     *     'SELECT name, count(*) FROM Emp GROUP BY name',
+     *     { getQueryPlan: true });
+     * console.log(prepStmt.explain().toString());
+     * ```
+     * @returns {QueryExplanation} Query plan explanation
+     */
+    explain(): QueryExplanation;
+
     /**
      * Returns a copy of this prepared statement without its variables.
      * <p>
@@ -162,3 +182,179 @@ export class PreparedStatement implements ConsumedCapacityResult {
      */
     copyStatement(): PreparedStatement;
 }
+
+/**
+ * Node of the query plan tree in {@link QueryExplanation}.  Besides the
+ * properties listed below, each node has properties specific to its
+ * {@link kind}, such as:
+ * <ul>
+ * <li>RECEIVE: <em>distributionKind</em> (SINGLE_PARTITION, ALL_PARTITIONS
+ * or ALL_SHARDS), <em>sortSpecs</em>, <em>primaryKeyFields</em>,
+ * <em>eliminatesDuplicates</em> and <em>serverPlan</em>.</li>
+ * <li>SFW: <em>columns</em>, <em>groupByFields</em>,
+ * <em>fromVariable</em> and <em>isSelectStar</em>.</li>
+ * <li>SORT: <em>sortSpecs</em> and <em>countsMemory</em>.</li>
+ * <li>GROUP: <em>groupByFields</em>, <em>aggregates</em>,
+ * <em>isDistinct</em> and <em>countsMemory</em>.</li>
+ * <li>FUNC: <em>func</em>.</li>
+ * </ul>
+ */
+export interface QueryPlanNode {
+    /**
+     * Iterator kind, such as SERVER, RECEIVE, SFW, SORT, GROUP, CONST,
+     * VAR_REF, EXTERNAL_VAR_REF, FIELD_STEP, ARITH_OP or FUNC.
+     */
+    readonly kind: string;
+
+    /**
+     * Display name of the iterator.
+     */
+    readonly name: string;
+
+    /**
+     * Role of this node relative to its parent, e.g. <em>from</em>,
+     * <em>input</em> or the column name for the column expressions of SFW.
+     * Not present for the root node.
+     */
+    readonly role?: string;
+
+    /**
+     * Printout of the part of the plan executed by the service, including
+     * pushed-down predicates and index usage.  Present only in RECEIVE or
+     * SERVER node and only if the statement was prepared with
+     * {@link PrepareOpt#getQueryPlan} set to true.
+     */
+    readonly serverPlan?: string;
+
+    /**
+     * Child nodes.
+     */
+    readonly children: QueryPlanNode[];
+
+    /**
+     * Properties specific to the iterator kind.
+     */
+    readonly [name: string]: unknown;
+}
+
+/**
+ * Structured representation of the execution plan of a prepared query,
+ * returned by {@link PreparedStatement#explain}.
+ * <p>
+ * Advanced queries (such as queries with sorting, grouping, aggregation or
+ * duplicate elimination over multiple shards) are executed partially by the
+ * driver.  {@link root} is the tree of the driver-side plan iterators,
+ * with the RECEIVE node receiving the results from the service.  For simple
+ * queries executed entirely by the service, {@link root} is a node of kind
+ * SERVER.
+ * <p>
+ * The part of the query executed by the service is described by
+ * {@link QueryPlanNode#serverPlan}.
+ */
+export class QueryExplanation {
+    /**
+     * @hidden
+     */
+    private constructor();
+
+    /**
+     * Root node of the plan tree.
+     */
+    readonly root: QueryPlanNode;
+
+    /**
+     * Returns the plan as indented text, one node per line.
+     * @returns Plan text
+     */
+    toString(): string;
+
+    /**
+     * Returns the plan in DOT format of Graphviz.
+     * @returns Plan in DOT format
+     */
+    toDot(): string;
+
+    /**
+     * Returns the root node, used by JSON.stringify().
+     * @returns Root node
+     */
+    toJSON(): QueryPlanNode;
+}
+
+/**
+ * Configuration of the prepared statement cache, specified as
+ * {@link Config#statementCache}.
+ * <p>
+ * When the cache is enabled, {@link NoSQLClient} caches prepared
+ * statements for queries given as SQL text, so that the same query is only
+ * prepared once per {@link NoSQLClient} instance.  This applies to
+ * {@link NoSQLClient#prepare} as well as to {@link NoSQLClient#query} and
+ * other query methods called with SQL text instead of
+ * {@link PreparedStatement}.  The statements are cached by SQL text,
+ * compartment and namespace.  When the number of cached statements exceeds
+ * {@link maxSize}, the least recently used statement is evicted.
+ * <p>
+ * {@link NoSQLClient#prepare} returns a copy of the cached statement made by
+ * {@link PreparedStatement#copyStatement}, so the bind variables set on it
+ * are not shared with other queries.  The statement returned from the cache
+ * has zero consumed capacity.  {@link NoSQLClient#prepare} calls that
+ * request query plan or result schema are always sent to the server.
+ * <p>
+ * Cached statements referencing a table are invalidated when DDL operation
+ * on this table completes, that is when {@link NoSQLClient#forCompletion}
+ * returns for its result, including when {@link NoSQLClient#tableDDL} is
+ * called with <em>opt.complete</em>.  In addition, the statement is
+ * invalidated when executing it fails with
+ * {@link ErrorCode.TABLE_NOT_FOUND} or {@link ErrorCode.INDEX_NOT_FOUND}.
+ * In this case, if this is the first call of {@link NoSQLClient#query} for
+ * the query, the query is retried with the statement prepared again.
+ * @see {@link NoSQLClient#getStatementCacheStats}
+ */
+export interface StatementCacheConfig {
+    /**
+     * Maximum number of prepared statements in the cache.
+     * @defaultValue 500
+     */
+    maxSize?: number;
+}
+
+/**
+ * Statistics of the prepared statement cache returned by
+ * {@link NoSQLClient#getStatementCacheStats}.  The counts are accumulated
+ * since {@link NoSQLClient} instance was created.
+ * @see {@link StatementCacheConfig}
+ */
+export interface StatementCacheStats {
+    /**
+     * Current number of prepared statements in the cache.
+     */
+    size: number;
+
+    /**
+     * Maximum number of prepared statements in the cache, see
+     * {@link StatementCacheConfig#maxSize}.
+     */
+    maxSize: number;
+
+    /**
+     * Number of times the prepared statement was found in the cache.
+     */
+    hits: number;
+
+    /**
+     * Number of times the prepared statement was not found in the cache and
+     * had to be prepared.
+     */
+    misses: number;
+
+    /**
+     * Number of statements evicted from the cache because its size exceeded
+     * {@link maxSize}.
+     */
+    evictions: number;
+
+    /**
+     * Number of statements removed from the cache because they were stale.
+     */
+    invalidations: number;
+}
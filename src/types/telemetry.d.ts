@@ -0,0 +1,226 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import type { Config } from "./config";
+import type { NoSQLClient } from "./nosql_client";
+import type { ConsumedCapacity } from "./result";
+
+/**
+ * Attributes of spans and metrics created by the driver.
+ */
+export type TelemetryAttributes = Record<string, string | number | boolean>;
+
+/**
+ * Subset of OpenTelemetry <em>Span</em> interface used by the driver.
+ */
+export interface TelemetrySpan {
+    /**
+     * Sets span attribute.
+     * @param key Attribute name
+     * @param value Attribute value
+     */
+    setAttribute(key: string, value: any): any;
+
+    /**
+     * Sets span attributes.
+     * @param attributes Attributes
+     */
+    setAttributes(attributes: TelemetryAttributes): any;
+
+    /**
+     * Records an exception as span event.
+     * @param exception Exception
+     */
+    recordException(exception: any): void;
+
+    /**
+     * Sets span status.
+     * @param status Status
+     */
+    setStatus(status: { code: number, message?: string }): any;
+
+    /**
+     * Ends the span.
+     */
+    end(): void;
+}
+
+/**
+ * Options passed to {@link TelemetryTracer#startSpan} and
+ * {@link TelemetryTracer#startActiveSpan}.
+ */
+export interface TelemetrySpanOptions {
+    /**
+     * Value of OpenTelemetry <em>SpanKind</em> enumeration.
+     */
+    kind?: number;
+
+    /**
+     * Span attributes.
+     */
+    attributes?: TelemetryAttributes;
+}
+
+/**
+ * Subset of OpenTelemetry <em>Tracer</em> interface used by the driver.
+ * Instance of OpenTelemetry <em>Tracer</em>, e.g. obtained via
+ * <em>trace.getTracer()</em> from <em>@opentelemetry/api</em> package,
+ * may be used.
+ */
+export interface TelemetryTracer {
+    /**
+     * Starts new span.
+     * @param name Span name
+     * @param options Span options
+     * @returns The span
+     */
+    startSpan(name: string, options?: TelemetrySpanOptions): TelemetrySpan;
+
+    /**
+     * Starts new span and makes it active in the context of the function
+     * <em>fn</em>.  If present, used to create operation spans, so that
+     * the spans for individual requests are created as their children.
+     * @param name Span name
+     * @param options Span options
+     * @param fn Function to execute with the span active
+     * @returns The value returned by <em>fn</em>
+     */
+    startActiveSpan?(name: string, options: TelemetrySpanOptions,
+        fn: (span: TelemetrySpan) => any): any;
+}
+
+/**
+ * Subset of OpenTelemetry <em>Histogram</em> interface used by the driver.
+ */
+export interface TelemetryHistogram {
+    /**
+     * Records a value.
+     * @param value Value
+     * @param attributes Attributes
+     */
+    record(value: number, attributes?: TelemetryAttributes): void;
+}
+
+/**
+ * Subset of OpenTelemetry <em>Counter</em> interface used by the driver.
+ */
+export interface TelemetryCounter {
+    /**
+     * Increments the counter.
+     * @param value Increment
+     * @param attributes Attributes
+     */
+    add(value: number, attributes?: TelemetryAttributes): void;
+}
+
+/**
+ * Subset of OpenTelemetry <em>Meter</em> interface used by the driver.
+ * Instance of OpenTelemetry <em>Meter</em>, e.g. obtained via
+ * <em>metrics.getMeter()</em> from <em>@opentelemetry/api</em> package,
+ * may be used.
+ */
+export interface TelemetryMeter {
+    /**
+     * Creates a histogram.
+     * @param name Histogram name
+     * @param options Options
+     * @returns The histogram
+     */
+    createHistogram(name: string, options?: { description?: string,
+        unit?: string }): TelemetryHistogram;
+
+    /**
+     * Creates a counter.
+     * @param name Counter name
+     * @param options Options
+     * @returns The counter
+     */
+    createCounter(name: string, options?: { description?: string,
+        unit?: string }): TelemetryCounter;
+}
+
+/**
+ * Configuration of tracing and metrics, specified as
+ * {@link Config#telemetry}.
+ * <p>
+ * The driver is compatible with
+ * {@link https://opentelemetry.io/ | OpenTelemetry}, but does not depend
+ * on OpenTelemetry packages.  Instead, the application supplies the tracer
+ * and/or the meter, typically obtained from <em>@opentelemetry/api</em>
+ * package.  Any other objects implementing {@link TelemetryTracer} and
+ * {@link TelemetryMeter} interfaces may also be used, e.g. for testing.
+ * <p>
+ * If the tracer is specified, the driver creates a span for each
+ * operation, with the name <em>nosql.&lt;method&gt;</em>, where
+ * <em>method</em> is the name of {@link NoSQLClient} method, e.g.
+ * <em>nosql.put</em>.  Note that some {@link NoSQLClient} methods, such as
+ * {@link NoSQLClient#tableDDL} or {@link NoSQLClient#queryIterable}, may
+ * execute multiple operations.  For each request sent to the service,
+ * including retries, a child span named <em>nosql.&lt;method&gt;.request
+ * </em> is created.  The spans have the following attributes:
+ * <ul>
+ * <li><em>db.system</em>: "oracle.nosql"</li>
+ * <li><em>db.operation.name</em>: {@link NoSQLClient} method name</li>
+ * <li><em>db.collection.name</em>: table name, if known</li>
+ * <li><em>nosql.op</em>: internal request type, e.g. "PutOp"</li>
+ * <li><em>nosql.attempt</em>: request spans only, attempt number starting
+ * from 1</li>
+ * <li><em>nosql.retry_count</em>: number of retries</li>
+ * <li><em>nosql.serial_version</em>: protocol serial version</li>
+ * <li><em>nosql.read_units</em>, <em>nosql.write_units</em>,
+ * <em>nosql.read_kb</em>, <em>nosql.write_kb</em>: consumed capacity, see
+ * {@link ConsumedCapacity}</li>
+ * <li><em>nosql.rate_limiter_delay</em>: operation spans only, total
+ * rate limiter delay in milliseconds, if rate limiting is enabled</li>
+ * <li><em>error.type</em>: name of the error code if the operation or
+ * request failed</li>
+ * </ul>
+ * If the meter is specified, the driver records the following metrics:
+ * <ul>
+ * <li><em>nosql.client.operation.duration</em>: histogram of operation
+ * durations in milliseconds</li>
+ * <li><em>nosql.client.request.duration</em>: histogram of request
+ * durations in milliseconds</li>
+ * <li><em>nosql.client.retries</em>: counter of retried requests</li>
+ * <li><em>nosql.client.throttled</em>: counter of requests that failed
+ * with {@link ErrorCode.READ_LIMIT_EXCEEDED},
+ * {@link ErrorCode.WRITE_LIMIT_EXCEEDED} or
+ * {@link ErrorCode.OPERATION_LIMIT_EXCEEDED}</li>
+ * </ul>
+ * The metrics have attributes <em>db.system</em>,
+ * <em>db.operation.name</em>, <em>db.collection.name</em> and
+ * <em>nosql.op</em> as described above.  Duration histograms also have
+ * attribute <em>nosql.status</em>, which is "ok" or the name of the error
+ * code.
+ *
+ * @example
+ * Using OpenTelemetry tracer and meter.
+ * ```ts
+ * import { trace, metrics } from "@opentelemetry/api";
+ *
+ * const client = new NoSQLClient({
+ *     region: Region.US_ASHBURN_1,
+ *     telemetry: {
+ *         tracer: trace.getTracer("my-app"),
+ *         meter: metrics.getMeter("my-app")
+ *     }
+ * });
+ * ```
+ * @see {@link Config#telemetry}
+ */
+export interface TelemetryConfig {
+    /**
+     * Tracer used to create spans.  If not specified, no spans are created.
+     */
+    tracer?: TelemetryTracer;
+
+    /**
+     * Meter used to record metrics.  If not specified, no metrics are
+     * recorded.
+     */
+    meter?: TelemetryMeter;
+}
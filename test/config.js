@@ -11,6 +11,7 @@ const path = require('path');
 const NoSQLClient = require('../index').NoSQLClient;
 const ServiceType = require('../index').ServiceType;
 const NoSQLArgumentError = require('../index').NoSQLArgumentError;
+const MemoryService = require('../index').MemoryService;
 const AuthConfig = require('../lib/auth/config');
 
 class TestConfig {
@@ -72,7 +73,12 @@ TestConfig.defaults = {
         endpoint: 'localhost:8080'
     },
     cloud: {},
-    kvstore: {}
+    kvstore: {},
+    //All clients share the same in-memory service, same as they would
+    //share the same CloudSim or Proxy instance.
+    memory: {
+        memoryService: new MemoryService()
+    }
 };
 
 module.exports = TestConfig;
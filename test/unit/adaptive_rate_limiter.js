@@ -0,0 +1,174 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const RateLimiterClient = require('../../lib/rate_limiter/client');
+const AdaptiveRateLimiter =
+    require('../../lib/rate_limiter/adaptive_rate_limiter');
+
+const INTERVAL = 50;
+
+const OPT = {
+    initialUnits: 100,
+    minUnits: 20,
+    increaseUnits: 10,
+    decreaseFactor: 0.5,
+    interval: INTERVAL,
+    latencyThreshold: 1000
+};
+
+const TABLE_NAME = 'arlTest';
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+PRIMARY KEY(id))`;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function testLimiter() {
+    it('Limit is decreased on overload', async function() {
+        const rl = new AdaptiveRateLimiter(OPT);
+        expect(rl.limit).to.equal(100);
+        rl.onThrottle();
+        expect(rl.limit).to.equal(50);
+        //Overload reported by the operations in flight is ignored.
+        rl.onThrottle();
+        rl.onLatency(2000);
+        expect(rl.limit).to.equal(50);
+        await sleep(INTERVAL + 10);
+        //Latency below threshold is not overload.
+        rl.onLatency(500);
+        expect(rl.limit).to.equal(50);
+        rl.onLatency(2000);
+        expect(rl.limit).to.equal(25);
+        await sleep(INTERVAL + 10);
+        rl.onThrottle();
+        expect(rl.limit).to.equal(OPT.minUnits);
+    });
+
+    it('Limit is increased when used up', async function() {
+        const rl = new AdaptiveRateLimiter(OPT);
+        //Consume units for 100 ms, so the next operation has to wait.
+        expect(await rl.consumeUnits(10, 1000, true)).to.equal(0);
+        await sleep(INTERVAL + 10);
+        expect(await rl.consumeUnits(1, 1000, true)).to.be.greaterThan(0);
+        expect(rl.limit).to.equal(110);
+
+        //Idle limiter is not increased.
+        await sleep(200);
+        await rl.consumeUnits(1, 1000, true);
+        expect(rl.limit).to.equal(110);
+
+        //Limit is not increased above the cap.
+        rl.setLimit(115);
+        expect(rl.limit).to.equal(110);
+        await rl.consumeUnits(20, 1000, true);
+        await sleep(INTERVAL + 10);
+        await rl.consumeUnits(1, 1000, true);
+        expect(rl.limit).to.equal(115);
+        rl.setLimit(50);
+        expect(rl.limit).to.equal(50);
+    });
+}
+
+function testClient() {
+    it('Client with adaptive rate limiter', async function() {
+        const memoryService = new MemoryService();
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService,
+            rateLimiter: {
+                adaptive: Object.assign({}, OPT, {
+                    tableLimits: { [TABLE_NAME]: { readUnits: 80 } }
+                })
+            }
+        });
+        try {
+            //Table limits are not used.
+            await client.tableDDL(CREATE_TABLE, {
+                tableLimits: {
+                    readUnits: 1000,
+                    writeUnits: 1000,
+                    storageGB: 1
+                },
+                complete: true
+            });
+            const res = await client.put(TABLE_NAME, { id: 1 });
+            expect(res.consumedCapacity.writeRateLimitDelay).to.be.a(
+                'number');
+            const ent = client._client._rlClient._rlMap.get(
+                TABLE_NAME.toLowerCase());
+            expect(ent.readRL.limit).to.equal(80);
+            expect(ent.writeRL.limit).to.equal(100);
+
+            memoryService.injectError({
+                errorCode: ErrorCode.WRITE_LIMIT_EXCEEDED,
+                op: 'put'
+            });
+            await client.put(TABLE_NAME, { id: 2 });
+            expect(ent.writeRL.limit).to.equal(50);
+            expect(ent.readRL.limit).to.equal(80);
+
+            memoryService.injectError({
+                errorCode: ErrorCode.SERVICE_UNAVAILABLE,
+                op: 'get'
+            });
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(ent.readRL.limit).to.equal(40);
+            expect(ent.writeRL.limit).to.equal(50);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Adaptive rate limiter config', function() {
+        expect(RateLimiterClient.rateLimitingEnabled({
+            serviceType: ServiceType.KVSTORE,
+            rateLimiter: { adaptive: true }
+        })).to.be.ok;
+        expect(RateLimiterClient.rateLimitingEnabled({
+            serviceType: ServiceType.KVSTORE,
+            rateLimiter: { adaptive: false }
+        })).to.not.be.ok;
+        expect(RateLimiterClient.rateLimitingEnabled({
+            serviceType: ServiceType.KVSTORE,
+            rateLimiter: true
+        })).to.not.be.ok;
+
+        const badCfgs = [
+            { adaptive: 1 },
+            { adaptive: true, store: 'dir' },
+            { adaptive: { initialUnits: 0 } },
+            { adaptive: { minUnits: '1' } },
+            { adaptive: { interval: Infinity } },
+            { adaptive: { decreaseFactor: 1 } },
+            { adaptive: { decreaseFactor: 0 } },
+            { adaptive: { tableLimits: 1 } },
+            { adaptive: { tableLimits: { t: 1 } } },
+            { adaptive: { tableLimits: { t: { readUnits: -1 } } } }
+        ];
+        for(const rateLimiter of badCfgs) {
+            expect(() => new NoSQLClient({
+                serviceType: ServiceType.MEMORY,
+                memoryService: new MemoryService(),
+                rateLimiter
+            })).to.throw(NoSQLArgumentError, /rateLimiter\.\w+/);
+        }
+    });
+}
+
+describe('Adaptive rate limiter tests', function() {
+    testLimiter();
+    testClient();
+});
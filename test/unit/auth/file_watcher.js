@@ -0,0 +1,271 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const mockfs = require('mock-fs');
+
+const NoSQLClient = require('../../../index').NoSQLClient;
+const NoSQLError = require('../../../index').NoSQLError;
+const NoSQLArgumentError = require('../../../index').NoSQLArgumentError;
+const IAMAuthorizationProvider =
+    require('../../../lib/auth/iam/auth_provider');
+const KVStoreAuthorizationProvider =
+    require('../../../lib/auth/kvstore/auth_provider');
+const CredentialsFileWatcher = require('../../../lib/auth/file_watcher');
+const MockHttps = require('./mock_http').MockHttps;
+const SERVICE_ENDPOINT = require('./iam/constants').SERVICE_ENDPOINT;
+const SERVICE_HOST = require('./iam/constants').SERVICE_HOST;
+const TENANT_ID = require('./iam/constants').TENANT_ID;
+const USER_ID = require('./iam/constants').USER_ID;
+const createKeys = require('./iam/utils').createKeys;
+const makeReq = require('./iam/utils').makeReq;
+const verifyAuth = require('./iam/utils').verifyAuth;
+const verifyAuthEqual = require('./iam/utils').verifyAuthEqual;
+const writeFileLines = require('./iam/utils').writeFileLines;
+
+const WATCH_INTERVAL = 50;
+
+const OCI_CONFIG_FILE = path.resolve('watched_config');
+const KEY_FILE1 = path.resolve('watched_key1.pem');
+const KEY_FILE2 = path.resolve('watched_key2.pem');
+const CREDS_FILE = path.resolve('watched_creds.json');
+
+const BASE_PATH = '/V2/nosql/security';
+const USER_NAME = 'test';
+const PASSWORD = 'NoSql00__123456';
+//Matches user name test and password NoSql00__123456.
+const BASIC_AUTH_STRING = 'Basic dGVzdDpOb1NxbDAwX18xMjM0NTY=';
+
+const mockHttps = new MockHttps();
+let tokenSeq = 0;
+
+function waitForReload(client) {
+    return new Promise(resolve => client.once('credentialsReload',
+        (files, err) => resolve({ files, err })));
+}
+
+function writeOCIConfig(fingerprint, keyFile) {
+    writeFileLines(OCI_CONFIG_FILE, [
+        '[DEFAULT]',
+        'tenancy=' + TENANT_ID,
+        'user=' + USER_ID,
+        'fingerprint=' + fingerprint,
+        'key_file=' + keyFile
+    ]);
+}
+
+function testIAM() {
+    it('IAM credentials reload', async function() {
+        const keys1 = createKeys();
+        const keys2 = createKeys();
+        const profile1 = {
+            tenantId: TENANT_ID,
+            userId: USER_ID,
+            fingerprint: 'fingerprint1',
+            publicKey: keys1.publicKey
+        };
+        const profile2 = Object.assign({}, profile1, {
+            fingerprint: 'fingerprint2',
+            publicKey: keys2.publicKey
+        });
+        fs.writeFileSync(KEY_FILE1, keys1.privatePEM);
+        writeOCIConfig(profile1.fingerprint, KEY_FILE1);
+
+        const client = new NoSQLClient({
+            endpoint: SERVICE_ENDPOINT,
+            auth: {
+                iam: {
+                    configFile: OCI_CONFIG_FILE,
+                    watchFiles: true,
+                    watchIntervalMs: WATCH_INTERVAL
+                }
+            }
+        });
+        const provider = client._config.auth.provider;
+        try {
+            const auth0 = await provider.getAuthorization(makeReq());
+            verifyAuth(auth0, profile1);
+
+            //Invalid private key, previous credentials are used.
+            let reload = waitForReload(client);
+            fs.writeFileSync(KEY_FILE1, keys1.privatePEM.slice(1, -1));
+            let res = await reload;
+            expect(res.files).to.deep.equal([ KEY_FILE1 ]);
+            expect(res.err).to.be.instanceOf(NoSQLError);
+            let auth = await provider.getAuthorization(makeReq());
+            verifyAuthEqual(auth, auth0, profile1);
+
+            //Config file now points to the new key.
+            reload = waitForReload(client);
+            fs.writeFileSync(KEY_FILE2, keys2.privatePEM);
+            writeOCIConfig(profile2.fingerprint, KEY_FILE2);
+            res = await reload;
+            expect(res.files).to.deep.equal([ OCI_CONFIG_FILE ]);
+            expect(res.err).to.not.exist;
+            auth = await provider.getAuthorization(makeReq());
+            verifyAuth(auth, profile2);
+
+            //The old key file is no longer watched.
+            reload = waitForReload(client);
+            fs.unlinkSync(KEY_FILE1);
+            fs.unlinkSync(KEY_FILE2);
+            res = await reload;
+            expect(res.files).to.deep.equal([ KEY_FILE2 ]);
+            expect(res.err).to.be.instanceOf(NoSQLError);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('IAM watchFiles config', function() {
+        const keys = createKeys();
+        expect(() => new IAMAuthorizationProvider({
+            tenantId: TENANT_ID,
+            userId: USER_ID,
+            fingerprint: 'fingerprint',
+            privateKey: keys.privatePEM,
+            watchFiles: true
+        })).to.throw(NoSQLArgumentError, /watchFiles/);
+        expect(() => new IAMAuthorizationProvider({
+            credentialsProvider: async () => ({}),
+            watchFiles: true
+        })).to.throw(NoSQLArgumentError, /watchFiles/);
+    });
+}
+
+function handleLogin(opt) {
+    MockHttps.checkMethod(opt, 'GET');
+    if (opt.headers.Authorization !== BASIC_AUTH_STRING) {
+        throw MockHttps.unauthorized('Invalid user or password');
+    }
+    return JSON.stringify({
+        token: `token${tokenSeq++}`,
+        expireAt: Date.now() + 60000
+    });
+}
+
+function testKVStore() {
+    before(() => {
+        mockHttps.setEndpoint(SERVICE_HOST, BASE_PATH + '/login',
+            handleLogin);
+        mockHttps.setEndpoint(SERVICE_HOST, BASE_PATH + '/logout',
+            () => {});
+    });
+
+    it('KVStore credentials reload', async function() {
+        fs.writeFileSync(CREDS_FILE, JSON.stringify({
+            user: USER_NAME,
+            password: PASSWORD
+        }));
+        const client = new NoSQLClient({
+            endpoint: SERVICE_ENDPOINT,
+            auth: {
+                kvstore: {
+                    credentials: CREDS_FILE,
+                    watchFiles: true,
+                    watchIntervalMs: WATCH_INTERVAL
+                }
+            }
+        });
+        const provider = client._config.auth.provider;
+        try {
+            const auth0 = await provider.getAuthorization(makeReq());
+
+            //Login with new credentials fails, previous token is used.
+            let reload = waitForReload(client);
+            fs.writeFileSync(CREDS_FILE, JSON.stringify({
+                user: USER_NAME,
+                password: PASSWORD + '1'
+            }));
+            let res = await reload;
+            expect(res.files).to.deep.equal([ CREDS_FILE ]);
+            expect(res.err).to.be.instanceOf(NoSQLError);
+            expect(await provider.getAuthorization(makeReq())).to.equal(
+                auth0);
+
+            //Invalid credentials file.
+            reload = waitForReload(client);
+            fs.writeFileSync(CREDS_FILE, '{');
+            res = await reload;
+            expect(res.err).to.be.instanceOf(NoSQLError);
+            expect(await provider.getAuthorization(makeReq())).to.equal(
+                auth0);
+
+            //New token is obtained right away.
+            reload = waitForReload(client);
+            fs.writeFileSync(CREDS_FILE, JSON.stringify({
+                user: USER_NAME,
+                password: PASSWORD
+            }));
+            res = await reload;
+            expect(res.err).to.not.exist;
+            const auth = await provider.getAuthorization(makeReq());
+            expect(auth).to.be.a('string').that.does.not.equal(auth0);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('KVStore watchFiles config', function() {
+        expect(() => new KVStoreAuthorizationProvider({
+            user: USER_NAME,
+            password: PASSWORD,
+            watchFiles: true
+        })).to.throw(NoSQLArgumentError, /watchFiles/);
+        expect(() => new KVStoreAuthorizationProvider({
+            credentials: async () => ({}),
+            watchFiles: true
+        })).to.throw(NoSQLArgumentError, /watchFiles/);
+    });
+}
+
+function testWatcher() {
+    it('Watcher continues after onChange failure', async function() {
+        fs.writeFileSync(CREDS_FILE, 'v1');
+        let onChangeCnt = 0;
+        let notify;
+        const nextChange = () => new Promise(resolve => notify = resolve);
+        const watcher = new CredentialsFileWatcher([ CREDS_FILE ],
+            WATCH_INTERVAL, async files => {
+                notify(files);
+                if (++onChangeCnt === 1) {
+                    throw new Error('Reload failed');
+                }
+            });
+        try {
+            let change = nextChange();
+            fs.writeFileSync(CREDS_FILE, 'v22');
+            expect(await change).to.deep.equal([ CREDS_FILE ]);
+            //The change after the failed onChange() is still detected.
+            change = nextChange();
+            fs.writeFileSync(CREDS_FILE, 'v333');
+            expect(await change).to.deep.equal([ CREDS_FILE ]);
+            expect(onChangeCnt).to.equal(2);
+        } finally {
+            watcher.close();
+        }
+    });
+}
+
+describe('Credentials file watcher test', function() {
+    this.timeout(30000);
+    before(() => {
+        mockfs();
+        mockHttps.stub();
+    });
+    after(() => {
+        mockfs.restore();
+        mockHttps.restore();
+    });
+    testIAM();
+    testKVStore();
+    testWatcher();
+});
@@ -143,8 +143,9 @@ class MockHttp {
     }
 
     //Handler can be:
-    //1) A function that takes 3 (optional) parameters: opt passed to
-    //http.request(), request payload and url search parameters string.
+    //1) A function that takes 4 (optional) parameters: opt passed to
+    //http.request(), request payload, url search parameters string and
+    //object to which the function may add response headers.
     //2) An instance of Error, same as handler function throwing this error.
     //3) A string or Buffer, in same as calling handleGet() with that value.
     //4) An object, same as 3) where the value is JSON.stringify() of that
@@ -171,9 +172,9 @@ class MockHttp {
         }
     }
 
-    _sendOKResponse(res, data) {
+    _sendOKResponse(res, data, headers) {
         res.statusCode = HttpConstants.HTTP_OK;
-        res.headers = {};
+        res.headers = Object.assign({}, headers);
         if (data != null) {
             if (typeof data === 'string') {
                 res.headers[HttpConstants.CONTENT_TYPE] = 'text/plain';
@@ -263,8 +264,10 @@ class MockHttp {
                 callback(res);
                 try {
                     this._chkHostHeader(opt, url);
-                    const data = await handler(opt, payload, url.search);
-                    this._sendOKResponse(res, data);
+                    const resHeaders = {};
+                    const data = await handler(opt, payload, url.search,
+                        resHeaders);
+                    this._sendOKResponse(res, data, resHeaders);
                 } catch(err) {
                     if (err instanceof NoSQLServiceError) {
                         return this._sendErrorResponse(res, err);
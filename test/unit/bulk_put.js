@@ -0,0 +1,339 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Readable = require('stream').Readable;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const Limits = require('../../lib/constants').Limits;
+const ops = require('../../lib/ops');
+const Utils = require('./utils');
+const WRITE_MANY_TESTS = require('./write_many_tests');
+
+function verifyBulkPutProgress(progress, tableName, rowsWritten, rowCount) {
+    expect(progress).to.be.an('object');
+    expect(progress.tableName).to.equal(tableName);
+    expect(progress.rowsWritten).to.equal(rowsWritten);
+    expect(progress.rowsFailed).to.equal(0);
+    expect(progress.checkpoint).to.deep.equal({ tableName, rowCount });
+    if (!Utils.isOnPrem) {
+        Utils.verifyConsumedCapacity(progress.consumedCapacity);
+        expect(progress.consumedCapacity.writeUnits).to.be.at.least(
+            rowsWritten);
+    }
+}
+
+function testBulkPut(client, test) {
+    const tbl = test.table;
+    //New rows after the existing ones, spanning multiple shards.
+    const rows = Utils.range(test.rowIdEnd, test.rowIdEnd +
+        3 * Limits.BATCH_OP_NUMBER).map(id => test.makeRow(id));
+    const keys = rows.map(row => Utils.makePrimaryKey(tbl, row));
+    const cpFile = path.join(os.tmpdir(), `bulk_put_${tbl.name}.cp`);
+
+    async function* genRows(failAt) {
+        for(let i = 0; i < rows.length; i++) {
+            if (i === failAt) {
+                throw new Error('Input error');
+            }
+            yield rows[i];
+        }
+    }
+
+    async function verifyRows() {
+        for(let i = 0; i < rows.length; i++) {
+            const getRes = await client.get(tbl.name, keys[i]);
+            Utils.verifyRow(getRes.row, rows[i], tbl);
+        }
+    }
+
+    for(const badOpt of [ { concurrency: 0 }, { batchSize: 0 },
+        { batchSize: Limits.BATCH_OP_NUMBER + 1 }, { checkpointFile: 1 },
+        { checkpointInterval: -1 }, { checkpoint: { rowCount: 1 } },
+        { checkpoint: { tableName: 'noSuchTable', rowCount: 1 } } ]) {
+        it(`bulkPut on table ${tbl.name} with invalid opt: \
+${util.inspect(badOpt)}`, async function() {
+            return expect(client.bulkPut(tbl.name, rows, badOpt)).to
+                .eventually.be.rejected.and.satisfy(err =>
+                    err instanceof NoSQLArgumentError &&
+                    err._rejectedByDriver);
+        });
+    }
+
+    it(`bulkPut on table ${tbl.name} with invalid rows`, async function() {
+        return expect(client.bulkPut(tbl.name, 1)).to.eventually.be
+            .rejectedWith(NoSQLArgumentError);
+    });
+
+    it(`bulkPut on table ${tbl.name} from async iterable`, async function() {
+        const progress = [];
+        const listener = (p, op) => {
+            expect(op.api).to.equal(client.bulkPut);
+            progress.push(p);
+        };
+        client.on('progress', listener);
+        let res;
+        try {
+            res = await client.bulkPut(tbl.name, genRows(),
+                { concurrency: 2 });
+        } finally {
+            client.removeListener('progress', listener);
+        }
+        verifyBulkPutProgress(res, tbl.name, rows.length, rows.length);
+        expect(progress.length).to.be.at.least(3);
+        for(let i = 1; i < progress.length; i++) {
+            expect(progress[i].rowsWritten).to.be.greaterThan(
+                progress[i - 1].rowsWritten);
+            expect(progress[i].checkpoint.rowCount).to.be.at.least(
+                progress[i - 1].checkpoint.rowCount);
+        }
+        await verifyRows();
+        await client.deleteMany(tbl.name, keys, { autoSplit: true });
+    });
+
+    it(`bulkPut on table ${tbl.name} from stream with batchSize 1`,
+        async function() {
+            const res = await client.bulkPut(tbl.name,
+                Readable.from(rows.slice(0, 20)), { batchSize: 1 });
+            verifyBulkPutProgress(res, tbl.name, 20, 20);
+            await client.deleteMany(tbl.name, keys.slice(0, 20),
+                { autoSplit: true });
+        });
+
+    it(`bulkPut on table ${tbl.name} resumed from checkpoint file`,
+        async function() {
+            fs.rmSync(cpFile, { force: true });
+            const failAt = rows.length - 20;
+            await expect(client.bulkPut(tbl.name, genRows(failAt),
+                { checkpointFile: cpFile })).to.eventually.be.rejectedWith(
+                'Input error');
+            const cp = JSON.parse(fs.readFileSync(cpFile, 'utf8'));
+            expect(cp.tableName).to.equal(tbl.name);
+            expect(cp.rowCount).to.be.at.most(failAt);
+
+            const res = await client.bulkPut(tbl.name, genRows(),
+                { checkpointFile: cpFile });
+            verifyBulkPutProgress(res, tbl.name, rows.length - cp.rowCount,
+                rows.length);
+            expect(fs.existsSync(cpFile)).to.equal(false);
+            await verifyRows();
+            await client.deleteMany(tbl.name, keys, { autoSplit: true });
+        });
+
+    it(`bulkPut on table ${tbl.name} with ifAbsent`, async function() {
+        const existingRow = test.rowFromShard(0);
+        const res = await client.bulkPut(tbl.name, [ existingRow ],
+            { ifAbsent: true });
+        expect(res.rowsWritten).to.equal(0);
+        expect(res.rowsFailed).to.equal(1);
+        expect(res.checkpoint.rowCount).to.equal(1);
+    });
+}
+
+function doTest(client, test) {
+    describe(`Running ${test.desc}`, function() {
+        before(async function() {
+            await Utils.createTable(client, test.table);
+            for(let row of test.rows) {
+                await Utils.putRow(client, test.table, row);
+            }
+        });
+        after(async function() {
+            await Utils.dropTable(client, test.table);
+        });
+        testBulkPut(client, test);
+        it('', () => {});
+    });
+}
+
+Utils.runSequential('bulkPut tests', doTest, WRITE_MANY_TESTS);
+
+const MEM_TABLE_NAME = 'bulkPutTest';
+
+const CREATE_MEM_TABLE = `CREATE TABLE ${MEM_TABLE_NAME}(sid INTEGER, \
+id INTEGER, name STRING, PRIMARY KEY(SHARD(sid), id))`;
+
+const SHARD_KEY_CNT = 4;
+const ROW_CNT = 200;
+const BATCH_SIZE = 10;
+
+const memRows = Utils.range(0, ROW_CNT).map(id => ({
+    sid: id % SHARD_KEY_CNT,
+    id,
+    name: `name${id}`
+}));
+
+async function* genMemRows(failAt) {
+    for(let i = 0; i < memRows.length; i++) {
+        if (i === failAt) {
+            throw new Error('Input error');
+        }
+        yield memRows[i];
+    }
+}
+
+//The client records the rows of each putMany request issued by bulkPut and
+//the maximum number of these requests in flight.
+function createMemClient(memService) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService
+    });
+    client.batches = [];
+    client.inFlight = 0;
+    client.maxInFlight = 0;
+    const origExecute = client._execute;
+    client._execute = async function(op, req) {
+        if (op !== ops.WriteMultipleOp) {
+            return origExecute.call(this, op, req);
+        }
+        client.batches.push(req.rows);
+        client.maxInFlight = Math.max(client.maxInFlight,
+            ++client.inFlight);
+        try {
+            //Simulate latency, so that the requests overlap.
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return await origExecute.call(this, op, req);
+        } finally {
+            client.inFlight--;
+        }
+    };
+    return client;
+}
+
+//Verifies that the table contains only the rows from given position of
+//the input.
+async function verifyMemRows(client, start = 0) {
+    for(const row of memRows) {
+        const res = await client.get(MEM_TABLE_NAME,
+            { sid: row.sid, id: row.id });
+        expect(res.row).to.deep.equal(row.id >= start ? row : null);
+    }
+}
+
+describe('bulkPut with in-memory service', function() {
+    const memService = new MemoryService();
+    const cpFile = path.join(os.tmpdir(), 'bulk_put_mem.cp');
+    let client;
+
+    beforeEach(async function() {
+        memService.clear();
+        client = createMemClient(memService);
+        await client.tableDDL(CREATE_MEM_TABLE);
+        fs.rmSync(cpFile, { force: true });
+    });
+    afterEach(function() {
+        client.close();
+    });
+    after(function() {
+        memService.clear();
+        fs.rmSync(cpFile, { force: true });
+    });
+
+    for(const concurrency of [ 1, 3 ]) {
+        it(`bulkPut with concurrency ${concurrency}`, async function() {
+            const res = await client.bulkPut(MEM_TABLE_NAME, memRows,
+                { concurrency, batchSize: BATCH_SIZE });
+            expect(res.rowsWritten).to.equal(ROW_CNT);
+            expect(res.rowsFailed).to.equal(0);
+            expect(client.maxInFlight).to.equal(concurrency);
+            //Each batch has at most BATCH_SIZE rows with the same shard
+            //key.
+            for(const batch of client.batches) {
+                expect(batch.length).to.be.within(1, BATCH_SIZE);
+                expect(new Set(batch.map(row => row.sid)).size).to.equal(1);
+            }
+            expect(client.batches.flat().map(row => row.id).sort(
+                (id1, id2) => id1 - id2)).to.deep.equal(
+                memRows.map(row => row.id));
+            await verifyMemRows(client);
+        });
+    }
+
+    it('bulkPut progress events', async function() {
+        const progress = [];
+        client.on('progress', (p, op) => {
+            expect(op.api).to.equal(client.bulkPut);
+            progress.push(p);
+        });
+        const res = await client.bulkPut(MEM_TABLE_NAME, genMemRows(),
+            { concurrency: 2, batchSize: BATCH_SIZE });
+        //One event for each completed batch.
+        expect(progress.length).to.equal(client.batches.length);
+        for(let i = 0; i < progress.length; i++) {
+            expect(progress[i].tableName).to.equal(MEM_TABLE_NAME);
+            expect(progress[i].rowsFailed).to.equal(0);
+            expect(progress[i].checkpoint.rowCount).to.be.at.most(
+                progress[i].rowsWritten);
+            if (i > 0) {
+                expect(progress[i].rowsWritten).to.equal(
+                    progress[i - 1].rowsWritten +
+                    client.batches[i].length);
+                expect(progress[i].checkpoint.rowCount).to.be.at.least(
+                    progress[i - 1].checkpoint.rowCount);
+            }
+        }
+        expect(progress[progress.length - 1]).to.deep.equal(res);
+        expect(res.checkpoint).to.deep.equal({
+            tableName: MEM_TABLE_NAME,
+            rowCount: ROW_CNT
+        });
+    });
+
+    it('bulkPut resumed from checkpoint file', async function() {
+        const failAt = ROW_CNT - 30;
+        await expect(client.bulkPut(MEM_TABLE_NAME, genMemRows(failAt), {
+            concurrency: 2,
+            batchSize: BATCH_SIZE,
+            checkpointFile: cpFile
+        })).to.be.rejectedWith('Input error');
+        //The rows read before the error are written and the checkpoint
+        //is saved.
+        const cp = JSON.parse(fs.readFileSync(cpFile, 'utf8'));
+        expect(cp).to.deep.equal({
+            tableName: MEM_TABLE_NAME,
+            rowCount: failAt
+        });
+
+        client.batches = [];
+        const res = await client.bulkPut(MEM_TABLE_NAME, genMemRows(), {
+            concurrency: 2,
+            batchSize: BATCH_SIZE,
+            checkpointFile: cpFile
+        });
+        expect(res.rowsWritten).to.equal(ROW_CNT - failAt);
+        expect(res.checkpoint.rowCount).to.equal(ROW_CNT);
+        //Rows before the checkpoint are not written again.
+        expect(client.batches.flat().every(row => row.id >= failAt))
+            .to.equal(true);
+        expect(fs.existsSync(cpFile)).to.equal(false);
+        await verifyMemRows(client);
+    });
+
+    it('bulkPut resumed from checkpoint option', async function() {
+        const res = await client.bulkPut(MEM_TABLE_NAME, memRows, {
+            batchSize: BATCH_SIZE,
+            checkpoint: {
+                tableName: MEM_TABLE_NAME.toUpperCase(),
+                rowCount: 50
+            }
+        });
+        expect(res.rowsWritten).to.equal(ROW_CNT - 50);
+        expect(res.checkpoint.rowCount).to.equal(ROW_CNT);
+        await verifyMemRows(client, 50);
+    });
+});
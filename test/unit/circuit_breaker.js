@@ -0,0 +1,298 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const CircuitBreakerState = require('../../index').CircuitBreakerState;
+const MemoryService = require('../../index').MemoryService;
+const sleep = require('../../lib/utils').sleep;
+
+const TABLE_NAME = 'cbTest';
+
+const memService = new MemoryService();
+
+function createClient(circuitBreaker) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        //Retry network errors only once to keep the tests short.
+        retry: {
+            handler: {
+                doRetry: (req, numRetries) => numRetries < 2,
+                delay: 10
+            }
+        },
+        circuitBreaker
+    });
+    client.events = [];
+    client.on('circuitBreakerState', (state, prevState, err) =>
+        client.events.push({ state, prevState, err }));
+    return client;
+}
+
+function injectFailures(count, errorCode = ErrorCode.NETWORK_ERROR) {
+    memService.injectError({ errorCode, op: 'get', count });
+}
+
+async function expectFailFast(client) {
+    const err = await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+        .rejectedWith(NoSQLError);
+    expect(err.errorCode).to.equal(ErrorCode.CIRCUIT_BREAKER_OPEN);
+    expect(err.retryable).to.equal(false);
+    expect(err.operation).to.exist;
+    expect(err.operation.api).to.equal(client.get);
+    return err;
+}
+
+function verifyEvent(event, state, prevState, errorCode) {
+    expect(event.state).to.equal(state);
+    expect(event.prevState).to.equal(prevState);
+    if (errorCode != null) {
+        expect(event.err).to.be.instanceOf(NoSQLError);
+        expect(event.err.errorCode).to.equal(errorCode);
+    } else {
+        expect(event.err).to.not.exist;
+    }
+}
+
+function testOpenAndClose() {
+    it('Open, half-open and close', async function() {
+        const client = createClient({
+            windowSize: 4,
+            minRequests: 4,
+            failureThreshold: 50,
+            openTimeout: 100
+        });
+        try {
+            //2 requests succeed, 2 fail (1 operation with 1 retry).
+            await client.get(TABLE_NAME, { id: 1 });
+            await client.get(TABLE_NAME, { id: 1 });
+            injectFailures(2);
+            await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                .rejectedWith(/NETWORK_ERROR/);
+            expect(client.events.length).to.equal(1);
+            verifyEvent(client.events[0], CircuitBreakerState.OPEN,
+                CircuitBreakerState.CLOSED, ErrorCode.NETWORK_ERROR);
+
+            //Fail fast, the original error is the cause.
+            const err = await expectFailFast(client);
+            expect(err.cause).to.equal(client.events[0].err);
+            await expectFailFast(client);
+            expect(client.events.length).to.equal(1);
+
+            await sleep(120);
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(client.events.length).to.equal(3);
+            verifyEvent(client.events[1], CircuitBreakerState.HALF_OPEN,
+                CircuitBreakerState.OPEN);
+            verifyEvent(client.events[2], CircuitBreakerState.CLOSED,
+                CircuitBreakerState.HALF_OPEN);
+
+            //The window is reset after closing.
+            injectFailures(1);
+            await client.get(TABLE_NAME, { id: 1 });
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(client.events.length).to.equal(3);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Reopen after failed trial request', async function() {
+        const client = createClient({
+            windowSize: 2,
+            minRequests: 2,
+            failureThreshold: 100,
+            openTimeout: 50
+        });
+        try {
+            injectFailures(2, ErrorCode.SERVICE_UNAVAILABLE);
+            await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                .rejectedWith(/SERVICE_UNAVAILABLE/);
+            expect(client.events.length).to.equal(1);
+            verifyEvent(client.events[0], CircuitBreakerState.OPEN,
+                CircuitBreakerState.CLOSED, ErrorCode.SERVICE_UNAVAILABLE);
+
+            await sleep(70);
+            //The trial request fails and the retry fails fast.
+            injectFailures(1, ErrorCode.SERVICE_UNAVAILABLE);
+            await expectFailFast(client);
+            expect(client.events.length).to.equal(3);
+            verifyEvent(client.events[1], CircuitBreakerState.HALF_OPEN,
+                CircuitBreakerState.OPEN);
+            verifyEvent(client.events[2], CircuitBreakerState.OPEN,
+                CircuitBreakerState.HALF_OPEN,
+                ErrorCode.SERVICE_UNAVAILABLE);
+
+            await sleep(70);
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(client.events.length).to.equal(5);
+            expect(client.events[4].state).to.equal(
+                CircuitBreakerState.CLOSED);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testHalfOpenRequests() {
+    it('Multiple half-open requests', async function() {
+        const client = createClient({
+            windowSize: 2,
+            minRequests: 2,
+            openTimeout: 50,
+            halfOpenRequests: 2
+        });
+        try {
+            injectFailures(2);
+            await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                .rejectedWith(/NETWORK_ERROR/);
+            await sleep(70);
+            //Only 2 trial requests are allowed concurrently.
+            const res = await Promise.allSettled([
+                client.get(TABLE_NAME, { id: 1 }),
+                client.get(TABLE_NAME, { id: 1 }),
+                client.get(TABLE_NAME, { id: 1 })
+            ]);
+            expect(res.map(r => r.status)).to.deep.equal(
+                [ 'fulfilled', 'fulfilled', 'rejected' ]);
+            expect(res[2].reason.errorCode).to.equal(
+                ErrorCode.CIRCUIT_BREAKER_OPEN);
+            expect(client.events.map(e => e.state)).to.deep.equal([
+                CircuitBreakerState.OPEN,
+                CircuitBreakerState.HALF_OPEN,
+                CircuitBreakerState.CLOSED
+            ]);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testOtherErrors() {
+    it('Other errors are not failures', async function() {
+        const client = createClient({
+            windowSize: 2,
+            minRequests: 2,
+            failureThreshold: 50
+        });
+        try {
+            for(let i = 0; i < 5; i++) {
+                await expect(client.get('noSuchTable', { id: 1 })).to.be
+                    .rejectedWith(/TABLE_NOT_FOUND/);
+            }
+            memService.injectError({
+                errorCode: ErrorCode.SERVER_ERROR,
+                op: 'get',
+                count: 100
+            });
+            for(let i = 0; i < 5; i++) {
+                await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                    .rejectedWith(/SERVER_ERROR/);
+            }
+            expect(client.events.length).to.equal(0);
+        } finally {
+            memService.clearErrors();
+            client.close();
+        }
+    });
+
+    it('Minimum number of requests', async function() {
+        const client = createClient({
+            windowSize: 10,
+            minRequests: 3,
+            failureThreshold: 50
+        });
+        try {
+            injectFailures(2);
+            await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                .rejectedWith(/NETWORK_ERROR/);
+            expect(client.events.length).to.equal(0);
+            //2 failures out of 3 requests.
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(client.events.length).to.equal(1);
+            verifyEvent(client.events[0], CircuitBreakerState.OPEN,
+                CircuitBreakerState.CLOSED, ErrorCode.NETWORK_ERROR);
+            await expectFailFast(client);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testDefaults() {
+    it('Default circuit breaker', async function() {
+        const client = createClient(true);
+        try {
+            //10 requests, 5 failed.
+            for(let i = 0; i < 5; i++) {
+                await client.get(TABLE_NAME, { id: 1 });
+            }
+            injectFailures(4);
+            for(let i = 0; i < 2; i++) {
+                await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                    .rejectedWith(/NETWORK_ERROR/);
+            }
+            expect(client.events.length).to.equal(0);
+            //The first request fails and the retry fails fast.
+            injectFailures(1);
+            await expectFailFast(client);
+            expect(client.events.length).to.equal(1);
+            await expectFailFast(client);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Circuit breaker disabled', async function() {
+        for(const circuitBreaker of [ undefined, null, false ]) {
+            const client = createClient(circuitBreaker);
+            try {
+                for(let i = 0; i < 5; i++) {
+                    injectFailures(2);
+                    await expect(client.get(TABLE_NAME, { id: 1 })).to.be
+                        .rejectedWith(/NETWORK_ERROR/);
+                }
+                expect(client.events.length).to.equal(0);
+            } finally {
+                client.close();
+            }
+        }
+    });
+}
+
+describe('Circuit breaker tests', function() {
+    before(async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: memService
+        });
+        try {
+            await client.tableDDL(`CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+name STRING, PRIMARY KEY(id))`);
+        } finally {
+            client.close();
+        }
+    });
+    afterEach(function() {
+        memService.clearErrors();
+    });
+    after(function() {
+        memService.clear();
+    });
+    testOpenAndClose();
+    testHalfOpenRequests();
+    testOtherErrors();
+    testDefaults();
+});
@@ -13,6 +13,7 @@ const NoSQLClient = require('../../index').NoSQLClient;
 const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
 const ServiceType = require('../../index').ServiceType;
 const Region = require('../../index').Region;
+const MemoryService = require('../../index').MemoryService;
 const Utils = require('./utils');
 
 const goodIAMConfigs = require('./auth/iam/config').goodDirectConfigs;
@@ -204,6 +205,105 @@ const badRateLimiterPercent = [
     'a', {}, NaN, Infinity, 0, -1, 101
 ];
 
+const badInterceptors = [
+    1, //must be array
+    'a', //must be array
+    {
+        onRequest: () => {} //must be array
+    },
+    [ null ], //must be object
+    [ 1 ], //must be object
+    [ {} ], //must have at least one method
+    [ { onRequest: () => {} }, {} ],
+    [ { onRequest: 1 } ],
+    [ { onResult: () => {}, onError: 'a' } ]
+];
+
+const badTelemetry = [
+    1, //must be object
+    'a', //must be object
+    {}, //must have tracer or meter
+    { tracer: 1 }, //must be object
+    { tracer: {} }, //must have startSpan()
+    { tracer: { startSpan: 1 } },
+    { meter: {} }, //must have createHistogram() and createCounter()
+    { meter: { createHistogram: () => {} } },
+    { meter: { createHistogram: () => {}, createCounter: 'a' } },
+    { tracer: { startSpan: () => {} }, meter: 1 }
+];
+
+const badStats = [
+    1, //must be boolean or object
+    'a', //must be boolean or object
+    { interval: 0 }, //must be positive integer
+    { interval: -1 },
+    { interval: 1.5 },
+    { interval: 'a' },
+    { maxLatencySamples: 0 }, //must be positive integer
+    { maxLatencySamples: 10.5 },
+    { interval: 1000, maxLatencySamples: '10' }
+];
+
+const badCircuitBreakers = [
+    1, //must be boolean or object
+    'a', //must be boolean or object
+    { failureThreshold: 0 }, //must be > 0 and <= 100
+    { failureThreshold: -10 },
+    { failureThreshold: 101 },
+    { failureThreshold: '50' },
+    { windowSize: 0 }, //must be positive integer
+    { windowSize: 10.5 },
+    { minRequests: 0 }, //must be positive integer
+    { minRequests: 'a' },
+    { windowSize: 5 }, //minRequests (default 10) must be <= windowSize
+    { windowSize: 10, minRequests: 11 },
+    { openTimeout: 0 }, //must be positive integer
+    { openTimeout: -1000 },
+    { halfOpenRequests: 0 }, //must be positive integer
+    { halfOpenRequests: 1.5 }
+];
+
+const badStatementCaches = [
+    1, //must be boolean or object
+    'a', //must be boolean or object
+    { maxSize: 0 }, //must be positive integer
+    { maxSize: -1 },
+    { maxSize: 10.5 },
+    { maxSize: '10' }
+];
+
+const badRowMappers = [
+    1, //must be object
+    [ Date ], //must be plain object
+    Date, //must be plain object
+    { emp: 1 }, //mapper must be class or object
+    { emp: null },
+    { emp: () => ({}) }, //arrow function is not a class
+    { emp: {} }, //must have type or fromRow
+    { emp: { type: 'Emp' } }, //type must be class
+    { emp: { type: Date, toRow: 1 } }, //toRow must be function
+    { emp: { fromRow: {} } }, //fromRow must be function
+    { emp: { type: Date, fields: [] } }, //fields must be plain object
+    { emp: { type: Date, fields: { a: 1 } } } //nested mapper must be valid
+];
+
+const badEndpointLists = [
+    'localhost:8080', //must be array
+    new URL('http://localhost:8080'), //must be array
+    [], //cannot be empty
+    ...badEndpoints.map(endpoint => [ 'localhost:8080', endpoint ]),
+    [ 'http://a:8080', 'https://b' ], //must use the same protocol
+    [ 'localhost:8080', 'http://localhost:8080' ] //duplicate endpoint
+];
+
+const badEndpointSelections = [
+    null,
+    0,
+    '',
+    'RANDOM',
+    Consistency.ABSOLUTE
+];
+
 //Since undefined and null are allowed if we specify region in OCI config
 //file, we test that separately (see iam/oci_region.js).
 
@@ -230,6 +330,33 @@ const badConfigs = [
         endpoint: 'https://nosql.us-phoenix-1.oci.oraclecloud.com',
         region: Region.US_PHOENIX_1
     },
+    ...badEndpointLists.map(endpoints => ({
+        endpoints //invalid endpoints
+    })),
+    {   //cannot specify both endpoints and endpoint
+        endpoints: [ 'localhost:8080', 'localhost:8081' ],
+        endpoint: 'localhost:8080'
+    },
+    {   //cannot specify both endpoints and region
+        endpoints: [ 'https://nosql.us-phoenix-1.oci.oraclecloud.com' ],
+        region: Region.US_PHOENIX_1
+    },
+    {   //multiple endpoints not supported in the cloud
+        serviceType: ServiceType.CLOUD,
+        endpoints: [ 'https://nosql.us-phoenix-1.oci.oraclecloud.com' ]
+    },
+    {   //endpoints not allowed with service type MEMORY
+        serviceType: ServiceType.MEMORY,
+        endpoints: [ 'localhost:8080' ]
+    },
+    ...badEndpointSelections.map(endpointSelection => ({
+        endpoints: [ 'localhost:8080', 'localhost:8081' ],
+        endpointSelection
+    })),
+    ...badMillis.map(endpointEjectTimeout => ({
+        endpoints: [ 'localhost:8080', 'localhost:8081' ],
+        endpointEjectTimeout
+    })),
     ...badMillis.map(timeout => ({
         endpoint: 'http://localhost:8080',
         timeout //invalid timeout
@@ -347,6 +474,46 @@ const badConfigs = [
         endpoint: 'localhost:8080',
         rateLimiter: true,
         rateLimiterPercent
+    })),
+    {   //Service type MEMORY, but specified endpoint
+        endpoint: 'localhost:8080',
+        serviceType: ServiceType.MEMORY
+    },
+    {   //Service type MEMORY, but specified region
+        region: Region.US_ASHBURN_1,
+        serviceType: 'memory'
+    },
+    ...[ 1, 'a', {}, new Map() ].map(memoryService => ({
+        serviceType: ServiceType.MEMORY,
+        memoryService
+    })),
+    {   //memoryService specified for other service type
+        endpoint: 'localhost:8080',
+        memoryService: new MemoryService()
+    },
+    ...badInterceptors.map(interceptors => ({
+        endpoint: 'localhost:8080',
+        interceptors
+    })),
+    ...badTelemetry.map(telemetry => ({
+        endpoint: 'localhost:8080',
+        telemetry
+    })),
+    ...badStats.map(stats => ({
+        endpoint: 'localhost:8080',
+        stats
+    })),
+    ...badCircuitBreakers.map(circuitBreaker => ({
+        endpoint: 'localhost:8080',
+        circuitBreaker
+    })),
+    ...badStatementCaches.map(statementCache => ({
+        endpoint: 'localhost:8080',
+        statementCache
+    })),
+    ...badRowMappers.map(rowMappers => ({
+        endpoint: 'localhost:8080',
+        rowMappers
     }))
 ];
 
@@ -0,0 +1,327 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const EndpointSelection = require('../../index').EndpointSelection;
+const MemoryService = require('../../index').MemoryService;
+const HttpConstants = require('../../lib/constants').HttpConstants;
+const PM = require('../../lib/nson_protocol/protocol_manager');
+const sleep = require('../../lib/utils').sleep;
+const MockHttp = require('./auth/mock_http').MockHttp;
+const MockHttps = require('./auth/mock_http').MockHttps;
+
+const TABLE_NAME = 'epTest';
+const LOGIN_PATH = `/${HttpConstants.NOSQL_VERSION}/nosql/security/login`;
+const LOGOUT_PATH = `/${HttpConstants.NOSQL_VERSION}/nosql/security/logout`;
+
+const memService = new MemoryService();
+const mockHttp = new MockHttp();
+const mockHttps = new MockHttps();
+
+//Executes the request payload using the in-memory service.
+async function execute(payload) {
+    const reqBuf = PM.getBuffer();
+    const resBuf = PM.getBuffer();
+    try {
+        PM.addChunk(reqBuf, payload);
+        await memService._execute(reqBuf, resBuf);
+        return Buffer.from(PM.getContent(resBuf));
+    } finally {
+        PM.releaseBuffer(reqBuf);
+        PM.releaseBuffer(resBuf);
+    }
+}
+
+class Proxy {
+
+    constructor(mock, host) {
+        this.host = host;
+        this.requests = [];
+        this.logins = 0;
+        this.logouts = 0;
+        this.tokens = new Set();
+        mock.setEndpoint(host, HttpConstants.NOSQL_DATA_PATH,
+            (opt, payload, search, resHeaders) =>
+                this._handle(opt, payload, resHeaders));
+        mock.setEndpoint(host, LOGIN_PATH, () => this._login());
+        mock.setEndpoint(host, LOGOUT_PATH, opt => this._logout(opt));
+    }
+
+    async _handle(opt, payload, resHeaders) {
+        const auth = opt.headers[HttpConstants.AUTHORIZATION];
+        this.requests.push({
+            auth,
+            cookie: opt.headers[HttpConstants.COOKIE]
+        });
+        if (this.delay) {
+            await sleep(this.delay);
+        }
+        if (this.down) {
+            throw new Error(`Proxy ${this.host} is down`);
+        }
+        if (auth != null && !this.tokens.has(auth.slice(7))) {
+            throw MockHttp.unauthorized(`Invalid token: ${auth}`);
+        }
+        if (this.cookie != null) {
+            resHeaders[HttpConstants.SET_COOKIE] = [
+                `session=${this.cookie}; Path=/; HttpOnly`
+            ];
+        }
+        return execute(payload);
+    }
+
+    _login() {
+        const token = `${this.host}-token-${this.logins++}`;
+        this.tokens.add(token);
+        return { token, expireAt: Date.now() + 60000 };
+    }
+
+    _logout(opt) {
+        const token = opt.headers[HttpConstants.AUTHORIZATION].slice(7);
+        expect(this.tokens.has(token)).to.equal(true);
+        this.tokens.delete(token);
+        this.logouts++;
+    }
+
+}
+
+function createProxies(mock, cnt) {
+    mock.clear();
+    const proxies = [];
+    for(let i = 1; i <= cnt; i++) {
+        proxies.push(new Proxy(mock, `proxy${i}`));
+    }
+    return proxies;
+}
+
+function createClient(proxies, opt) {
+    return new NoSQLClient(Object.assign({
+        serviceType: ServiceType.KVSTORE,
+        endpoints: proxies.map(p => `http://${p.host}:80`),
+        retry: { baseDelay: 10 }
+    }, opt));
+}
+
+async function doGets(client, cnt) {
+    for(let i = 0; i < cnt; i++) {
+        await client.get(TABLE_NAME, { id: i });
+    }
+}
+
+function testSelection() {
+    it('Round robin', async function() {
+        const proxies = createProxies(mockHttp, 3);
+        const client = createClient(proxies);
+        try {
+            expect(client._config.endpointSelection).to.equal(
+                EndpointSelection.ROUND_ROBIN);
+            await doGets(client, 6);
+            for(let p of proxies) {
+                expect(p.requests.length).to.equal(2);
+            }
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Least pending', async function() {
+        const proxies = createProxies(mockHttp, 3);
+        const client = createClient(proxies, {
+            endpointSelection: 'least_pending'
+        });
+        try {
+            expect(client._config.endpointSelection).to.equal(
+                EndpointSelection.LEAST_PENDING);
+            proxies[0].delay = 200;
+            const slowGet = client.get(TABLE_NAME, { id: 1 });
+            await sleep(20);
+            //While the request to the first proxy is in progress, the
+            //other proxies are used.
+            await doGets(client, 4);
+            await slowGet;
+            expect(proxies.map(p => p.requests.length)).to.deep.equal(
+                [ 1, 2, 2 ]);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testEjection() {
+    it('Eject on network error', async function() {
+        const proxies = createProxies(mockHttp, 3);
+        const client = createClient(proxies, { endpointEjectTimeout: 200 });
+        try {
+            proxies[1].down = true;
+            //The failed request is retried on another proxy.
+            await doGets(client, 6);
+            expect(proxies[1].requests.length).to.equal(1);
+            expect(proxies[0].requests.length +
+                proxies[2].requests.length).to.equal(6);
+
+            proxies[1].down = false;
+            await sleep(250);
+            await doGets(client, 3);
+            expect(proxies[1].requests.length).to.equal(2);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('All endpoints ejected', async function() {
+        const proxies = createProxies(mockHttp, 2);
+        const client = createClient(proxies, { timeout: 300 });
+        try {
+            proxies[0].down = true;
+            proxies[1].down = true;
+            const err = await expect(client.get(TABLE_NAME, { id: 1 })).to
+                .be.rejectedWith(/timed out/);
+            expect(err.cause.errorCode).to.equal(ErrorCode.NETWORK_ERROR);
+            //Both proxies are still used while ejected.
+            expect(proxies[0].requests.length).to.be.at.least(1);
+            expect(proxies[1].requests.length).to.be.at.least(1);
+
+            proxies[0].down = false;
+            proxies[1].down = false;
+            await client.get(TABLE_NAME, { id: 1 });
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Single endpoint is not ejected', async function() {
+        const proxies = createProxies(mockHttp, 1);
+        const client = createClient(proxies);
+        try {
+            proxies[0].down = true;
+            await expect(client.get(TABLE_NAME, { id: 1 }, { timeout: 200 }))
+                .to.be.rejectedWith(/timed out/);
+            proxies[0].down = false;
+            await client.get(TABLE_NAME, { id: 1 });
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testSessionCookies() {
+    it('Session cookie per endpoint', async function() {
+        const proxies = createProxies(mockHttp, 2);
+        proxies[0].cookie = 'cookie1';
+        proxies[1].cookie = 'cookie2';
+        const client = createClient(proxies);
+        try {
+            await doGets(client, 6);
+            for(let p of proxies) {
+                expect(p.requests.map(r => r.cookie)).to.deep.equal([
+                    undefined,
+                    `session=${p.cookie}`,
+                    `session=${p.cookie}`
+                ]);
+            }
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testKVStoreAuth() {
+    function createSecureClient(proxies) {
+        return new NoSQLClient({
+            endpoints: proxies.map(p => `https://${p.host}`),
+            retry: { baseDelay: 10 },
+            auth: {
+                kvstore: {
+                    user: 'test',
+                    password: 'NoSql00__123456'
+                }
+            }
+        });
+    }
+
+    it('Authorization per endpoint', async function() {
+        const proxies = createProxies(mockHttps, 2);
+        const client = createSecureClient(proxies);
+        try {
+            await doGets(client, 4);
+            for(let p of proxies) {
+                expect(p.logins).to.equal(1);
+                expect(p.requests.map(r => r.auth)).to.deep.equal([
+                    `Bearer ${p.host}-token-0`,
+                    `Bearer ${p.host}-token-0`
+                ]);
+            }
+        } finally {
+            await client.close();
+        }
+        for(let p of proxies) {
+            expect(p.logouts).to.equal(1);
+            expect(p.tokens.size).to.equal(0);
+        }
+    });
+
+    it('Retry authentication on the same endpoint', async function() {
+        const proxies = createProxies(mockHttps, 2);
+        const client = createSecureClient(proxies);
+        try {
+            await doGets(client, 2);
+            memService.injectError({
+                errorCode: ErrorCode.RETRY_AUTHENTICATION,
+                op: 'get'
+            });
+            //The request to the first proxy is retried on the same proxy
+            //with new token.
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(proxies[0].logins).to.equal(2);
+            expect(proxies[0].requests.map(r => r.auth)).to.deep.equal([
+                'Bearer proxy1-token-0',
+                'Bearer proxy1-token-0',
+                'Bearer proxy1-token-1'
+            ]);
+            expect(proxies[1].logins).to.equal(1);
+            expect(proxies[1].requests.length).to.equal(1);
+        } finally {
+            await client.close();
+        }
+    });
+}
+
+describe('Multiple endpoints tests', function() {
+    before(async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: memService
+        });
+        try {
+            await client.tableDDL(`CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+name STRING, PRIMARY KEY(id))`);
+        } finally {
+            client.close();
+        }
+        mockHttp.stub();
+        mockHttps.stub();
+    });
+    after(function() {
+        mockHttp.restore();
+        mockHttps.restore();
+        memService.clear();
+    });
+    afterEach(function() {
+        memService.clearErrors();
+    });
+    testSelection();
+    testEjection();
+    testSessionCookies();
+    testKVStoreAuth();
+});
@@ -0,0 +1,426 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Readable = require('stream').Readable;
+const PassThrough = require('stream').PassThrough;
+const Decimal = require('decimal.js');
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const Utils = require('./utils');
+const WRITE_MANY_TESTS = require('./write_many_tests');
+
+async function exportToChunks(client, tableName, opt) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const res = await client.export(tableName, output, opt);
+    return { res, chunks };
+}
+
+function testExportImport(client, test) {
+    const tbl = test.table;
+    const keys = test.rows.map(row => Utils.makePrimaryKey(tbl, row));
+    const copyTbl = Object.assign({}, tbl, { name: tbl.name + 'Copy' });
+    const headerFile = path.join(os.tmpdir(), `export_${tbl.name}.json`);
+
+    async function verifyRows(tableName) {
+        for(let i = 0; i < test.rows.length; i++) {
+            const getRes = await client.get(tableName, keys[i]);
+            Utils.verifyRow(getRes.row, test.rows[i], tbl);
+        }
+    }
+
+    for(const badOpt of [ { format: 'xml' }, { format: 1 } ]) {
+        it(`export on table ${tbl.name} with invalid opt: \
+${util.inspect(badOpt)}`, async function() {
+            return expect(client.export(tbl.name, new PassThrough(), badOpt))
+                .to.eventually.be.rejected.and.satisfy(err =>
+                    err instanceof NoSQLArgumentError &&
+                    err._rejectedByDriver);
+        });
+    }
+
+    it(`export on table ${tbl.name} with invalid output`, async function() {
+        return expect(client.export(tbl.name, 'file.json')).to.eventually
+            .be.rejectedWith(NoSQLArgumentError);
+    });
+
+    it(`import on table ${tbl.name} with invalid input`, async function() {
+        return expect(client.import(tbl.name, 1)).to.eventually.be
+            .rejectedWith(NoSQLArgumentError);
+    });
+
+    it(`import on table ${tbl.name} with invalid header`, async function() {
+        return expect(client.import(tbl.name,
+            [ '{"$header":{"version":100}}\n' ])).to.eventually.be
+            .rejectedWith(NoSQLArgumentError);
+    });
+
+    for(const format of [ 'ndjson', 'csv' ]) {
+        it(`export and import on table ${tbl.name} in ${format} format`,
+            async function() {
+                const { res, chunks } = await exportToChunks(client,
+                    tbl.name, { format, headerFile });
+                expect(res.rowCount).to.equal(test.rows.length);
+                if (!Utils.isOnPrem) {
+                    Utils.verifyConsumedCapacity(res.consumedCapacity);
+                }
+                const header = JSON.parse(fs.readFileSync(headerFile,
+                    'utf8'));
+                expect(header.tableName).to.equal(tbl.name);
+                expect(header.tableDDL).to.be.a('string');
+                expect(header.schema).to.be.an('object');
+
+                await client.deleteMany(tbl.name, keys, { autoSplit: true });
+                const importRes = await client.import(tbl.name, chunks,
+                    { format, headerFile });
+                expect(importRes.rowsWritten).to.equal(test.rows.length);
+                expect(importRes.rowsFailed).to.equal(0);
+                await verifyRows(tbl.name);
+            });
+    }
+
+    it(`export table ${tbl.name} and import into new table ${copyTbl.name}`,
+        async function() {
+            const { res, chunks } = await exportToChunks(client, tbl.name);
+            expect(res.rowCount).to.equal(test.rows.length);
+            try {
+                const importRes = await client.import(copyTbl.name,
+                    Readable.from(chunks), {
+                        createTable: true,
+                        tableLimits: tbl.limits,
+                        concurrency: 2
+                    });
+                expect(importRes.tableName).to.equal(copyTbl.name);
+                expect(importRes.rowsWritten).to.equal(test.rows.length);
+                await verifyRows(copyTbl.name);
+            } finally {
+                await Utils.dropTable(client, copyTbl);
+            }
+        });
+
+    after(function() {
+        fs.rmSync(headerFile, { force: true });
+    });
+}
+
+function testExportImportJSON(client, test) {
+    const tbl = {
+        name: test.table.name + 'Json',
+        fields: [
+            { name: 'id', type: 'INTEGER' },
+            { name: 'info', type: 'JSON' }
+        ],
+        primaryKey: [ 'id' ],
+        limits: test.table.limits
+    };
+    const copyTbl = Object.assign({}, tbl, { name: tbl.name + 'Copy' });
+    const headerFile = path.join(os.tmpdir(), `export_${tbl.name}.json`);
+    const rows = [
+        { id: 0, info: 'text' },
+        { id: 1, info: '"quoted", with comma' },
+        { id: 2, info: 10 },
+        { id: 3, info: { a: [ 1, 'x' ] } },
+        { id: 4, info: null }
+    ];
+    //CSV lines as written by export for the rows above.
+    const csvLines = [
+        'id,info\n',
+        '0,"""text"""\n',
+        '1,"""\\""quoted\\"", with comma"""\n',
+        '2,10\n',
+        '3,"{""a"":[1,""x""]}"\n',
+        '4,null\n'
+    ];
+
+    async function verifyRows(tableName) {
+        for(const row of rows) {
+            const getRes = await client.get(tableName, { id: row.id });
+            expect(getRes.row).to.deep.equal(row);
+        }
+    }
+
+    before(async function() {
+        await Utils.createTable(client, tbl);
+    });
+    after(async function() {
+        await Utils.dropTable(client, tbl);
+        await Utils.dropTable(client, copyTbl);
+        fs.rmSync(headerFile, { force: true });
+    });
+
+    it(`import JSON values on table ${tbl.name} in csv format`,
+        async function() {
+            const importRes = await client.import(tbl.name, csvLines,
+                { format: 'csv' });
+            expect(importRes.rowsWritten).to.equal(rows.length);
+            await verifyRows(tbl.name);
+        });
+
+    it(`export and import JSON values on table ${tbl.name} in csv format`,
+        async function() {
+            const { chunks } = await exportToChunks(client, tbl.name,
+                { format: 'csv', headerFile });
+            expect(chunks.join('')).to.equal(csvLines.join(''));
+            const origTableDDL = client.tableDDL;
+            const ddlOpts = [];
+            client.tableDDL = (stmt, opt) => {
+                ddlOpts.push(opt);
+                return origTableDDL.call(client, stmt, opt);
+            };
+            let importRes;
+            try {
+                importRes = await client.import(copyTbl.name, chunks, {
+                    format: 'csv',
+                    headerFile,
+                    createTable: true,
+                    tableLimits: tbl.limits
+                });
+            } finally {
+                client.tableDDL = origTableDDL;
+            }
+            //Compartment and namespace not given in the options should be
+            //inherited from the config.
+            expect(ddlOpts).to.not.be.empty;
+            for(const opt of ddlOpts) {
+                expect(opt).to.not.have.own.property('compartment');
+                expect(opt).to.not.have.own.property('namespace');
+            }
+            expect(importRes.rowsWritten).to.equal(rows.length);
+            await verifyRows(copyTbl.name);
+        });
+
+    it(`import invalid JSON value on table ${tbl.name} in csv format`,
+        async function() {
+            return expect(client.import(tbl.name, [ 'id,info\n',
+                '0,"""text"""\n', '1,"{""a"":"\n' ], { format: 'csv' }))
+                .to.eventually.be.rejected.and.satisfy(err =>
+                    err instanceof NoSQLArgumentError &&
+                    /column info in CSV row 2/.test(err.message) &&
+                    err.cause instanceof SyntaxError);
+        });
+}
+
+function doTest(client, test) {
+    describe(`Running ${test.desc}`, function() {
+        before(async function() {
+            await Utils.createTable(client, test.table);
+            for(let row of test.rows) {
+                await Utils.putRow(client, test.table, row);
+            }
+        });
+        after(async function() {
+            await Utils.dropTable(client, test.table);
+        });
+        testExportImport(client, test);
+        describe('Export and import of JSON values', function() {
+            testExportImportJSON(client, test);
+        });
+        it('', () => {});
+    });
+}
+
+//Export scans the whole table, which the in-memory service does not
+//support.
+if (!Utils.isMemory) {
+    Utils.runSequential('export and import tests', doTest, WRITE_MANY_TESTS);
+}
+
+const MEM_TABLE_NAME = 'exportTest';
+
+const CREATE_MEM_TABLE = `CREATE TABLE ${MEM_TABLE_NAME}(id INTEGER, \
+l LONG, b BINARY, ts TIMESTAMP(3), n NUMBER, s STRING, info JSON, \
+PRIMARY KEY(id))`;
+
+const memRows = [
+    {
+        id: 0,
+        l: 2n ** 60n,
+        b: Buffer.from([ 1, 2, 3 ]),
+        ts: new Date('2020-01-01T00:00:00.123Z'),
+        n: new Decimal('123.456'),
+        s: 'text',
+        info: { a: [ 1, 'x' ], s: '"quoted", with comma' }
+    },
+    {
+        id: 1,
+        l: -5n,
+        b: Buffer.alloc(0),
+        ts: new Date(0),
+        n: new Decimal('1e-20'),
+        s: '',
+        //Object with single key that is a type tag.
+        info: { $date: 'not a date' }
+    },
+    //SQL NULLs and JSON null.
+    { id: 2, info: null }
+];
+
+//Lines written by export for the rows above.
+const ndjsonLines = [
+    '{"id":0,"l":{"$long":"1152921504606846976"},"b":{"$binary":"AQID"},\
+"ts":{"$date":"2020-01-01T00:00:00.123Z"},"n":{"$number":"123.456"},\
+"s":"text","info":{"a":[1,"x"],"s":"\\"quoted\\", with comma"}}\n',
+    '{"id":1,"l":{"$long":"-5"},"b":{"$binary":""},\
+"ts":{"$date":"1970-01-01T00:00:00.000Z"},"n":{"$number":"1e-20"},"s":"",\
+"info":{"$object":[["$date","not a date"]]}}\n',
+    '{"id":2,"info":null}\n'
+];
+
+const csvLines = [
+    'id,l,b,ts,n,s,info\n',
+    '0,1152921504606846976,AQID,2020-01-01T00:00:00.123Z,123.456,text,\
+"{""a"":[1,""x""],""s"":""\\""quoted\\"", with comma""}"\n',
+    '1,-5,"",1970-01-01T00:00:00.000Z,1e-20,"",\
+"{""$object"":[[""$date"",""not a date""]]}"\n',
+    '2,,,,,,null\n'
+];
+
+function createMemClient(memService) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        longAsBigInt: true,
+        dbNumber: Decimal
+    });
+    //The in-memory service does not support full table scans, so the query
+    //issued by export is replaced by reading the rows by primary key.
+    client.queryIterable = async function*(stmt) {
+        expect(stmt).to.equal(`SELECT * FROM ${MEM_TABLE_NAME}`);
+        const rows = [];
+        for(const row of memRows) {
+            const res = await client.get(MEM_TABLE_NAME, { id: row.id });
+            if (res.row != null) {
+                rows.push(res.row);
+            }
+        }
+        yield { rows };
+    };
+    return client;
+}
+
+//SQL NULLs are read as undefined.
+function readRow(row) {
+    return Object.assign({ l: undefined, b: undefined, ts: undefined,
+        n: undefined, s: undefined }, row);
+}
+
+async function verifyMemRows(client) {
+    for(const row of memRows) {
+        const res = await client.get(MEM_TABLE_NAME, { id: row.id });
+        expect(res.row).to.deep.equal(readRow(row));
+    }
+}
+
+async function deleteMemRows(client) {
+    for(const row of memRows) {
+        await client.delete(MEM_TABLE_NAME, { id: row.id });
+    }
+}
+
+describe('Export and import with in-memory service', function() {
+    const memService = new MemoryService();
+    const client = createMemClient(memService);
+
+    before(async function() {
+        await client.tableDDL(CREATE_MEM_TABLE);
+    });
+    beforeEach(async function() {
+        for(const row of memRows) {
+            await client.put(MEM_TABLE_NAME, row);
+        }
+    });
+    after(function() {
+        memService.clear();
+        client.close();
+    });
+
+    it('export and import with type tags in ndjson format',
+        async function() {
+            const { res, chunks } = await exportToChunks(client,
+                MEM_TABLE_NAME);
+            expect(res.rowCount).to.equal(memRows.length);
+            const lines = chunks.join('').split(/(?<=\n)/);
+            expect(JSON.parse(lines[0]).$header.tableName).to.equal(
+                MEM_TABLE_NAME);
+            expect(lines.slice(1)).to.deep.equal(ndjsonLines);
+
+            await deleteMemRows(client);
+            const importRes = await client.import(MEM_TABLE_NAME, chunks);
+            expect(importRes.rowsWritten).to.equal(memRows.length);
+            await verifyMemRows(client);
+        });
+
+    it('import type tags in ndjson format', async function() {
+        await deleteMemRows(client);
+        //Without the header, the values are converted only by their tags.
+        const importRes = await client.import(MEM_TABLE_NAME, [
+            '{"id":0,"l":{"$long":"9223372036854775807"},\
+"b":{"$binary":"AQID"},"ts":{"$date":"2020-01-01T00:00:00.123Z"},\
+"n":{"$number":"1e+100"},"info":{"d":{"$double":"NaN"},\
+"o":{"$object":[["$long","1"]]}}}\n'
+        ]);
+        expect(importRes.rowsWritten).to.equal(1);
+        const res = await client.get(MEM_TABLE_NAME, { id: 0 });
+        expect(res.row.l).to.equal(2n ** 63n - 1n);
+        expect(res.row.b).to.deep.equal(Buffer.from([ 1, 2, 3 ]));
+        expect(res.row.ts).to.deep.equal(
+            new Date('2020-01-01T00:00:00.123Z'));
+        expect(res.row.n).to.be.instanceOf(Decimal);
+        expect(res.row.n.equals(new Decimal('1e+100'))).to.equal(true);
+        expect(res.row.info.d).to.be.NaN;
+        expect(res.row.info.o).to.deep.equal({ $long: '1' });
+    });
+
+    it('export and import in csv format', async function() {
+        const { res, chunks } = await exportToChunks(client,
+            MEM_TABLE_NAME, { format: 'csv' });
+        expect(res.rowCount).to.equal(memRows.length);
+        //JSON column is written as JSON text, other columns as values.
+        expect(chunks.join('')).to.equal(csvLines.join(''));
+
+        await deleteMemRows(client);
+        const importRes = await client.import(MEM_TABLE_NAME, chunks,
+            { format: 'csv' });
+        expect(importRes.rowsWritten).to.equal(memRows.length);
+        await verifyMemRows(client);
+    });
+
+    for(const end of [ undefined, false ]) {
+        it(`export failure with end: ${end}`, async function() {
+            const output = new PassThrough();
+            const chunks = [];
+            output.on('data', chunk => chunks.push(chunk));
+            const origQueryIterable = client.queryIterable;
+            client.queryIterable = async function*() {
+                yield { rows: [ memRows[2] ] };
+                throw new Error('Query error');
+            };
+            try {
+                await expect(client.export(MEM_TABLE_NAME, output,
+                    { end })).to.be.rejectedWith('Query error');
+            } finally {
+                client.queryIterable = origQueryIterable;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+            //The rows exported before the error are written.
+            expect(chunks.join('')).to.contain(ndjsonLines[2]);
+            expect(output.writableEnded).to.equal(end == null);
+        });
+    }
+});
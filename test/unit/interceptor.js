@@ -0,0 +1,240 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const MemoryService = require('../../index').MemoryService;
+
+const TABLE_NAME = 'icTest';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, name STRING, \
+PRIMARY KEY(id))`;
+
+const memService = new MemoryService();
+
+function createClient(interceptors) {
+    return new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        retry: { baseDelay: 10 },
+        interceptors
+    });
+}
+
+//Records the calls to the interceptor methods in the log array.
+function loggingInterceptor(name, log) {
+    return {
+        onRequest: ctx => {
+            log.push(`${name}.onRequest ${ctx.opName}`);
+        },
+        onResult: async ctx => {
+            log.push(`${name}.onResult ${ctx.opName}`);
+        },
+        onError: (ctx, err) => {
+            log.push(`${name}.onError ${err.errorCode.name}`);
+        }
+    };
+}
+
+function testOrder() {
+    it('Interceptor order', async function() {
+        const log = [];
+        const client = createClient([ loggingInterceptor('ic1', log),
+            loggingInterceptor('ic2', log) ]);
+        try {
+            await client.put(TABLE_NAME, { id: 1, name: 'a' });
+            expect(log).to.deep.equal([
+                'ic1.onRequest PutOp',
+                'ic2.onRequest PutOp',
+                'ic2.onResult PutOp',
+                'ic1.onResult PutOp'
+            ]);
+            log.length = 0;
+            await expect(client.get('noSuchTable', { id: 1 }))
+                .to.be.rejectedWith(NoSQLError);
+            expect(log).to.deep.equal([
+                'ic1.onRequest GetOp',
+                'ic2.onRequest GetOp',
+                'ic2.onError TABLE_NOT_FOUND',
+                'ic1.onError TABLE_NOT_FOUND'
+            ]);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testContext() {
+    it('Interceptor context', async function() {
+        const ctxs = [];
+        const client = createClient([ {
+            onRequest: ctx => {
+                ctxs.push(ctx);
+                ctx.headers['x-test'] = 'test';
+                ctx.myProp = 1;
+            },
+            onResult: ctx => {
+                expect(ctx.myProp).to.equal(1);
+            }
+        } ]);
+        try {
+            await client.get(TABLE_NAME, { id: 1 }, { timeout: 3000 });
+            expect(ctxs.length).to.equal(1);
+            const ctx = ctxs[0];
+            expect(ctx.opName).to.equal('GetOp');
+            expect(ctx.operation).to.be.an('object');
+            expect(ctx.operation.api).to.equal(client.get);
+            expect(ctx.operation.tableName).to.equal(TABLE_NAME);
+            expect(ctx.opt).to.equal(ctx.operation.opt);
+            expect(ctx.opt.timeout).to.equal(3000);
+            expect(ctx.content).to.be.instanceOf(Buffer);
+            expect(ctx.content.length).to.be.greaterThan(0);
+            expect(ctx.headers).to.deep.equal({ 'x-test': 'test' });
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testShortCircuit() {
+    it('Short-circuit with synthetic result', async function() {
+        const log = [];
+        const row = { id: 100, name: 'cached' };
+        const client = createClient([
+            loggingInterceptor('ic1', log),
+            {
+                onRequest: ctx => {
+                    log.push(`ic2.onRequest ${ctx.opName}`);
+                    if (ctx.opName === 'GetOp') {
+                        return { row, version: null };
+                    }
+                }
+            },
+            loggingInterceptor('ic3', log)
+        ]);
+        try {
+            const res = await client.get(TABLE_NAME, { id: 100 });
+            expect(res.row).to.deep.equal(row);
+            expect(log).to.deep.equal([
+                'ic1.onRequest GetOp',
+                'ic2.onRequest GetOp',
+                'ic1.onResult GetOp'
+            ]);
+            //The row does not exist in the service.
+            const client2 = createClient();
+            try {
+                const res2 = await client2.get(TABLE_NAME, { id: 100 });
+                expect(res2.row).to.equal(null);
+            } finally {
+                client2.close();
+            }
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testTransform() {
+    it('Transform result and error', async function() {
+        const client = createClient([
+            {
+                onResult: (ctx, res) => {
+                    if (ctx.opName === 'GetOp' && res.row != null) {
+                        return Object.assign({}, res, {
+                            row: Object.assign({}, res.row, {
+                                name: res.row.name.toUpperCase()
+                            })
+                        });
+                    }
+                },
+                onError: (ctx, err) => new Error(`Wrapped: ${err.message}`)
+            }
+        ]);
+        try {
+            await client.put(TABLE_NAME, { id: 2, name: 'abc' });
+            const res = await client.get(TABLE_NAME, { id: 2 });
+            expect(res.row).to.deep.equal({ id: 2, name: 'ABC' });
+            await expect(client.get('noSuchTable', { id: 2 }))
+                .to.be.rejectedWith(/^Wrapped: .*TABLE_NOT_FOUND/);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testFaultInjection() {
+    it('Fault injection with retryable error', async function() {
+        let cnt = 0;
+        const client = createClient([
+            {
+                onRequest: ctx => {
+                    if (ctx.opName === 'PutOp' && cnt++ < 2) {
+                        throw NoSQLError.create(
+                            ErrorCode.WRITE_LIMIT_EXCEEDED, 'Injected',
+                            null, ctx.operation);
+                    }
+                }
+            }
+        ]);
+        let retryCnt = 0;
+        client.on('retryable', () => retryCnt++);
+        try {
+            const res = await client.put(TABLE_NAME, { id: 3, name: 'c' });
+            expect(res.success).to.equal(true);
+            expect(cnt).to.equal(3);
+            expect(retryCnt).to.equal(2);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Fault injection with non-retryable error', async function() {
+        const client = createClient([
+            {
+                onRequest: () => {
+                    throw new Error('Injected');
+                }
+            }
+        ]);
+        try {
+            await expect(client.get(TABLE_NAME, { id: 3 }))
+                .to.be.rejectedWith('Injected');
+            //Make sure request buffers are released and can be reused.
+            for(let i = 0; i < 10; i++) {
+                await expect(client.put(TABLE_NAME, { id: 3, name: 'c' }))
+                    .to.be.rejectedWith('Injected');
+            }
+        } finally {
+            client.close();
+        }
+    });
+}
+
+describe('Interceptor tests', function() {
+    before(async function() {
+        const client = createClient();
+        try {
+            await client.tableDDL(CREATE_TABLE);
+        } finally {
+            client.close();
+        }
+    });
+    after(() => memService.clear());
+
+    testOrder();
+    testContext();
+    testShortCircuit();
+    testTransform();
+    testFaultInjection();
+});
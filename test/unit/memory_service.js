@@ -0,0 +1,333 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const util = require('util');
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const MemoryService = require('../../index').MemoryService;
+const TableState = require('../../index').TableState;
+
+const TABLE_NAME = 'memTest';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(sid INTEGER, id INTEGER, \
+name STRING, info JSON, PRIMARY KEY(SHARD(sid), id))`;
+
+const LONG_TABLE_NAME = 'memLongTest';
+
+const badInjectedErrors = [
+    undefined,
+    null,
+    1,
+    'READ_LIMIT_EXCEEDED',
+    {}, //missing errorCode
+    { errorCode: 'NO_SUCH_ERROR' },
+    { errorCode: 1 },
+    { errorCode: ErrorCode.MEMORY_LIMIT_EXCEEDED }, //driver-only error code
+    { errorCode: ErrorCode.SERVER_ERROR, op: 'noSuchOp' },
+    { errorCode: ErrorCode.SERVER_ERROR, op: [ 'get', 1 ] },
+    { errorCode: ErrorCode.SERVER_ERROR, tableName: 1 },
+    { errorCode: ErrorCode.SERVER_ERROR, count: 0 },
+    { errorCode: ErrorCode.SERVER_ERROR, count: -1 },
+    { errorCode: ErrorCode.SERVER_ERROR, count: 1.5 }
+];
+
+function makeRow(sid, id) {
+    return {
+        sid,
+        id,
+        name: `name${sid}_${id}`,
+        info: { id, arr: [ 1, 2, 3 ] }
+    };
+}
+
+function createClient(memService, cfg) {
+    return new NoSQLClient(Object.assign({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        retry: { baseDelay: 10 }
+    }, cfg));
+}
+
+function testInjectErrorArgs(memService) {
+    for(const opt of badInjectedErrors) {
+        it(`injectError with invalid options: ${util.inspect(opt)}`,
+            function() {
+                expect(() => memService.injectError(opt)).to.throw(
+                    NoSQLArgumentError);
+            });
+    }
+}
+
+function testTable(client) {
+    it('getTable and listTables', async function() {
+        const res = await client.getTable(TABLE_NAME);
+        expect(res.tableName).to.equal(TABLE_NAME);
+        expect(res.tableState).to.equal(TableState.ACTIVE);
+        expect(res.schema).to.be.a('string');
+        expect(JSON.parse(res.schema).name).to.equal(TABLE_NAME);
+        const lt = await client.listTables();
+        expect(lt.tables).to.deep.equal([ TABLE_NAME ]);
+    });
+
+    it('getTable on non-existent table', async function() {
+        return expect(client.getTable('noSuchTable')).to.be.rejectedWith(
+            /TABLE_NOT_FOUND/);
+    });
+
+    it('create existing table', async function() {
+        await expect(client.tableDDL(CREATE_TABLE)).to.be.rejectedWith(
+            /TABLE_EXISTS/);
+        const res = await client.tableDDL(CREATE_TABLE.replace('TABLE',
+            'TABLE IF NOT EXISTS'));
+        expect(res.tableName).to.equal(TABLE_NAME);
+    });
+
+    it('create and drop index', async function() {
+        await client.tableDDL(`CREATE INDEX idxName ON ${TABLE_NAME}(name)`);
+        let res = await client.getIndexes(TABLE_NAME);
+        expect(res.length).to.equal(1);
+        expect(res[0].indexName).to.equal('idxName');
+        expect(res[0].fields).to.deep.equal([ 'name' ]);
+        await client.tableDDL(`DROP INDEX idxName ON ${TABLE_NAME}`);
+        res = await client.getIndexes(TABLE_NAME);
+        expect(res.length).to.equal(0);
+    });
+}
+
+function testDML(client) {
+    it('put, get and delete', async function() {
+        const row = makeRow(1, 1);
+        let res = await client.put(TABLE_NAME, row);
+        expect(res.success).to.equal(true);
+        expect(res.version).to.be.instanceOf(Buffer);
+        const version = res.version;
+
+        res = await client.get(TABLE_NAME, { sid: 1, id: 1 });
+        expect(res.row).to.deep.equal(row);
+        expect(res.version).to.deep.equal(version);
+        expect(res.consumedCapacity.readKB).to.be.at.least(1);
+
+        res = await client.putIfAbsent(TABLE_NAME, row);
+        expect(res.success).to.equal(false);
+
+        res = await client.putIfVersion(TABLE_NAME, Object.assign({}, row,
+            { name: 'updated' }), version, { returnExisting: true });
+        expect(res.success).to.equal(true);
+        //Existing row is not returned if its version was matched.
+        expect(res.existingRow).to.not.exist;
+
+        res = await client.putIfVersion(TABLE_NAME, row, version,
+            { returnExisting: true });
+        expect(res.success).to.equal(false);
+        expect(res.existingRow).to.deep.equal(Object.assign({}, row,
+            { name: 'updated' }));
+
+        res = await client.deleteIfVersion(TABLE_NAME, { sid: 1, id: 1 },
+            version);
+        expect(res.success).to.equal(false);
+
+        res = await client.delete(TABLE_NAME, { sid: 1, id: 1 });
+        expect(res.success).to.equal(true);
+        res = await client.get(TABLE_NAME, { sid: 1, id: 1 });
+        expect(res.row).to.equal(null);
+    });
+
+    it('put with invalid field value', async function() {
+        return expect(client.put(TABLE_NAME, { sid: 1, id: 'a' }))
+            .to.be.rejectedWith(/ILLEGAL_ARGUMENT/);
+    });
+
+    it('writeMany with abortOnFail', async function() {
+        await client.put(TABLE_NAME, makeRow(2, 0));
+        let res = await client.writeMany(TABLE_NAME, [
+            { put: makeRow(2, 1) },
+            { put: makeRow(2, 0), ifAbsent: true, abortOnFail: true }
+        ]);
+        expect(res.failedOpIndex).to.equal(1);
+        expect((await client.get(TABLE_NAME, { sid: 2, id: 1 })).row)
+            .to.equal(null);
+
+        res = await client.putMany(TABLE_NAME, [ 1, 2, 3, 4 ].map(
+            id => makeRow(2, id)));
+        expect(res.results.length).to.equal(4);
+        expect(res.results.every(r => r.success)).to.equal(true);
+    });
+
+    it('writeMany with different shard keys', async function() {
+        return expect(client.putMany(TABLE_NAME, [ makeRow(3, 1),
+            makeRow(4, 1) ])).to.be.rejectedWith(/ILLEGAL_ARGUMENT/);
+    });
+
+    it('deleteRange', async function() {
+        const res = await client.deleteRange(TABLE_NAME, { sid: 2 }, {
+            fieldRange: {
+                fieldName: 'id',
+                startWith: 1,
+                endWith: 3
+            }
+        });
+        expect(res.deletedCount).to.equal(3);
+        const rows = [];
+        for await(const qres of client.queryIterable(
+            `SELECT * FROM ${TABLE_NAME} WHERE sid = 2 ORDER BY id`)) {
+            rows.push(...qres.rows);
+        }
+        expect(rows).to.deep.equal([ makeRow(2, 0), makeRow(2, 4) ]);
+    });
+}
+
+function testQuery(client) {
+    it('single-partition query with bind variables and limit',
+        async function() {
+            await client.putMany(TABLE_NAME, [ 1, 2, 3, 4, 5 ].map(
+                id => makeRow(5, id)));
+            const ps = await client.prepare(`DECLARE $sid INTEGER; \
+SELECT id, name FROM ${TABLE_NAME} WHERE sid = $sid AND id > 1 ORDER BY id`);
+            ps.set('$sid', 5);
+            const rows = [];
+            let cnt = 0;
+            for await(const res of client.queryIterable(ps, { limit: 2 })) {
+                expect(res.rows.length).to.be.at.most(2);
+                rows.push(...res.rows);
+                cnt++;
+            }
+            expect(cnt).to.be.at.least(2);
+            expect(rows).to.deep.equal([ 2, 3, 4, 5 ].map(id => ({
+                id,
+                name: `name5_${id}`
+            })));
+        });
+
+    it('unsupported query', async function() {
+        return expect(client.query(`SELECT count(*) FROM ${TABLE_NAME}`))
+            .to.be.rejectedWith(/OPERATION_NOT_SUPPORTED/);
+    });
+}
+
+function testInjectedErrors(client, memService) {
+    afterEach(() => memService.clearErrors());
+
+    it('retryable injected error', async function() {
+        memService.injectError({
+            errorCode: ErrorCode.WRITE_LIMIT_EXCEEDED,
+            op: 'put',
+            count: 2
+        });
+        let retryCnt = 0;
+        const onRetryable = () => retryCnt++;
+        client.on('retryable', onRetryable);
+        try {
+            const res = await client.put(TABLE_NAME, makeRow(6, 1));
+            expect(res.success).to.equal(true);
+        } finally {
+            client.off('retryable', onRetryable);
+        }
+        expect(retryCnt).to.equal(2);
+    });
+
+    it('non-retryable injected error for operation and table',
+        async function() {
+            memService.injectError({
+                errorCode: 'illegal_argument',
+                message: 'Test error',
+                op: [ 'get', 'query' ],
+                tableName: TABLE_NAME.toUpperCase()
+            });
+            //Not matching operation
+            await client.put(TABLE_NAME, makeRow(6, 2));
+            //Not matching table
+            await expect(client.get('noSuchTable', { id: 1 }))
+                .to.be.rejectedWith(/TABLE_NOT_FOUND/);
+            await expect(client.get(TABLE_NAME, { sid: 6, id: 2 }))
+                .to.be.rejectedWith(/ILLEGAL_ARGUMENT.*Test error/);
+            //Injected error is removed after it is returned
+            const res = await client.get(TABLE_NAME, { sid: 6, id: 2 });
+            expect(res.row).to.deep.equal(makeRow(6, 2));
+        });
+
+    it('network error', async function() {
+        memService.injectError({
+            errorCode: ErrorCode.NETWORK_ERROR,
+            count: Infinity
+        });
+        await expect(client.get(TABLE_NAME, { sid: 6, id: 1 }, {
+            timeout: 500
+        })).to.be.rejectedWith(/NETWORK_ERROR|REQUEST_TIMEOUT/);
+        memService.clearErrors();
+        const res = await client.get(TABLE_NAME, { sid: 6, id: 1 });
+        expect(res.row).to.deep.equal(makeRow(6, 1));
+    });
+}
+
+describe('MemoryService tests', function() {
+    const memService = new MemoryService();
+    const client = createClient(memService);
+    //Second client sharing the same service instance.
+    const client2 = createClient(memService);
+
+    before(async function() {
+        await client.tableDDL(CREATE_TABLE);
+    });
+    after(async function() {
+        memService.clear();
+        client.close();
+        client2.close();
+    });
+
+    testInjectErrorArgs(memService);
+    testTable(client);
+    testDML(client);
+    testQuery(client);
+    testInjectedErrors(client, memService);
+
+    it('put LONG values beyond safe integer range', async function() {
+        const longClient = createClient(memService, { longAsBigInt: true });
+        try {
+            await longClient.tableDDL(`CREATE TABLE ${LONG_TABLE_NAME}(\
+id INTEGER, val LONG, PRIMARY KEY(id))`);
+            for(const [ val, expected ] of [
+                [ 2 ** 53, 2n ** 53n ],
+                [ -(2 ** 53) - 2, -(2n ** 53n) - 2n ],
+                [ 2 ** 62, 2n ** 62n ],
+                //Out of LONG range values are clamped.
+                [ 2 ** 63, 2n ** 63n - 1n ],
+                [ -(2 ** 63), -(2n ** 63n) ],
+                [ 2 ** 64, 2n ** 63n - 1n ],
+                [ -(2 ** 64), -(2n ** 63n) ]
+            ]) {
+                await longClient.put(LONG_TABLE_NAME, { id: 1, val });
+                const res = await longClient.get(LONG_TABLE_NAME, { id: 1 });
+                expect(res.row.val).to.equal(expected);
+            }
+        } finally {
+            longClient.close();
+        }
+    });
+
+    it('shared service instance', async function() {
+        const row = makeRow(7, 1);
+        await client.put(TABLE_NAME, row);
+        const res = await client2.get(TABLE_NAME, { sid: 7, id: 1 });
+        expect(res.row).to.deep.equal(row);
+    });
+
+    it('clear', async function() {
+        memService.clear();
+        await expect(client.getTable(TABLE_NAME)).to.be.rejectedWith(
+            /TABLE_NOT_FOUND/);
+        await client.tableDDL(CREATE_TABLE);
+        const res = await client.get(TABLE_NAME, { sid: 7, id: 1 });
+        expect(res.row).to.equal(null);
+    });
+});
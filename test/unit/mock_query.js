@@ -0,0 +1,125 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const Consistency = require('../../index').Consistency;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const PlanIterator = require('../../lib/query/common').PlanIterator;
+
+//Fake client used to execute the driver query plan or parallel scan without
+//the service.  The table has rows { id } with ids from 0 to rowCnt - 1.
+//Row with given id is stored on shard id % shardCnt and the rows of each
+//shard are returned sorted by id in batches of batchSize rows.  The request
+//without shard id returns all rows.
+class MockQueryClient {
+
+    constructor(shardCnt, rowCnt, batchSize, topoInfo) {
+        this._config = {
+            serviceType: ServiceType.CLOUDSIM,
+            timeout: 10000,
+            consistency: Consistency.EVENTUAL,
+            maxMemoryMB: 1024,
+            _topoInfo: topoInfo !== undefined ? topoInfo : {
+                shardIds: Array.from({ length: shardCnt }, (v, i) => i)
+            }
+        };
+        this._shardCnt = shardCnt;
+        this._rowCnt = rowCnt;
+        this._batchSize = batchSize;
+        this.requests = [];
+        this.responses = [];
+        //Number of concurrent requests in each round of requests.
+        this.rounds = [];
+        this.inFlight = 0;
+        //If set, the first request for which this function returns true
+        //fails with retryable error.
+        this.failOn = null;
+    }
+
+    //Used as req.api.
+    query() {}
+
+    parallelScan() {}
+
+    shardRows(shardId) {
+        const rows = [];
+        for(let id = shardId; id < this._rowCnt; id += this._shardCnt) {
+            rows.push({ id });
+        }
+        return rows;
+    }
+
+    async _execute(op, req) {
+        this.requests.push(req);
+        if (!this.inFlight++) {
+            this.rounds.push(0);
+        }
+        this.rounds[this.rounds.length - 1]++;
+        try {
+            //Let other requests start.
+            await new Promise(resolve => setImmediate(resolve));
+            if (this.failOn != null && this.failOn(req)) {
+                this.failOn = null;
+                throw new NoSQLError(ErrorCode.SERVICE_UNAVAILABLE,
+                    'Service unavailable');
+            }
+            const rows = req._shardId != null ?
+                this.shardRows(req._shardId) :
+                Array.from({ length: this._rowCnt }, (v, id) => ({ id }));
+            const start = req.opt.continuationKey ?
+                req.opt.continuationKey.readInt32BE() : 0;
+            const end = Math.min(start + this._batchSize, rows.length);
+            let continuationKey = null;
+            if (end < rows.length) {
+                continuationKey = Buffer.alloc(4);
+                continuationKey.writeInt32BE(end);
+            }
+            const res = {
+                consumedCapacity: {
+                    readUnits: 1,
+                    readKB: 1,
+                    writeUnits: 0,
+                    writeKB: 0
+                },
+                rows: rows.slice(start, end),
+                continuationKey,
+                _reachedLimit: continuationKey != null
+            };
+            this.responses.push(res);
+            return res;
+        } finally {
+            this.inFlight--;
+        }
+    }
+
+}
+
+//Plan iterator that returns the rows given by step.rows.
+class RowsIterator extends PlanIterator {
+
+    constructor(qpExec, step) {
+        super(qpExec, step);
+        this._idx = 0;
+    }
+
+    next() {
+        if (this._idx === this._step.rows.length) {
+            return false;
+        }
+        this.result = this._step.rows[this._idx++];
+        return true;
+    }
+
+}
+
+module.exports = {
+    MockQueryClient,
+    RowsIterator
+};
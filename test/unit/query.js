@@ -12,6 +12,7 @@ const assert = require('chai').assert;
 const util = require('util');
 
 const PreparedStatement = require('../../index').PreparedStatement;
+const QueryExplanation = require('../../index').QueryExplanation;
 const Durabilities = require('../../index').Durabilities;
 const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
 const NoSQLQueryError = require('../../index').NoSQLQueryError;
@@ -69,6 +70,8 @@ const badIterableOpts = [
     ...badMaxReadKB.map(maxReadKB => ({ maxReadKB })),
     ...badMaxWriteKB.map(maxWriteKB => ({ maxWriteKB })),
     ...badPosInt32NotNull.map(maxMemoryMB => ({ maxMemoryMB })),
+    ...badStrings.map(spillDir => ({ spillDir })),
+    ...badPosInt32NotNull.map(parallelism => ({ parallelism })),
     ...badTraceLevel.map(traceLevel => ({ traceLevel }))
 ];
 
@@ -205,6 +208,16 @@ function testQueryNegative(client) {
     };
     iterableFunc._name = 'queryIterable';
     testQueryFuncNegative(client, iterableFunc, badIterableOpts);
+
+    const streamFunc = async (client, stmt, opt) => {
+        /* eslint-disable-next-line no-unused-vars */
+        for await(const row of client.queryStream(stmt, opt)) {
+            break;
+        }
+    };
+    streamFunc._name = 'queryStream';
+    testQueryFuncNegative(client, streamFunc, badIterableOpts.concat(
+        badPosInt32NotNull.map(highWaterMark => ({ highWaterMark }))));
 }
 
 function verifyPrepareResult(client, res, opt) {
@@ -226,6 +239,24 @@ function verifyPrepareResult(client, res, opt) {
     } else {
         expect(res.queryPlan).to.not.exist;
     }
+
+    const explanation = res.explain();
+    expect(explanation).to.be.instanceOf(QueryExplanation);
+    //Find the node that describes the part executed by the service.
+    let node = explanation.root;
+    if (res._queryPlan != null) {
+        while(node.kind !== 'RECEIVE') {
+            expect(node.children).to.not.be.empty;
+            node = node.children[0];
+        }
+        expect(node.distributionKind).to.be.oneOf([ 'SINGLE_PARTITION',
+            'ALL_PARTITIONS', 'ALL_SHARDS' ]);
+    } else {
+        expect(node.kind).to.equal('SERVER');
+    }
+    expect(node.serverPlan).to.equal(res.queryPlan);
+    expect(explanation.toString()).to.be.a('string').that.is.not.empty;
+    expect(explanation.toDot()).to.match(/^digraph QueryPlan {/);
     
     if (serialVersion >= 4) {
         if (opt && opt.getResultSchema) {
@@ -323,6 +354,22 @@ const PREP_READ_KB = 2;
 //0 rows).  For delete queries, updatedRows is an array of row ids (numbers)
 //that were deleted by the query.
 //state - keeps some info across query calls for the same query execution
+function verifyQueryProfile(profile, opt, state) {
+    if (!opt.profile) {
+        expect(profile).to.not.exist;
+        return;
+    }
+    expect(profile).to.be.an('object');
+    expect(profile.timeMs).to.be.a('number');
+    expect(profile.serverRequests).to.be.at.least(1);
+    expect(profile.peakMemory).to.be.at.least(0);
+    if (profile.plan) {
+        //The root iterator produces all rows of the query.
+        expect(profile.plan.rows).to.equal(state.rows.length);
+        expect(profile.plan.children).to.be.an('array');
+    }
+}
+
 async function verifyQueryResult(res, client, test, q, tc, opt, state) {
     if (!opt) {
         opt = {};
@@ -378,9 +425,12 @@ async function verifyQueryResult(res, client, test, q, tc, opt, state) {
 
     //The rest is verified only after the last query() call
     if (res.continuationKey != null) {
+        expect(res.queryProfile).to.not.exist;
         return;
     }
 
+    verifyQueryProfile(res.queryProfile, opt, state);
+
     verifyResultRows(state.rows, test.table, tc.expectedRows,
         tc.expectedFields, q.unordered);
 
@@ -478,6 +528,24 @@ async function doQueryIterable(client, test, q, tc, stmt, opt) {
     }
 }
 
+//The stream returns all rows at once, so we verify them as a single result,
+//skipping the checks that apply to results of individual query() calls.
+async function doQueryStream(client, test, q, tc, stmt, opt) {
+    const stream = client.queryStream(stmt, opt);
+    const rows = [];
+    for await(const row of stream) {
+        rows.push(row);
+    }
+    const verifyOpt = Object.assign({}, opt);
+    delete verifyOpt.limit;
+    delete verifyOpt.maxReadKB;
+    await verifyQueryResult({
+        rows,
+        consumedCapacity: stream.consumedCapacity,
+        queryProfile: stream.queryProfile
+    }, client, test, q, tc, verifyOpt, {});
+}
+
 //This optionally expands queryFunc to do memory testing.
 function withMemTest(testCase, queryFunc) {
     if (!testCase.maxMemFail && !testCase.maxMem) {
@@ -531,7 +599,8 @@ function getQueryOpts(test, q, tc) {
         //will ensure both are tested when no options are provided.
         undefined,
         {
-            timeout: 12000
+            timeout: 12000,
+            parallelism: 4
         },
         {
             consistency: Consistency.ABSOLUTE,
@@ -539,7 +608,8 @@ function getQueryOpts(test, q, tc) {
             compartment
         },
         {
-            limit: Math.max(1, Math.floor(tc.expectedRows.length / 3))
+            limit: Math.max(1, Math.floor(tc.expectedRows.length / 3)),
+            profile: true
         },
         {
             maxReadKB: q.maxReadKB ? q.maxReadKB :
@@ -652,9 +722,10 @@ function testQuery(client, test, q) {
     //string, we use __TABLE__ which we replace with real table name here.
     const stmt = q.stmt.replace('__TABLE__', test.table.name);
 
-    //We alternate between using doQuery() and doQueryIterable() to avoid
-    //excessively long running time.
-    let useIterable = false;
+    //We alternate between using doQuery(), doQueryIterable() and
+    //doQueryStream() to avoid excessively long running time.
+    const queryFuncs = [ doQuery, doQueryIterable, doQueryStream ];
+    let funcIdx = 0;
 
     //For queries without bind variables, we will execute them directly,
     //in addition to using PreparedStatement
@@ -667,8 +738,7 @@ function testQuery(client, test, q) {
                     await restore(client, test, tc.updatedRows);
                 }
             });
-            let queryFunc = useIterable ? doQueryIterable : doQuery;
-            useIterable = !useIterable;
+            let queryFunc = queryFuncs[funcIdx++ % queryFuncs.length];
             for(let opt of getQueryOpts(test, q, tc)) {
                 queryFunc = withMemTest(tc, queryFunc);
                 it(`Direct execution of query: ${stmt} via \
@@ -707,8 +777,7 @@ ${util.inspect(tc.bindings)}`, function() {
                         await restore(client, test, tc.updatedRows);
                     }
                 });
-                let queryFunc = useIterable ? doQueryIterable : doQuery;
-                useIterable = !useIterable;
+                let queryFunc = queryFuncs[funcIdx++ % queryFuncs.length];
                 for(let opt of getQueryOpts(test, q, tc)) {
                     queryFunc = withMemTest(tc, queryFunc);
                     it(`Execution of prepared query: ${stmt} via \
@@ -0,0 +1,216 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const PreparedStatement = require('../../index').PreparedStatement;
+const QueryExplanation = require('../../index').QueryExplanation;
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const SQLFuncCode = require('../../lib/query/common').SQLFuncCode;
+const ReceiveIterator = require('../../lib/query/receive');
+const SFWIterator = require('../../lib/query/sfw');
+const SortIterator = require('../../lib/query/sort');
+const GroupIterator = require('../../lib/query/group');
+const VarRefIterator = require('../../lib/query/value').VarRefIterator;
+const FieldStepIterator = require('../../lib/query/value').FieldStepIterator;
+const FuncSumIterator = require('../../lib/query/func').FuncSumIterator;
+
+const SERVER_PLAN = `{
+  "iterator kind" : "SELECT",
+  "FROM variable" : "$$e"
+}`;
+
+//Plan for query such as:
+//SELECT dept, sum(salary) AS total FROM Emp e GROUP BY dept
+//ORDER BY sum(salary) DESC
+function createPlan() {
+    const recv = {
+        itCls: ReceiveIterator,
+        displayName: 'RECV',
+        distKind: DistributionKind.ALL_SHARDS,
+        sortSpecs: null,
+        pkFields: [ 'id' ]
+    };
+    const group = {
+        itCls: GroupIterator,
+        displayName: 'GROUP',
+        input: recv,
+        gbColCnt: 1,
+        colNames: [ 'dept', 'total' ],
+        aggrFuncCodes: [ SQLFuncCode.FN_SUM ],
+        isDistinct: false,
+        countMem: true
+    };
+    const fromVar = () => ({
+        itCls: VarRefIterator,
+        displayName: 'VAR_REF',
+        name: '$from-0'
+    });
+    const sfw = {
+        itCls: SFWIterator,
+        displayName: 'SFW',
+        colNames: [ 'dept', 'total' ],
+        gbColCnt: 1,
+        fromVarName: '$from-0',
+        isSelectStar: false,
+        fromStep: group,
+        colSteps: [
+            {
+                itCls: FieldStepIterator,
+                displayName: 'FIELD_STEP',
+                input: fromVar(),
+                fldName: 'dept'
+            },
+            {
+                itCls: FuncSumIterator,
+                displayName: 'FN_SUM',
+                input: {
+                    itCls: FieldStepIterator,
+                    displayName: 'FIELD_STEP',
+                    input: fromVar(),
+                    fldName: 'total'
+                }
+            }
+        ],
+        offsetStep: null,
+        limitStep: null
+    };
+    return {
+        itCls: SortIterator,
+        displayName: 'SORT',
+        input: sfw,
+        sortSpecs: [ { fieldName: 'total', isDesc: true, nullRank: -1 } ],
+        countMem: true
+    };
+}
+
+function createPrepStmt(queryPlan, queryPlanStr) {
+    return Object.assign(Object.create(PreparedStatement.prototype), {
+        _sql: 'SELECT ...',
+        _prepStmt: Buffer.alloc(10),
+        _queryPlan: queryPlan,
+        _queryPlanStr: queryPlanStr
+    });
+}
+
+describe('Query explain tests', function() {
+    it('Explain advanced query', function() {
+        const explanation = createPrepStmt(createPlan(), SERVER_PLAN)
+            .explain();
+        expect(explanation).to.be.instanceOf(QueryExplanation);
+        const root = explanation.root;
+        expect(root).to.deep.include({
+            kind: 'SORT',
+            name: 'SORT',
+            sortSpecs: [ { field: 'total', isDesc: true, nullsFirst: true } ],
+            countsMemory: true
+        });
+        expect(root.role).to.not.exist;
+        expect(root.children.length).to.equal(1);
+
+        const sfw = root.children[0];
+        expect(sfw).to.deep.include({
+            kind: 'SFW',
+            role: 'input',
+            columns: [ 'dept', 'total' ],
+            groupByFields: [ 'dept' ],
+            fromVariable: '$from-0',
+            isSelectStar: false
+        });
+        //offset and limit steps are not present
+        expect(sfw.children.map(c => c.role)).to.deep.equal(
+            [ 'from', 'dept', 'total' ]);
+        expect(sfw.children[1]).to.deep.include({
+            kind: 'FIELD_STEP',
+            field: 'dept'
+        });
+        expect(sfw.children[2]).to.deep.include({
+            kind: 'FUNC',
+            func: 'FN_SUM'
+        });
+        expect(sfw.children[2].children[0].children[0]).to.deep.include({
+            kind: 'VAR_REF',
+            variable: '$from-0',
+            children: []
+        });
+
+        const group = sfw.children[0];
+        expect(group).to.deep.include({
+            kind: 'GROUP',
+            groupByFields: [ 'dept' ],
+            aggregates: [ { field: 'total', func: 'FN_SUM' } ],
+            isDistinct: false,
+            countsMemory: true
+        });
+
+        const recv = group.children[0];
+        expect(recv).to.deep.equal({
+            kind: 'RECEIVE',
+            name: 'RECV',
+            role: 'input',
+            distributionKind: 'ALL_SHARDS',
+            primaryKeyFields: [ 'id' ],
+            eliminatesDuplicates: true,
+            serverPlan: SERVER_PLAN,
+            children: []
+        });
+
+        expect(JSON.parse(JSON.stringify(explanation))).to.deep.equal(
+            JSON.parse(JSON.stringify(root)));
+    });
+
+    it('Explain as text', function() {
+        const text = createPrepStmt(createPlan(), SERVER_PLAN).explain()
+            .toString();
+        const lines = text.split('\n');
+        expect(lines[0]).to.match(/^SORT \(sortSpecs: .*field: 'total'/);
+        expect(lines[1]).to.match(/^ {2}input: SFW \(columns: /);
+        expect(lines[2]).to.match(/^ {4}from: GROUP \(groupByFields: /);
+        expect(lines[3]).to.match(
+            /^ {6}input: RECV \(distributionKind: 'ALL_SHARDS'/);
+        //The server plan follows the receive node.
+        expect(lines[4]).to.equal('        | {');
+        expect(text).to.include('|   "iterator kind" : "SELECT",');
+        expect(lines[lines.length - 1]).to.match(
+            /^ {8}input: VAR_REF \(variable: '\$from-0'\)$/);
+    });
+
+    it('Explain as DOT', function() {
+        const dot = createPrepStmt(createPlan(), SERVER_PLAN).explain()
+            .toDot();
+        const lines = dot.split('\n');
+        expect(lines[0]).to.equal('digraph QueryPlan {');
+        expect(lines[lines.length - 1]).to.equal('}');
+        //One node for each iterator.
+        expect(lines.filter(l => /^ {2}n\d+ \[label=/.test(l)).length)
+            .to.equal(9);
+        expect(dot).to.include('n0 -> n1 [label="input"];');
+        expect(dot).to.include('n1 -> n2 [label="from"];');
+        //Quotes and new lines in server plan are escaped.
+        expect(dot).to.include('\\"iterator kind\\" : \\"SELECT\\",\\l');
+    });
+
+    it('Explain simple query', function() {
+        let explanation = createPrepStmt(undefined, SERVER_PLAN).explain();
+        expect(explanation.root).to.deep.equal({
+            kind: 'SERVER',
+            name: 'SERVER',
+            serverPlan: SERVER_PLAN,
+            children: []
+        });
+        expect(explanation.toString().split('\n')[0]).to.equal('SERVER');
+
+        explanation = createPrepStmt().explain();
+        expect(explanation.root).to.deep.equal({
+            kind: 'SERVER',
+            name: 'SERVER',
+            children: []
+        });
+        expect(explanation.toDot()).to.include('n0 [label="SERVER"];');
+    });
+});
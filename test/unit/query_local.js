@@ -0,0 +1,311 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const PreparedStatement = require('../../index').PreparedStatement;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const NoSQLQueryError = require('../../index').NoSQLQueryError;
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const SQLFuncCode = require('../../lib/query/common').SQLFuncCode;
+const ReceiveIterator = require('../../lib/query/receive');
+const SFWIterator = require('../../lib/query/sfw');
+const SortIterator = require('../../lib/query/sort');
+const GroupIterator = require('../../lib/query/group');
+const VarRefIterator = require('../../lib/query/value').VarRefIterator;
+const ExtVarRefIterator = require('../../lib/query/value').ExtVarRefIterator;
+const FieldStepIterator = require('../../lib/query/value').FieldStepIterator;
+const Utils = require('./utils');
+const DEF_TABLE_LIMITS = require('./common').DEF_TABLE_LIMITS;
+
+//Tests in "Local query tests" use driver query plans as created by
+//QueryPlanSerializer, since the in-memory service does not return driver
+//query plans.  The statements prepared from SQL are tested only with the
+//services that return driver query plans.
+
+//Plan for query such as:
+//SELECT dept, count(*) AS cnt, sum(salary) AS total FROM Emp
+//GROUP BY dept ORDER BY sum(salary) DESC
+//The driver adds up the partial counts received from the shards.
+function createGroupPlan() {
+    return {
+        itCls: SortIterator,
+        displayName: 'SORT',
+        resPos: 0,
+        sortSpecs: [ { fieldName: 'total', isDesc: true, nullRank: -1 } ],
+        countMem: true,
+        input: {
+            itCls: GroupIterator,
+            displayName: 'GROUP',
+            resPos: 1,
+            gbColCnt: 1,
+            colNames: [ 'dept', 'cnt', 'total' ],
+            aggrFuncCodes: [ SQLFuncCode.FN_SUM, SQLFuncCode.FN_SUM ],
+            isDistinct: false,
+            countMem: true,
+            input: {
+                itCls: ReceiveIterator,
+                displayName: 'RECV',
+                resPos: 2,
+                distKind: DistributionKind.ALL_SHARDS,
+                sortSpecs: null,
+                pkFields: null
+            }
+        }
+    };
+}
+
+//Plan for query such as:
+//DECLARE $lim INTEGER; SELECT id, name FROM Emp e WHERE <index scan>
+//ORDER BY name LIMIT $lim
+//that uses multi-key index and thus requires duplicate elimination.
+function createSFWPlan() {
+    const fieldStep = (fldName, resPos) => ({
+        itCls: FieldStepIterator,
+        displayName: 'FIELD_STEP',
+        resPos,
+        fldName,
+        input: {
+            itCls: VarRefIterator,
+            displayName: 'VAR_REF',
+            resPos: 1,
+            name: '$from-0'
+        }
+    });
+    return {
+        itCls: SFWIterator,
+        displayName: 'SFW',
+        resPos: 0,
+        colNames: [ 'id', 'name' ],
+        gbColCnt: -1,
+        fromVarName: '$from-0',
+        isSelectStar: false,
+        fromStep: {
+            itCls: ReceiveIterator,
+            displayName: 'RECV',
+            resPos: 1,
+            distKind: DistributionKind.ALL_SHARDS,
+            sortSpecs: [ { fieldName: 'name', isDesc: false, nullRank: 1 } ],
+            pkFields: [ 'id' ]
+        },
+        colSteps: [ fieldStep('id', 2), fieldStep('name', 3) ],
+        offsetStep: null,
+        limitStep: {
+            itCls: ExtVarRefIterator,
+            displayName: 'EXTERNAL_VAR_REF',
+            resPos: 4,
+            name: '$lim',
+            pos: 0
+        }
+    };
+}
+
+function createPrepStmt(queryPlan, varNames) {
+    return Object.assign(Object.create(PreparedStatement.prototype), {
+        _sql: 'SELECT ...',
+        _prepStmt: Buffer.alloc(10),
+        _queryPlan: queryPlan,
+        _varNames: varNames
+    });
+}
+
+//Partial results of the group-by query as received from different shards.
+const GROUP_ROWS = [
+    { dept: 'sales', cnt: 2, total: 100 },
+    { dept: 'hr', cnt: 1, total: 150.5 },
+    { dept: 'sales', cnt: 1, total: 2n ** 60n },
+    { dept: 'dev', cnt: 3, total: 120 },
+    { dept: 'hr', cnt: 4, total: 10 },
+    { dept: null, cnt: 1, total: 5 }
+];
+
+async function* asyncRows(rows) {
+    for(const row of rows) {
+        yield row;
+    }
+}
+
+function createClient() {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: new MemoryService(),
+        interceptors: [ {
+            onRequest: () => {
+                client.reqCnt++;
+            }
+        } ]
+    });
+    client.reqCnt = 0;
+    return client;
+}
+
+describe('Local query tests', function() {
+    let client;
+    before(function() {
+        client = createClient();
+    });
+    after(function() {
+        client.close();
+    });
+
+    it('Group and sort over array of rows', async function() {
+        const prepStmt = createPrepStmt(createGroupPlan());
+        const res = await client.queryLocal(prepStmt, GROUP_ROWS);
+        //Partial counts and sums are added up.  Numeric values are
+        //promoted when aggregated.
+        expect(res).to.deep.equal([
+            { dept: 'sales', cnt: 3, total: 2n ** 60n + 100n },
+            { dept: 'hr', cnt: 5, total: 160.5 },
+            { dept: 'dev', cnt: 3, total: 120 },
+            { dept: null, cnt: 1, total: 5 }
+        ]);
+
+        //The same statement may be executed again over other rows.
+        const res2 = await client.queryLocal(prepStmt,
+            asyncRows(GROUP_ROWS.slice(3, 5)));
+        expect(res2).to.deep.equal([
+            { dept: 'dev', cnt: 3, total: 120 },
+            { dept: 'hr', cnt: 4, total: 10 }
+        ]);
+        expect(client.reqCnt).to.equal(0);
+    });
+
+    it('Sort, duplicate elimination and limit over async iterable',
+        async function() {
+            const prepStmt = createPrepStmt(createSFWPlan(), [ '$lim' ]);
+            prepStmt.set('$lim', 4);
+            const rows = [
+                { id: 1, name: 'c', salary: 1 },
+                { id: 2, name: null, salary: 2 },
+                { id: 3, name: 'a', salary: 3 },
+                { id: 1, name: 'c', salary: 1 },
+                { id: 4, name: 'b', salary: 4 },
+                { id: 3, name: 'a', salary: 3 },
+                { id: 5, name: 'd', salary: 5 }
+            ];
+            let res = await client.queryLocal(prepStmt, asyncRows(rows));
+            //Input rows are sorted with NULLs last in ascending order.
+            expect(res).to.deep.equal([
+                { id: 3, name: 'a' },
+                { id: 4, name: 'b' },
+                { id: 1, name: 'c' },
+                { id: 5, name: 'd' }
+            ]);
+
+            prepStmt.set('$lim', 10);
+            res = await client.queryLocal(prepStmt, new Set(rows));
+            expect(res.map(row => row.id)).to.deep.equal([ 3, 4, 1, 5, 2 ]);
+            expect(client.reqCnt).to.equal(0);
+        });
+
+    it('Local query errors', async function() {
+        const prepStmt = createPrepStmt(createGroupPlan());
+        await expect(client.queryLocal(null, GROUP_ROWS)).to.be
+            .rejectedWith(NoSQLArgumentError, /prepared statement/);
+        //Statement without driver query plan.
+        await expect(client.queryLocal(createPrepStmt(), GROUP_ROWS)).to.be
+            .rejectedWith(NoSQLArgumentError, /driver query plan/);
+        await expect(client.queryLocal(prepStmt, {})).to.be
+            .rejectedWith(NoSQLArgumentError, /input rows/);
+        await expect(client.queryLocal(prepStmt, GROUP_ROWS,
+            { maxMemoryMB: -1 })).to.be.rejectedWith(NoSQLArgumentError,
+            /maxMemoryMB/);
+        await expect(client.queryLocal(prepStmt, [ GROUP_ROWS[0], 1 ]))
+            .to.be.rejectedWith(NoSQLQueryError, /Invalid input row/);
+
+        //Unbound variable.
+        await expect(client.queryLocal(
+            createPrepStmt(createSFWPlan(), [ '$lim' ]), GROUP_ROWS)).to.be
+            .rejectedWith(NoSQLQueryError, /external variables/);
+
+        const err = await expect(client.queryLocal(prepStmt, GROUP_ROWS,
+            { _maxMemory: 100 })).to.be.rejectedWith(NoSQLQueryError);
+        expect(err.errorCode).to.equal(ErrorCode.MEMORY_LIMIT_EXCEEDED);
+
+        //Errors of the input are propagated.
+        await expect(client.queryLocal(prepStmt, (async function*() {
+            yield GROUP_ROWS[0];
+            throw new Error('input error');
+        })())).to.be.rejectedWith('input error');
+        expect(client.reqCnt).to.equal(0);
+    });
+});
+
+const EMP_TABLE = {
+    name: 'LocalQueryEmp',
+    fields: [
+        { name: 'id', type: 'INTEGER' },
+        { name: 'dept', type: 'STRING' },
+        { name: 'salary', type: 'LONG' }
+    ],
+    primaryKey: [ 'id' ],
+    limits: DEF_TABLE_LIMITS
+};
+
+const EMP_ROW_CNT = 20;
+
+const GROUP_STMT = `DECLARE $min INTEGER; $max INTEGER; \
+SELECT dept, count(*) AS cnt, sum(salary) AS total FROM ${EMP_TABLE.name} \
+WHERE id >= $min AND id < $max GROUP BY dept`;
+
+async function queryAll(client, prepStmt, min, max) {
+    prepStmt.set('$min', min);
+    prepStmt.set('$max', max);
+    const rows = [];
+    //Small limit so that the results are received in multiple batches.
+    for await(const res of client.queryIterable(prepStmt, { limit: 2 })) {
+        rows.push(...res.rows);
+    }
+    return rows;
+}
+
+function sortByDept(rows) {
+    return rows.sort((row1, row2) => row1.dept < row2.dept ? -1 :
+        (row1.dept > row2.dept ? 1 : 0));
+}
+
+function testPreparedSQL(client) {
+    before(async function() {
+        await Utils.createTable(client, EMP_TABLE);
+        for(let id = 0; id < EMP_ROW_CNT; id++) {
+            await client.put(EMP_TABLE.name, {
+                id,
+                dept: `dept${id % 3}`,
+                salary: 1000 + id
+            });
+        }
+    });
+    after(async function() {
+        await Utils.dropTable(client, EMP_TABLE);
+    });
+
+    it('Re-group results of queries prepared from SQL', async function() {
+        const prepStmt = await client.prepare(GROUP_STMT);
+        expect(prepStmt._queryPlan).to.exist;
+        const half = EMP_ROW_CNT / 2;
+        const rows = [
+            ...await queryAll(client, prepStmt, 0, half),
+            ...await queryAll(client, prepStmt, half, EMP_ROW_CNT)
+        ];
+        const expected = await queryAll(client, prepStmt, 0, EMP_ROW_CNT);
+        expect(expected).to.have.lengthOf(3);
+        const res = await client.queryLocal(prepStmt, rows);
+        expect(sortByDept(res)).to.deep.equal(sortByDept(expected));
+    });
+}
+
+if (!Utils.isMemory) {
+    Utils.runSequential('local query with prepared SQL tests',
+        testPreparedSQL, [ {} ]);
+}
@@ -0,0 +1,132 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const QueryPlanExecutor = require('../../lib/query/common').QueryPlanExecutor;
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const ReceiveIterator = require('../../lib/query/receive');
+const sizeof = require('../../lib/query/utils').sizeof;
+const MockQueryClient = require('./mock_query').MockQueryClient;
+
+const SHARD_CNT = 4;
+const ROW_CNT = 40;
+const BATCH_SIZE = 4;
+
+function createClient() {
+    return new MockQueryClient(SHARD_CNT, ROW_CNT, BATCH_SIZE);
+}
+
+//Plan for query such as:
+//SELECT * FROM Foo ORDER BY idx_field
+function createPrepStmt() {
+    return {
+        _prepStmt: Buffer.alloc(10),
+        _queryPlan: {
+            itCls: ReceiveIterator,
+            displayName: 'RECV',
+            resPos: 0,
+            distKind: DistributionKind.ALL_SHARDS,
+            sortSpecs: [ { fieldName: 'id', isDesc: false, nullRank: 1 } ],
+            pkFields: null
+        }
+    };
+}
+
+//Retries the query() call on retryable errors.
+async function executeQuery(client, opt) {
+    const prepStmt = createPrepStmt();
+    const qpExec = new QueryPlanExecutor(client, prepStmt);
+    const results = [];
+    let ck = null;
+    let errCnt = 0;
+    for(;;) {
+        let res;
+        try {
+            res = await qpExec.execute({
+                api: client.query,
+                prepStmt,
+                opt: Object.assign({}, opt, { continuationKey: ck })
+            });
+        } catch(err) {
+            expect(err.retryable).to.equal(true);
+            expect(++errCnt).to.be.lessThan(3);
+            continue;
+        }
+        results.push(res);
+        ck = res.continuationKey;
+        if (!ck) {
+            break;
+        }
+    }
+    const rows = results.flatMap(res => res.rows);
+    expect(rows.map(row => row.id)).to.deep.equal(
+        Array.from({ length: ROW_CNT }, (v, i) => i));
+    return results;
+}
+
+function batchCnt() {
+    return SHARD_CNT * Math.ceil(ROW_CNT / SHARD_CNT / BATCH_SIZE);
+}
+
+describe('Parallel all-shard query tests', function() {
+    it('Serial query', async function() {
+        const client = createClient();
+        await executeQuery(client);
+        expect(client.rounds.every(cnt => cnt === 1)).to.equal(true);
+        expect(client.rounds.length).to.equal(batchCnt());
+    });
+
+    it('Parallel query', async function() {
+        const client = createClient();
+        const results = await executeQuery(client, { parallelism: 3 });
+        expect(client.rounds[0]).to.equal(3);
+        expect(Math.max(...client.rounds)).to.equal(3);
+        expect(client.rounds.length).to.be.lessThan(batchCnt());
+        expect(client.responses.length).to.equal(batchCnt());
+
+        //Consumed capacity of concurrent requests is added up.
+        expect(results[0].consumedCapacity.readUnits).to.equal(3);
+        expect(results.reduce((sum, res) =>
+            sum + res.consumedCapacity.readKB, 0)).to.equal(batchCnt());
+        //Consumed capacity of each response is not modified.
+        expect(client.responses.every(res =>
+            res.consumedCapacity.readUnits === 1)).to.equal(true);
+    });
+
+    it('Parallel query limited by memory', async function() {
+        const client = createClient();
+        const batchMem = sizeof({},
+            client.shardRows(0).slice(0, BATCH_SIZE));
+        //Prefetched results from all shards fit in memory, but there is
+        //not enough memory to prefetch more than one batch at a time.
+        await executeQuery(client, {
+            parallelism: SHARD_CNT,
+            _maxMemory: Math.floor(SHARD_CNT * batchMem + batchMem / 2)
+        });
+        expect(client.rounds[0]).to.equal(SHARD_CNT);
+        expect(client.rounds[1]).to.equal(1);
+    });
+
+    //The rows fetched before the error are returned by the next query()
+    //call, which must not end the query.
+    it('Serial query with retryable error', async function() {
+        const client = createClient();
+        client.failOn = req => req._shardId === 1;
+        await executeQuery(client);
+        expect(client.responses.length).to.equal(batchCnt());
+    });
+
+    it('Parallel query with retryable error', async function() {
+        const client = createClient();
+        client.failOn = req => req._shardId === 1;
+        await executeQuery(client, { parallelism: SHARD_CNT });
+        expect(client.rounds[0]).to.equal(SHARD_CNT);
+        expect(client.responses.length).to.equal(batchCnt());
+    });
+});
@@ -0,0 +1,150 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const QueryPlanExecutor = require('../../lib/query/common').QueryPlanExecutor;
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const ReceiveIterator = require('../../lib/query/receive');
+const SortIterator = require('../../lib/query/sort');
+const QueryProfiler = require('../../lib/query/profile');
+const MockQueryClient = require('./mock_query').MockQueryClient;
+
+const SHARD_CNT = 3;
+const ROW_CNT = 30;
+const BATCH_SIZE = 4;
+
+function createClient() {
+    return new MockQueryClient(SHARD_CNT, ROW_CNT, BATCH_SIZE);
+}
+
+//Plan for query such as:
+//SELECT * FROM Foo ORDER BY id DESC
+//where the rows are received sorted by id from each shard.
+function createPrepStmt() {
+    return {
+        _prepStmt: Buffer.alloc(10),
+        _queryPlan: {
+            itCls: SortIterator,
+            displayName: 'SORT',
+            resPos: 0,
+            sortSpecs: [ { fieldName: 'id', isDesc: true, nullRank: 1 } ],
+            countMem: true,
+            input: {
+                itCls: ReceiveIterator,
+                displayName: 'RECV',
+                resPos: 1,
+                distKind: DistributionKind.ALL_SHARDS,
+                sortSpecs: [ { fieldName: 'id', isDesc: false,
+                    nullRank: 1 } ],
+                pkFields: null
+            }
+        }
+    };
+}
+
+async function executeQuery(client, opt) {
+    const prepStmt = createPrepStmt();
+    const qpExec = new QueryPlanExecutor(client, prepStmt);
+    const results = [];
+    let ck = null;
+    do {
+        const res = await qpExec.execute({
+            api: client.query,
+            prepStmt,
+            opt: Object.assign({}, opt, { continuationKey: ck })
+        });
+        results.push(res);
+        ck = res.continuationKey;
+    } while(ck);
+    return results;
+}
+
+function verifyRows(results) {
+    const rows = results.flatMap(res => res.rows);
+    expect(rows.map(row => row.id)).to.deep.equal(
+        Array.from({ length: ROW_CNT }, (v, i) => ROW_CNT - 1 - i));
+}
+
+describe('Query profile tests', function() {
+    it('Profile of advanced query', async function() {
+        const client = createClient();
+        const results = await executeQuery(client, { profile: true });
+        verifyRows(results);
+
+        //Profile is only returned with the final result.
+        for(const res of results.slice(0, results.length - 1)) {
+            expect(res.queryProfile).to.not.exist;
+        }
+        const profile = results[results.length - 1].queryProfile;
+        expect(profile).to.be.an('object');
+        expect(profile.serverRequests).to.equal(client.requests.length);
+        expect(profile.timeMs).to.be.a('number');
+        expect(profile.peakMemory).to.be.greaterThan(0);
+
+        const sort = profile.plan;
+        expect(sort).to.deep.include({ name: 'SORT', rows: ROW_CNT });
+        expect(sort.peakMemory).to.equal(profile.peakMemory);
+        expect(sort.children.length).to.equal(1);
+
+        const recv = sort.children[0];
+        expect(recv).to.deep.include({
+            name: 'RECV',
+            rows: ROW_CNT,
+            peakMemory: 0,
+            serverRequests: client.requests.length,
+            rowsReceived: ROW_CNT,
+            children: []
+        });
+        //Time of the iterator includes time of its input.
+        expect(sort.timeMs).to.be.at.least(recv.timeMs);
+        expect(profile.timeMs).to.be.at.least(sort.timeMs);
+
+        const batchCnt = Math.ceil(ROW_CNT / SHARD_CNT / BATCH_SIZE);
+        expect(recv.batches.sort((b1, b2) => b1.shardId - b2.shardId))
+            .to.deep.equal(Array.from({ length: SHARD_CNT }, (v, i) => ({
+                shardId: i,
+                count: batchCnt,
+                rows: ROW_CNT / SHARD_CNT
+            })));
+        expect(client.requests.length).to.equal(SHARD_CNT * batchCnt);
+    });
+
+    it('Advanced query without profile', async function() {
+        const results = await executeQuery(createClient());
+        verifyRows(results);
+        for(const res of results) {
+            expect(res.queryProfile).to.not.exist;
+        }
+    });
+
+    it('Profile of simple query', function() {
+        const start = process.hrtime.bigint();
+        let req = { opt: { profile: true } };
+        let res = QueryProfiler.profileSimpleQuery(req, {
+            rows: [],
+            continuationKey: {}
+        }, start);
+        expect(res.queryProfile).to.not.exist;
+
+        //Profiling is enabled by the first call.
+        req = { opt: { continuationKey: res.continuationKey } };
+        res = QueryProfiler.profileSimpleQuery(req, { rows: [] }, start);
+        expect(res.queryProfile).to.deep.include({
+            serverRequests: 2,
+            peakMemory: 0
+        });
+        expect(res.queryProfile.timeMs).to.be.a('number');
+        expect(res.queryProfile.plan).to.not.exist;
+
+        //Continued query that was not profiled from the start.
+        req = { opt: { profile: true, continuationKey: {} } };
+        res = QueryProfiler.profileSimpleQuery(req, { rows: [] }, start);
+        expect(res.queryProfile).to.not.exist;
+    });
+});
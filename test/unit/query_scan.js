@@ -0,0 +1,284 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const ParallelScan = require('../../lib/query/scan');
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const ReceiveIterator = require('../../lib/query/receive');
+const GroupIterator = require('../../lib/query/group');
+const MockQueryClient = require('./mock_query').MockQueryClient;
+
+const SHARD_CNT = 5;
+//Only the queries with sorting all-shard plans are split by shard.
+const STMT = 'SELECT * FROM Foo ORDER BY idx';
+const ROW_CNT = 50;
+const BATCH_SIZE = 4;
+
+class ScanClient extends MockQueryClient {
+
+    constructor(topoInfo) {
+        super(SHARD_CNT, ROW_CNT, BATCH_SIZE, topoInfo);
+        this.prepareCnt = 0;
+    }
+
+    async prepare(stmt, opt) {
+        this.prepareCnt++;
+        //Unset options must not be passed.
+        expect(Object.values(opt || {}).every(val => val !== undefined))
+            .to.equal(true);
+        const prepStmt = { _prepStmt: Buffer.alloc(10), _sql: stmt };
+        if (/ORDER BY/.test(stmt)) {
+            prepStmt._queryPlan = {
+                itCls: ReceiveIterator,
+                distKind: DistributionKind.ALL_SHARDS,
+                sortSpecs: [ { fieldName: 'idx', isDesc: false } ],
+                //Multi-key index requires duplicate elimination.
+                pkFields: /arr\[\]/.test(stmt) ? [ 'id' ] : null
+            };
+            if (/GROUP BY/.test(stmt)) {
+                prepStmt._queryPlan = {
+                    itCls: GroupIterator,
+                    input: prepStmt._queryPlan
+                };
+            }
+        }
+        return prepStmt;
+    }
+
+    async _execute(op, req) {
+        //Requests to specific shards are sent as for advanced queries.
+        expect(req._queryInternal).to.equal(req._shardId != null ?
+            true : undefined);
+        return super._execute(op, req);
+    }
+
+}
+
+function createClient(topoInfo) {
+    return new ScanClient(topoInfo);
+}
+
+async function scanSegment(segment) {
+    const rows = [];
+    for await(const res of segment) {
+        expect(res.continuationKey).to.not.exist;
+        rows.push(...res.rows);
+    }
+    return rows;
+}
+
+async function expectScanError(segment) {
+    try {
+        await scanSegment(segment);
+        expect.fail('Scan should have failed');
+    } catch(err) {
+        expect(err).to.be.instanceOf(NoSQLArgumentError);
+    }
+}
+
+function verifyRows(rows) {
+    expect(rows.map(row => row.id).sort((id1, id2) => id1 - id2))
+        .to.deep.equal(Array.from({ length: ROW_CNT }, (v, i) => i));
+}
+
+describe('Parallel scan tests', function() {
+    it('Scan split by shards', async function() {
+        const client = createClient();
+        const segments = new ParallelScan(client, STMT, { segments: 3 })
+            .segments;
+        expect(segments.length).to.equal(3);
+        const segmentRows = await Promise.all(segments.map(scanSegment));
+        verifyRows(segmentRows.flat());
+        expect(client.prepareCnt).to.equal(1);
+
+        for(let i = 0; i < segments.length; i++) {
+            const shardIds = Array.from({ length: SHARD_CNT },
+                (v, shardId) => shardId).filter(
+                shardId => shardId % segments.length === i);
+            expect(segmentRows[i].every(row => shardIds.includes(
+                row.id % SHARD_CNT))).to.equal(true);
+            expect(segments[i].segment).to.equal(i);
+            expect(segments[i].continuationKey).to.deep.equal({
+                shardIds,
+                shardIndex: shardIds.length
+            });
+        }
+        expect(client.requests.every(req =>
+            req.prepStmt._sql === STMT && req._shardId != null &&
+            req.opt.segments === undefined)).to.equal(true);
+    });
+
+    it('Scan with more segments than shards', async function() {
+        const client = createClient();
+        const segments = new ParallelScan(client,
+            'SELECT id FROM Foo ORDER BY idx', { segments: SHARD_CNT + 2 })
+            .segments;
+        const segmentRows = await Promise.all(segments.map(scanSegment));
+        verifyRows(segmentRows.flat());
+        expect(segmentRows[SHARD_CNT]).to.deep.equal([]);
+        expect(segmentRows[SHARD_CNT + 1]).to.deep.equal([]);
+        expect(client.requests[0].prepStmt._sql).to.equal(
+            'SELECT id FROM Foo ORDER BY idx');
+    });
+
+    it('Scan without topology', async function() {
+        const client = createClient(null);
+        for(const segment of new ParallelScan(client, STMT,
+            { segments: 2 }).segments) {
+            await expectScanError(segment);
+        }
+        expect(client.requests.length).to.equal(0);
+        //Single segment executes the whole query.
+        const segment = new ParallelScan(client, STMT, { segments: 1 })
+            .segments[0];
+        verifyRows(await scanSegment(segment));
+        expect(client.requests.every(req => req._shardId === undefined))
+            .to.equal(true);
+    });
+
+    it('Scan of query that cannot be split', async function() {
+        const client = createClient();
+        expect(() => new ParallelScan(client, 'Foo', { segments: 2 }))
+            .to.throw(NoSQLArgumentError);
+        for(const segment of new ParallelScan(client, 'SELECT * FROM Foo',
+            { segments: 2 }).segments) {
+            await expectScanError(segment);
+        }
+        expect(client.requests.length).to.equal(0);
+        //Single segment executes the whole query.
+        const segment = new ParallelScan(client, 'Foo', { segments: 1 })
+            .segments[0];
+        verifyRows(await scanSegment(segment));
+        expect(client.requests.every(req => req._shardId === undefined &&
+            req.prepStmt._sql === 'SELECT * FROM Foo')).to.equal(true);
+        expect(segment.continuationKey).to.deep.equal({
+            shardIds: [ -1 ],
+            shardIndex: 1
+        });
+    });
+
+    it('Resume scan with continuation keys', async function() {
+        const client = createClient();
+        let segments = new ParallelScan(client, STMT, { segments: 2 })
+            .segments;
+        const rows = [];
+        //Process 2 batches from each segment.
+        for(const segment of segments) {
+            let cnt = 0;
+            for await(const res of segment) {
+                rows.push(...res.rows);
+                if (++cnt === 2) {
+                    break;
+                }
+            }
+        }
+        //Continuation keys can be serialized.
+        const cks = JSON.parse(JSON.stringify(
+            segments.map(segment => segment.continuationKey)));
+        segments = new ParallelScan(client, STMT, {
+            segments: 2,
+            continuationKeys: cks
+        }).segments;
+        for(const segmentRows of await Promise.all(
+            segments.map(scanSegment))) {
+            rows.push(...segmentRows);
+        }
+        //The last processed batch of each segment is returned again.
+        expect(rows.length).to.equal(ROW_CNT + 2 * BATCH_SIZE);
+        verifyRows(Array.from(new Map(rows.map(row => [ row.id, row ]))
+            .values()));
+    });
+
+    it('Resume segment after error', async function() {
+        const client = createClient();
+        client.failOn = () => client.requests.length === 4;
+        const segment = new ParallelScan(client, STMT, { segments: 1 })
+            .segments[0];
+        const rows = [];
+        try {
+            for await(const res of segment) {
+                rows.push(...res.rows);
+            }
+            expect.fail('Scan should have failed');
+        } catch(err) {
+            expect(err).to.be.instanceOf(NoSQLError);
+            expect(err.errorCode).to.equal(ErrorCode.SERVICE_UNAVAILABLE);
+        }
+        //The first 3 requests return all rows from the first shard.
+        expect(rows.length).to.equal(ROW_CNT / SHARD_CNT);
+        //Iterating again continues from the batch that failed.
+        rows.push(...await scanSegment(segment));
+        verifyRows(rows);
+        expect(client.prepareCnt).to.equal(1);
+    });
+
+    it('Scan with prepared statement', async function() {
+        const client = createClient();
+        const prepStmt = await client.prepare(STMT);
+        const segments = new ParallelScan(client, prepStmt, { segments: 2 })
+            .segments;
+        const segmentRows = await Promise.all(segments.map(scanSegment));
+        verifyRows(segmentRows.flat());
+        expect(client.prepareCnt).to.equal(1);
+        expect(client.requests.every(req => req.prepStmt === prepStmt))
+            .to.equal(true);
+    });
+
+    it('Scan of query processed by the driver', async function() {
+        const client = createClient();
+        for(const stmt of [
+            'SELECT idx, count(*) FROM Foo GROUP BY idx ORDER BY idx',
+            'SELECT * FROM Foo f WHERE f.arr[] > 0 ORDER BY f.arr[]'
+        ]) {
+            const segments = new ParallelScan(client, stmt, { segments: 2 })
+                .segments;
+            for(const segment of segments) {
+                await expectScanError(segment);
+            }
+        }
+        expect(client.requests.length).to.equal(0);
+    });
+
+    it('Scan with invalid arguments', function() {
+        const client = createClient();
+        const ck = { shardIds: [ 0, 2 ], shardIndex: 1 };
+        for(const [ stmt, opt ] of [
+            [ undefined, { segments: 1 } ],
+            [ '', { segments: 1 } ],
+            [ 1, { segments: 1 } ],
+            [ {}, { segments: 1 } ],
+            [ 'Foo' ],
+            [ 'Foo', 1 ],
+            [ 'Foo', {} ],
+            [ 'Foo', { segments: 0 } ],
+            [ 'Foo', { segments: -1 } ],
+            [ 'Foo', { segments: 1.5 } ],
+            [ 'Foo', { segments: '2' } ],
+            [ 'Foo', { segments: 2, continuationKeys: ck } ],
+            [ 'Foo', { segments: 2, continuationKeys: [ ck ] } ],
+            [ 'Foo', { segments: 1, continuationKeys: [ {} ] } ],
+            [ 'Foo', { segments: 1, continuationKeys: [
+                Object.assign({}, ck, { shardIndex: 3 }) ] } ],
+            [ 'Foo', { segments: 1, continuationKeys: [
+                Object.assign({}, ck, { shardIds: [ 'a' ] }) ] } ],
+            [ 'Foo', { segments: 1, continuationKeys: [
+                Object.assign({}, ck, { key: 1 }) ] } ]
+        ]) {
+            expect(() => new ParallelScan(client, stmt, opt))
+                .to.throw(NoSQLArgumentError);
+        }
+        expect(() => new ParallelScan(client, STMT, {
+            segments: 2,
+            continuationKeys: [ ck, null ]
+        })).to.not.throw();
+    });
+});
@@ -0,0 +1,399 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const PreparedStatement = require('../../index').PreparedStatement;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const EMPTY_VALUE = require('../../lib/constants').EMPTY_VALUE;
+const QueryPlanExecutor = require('../../lib/query/common').QueryPlanExecutor;
+const DistributionKind = require('../../lib/query/common').DistributionKind;
+const SQLFuncCode = require('../../lib/query/common').SQLFuncCode;
+const ReceiveIterator = require('../../lib/query/receive');
+const SFWIterator = require('../../lib/query/sfw');
+const SortIterator = require('../../lib/query/sort');
+const GroupIterator = require('../../lib/query/group');
+const ConstIterator = require('../../lib/query/value').ConstIterator;
+const VarRefIterator = require('../../lib/query/value').VarRefIterator;
+const FieldStepIterator = require('../../lib/query/value').FieldStepIterator;
+const MockQueryClient = require('./mock_query').MockQueryClient;
+const RowsIterator = require('./mock_query').RowsIterator;
+
+//The driver's sort and group iterators are run over the rows supplied by
+//the test, since the in-memory service and the proxy may execute these
+//operations on the server side.
+
+const ROW_CNT = 2000;
+const GROUP_CNT = 500;
+//Small enough so that the rows are spilled many times.
+const MAX_MEM = 10000;
+//Used for the queries executed by the client.
+const SHARD_CNT = 4;
+const QUERY_ROW_CNT = 400;
+const BATCH_SIZE = 20;
+const QUERY_MAX_MEM = 1000;
+
+function makeRows() {
+    const rows = [];
+    for(let i = 0; i < ROW_CNT; i++) {
+        //Permutation of 0..ROW_CNT-1 since ROW_CNT and 7919 are coprime.
+        const id = (i * 7919) % ROW_CNT;
+        rows.push({
+            id,
+            grp: `g${id % GROUP_CNT}`,
+            val: id % 3 ? id : BigInt(id),
+            str: 'x'.repeat(id % 10),
+            arr: [ id, { n: id } ],
+            ts: new Date(id * 1000),
+            bin: Buffer.from([ id % 256 ]),
+            opt: id % 5 ? id : EMPTY_VALUE
+        });
+    }
+    return rows;
+}
+
+function createExecutor(spillDir, maxMem = MAX_MEM) {
+    const qpExec = new QueryPlanExecutor({ _config: {} }, {});
+    qpExec._req = { opt: { spillDir, maxMemoryMB: 1 } };
+    qpExec._maxMem = maxMem;
+    return qpExec;
+}
+
+function inputStep() {
+    return { itCls: RowsIterator, resPos: 1, rows: makeRows() };
+}
+
+function sortStep() {
+    return {
+        itCls: SortIterator,
+        resPos: 0,
+        countMem: true,
+        sortSpecs: [ { fieldName: 'id', isDesc: true, nullRank: 1 } ],
+        input: inputStep()
+    };
+}
+
+function groupStep() {
+    return {
+        itCls: GroupIterator,
+        resPos: 0,
+        countMem: true,
+        gbColCnt: 1,
+        colNames: [ 'grp', 'cnt', 'sum', 'min', 'max', 'coll' ],
+        aggrFuncCodes: [
+            SQLFuncCode.FN_COUNT_STAR,
+            SQLFuncCode.FN_SUM,
+            SQLFuncCode.FN_MIN,
+            SQLFuncCode.FN_MAX,
+            SQLFuncCode.FN_ARRAY_COLLECT
+        ],
+        input: Object.assign(inputStep(), {
+            rows: makeRows().map(row => ({
+                grp: row.grp,
+                cnt: 1,
+                sum: row.val,
+                min: row.str,
+                max: row.ts,
+                coll: [ row.id ]
+            }))
+        })
+    };
+}
+
+async function getAll(it, onFirst) {
+    const res = [];
+    while(await it.next()) {
+        if (!res.length && onFirst) {
+            onFirst();
+        }
+        res.push(it.result);
+    }
+    return res;
+}
+
+function expectedGroups() {
+    const res = new Map();
+    for(let id = 0; id < ROW_CNT; id++) {
+        const grp = `g${id % GROUP_CNT}`;
+        let row = res.get(grp);
+        if (row == null) {
+            row = { grp, cnt: 0, sum: 0n, min: undefined, max: undefined,
+                coll: [] };
+            res.set(grp, row);
+        }
+        row.cnt++;
+        row.sum += BigInt(id);
+        const str = 'x'.repeat(id % 10);
+        if (row.min === undefined || str < row.min) {
+            row.min = str;
+        }
+        if (row.max === undefined || id * 1000 > row.max.getTime()) {
+            row.max = new Date(id * 1000);
+        }
+        row.coll.push(id);
+    }
+    return res;
+}
+
+function testSort(spillDir) {
+    it('External sort', async function() {
+        const qpExec = createExecutor(spillDir);
+        const it = qpExec.makeIterator(sortStep());
+        const res = await getAll(it, () => {
+            //The first result is returned while the runs are merged.
+            expect(fs.readdirSync(spillDir).length).to.equal(1);
+        });
+        expect(res.length).to.equal(ROW_CNT);
+        const expRows = makeRows().sort((row1, row2) => row2.id - row1.id);
+        for(let i = 0; i < ROW_CNT; i++) {
+            const exp = expRows[i];
+            if (exp.opt === EMPTY_VALUE) {
+                exp.opt = undefined;
+            }
+            expect(res[i]).to.deep.equal(exp);
+            expect(Object.keys(res[i])).to.deep.equal(Object.keys(exp));
+        }
+        //The spill files are removed.
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Sort without spill', async function() {
+        const qpExec = createExecutor(spillDir, 100 * 1024 * 1024);
+        const it = qpExec.makeIterator(sortStep());
+        const res = await getAll(it);
+        expect(res.map(row => row.id)).to.deep.equal(
+            Array.from({ length: ROW_CNT }, (v, i) => ROW_CNT - i - 1));
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Sort reset removes spill files', async function() {
+        const qpExec = createExecutor(spillDir);
+        const it = qpExec.makeIterator(sortStep());
+        expect(await it.next()).to.equal(true);
+        expect(fs.readdirSync(spillDir).length).to.equal(1);
+        it.reset();
+        expect(qpExec._mem).to.equal(0);
+        //Removal of the files by reset() is not awaited.
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Sort exceeds memory without spillDir', async function() {
+        const qpExec = createExecutor();
+        const it = qpExec.makeIterator(sortStep());
+        const err = await expect(it.next()).to.be.rejected;
+        expect(err.errorCode).to.equal(ErrorCode.MEMORY_LIMIT_EXCEEDED);
+    });
+}
+
+function testGroup(spillDir) {
+    it('External group by', async function() {
+        const qpExec = createExecutor(spillDir);
+        const it = qpExec.makeIterator(groupStep());
+        const res = await getAll(it, () => {
+            expect(fs.readdirSync(spillDir).length).to.equal(1);
+        });
+        const exp = expectedGroups();
+        expect(res.length).to.equal(exp.size);
+        for(const row of res) {
+            const expRow = exp.get(row.grp);
+            expect(expRow).to.exist;
+            expect(row.cnt).to.equal(expRow.cnt);
+            expect(BigInt(row.sum)).to.equal(expRow.sum);
+            expect(row.min).to.equal(expRow.min);
+            expect(row.max).to.deep.equal(expRow.max);
+            expect(row.coll.sort((v1, v2) => v1 - v2)).to.deep.equal(
+                expRow.coll);
+            exp.delete(row.grp);
+        }
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Group by exceeds memory without spillDir', async function() {
+        const qpExec = createExecutor();
+        const it = qpExec.makeIterator(groupStep());
+        const err = await expect(it.next()).to.be.rejected;
+        expect(err.errorCode).to.equal(ErrorCode.MEMORY_LIMIT_EXCEEDED);
+    });
+
+    it('Distinct is not spilled', async function() {
+        const qpExec = createExecutor(spillDir, 1000);
+        const step = groupStep();
+        step.isDistinct = true;
+        step.colNames = [ 'grp' ];
+        step.aggrFuncCodes = [];
+        const it = qpExec.makeIterator(step);
+        const err = await expect(getAll(it)).to.be.rejected;
+        expect(err.errorCode).to.equal(ErrorCode.MEMORY_LIMIT_EXCEEDED);
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+}
+
+//Client that executes the query plan of the prepared statement against
+//MockQueryClient.
+function createClient(mock) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: new MemoryService()
+    });
+    client._execute = (op, req) => mock._execute(op, req);
+    return client;
+}
+
+//Plan for query such as:
+//SELECT id FROM Foo ORDER BY id DESC [LIMIT <limit>]
+//where the rows are received sorted by id from each shard.
+function createPrepStmt(limit) {
+    let plan = {
+        itCls: SortIterator,
+        displayName: 'SORT',
+        resPos: 1,
+        sortSpecs: [ { fieldName: 'id', isDesc: true, nullRank: 1 } ],
+        countMem: true,
+        input: {
+            itCls: ReceiveIterator,
+            displayName: 'RECV',
+            resPos: 2,
+            distKind: DistributionKind.ALL_SHARDS,
+            sortSpecs: [ { fieldName: 'id', isDesc: false, nullRank: 1 } ],
+            pkFields: null
+        }
+    };
+    plan = {
+        itCls: SFWIterator,
+        displayName: 'SFW',
+        resPos: 0,
+        colNames: [ 'id' ],
+        gbColCnt: -1,
+        fromVarName: '$from-0',
+        isSelectStar: false,
+        fromStep: plan,
+        colSteps: [ {
+            itCls: FieldStepIterator,
+            displayName: 'FIELD_STEP',
+            resPos: 3,
+            fldName: 'id',
+            input: {
+                itCls: VarRefIterator,
+                displayName: 'VAR_REF',
+                resPos: 1,
+                name: '$from-0'
+            }
+        } ],
+        offsetStep: null,
+        limitStep: limit != null ? {
+            itCls: ConstIterator,
+            displayName: 'CONST',
+            resPos: 4,
+            val: limit
+        } : null
+    };
+    return Object.assign(Object.create(PreparedStatement.prototype), {
+        _sql: 'SELECT ...',
+        _prepStmt: Buffer.alloc(10),
+        _topoInfo: {
+            shardIds: Array.from({ length: SHARD_CNT }, (v, i) => i)
+        },
+        _queryPlan: plan
+    });
+}
+
+function queryOpt(spillDir) {
+    return { spillDir, limit: 10, _maxMemory: QUERY_MAX_MEM };
+}
+
+function testQueryClose(spillDir) {
+    const mock = new MockQueryClient(SHARD_CNT, QUERY_ROW_CNT, BATCH_SIZE);
+    const client = createClient(mock);
+    after(function() {
+        client.close();
+    });
+
+    it('Break out of queryIterable removes spill files', async function() {
+        const prepStmt = createPrepStmt();
+        let ck;
+        for await(const res of client.queryIterable(prepStmt,
+            queryOpt(spillDir))) {
+            //The sorted rows are returned while the runs are merged.
+            if (res.rows.length) {
+                expect(res.rows[0].id).to.equal(QUERY_ROW_CNT - 1);
+                expect(fs.readdirSync(spillDir).length).to.equal(1);
+                ck = res.continuationKey;
+                break;
+            }
+        }
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+        //The query cannot be continued.
+        const err = await expect(client.query(prepStmt, Object.assign(
+            queryOpt(spillDir), { continuationKey: ck }))).to.be.rejected;
+        expect(err.errorCode).to.equal(ErrorCode.ILLEGAL_STATE);
+    });
+
+    it('Error in queryIterable removes spill files', async function() {
+        const reqCnt = mock.requests.length;
+        //By this time some rows have been spilled.
+        mock.failOn = () => mock.requests.length === reqCnt + 15;
+        const err = await expect((async () => {
+            for await(const res of client.queryIterable(createPrepStmt(),
+                queryOpt(spillDir))) {
+                expect(res.rows).to.deep.equal([]);
+            }
+        })()).to.be.rejected;
+        expect(err).to.be.instanceOf(NoSQLError);
+        expect(err.errorCode).to.equal(ErrorCode.SERVICE_UNAVAILABLE);
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Destroying queryStream removes spill files', async function() {
+        const stream = client.queryStream(createPrepStmt(),
+            queryOpt(spillDir));
+        const row = await new Promise((resolve, reject) => {
+            stream.once('data', resolve);
+            stream.once('error', reject);
+        });
+        expect(row.id).to.equal(QUERY_ROW_CNT - 1);
+        expect(fs.readdirSync(spillDir).length).to.equal(1);
+        stream.pause();
+        await new Promise(resolve => {
+            stream.once('close', resolve);
+            stream.destroy();
+        });
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+
+    it('Query with LIMIT removes spill files', async function() {
+        //Not all sorted rows are consumed when the query completes.
+        const rows = [];
+        for await(const res of client.queryIterable(createPrepStmt(15),
+            queryOpt(spillDir))) {
+            rows.push(...res.rows);
+        }
+        expect(rows.map(row => row.id)).to.deep.equal(Array.from(
+            { length: 15 }, (v, i) => QUERY_ROW_CNT - 1 - i));
+        expect(fs.readdirSync(spillDir)).to.deep.equal([]);
+    });
+}
+
+describe('Query spill to disk tests', function() {
+    const spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spill-test-'));
+    after(function() {
+        fs.rmdirSync(spillDir);
+    });
+    testSort(spillDir);
+    testGroup(spillDir);
+    testQueryClose(spillDir);
+});
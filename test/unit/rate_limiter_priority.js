@@ -0,0 +1,182 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const NoSQLTimeoutError = require('../../index').NoSQLTimeoutError;
+const SimpleRateLimiter =
+    require('../../lib/rate_limiter/simple_rate_limiter');
+const PriorityScheduler =
+    require('../../lib/rate_limiter/priority_scheduler');
+
+const LIMIT = 1000;
+const OP_UNITS = 10;
+
+const SHARES = new Map([ [ 'interactive', 0.8 ], [ 'batch', 0.2 ] ]);
+
+const TABLE_NAME = 'rlPriorityTest';
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+PRIMARY KEY(id))`;
+
+function createScheduler() {
+    const rl = new SimpleRateLimiter(0);
+    rl.setLimit(LIMIT);
+    return new PriorityScheduler(rl, SHARES);
+}
+
+//Executes the operation consuming OP_UNITS units and returns its class.
+async function execOp(sched, name, timeout = 10000) {
+    const res = await sched.acquire(name, timeout);
+    await sched.release(name, OP_UNITS, res.units, timeout);
+    return name;
+}
+
+function testScheduler() {
+    it('Classes get their shares when busy', async function() {
+        const sched = createScheduler();
+        const order = [];
+        const ops = [];
+        for(let i = 0; i < 20; i++) {
+            for(const name of SHARES.keys()) {
+                ops.push(execOp(sched, name).then(name => order.push(name)));
+            }
+        }
+        await Promise.all(ops);
+        //While both classes are waiting, the interactive class gets about
+        //80% of the limit.
+        const cnt = order.slice(0, 20).filter(
+            name => name === 'interactive').length;
+        expect(cnt).to.be.within(14, 18);
+        expect(order.slice(-5)).to.deep.equal(Array(5).fill('batch'));
+    });
+
+    it('Idle class capacity is used by other classes', async function() {
+        const sched = createScheduler();
+        const start = Date.now();
+        const ops = [];
+        for(let i = 0; i < 20; i++) {
+            ops.push(execOp(sched, 'batch'));
+        }
+        await Promise.all(ops);
+        //At 20% of the limit, the batch would take 1 second.
+        expect(Date.now() - start).to.be.below(600);
+
+        //Idle interactive class does not accumulate credit, so the classes
+        //share the limit again after the batch has run alone.
+        const order = [];
+        ops.length = 0;
+        for(let i = 0; i < 10; i++) {
+            for(const name of SHARES.keys()) {
+                ops.push(execOp(sched, name).then(name => order.push(name)));
+            }
+        }
+        await Promise.all(ops);
+        expect(order.slice(0, 10)).to.include('batch');
+    });
+
+    it('Scheduler timeout', async function() {
+        const sched = createScheduler();
+        //The limiter is 200 ms over its limit.
+        await sched._limiter.consumeUnits(LIMIT / 5, 1000, true);
+        //The first operation times out waiting for the limiter and the
+        //other times out waiting in the queue.
+        await Promise.all([
+            expect(execOp(sched, 'batch', 20)).to.be.rejectedWith(
+                NoSQLTimeoutError),
+            expect(execOp(sched, 'interactive', 10)).to.be.rejectedWith(
+                NoSQLTimeoutError, /interactive/)
+        ]);
+        //Scheduler still works after the timeouts.
+        expect(await execOp(sched, 'batch', 1000)).to.equal('batch');
+        expect(await execOp(sched, 'interactive', 1000)).to.equal(
+            'interactive');
+    });
+}
+
+function testClient() {
+    it('Client with priorities', async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: new MemoryService(),
+            rateLimiter: {
+                priorities: { interactive: 4, batch: 1 },
+                defaultPriority: 'interactive'
+            },
+            stats: {}
+        });
+        try {
+            await client.tableDDL(CREATE_TABLE, {
+                tableLimits: {
+                    readUnits: 1000,
+                    writeUnits: 1000,
+                    storageGB: 1
+                },
+                complete: true
+            });
+            for(let id = 0; id < 10; id++) {
+                await client.put(TABLE_NAME, { id }, { priority: 'batch' });
+                await client.get(TABLE_NAME, { id });
+            }
+            await client.query(`SELECT * FROM ${TABLE_NAME} WHERE id = 0`,
+                { priority: 'batch' });
+            await expect(client.get(TABLE_NAME, { id: 0 },
+                { priority: 'other' })).to.be.rejectedWith(
+                NoSQLArgumentError, /priority/);
+
+            const stats = client.getStats();
+            expect(stats.priorities).to.have.all.keys('interactive',
+                'batch');
+            const interactive = stats.priorities.interactive;
+            const batch = stats.priorities.batch;
+            expect(interactive.count).to.equal(10);
+            expect(interactive.readUnits).to.be.greaterThan(0);
+            expect(interactive.writeUnits).to.equal(0);
+            expect(batch.writeUnits).to.be.greaterThan(0);
+            expect(batch.readUnits).to.be.greaterThan(0);
+            expect(batch.writeUnits + interactive.writeUnits).to.equal(
+                stats.tables[TABLE_NAME].writeUnits);
+            expect(batch.rateLimiterDelay).to.be.at.least(0);
+            //Operations not on tables are not counted.
+            expect(stats.tables[TABLE_NAME].count).to.be.lessThan(
+                stats.total.count);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Priorities config', function() {
+        const badCfgs = [
+            { priorities: 1 },
+            { priorities: {} },
+            { priorities: { a: 0 } },
+            { priorities: { a: 1, b: -1 } },
+            { priorities: { a: '1' } },
+            { priorities: { a: Infinity } },
+            { priorities: { a: 1 }, defaultPriority: 'b' }
+        ];
+        for(const rateLimiter of badCfgs) {
+            expect(() => new NoSQLClient({
+                serviceType: ServiceType.MEMORY,
+                memoryService: new MemoryService(),
+                rateLimiter
+            })).to.throw(NoSQLArgumentError, /rateLimiter\.\w+/);
+        }
+    });
+}
+
+describe('Rate limiter priority tests', function() {
+    this.timeout(10000);
+    testScheduler();
+    testClient();
+});
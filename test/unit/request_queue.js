@@ -0,0 +1,154 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const ErrorCode = require('../../index').ErrorCode;
+const NoSQLError = require('../../index').NoSQLError;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const NoSQLTimeoutError = require('../../index').NoSQLTimeoutError;
+
+const TABLE_NAME = 'reqQueueTest';
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+PRIMARY KEY(id))`;
+
+//Creates the client whose requests are held in flight until released by
+//the test.
+async function createClient(cfg) {
+    const memoryService = new MemoryService();
+    const client = new NoSQLClient(Object.assign({
+        serviceType: ServiceType.MEMORY,
+        memoryService,
+        interceptors: [ {
+            onRequest: async ctx => {
+                if (ctx.opName !== 'PutOp') {
+                    return;
+                }
+                client.started.push(ctx.operation.row.id);
+                await new Promise(resolve => client.waiters.push(resolve));
+            }
+        } ]
+    }, cfg));
+    client.started = [];
+    client.waiters = [];
+    client.releaseAll = () => client.waiters.splice(0).forEach(w => w());
+    await client.tableDDL(CREATE_TABLE, {
+        tableLimits: {
+            readUnits: 1000,
+            writeUnits: 1000,
+            storageGB: 1
+        },
+        complete: true
+    });
+    return client;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Request queue tests', function() {
+    it('Requests wait in FIFO queue', async function() {
+        const client = await createClient({ maxConcurrentRequests: 2 });
+        try {
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 0, queued: 0 });
+            const ops = [];
+            for(let id = 0; id < 5; id++) {
+                ops.push(client.put(TABLE_NAME, { id }));
+            }
+            await sleep(10);
+            expect(client.started).to.deep.equal([ 0, 1 ]);
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 2, queued: 3 });
+
+            client.releaseAll();
+            await sleep(10);
+            expect(client.started).to.deep.equal([ 0, 1, 2, 3 ]);
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 2, queued: 1 });
+
+            while(client.started.length < 5 || client.waiters.length) {
+                client.releaseAll();
+                await sleep(10);
+            }
+            await Promise.all(ops);
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 0, queued: 0 });
+        } finally {
+            client.releaseAll();
+            client.close();
+        }
+    });
+
+    it('Queue full and queue timeout', async function() {
+        const client = await createClient({
+            maxConcurrentRequests: 1,
+            maxQueuedRequests: 1
+        });
+        try {
+            const op1 = client.put(TABLE_NAME, { id: 1 });
+            const op2 = client.put(TABLE_NAME, { id: 2 }, { timeout: 100 });
+            await sleep(10);
+            const err = await expect(client.put(TABLE_NAME, { id: 3 })).to
+                .be.rejectedWith(NoSQLError);
+            expect(err.errorCode).to.equal(ErrorCode.REQUEST_QUEUE_FULL);
+            expect(err.retryable).to.equal(false);
+
+            //Time in the queue counts against the timeout.
+            await expect(op2).to.be.rejectedWith(NoSQLTimeoutError);
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 1, queued: 0 });
+            client.releaseAll();
+            await op1;
+            expect(client.started).to.deep.equal([ 1 ]);
+
+            //The queue is still usable after the timeout.
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(client.getRequestQueueStats()).to.deep.equal(
+                { active: 0, queued: 0 });
+        } finally {
+            client.releaseAll();
+            client.close();
+        }
+    });
+
+    it('Request queue config', async function() {
+        const client = await createClient();
+        try {
+            expect(client.getRequestQueueStats()).to.be.undefined;
+        } finally {
+            client.close();
+        }
+        const badCfgs = [
+            { maxConcurrentRequests: 0 },
+            { maxConcurrentRequests: 1.5 },
+            { maxConcurrentRequests: '10' },
+            { maxConcurrentRequests: 1, maxQueuedRequests: -1 },
+            { maxConcurrentRequests: 1, maxQueuedRequests: 0.5 }
+        ];
+        for(const cfg of badCfgs) {
+            expect(() => new NoSQLClient(Object.assign({
+                serviceType: ServiceType.MEMORY,
+                memoryService: new MemoryService()
+            }, cfg))).to.throw(NoSQLArgumentError, /max\w+Requests/);
+        }
+        //Queue may be disabled.
+        new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: new MemoryService(),
+            maxConcurrentRequests: 1,
+            maxQueuedRequests: 0
+        }).close();
+    });
+});
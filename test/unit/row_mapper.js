@@ -0,0 +1,340 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const Decimal = require('decimal.js');
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const RowMapper = require('../../lib/row_mapper');
+const NumberTypeHandler = require('../../lib/db_number');
+
+const TABLE_NAME = 'rmTest';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(sid INTEGER, id INTEGER, \
+name STRING, address RECORD(city STRING, zip INTEGER), \
+phones ARRAY(RECORD(kind STRING, num STRING)), info JSON, \
+PRIMARY KEY(SHARD(sid), id))`;
+
+const ROW_CNT = 5;
+
+class Address {
+    get label() {
+        return `${this.city} ${this.zip}`;
+    }
+}
+
+class Phone {}
+
+class Employee {
+    constructor(id, name) {
+        this.sid = 1;
+        this.id = id;
+        this.name = name;
+    }
+}
+
+//Class that converts itself to the row.
+class Contact {
+    constructor(id, name) {
+        this._id = id;
+        this._name = name;
+    }
+
+    toRow() {
+        return { sid: 1, id: this._id, name: this._name };
+    }
+}
+
+const EMP_MAPPER = {
+    type: Employee,
+    fields: {
+        address: Address,
+        phones: Phone
+    }
+};
+
+const memService = new MemoryService();
+
+function createClient(rowMappers) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        rowMappers,
+        interceptors: [ {
+            onRequest: ctx => {
+                client.requests[ctx.opName] =
+                    (client.requests[ctx.opName] || 0) + 1;
+                if (ctx.opName === 'GetTableOp') {
+                    client.schemaNamespaces.push(ctx.opt.namespace);
+                }
+            }
+        } ]
+    });
+    client.requests = {};
+    client.schemaNamespaces = [];
+    return client;
+}
+
+function makeRow(id) {
+    return {
+        sid: 1,
+        id,
+        name: `name${id}`,
+        address: { city: `city${id}`, zip: id },
+        phones: [ { kind: 'home', num: `${id}` } ],
+        info: { since: '2020-01-01T00:00:00.000Z' }
+    };
+}
+
+function verifyEmployee(emp, id) {
+    expect(emp).to.be.instanceOf(Employee);
+    expect(emp.id).to.equal(id);
+    expect(emp.name).to.equal(`name${id}`);
+    expect(emp.address).to.be.instanceOf(Address);
+    expect(emp.address.label).to.equal(`city${id} ${id}`);
+    expect(emp.phones.length).to.equal(1);
+    expect(emp.phones[0]).to.be.instanceOf(Phone);
+    expect(emp.phones[0].num).to.equal(`${id}`);
+    //JSON field is not mapped.
+    expect(emp.info).to.deep.equal({ since: '2020-01-01T00:00:00.000Z' });
+}
+
+function testRead() {
+    it('Get with row mapper', async function() {
+        const client = createClient({ [TABLE_NAME.toUpperCase()]:
+            EMP_MAPPER });
+        try {
+            let res = await client.get(TABLE_NAME, { sid: 1, id: 1 });
+            verifyEmployee(res.row, 1);
+            res = await client.get(TABLE_NAME, { sid: 1, id: 2 });
+            verifyEmployee(res.row, 2);
+            //The table schema is retrieved once.
+            expect(client.requests.GetTableOp).to.equal(1);
+
+            res = await client.get(TABLE_NAME, { sid: 1, id: 1 },
+                { rowMapper: null });
+            expect(res.row).to.deep.equal(makeRow(1));
+
+            res = await client.get(TABLE_NAME, { sid: 1, id: 1 }, {
+                rowMapper: {
+                    fromRow: row => `${row.id}: ${row.address.label}`,
+                    fields: { address: Address }
+                }
+            });
+            expect(res.row).to.equal('1: city1 1');
+
+            res = await client.get(TABLE_NAME, { sid: 1, id: 100 });
+            expect(res.row).to.equal(null);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Get with row mapper in different namespaces', async function() {
+        const client = createClient({ [TABLE_NAME]: EMP_MAPPER });
+        try {
+            //The same table name in different namespaces may refer to
+            //different tables, so the schema is retrieved for each
+            //namespace.
+            for(const namespace of [ 'ns1', 'ns2', 'ns1', undefined ]) {
+                const res = await client.get(TABLE_NAME, { sid: 1, id: 1 },
+                    { namespace });
+                verifyEmployee(res.row, 1);
+            }
+            expect(client.schemaNamespaces).to.deep.equal(
+                [ 'ns1', 'ns2', undefined ]);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Query with row mapper', async function() {
+        const client = createClient({ [TABLE_NAME]: EMP_MAPPER });
+        const stmt = `SELECT * FROM ${TABLE_NAME} WHERE sid = 1`;
+        try {
+            let res = await client.query(stmt);
+            expect(res.rows.length).to.equal(ROW_CNT);
+            res.rows.forEach((row, i) => verifyEmployee(row, i));
+
+            const rows = [];
+            for await(const res of client.queryIterable(stmt,
+                { limit: 2 })) {
+                rows.push(...res.rows);
+            }
+            rows.forEach((row, i) => verifyEmployee(row, i));
+            expect(client.requests.GetTableOp).to.equal(1);
+
+            res = await client.query(stmt, { rowMapper: null });
+            expect(res.rows[0]).to.deep.equal(makeRow(0));
+
+            //Static fromRow() method of the class is used if defined.
+            class Emp2 {
+                static fromRow(row) {
+                    return Object.assign(new Emp2(), { id: row.id });
+                }
+            }
+            const prepStmt = await client.prepare(stmt);
+            res = await client.query(prepStmt, { rowMapper: Emp2 });
+            expect(res.rows.map(row => row instanceof Emp2 && row.id))
+                .to.deep.equal([ 0, 1, 2, 3, 4 ]);
+
+            //Table schema is retrieved again after DDL operation.
+            await client.tableDDL(`CREATE INDEX idx ON ${TABLE_NAME}(name)`,
+                { complete: true });
+            const getTableCnt = client.requests.GetTableOp;
+            res = await client.query(stmt);
+            verifyEmployee(res.rows[0], 0);
+            expect(client.requests.GetTableOp).to.equal(getTableCnt + 1);
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Read without row mapper', async function() {
+        const client = createClient({ otherTable: Employee });
+        try {
+            const res = await client.get(TABLE_NAME, { sid: 1, id: 1 });
+            expect(res.row).to.deep.equal(makeRow(1));
+            expect(Object.getPrototypeOf(res.row)).to.equal(
+                Object.prototype);
+            expect(client.requests.GetTableOp).to.not.exist;
+            await expect(client.get(TABLE_NAME, { sid: 1, id: 1 },
+                { rowMapper: {} })).to.be.rejectedWith(NoSQLArgumentError);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testWrite() {
+    it('Put with row mapper', async function() {
+        const client = createClient({ [TABLE_NAME]: EMP_MAPPER });
+        try {
+            //Own enumerable properties are copied.
+            const emp = new Employee(100, 'name100');
+            emp.address = Object.assign(new Address(),
+                { city: 'city100', zip: 100 });
+            emp.phones = [ Object.assign(new Phone(),
+                { kind: 'home', num: '100' }) ];
+            let res = await client.put(TABLE_NAME, emp);
+            expect(res.success).to.equal(true);
+            res = await client.get(TABLE_NAME, { sid: 1, id: 100 });
+            expect(res.row).to.be.instanceOf(Employee);
+            expect(res.row).to.deep.include({ id: 100, name: 'name100' });
+            expect(res.row.address.label).to.equal('city100 100');
+
+            //Class instance with toRow() method.
+            res = await client.putIfAbsent(TABLE_NAME,
+                new Contact(101, 'name101'));
+            expect(res.success).to.equal(true);
+            res = await client.get(TABLE_NAME, { sid: 1, id: 101 },
+                { rowMapper: null });
+            expect(res.row).to.deep.include({ id: 101, name: 'name101' });
+
+            //toRow() function of the mapper.
+            res = await client.putMany(TABLE_NAME, [ 102, 103 ].map(id =>
+                new Contact(id, 'x')), {
+                rowMapper: {
+                    type: Contact,
+                    toRow: c => ({ sid: 1, id: c._id, name: `name${c._id}` })
+                }
+            });
+            expect(res.results.length).to.equal(2);
+            res = await client.get(TABLE_NAME, { sid: 1, id: 103 },
+                { rowMapper: null });
+            expect(res.row.name).to.equal('name103');
+
+            res = await client.writeMany([
+                { tableName: TABLE_NAME, put: new Contact(104, 'name104') },
+                { tableName: TABLE_NAME, delete: { sid: 1, id: 100 } }
+            ]);
+            expect(res.results.length).to.equal(2);
+
+            //Class instance that cannot be converted is rejected.
+            await expect(client.put(TABLE_NAME, new Phone())).to.be
+                .rejectedWith(NoSQLArgumentError);
+            await expect(client.put(TABLE_NAME, emp, { rowMapper: null }))
+                .to.be.rejectedWith(NoSQLArgumentError);
+        } finally {
+            for(let id = 100; id < 105; id++) {
+                await client.delete(TABLE_NAME, { sid: 1, id });
+            }
+            client.close();
+        }
+    });
+}
+
+function testSchema() {
+    it('Conversion by schema', function() {
+        const schema = RowMapper.parseSchema(JSON.stringify({
+            fields: [
+                { name: 'ts', type: 'TIMESTAMP' },
+                { name: 'num', type: 'NUMBER' },
+                { name: 'rec', type: 'RECORD', fields: [
+                    { name: 'ts', type: 'TIMESTAMP' }
+                ] },
+                { name: 'arr', type: 'ARRAY', collection: {
+                    type: 'RECORD', fields: [ { name: 'n', type: 'NUMBER' } ]
+                } },
+                { name: 'map', type: 'MAP', collection: {
+                    type: 'TIMESTAMP' } }
+            ]
+        }));
+        const dbNumber = new NumberTypeHandler({ dbNumber: Decimal });
+        const mapper = RowMapper.create({
+            type: Employee,
+            fields: { ARR: Phone }
+        });
+        const row = mapper.fromRow({
+            TS: '2020-01-01T00:00:00Z',
+            num: 1,
+            rec: { ts: 0 },
+            arr: [ { n: '1.5' }, null ],
+            map: { a: '2020-01-01' },
+            other: '2020-01-01'
+        }, schema, dbNumber);
+        expect(row).to.be.instanceOf(Employee);
+        expect(row.TS).to.deep.equal(new Date('2020-01-01T00:00:00Z'));
+        expect(row.num).to.be.instanceOf(Decimal);
+        expect(row.num.toString()).to.equal('1');
+        expect(row.rec.ts).to.deep.equal(new Date(0));
+        expect(row.arr[0]).to.be.instanceOf(Phone);
+        expect(row.arr[0].n).to.be.instanceOf(Decimal);
+        expect(row.arr[1]).to.equal(null);
+        expect(row.map.a).to.deep.equal(new Date('2020-01-01'));
+        expect(row.other).to.equal('2020-01-01');
+
+        //Without dbNumber, numbers are not converted.
+        expect(mapper.fromRow({ num: 1 }, schema).num).to.equal(1);
+        expect(RowMapper.parseSchema('{')).to.equal(undefined);
+        expect(RowMapper.parseSchema(undefined)).to.equal(undefined);
+    });
+}
+
+describe('Row mapper tests', function() {
+    before(async function() {
+        const client = createClient();
+        await client.tableDDL(CREATE_TABLE);
+        for(let id = 0; id < ROW_CNT; id++) {
+            await client.put(TABLE_NAME, makeRow(id));
+        }
+        client.close();
+    });
+    after(function() {
+        memService.clear();
+    });
+
+    testRead();
+    testWrite();
+    testSchema();
+});
@@ -0,0 +1,264 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const FileRateLimiterStore = require('../../index').FileRateLimiterStore;
+const SharedRateLimiter =
+    require('../../lib/rate_limiter/shared_rate_limiter');
+
+const KEY = 'read:srlTest';
+const LIMIT = 100;
+//Large enough for the limiters to be only synced explicitly by the tests.
+const SYNC_INTERVAL = 600000;
+
+const TABLE_NAME = 'srlTest';
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, \
+PRIMARY KEY(id))`;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createLimiter(store) {
+    const rl = new SharedRateLimiter(store, KEY, 1, SYNC_INTERVAL);
+    rl.setLimit(LIMIT);
+    return rl;
+}
+
+function testFileStore(dir) {
+    it('File rate limiter store', async function() {
+        const store = new FileRateLimiterStore(dir);
+        expect(await store.update(KEY, 'id1', { weight: 1 }, 60000))
+            .to.deep.equal([ { weight: 1 } ]);
+        const res = await store.update(KEY, 'id2', { weight: 2 }, 60000);
+        expect(res.map(state => state.weight).sort()).to.deep.equal(
+            [ 1, 2 ]);
+        //Other keys are not affected, including the keys with the same
+        //prefix.
+        expect(await store.update(KEY + '.x', 'id1', { weight: 3 }, 60000))
+            .to.deep.equal([ { weight: 3 } ]);
+
+        //Update replaces the state of the instance.
+        await store.update(KEY, 'id1', { weight: 5 }, 60000);
+        await store.remove(KEY, 'id2');
+        //Removing the state again is not an error.
+        await store.remove(KEY, 'id2');
+        expect(await store.update(KEY, 'id3', { weight: 4 }, 60000))
+            .to.have.deep.members([ { weight: 5 }, { weight: 4 } ]);
+        expect(fs.readdirSync(dir).length).to.equal(3);
+        await store.remove(KEY, 'id1');
+        await store.remove(KEY, 'id3');
+        await store.remove(KEY + '.x', 'id1');
+        expect(fs.readdirSync(dir)).to.deep.equal([]);
+
+        expect(() => new FileRateLimiterStore('')).to.throw(
+            NoSQLArgumentError);
+    });
+
+    it('File rate limiter store expiration', async function() {
+        const store = new FileRateLimiterStore(dir);
+        await store.update(KEY, 'id1', { weight: 1 }, 60000);
+        await store.update(KEY, 'id2', { weight: 2 }, 50);
+        await sleep(100);
+        //Expired state is not returned and its file is removed.
+        expect(await store.update(KEY, 'id1', { weight: 3 }, 60000))
+            .to.deep.equal([ { weight: 3 } ]);
+        expect(fs.readdirSync(dir).length).to.equal(1);
+    });
+}
+
+function testShares(dir) {
+    it('Shares are rebalanced', async function() {
+        const store = new FileRateLimiterStore(dir);
+        const rl1 = createLimiter(store);
+        const rl2 = createLimiter(store);
+        try {
+            //The first operation obtains the share.
+            expect(await rl1.consumeUnits(0, 1000, false)).to.equal(0);
+            expect(rl1.share).to.equal(LIMIT);
+
+            //Idle instances share the limit equally.
+            await rl2._sync();
+            await rl1._sync();
+            expect(rl1.share).to.equal(LIMIT / 2);
+            expect(rl2.share).to.equal(LIMIT / 2);
+
+            //Busy instance gets most of the limit.
+            await rl1.consumeUnits(20, 1000, true);
+            await rl1._sync();
+            await rl2._sync();
+            expect(rl1.share).to.be.closeTo(LIMIT * 0.9, 0.001);
+            expect(rl2.share).to.be.closeTo(LIMIT * 0.1, 0.001);
+
+            //Remaining instance gets full limit after the other leaves.
+            rl1.close();
+            await sleep(50);
+            await rl2._sync();
+            expect(rl2.share).to.equal(LIMIT);
+
+            //Limit change applies the same share.
+            rl2.setLimit(LIMIT * 2);
+            expect(rl2.share).to.equal(LIMIT * 2);
+        } finally {
+            rl1.close();
+            rl2.close();
+        }
+    });
+
+    it('Store errors', async function() {
+        let fail = false;
+        const states = [ { weight: 0 }, { weight: 0 } ];
+        const rl = createLimiter({
+            update: async () => {
+                if (fail) {
+                    throw new Error('store error');
+                }
+                return states;
+            },
+            remove: async () => {
+                throw new Error('store error');
+            }
+        });
+        try {
+            expect(await rl.consumeUnits(1, 1000, false)).to.equal(0);
+            expect(rl.share).to.equal(LIMIT / 2);
+            //The last known shares are used.
+            fail = true;
+            await rl._sync();
+            expect(rl.share).to.equal(LIMIT / 2);
+            expect(await rl.consumeUnits(1, 1000, false)).to.be.at.least(0);
+        } finally {
+            rl.close();
+        }
+    });
+}
+
+function testClient(dir) {
+    it('Client with shared rate limiter', async function() {
+        const memoryService = new MemoryService();
+        const createClient = () => new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService,
+            rateLimiter: { store: dir, syncInterval: 50 }
+        });
+        const client1 = createClient();
+        const client2 = createClient();
+        try {
+            await client1.tableDDL(CREATE_TABLE, {
+                tableLimits: {
+                    readUnits: 1000,
+                    writeUnits: 1000,
+                    storageGB: 1
+                },
+                complete: true
+            });
+            await client2.getTable(TABLE_NAME);
+            for(let id = 0; id < 10; id++) {
+                await client1.put(TABLE_NAME, { id });
+                await client2.get(TABLE_NAME, { id });
+            }
+            //Read and write limiters of both clients, the limiters that
+            //were not used are synced by the timer.
+            await sleep(100);
+            expect(fs.readdirSync(dir).length).to.equal(4);
+        } finally {
+            client1.close();
+            client2.close();
+        }
+        await sleep(100);
+        expect(fs.readdirSync(dir)).to.deep.equal([]);
+    });
+
+    it('Shared rate limiter keys', async function() {
+        const keys = new Set();
+        const store = {
+            update: async (key, instanceId, state) => {
+                keys.add(key);
+                return [ state ];
+            },
+            remove: async () => {}
+        };
+        const memoryService = new MemoryService();
+        const createClient = compartment => new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService,
+            compartment,
+            rateLimiter: { store }
+        });
+        const client1 = createClient('c1');
+        const client2 = createClient('c2');
+        const client3 = createClient('c1');
+        try {
+            await client1.tableDDL(CREATE_TABLE, {
+                tableLimits: {
+                    readUnits: 1000,
+                    writeUnits: 1000,
+                    storageGB: 1
+                },
+                complete: true
+            });
+            for(const client of [ client1, client2, client3 ]) {
+                await client.getTable(TABLE_NAME);
+                await client.get(TABLE_NAME, { id: 1 });
+            }
+        } finally {
+            client1.close();
+            client2.close();
+            client3.close();
+        }
+        //Read limiters of the clients in different compartments have
+        //different keys.
+        const readKeys = [ ...keys ].filter(key => key.includes(':read:'));
+        expect(readKeys.length).to.equal(2);
+        for(const key of readKeys) {
+            expect(key.endsWith(TABLE_NAME.toLowerCase())).to.equal(true);
+        }
+    });
+
+    it('Shared rate limiter config', function() {
+        const badCfgs = [
+            { store: 1 },
+            { store: {} },
+            { store: { update() {} } },
+            { store: dir, syncInterval: 0 },
+            { store: dir, syncInterval: '100' }
+        ];
+        for(const rateLimiter of badCfgs) {
+            expect(() => new NoSQLClient({
+                serviceType: ServiceType.MEMORY,
+                memoryService: new MemoryService(),
+                rateLimiter
+            })).to.throw(NoSQLArgumentError, /rateLimiter\.\w+/);
+        }
+    });
+}
+
+describe('Shared rate limiter tests', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'srl-test-'));
+    afterEach(function() {
+        for(const name of fs.readdirSync(dir)) {
+            fs.unlinkSync(path.join(dir, name));
+        }
+    });
+    after(function() {
+        fs.rmdirSync(dir);
+    });
+    testFileStore(dir);
+    testShares(dir);
+    testClient(dir);
+});
@@ -0,0 +1,267 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const MemoryService = require('../../index').MemoryService;
+const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
+const PreparedStatement = require('../../index').PreparedStatement;
+const SQL = require('../../index').SQL;
+
+const { eq, ne, lt, le, gt, ge, and, or, not, param, path, elem, pos,
+    between, inList, exists, isNull, isNotNull } = SQL;
+
+const TABLE_NAME = 'sbTest';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(sid INTEGER, id INTEGER, \
+name STRING, info JSON, PRIMARY KEY(SHARD(sid), id))`;
+
+const ROW_CNT = 10;
+
+function verifyBuild(builder, sql, bindings) {
+    const res = builder.build();
+    expect(res.sql).to.equal(sql);
+    expect(res.bindings).to.deep.equal(bindings);
+    expect(builder.toString()).to.equal(sql);
+}
+
+function testSelect() {
+    it('Select statement', function() {
+        verifyBuild(SQL.select('Emp'), 'SELECT * FROM Emp t', {});
+        verifyBuild(SQL.select('Emp')
+            .fields('name', path('address.city').as('city'))
+            .where(eq('address.city', param('city', 'Boston')))
+            .where(or(gt('age', 30), inList('dept', [ 'a', 'b' ])))
+            .orderBy('name', 'desc')
+            .orderBy(path('age'))
+            .limit(10)
+            .offset(0), 'DECLARE $city STRING; $p1 LONG; $p2 STRING; \
+$p3 STRING; SELECT t.name, t.address.city AS city FROM Emp t WHERE \
+(t.address.city = $city AND (t.age > $p1 OR t.dept IN ($p2, $p3))) \
+ORDER BY t.name DESC, t.age LIMIT 10 OFFSET 0', {
+            $city: 'Boston',
+            $p1: 30,
+            $p2: 'a',
+            $p3: 'b'
+        });
+    });
+
+    it('Conditions', function() {
+        verifyBuild(SQL.select('ns1:Emp.child').where(and(
+            ne('a', 1.5), lt('b', 2n ** 70n), le('c', path('d')),
+            ge('e', true), not(isNull('f')), isNotNull('g'),
+            exists('h'), between('i', 1, param('max', 5)))),
+        'DECLARE $max LONG; $p1 DOUBLE; $p2 NUMBER; $p3 BOOLEAN; \
+$p4 LONG; SELECT * FROM ns1:Emp.child t WHERE (t.a != $p1 AND t.b < $p2 \
+AND t.c <= t.d AND t.e >= $p3 AND NOT (t.f IS NULL) AND t.g IS NOT NULL \
+AND EXISTS t.h AND (t.i >= $p4 AND t.i <= $max))', {
+            $p1: 1.5,
+            $p2: 2n ** 70n,
+            $p3: true,
+            $p4: 1,
+            $max: 5
+        });
+    });
+
+    it('Path steps', function() {
+        verifyBuild(SQL.select('Emp').fields(
+            path('phones').elements(and(gt(elem('area'), 400),
+                lt(pos(), 2))),
+            path('a', 'my field').field('x.y').at(0).slice(1, 3),
+            path('arr').elements().slice(null, 2).as('arr'))
+            .where(eq('id', 1)),
+        'DECLARE $p1 LONG; $p2 LONG; $p3 LONG; SELECT \
+t.phones[($element.area > $p1 AND $pos < $p2)], \
+t.a."my field"."x.y"[0][1:3], t.arr[][:2] AS arr FROM Emp t WHERE \
+t.id = $p3', {
+            $p1: 400,
+            $p2: 2,
+            $p3: 1
+        });
+        verifyBuild(SQL.select('Emp').fields(path('a').field('q"\\')),
+            'SELECT t.a."q\\"\\\\" FROM Emp t', {});
+    });
+
+    it('Variables', function() {
+        const date = new Date(0);
+        const buf = Buffer.from([ 1, 2 ]);
+        const id = param('id', 1);
+        verifyBuild(SQL.select('Emp').where(and(
+            eq('a', 'x'), eq('b', date), eq('c', buf), eq('d', null),
+            eq('e', [ 1 ]), eq('f', { x: 1 }), eq('g', param('p1', 2)),
+            eq('h', param('num', 3, 'INTEGER')), eq('i', id), eq('j', id),
+            eq('k', param('id', 1)))),
+        'DECLARE $p1 LONG; $num INTEGER; $id LONG; $p2 STRING; \
+$p3 TIMESTAMP(9); $p4 BINARY; $p5 JSON; $p6 JSON; $p7 JSON; SELECT * FROM \
+Emp t WHERE (t.a = $p2 AND t.b = $p3 AND t.c = $p4 AND t.d = $p5 AND t.e = $p6 \
+AND t.f = $p7 AND t.g = $p1 AND t.h = $num AND t.i = $id AND t.j = $id \
+AND t.k = $id)', {
+            $p1: 2,
+            $p2: 'x',
+            $p3: date,
+            $p4: buf,
+            $p5: null,
+            $p6: [ 1 ],
+            $p7: { x: 1 },
+            $num: 3,
+            $id: 1
+        });
+    });
+}
+
+function testUpdateDelete() {
+    it('Update statement', function() {
+        verifyBuild(SQL.update('Emp')
+            .set('age', 31)
+            .add(path('tags'), 'x', 0)
+            .add('tags', 'y')
+            .put('props', { a: 1 })
+            .remove('address.zip')
+            .setTTL({ hours: 5 })
+            .where(eq('id', 1))
+            .returning(),
+        'DECLARE $p1 LONG; $p2 STRING; $p3 STRING; $p4 JSON; $p5 LONG; \
+UPDATE Emp t SET t.age = $p1, ADD t.tags 0 $p2, ADD t.tags $p3, \
+PUT t.props $p4, REMOVE t.address.zip, SET TTL 5 HOURS WHERE t.id = $p5 \
+RETURNING *', {
+            $p1: 31,
+            $p2: 'x',
+            $p3: 'y',
+            $p4: { a: 1 },
+            $p5: 1
+        });
+        verifyBuild(SQL.update('Emp').set('a', path('b')).setTTL(3)
+            .returning('id', path('a').as('x')),
+        'UPDATE Emp t SET t.a = t.b, SET TTL 3 DAYS RETURNING t.id, t.a AS x',
+        {});
+        verifyBuild(SQL.update('Emp').setTTL({ days: Infinity }),
+            'UPDATE Emp t SET TTL 0 DAYS', {});
+    });
+
+    it('Delete statement', function() {
+        verifyBuild(SQL.deleteFrom('Emp'), 'DELETE FROM Emp t', {});
+        verifyBuild(SQL.deleteFrom('Emp').where(eq('id', 1)).returning('id'),
+            'DECLARE $p1 LONG; DELETE FROM Emp t WHERE t.id = $p1 \
+RETURNING t.id', { $p1: 1 });
+    });
+}
+
+function testInvalid() {
+    it('Invalid arguments', function() {
+        for(const f of [
+            () => SQL.select(),
+            () => SQL.select(''),
+            () => SQL.select('Emp; DROP TABLE Emp'),
+            () => SQL.update('1Emp'),
+            () => SQL.deleteFrom({}),
+            () => path(),
+            () => path('a..b'),
+            () => path(1),
+            () => path('a\0b'),
+            () => path('a').at(-1),
+            () => path('a').at(1.5),
+            () => path('a').slice('1'),
+            () => path('a').elements('x > 1'),
+            () => path('a').as('x y'),
+            () => param('1a', 1),
+            () => param('a b', 1),
+            () => param('a', undefined),
+            () => param('a', 1, 'INTEGER; DROP'),
+            () => eq(1, 1),
+            () => and(),
+            () => and('a = 1'),
+            () => not(null),
+            () => inList('a', []),
+            () => inList('a', 1),
+            () => SQL.select('Emp').where('a = 1'),
+            () => SQL.select('Emp').orderBy('a', 'up'),
+            () => SQL.select('Emp').limit(0),
+            () => SQL.select('Emp').limit('1'),
+            () => SQL.select('Emp').offset(-1),
+            () => SQL.update('Emp').add('a', 1, -1),
+            () => SQL.update('Emp').setTTL(-1),
+            () => SQL.update('Emp').setTTL({ days: 1, hours: 1 }),
+            () => SQL.update('Emp').build(),
+            () => SQL.select('Emp').where(eq('a', param('a', 1)))
+                .where(eq('b', param('a', 2))).build(),
+            () => SQL.select('Emp').where(eq('a', param('a', 1)))
+                .where(eq('b', param('a', 1, 'INTEGER'))).build()
+        ]) {
+            expect(f).to.throw(NoSQLArgumentError);
+        }
+        return expect(SQL.select('Emp').prepare()).to.be.rejectedWith(
+            NoSQLArgumentError);
+    });
+}
+
+function testExecute(memService) {
+    it('Execute select statement', async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: memService
+        });
+        try {
+            const builder = client.select(TABLE_NAME)
+                .fields('id', path('info.city').as('city'))
+                .where(eq('sid', param('sid', 1)))
+                .where(ge('id', 3))
+                .orderBy('id', 'DESC')
+                .limit(5);
+            const prepStmt = await builder.prepare();
+            expect(prepStmt).to.be.instanceOf(PreparedStatement);
+            expect(prepStmt.sql).to.equal(builder.build().sql);
+            expect(prepStmt.bindings).to.deep.equal({ $sid: 1, $p1: 3 });
+            const res = await client.query(prepStmt);
+            expect(res.rows.map(row => row.id)).to.deep.equal(
+                [ 9, 8, 7, 6, 5 ]);
+
+            const rows = [];
+            for await(const res of builder.queryIterable({ limit: 2 })) {
+                rows.push(...res.rows);
+            }
+            expect(rows).to.deep.equal([ 9, 8, 7, 6, 5 ].map(id => ({
+                id,
+                city: `city${id}`
+            })));
+        } finally {
+            client.close();
+        }
+    });
+}
+
+describe('SQL builder tests', function() {
+    const memService = new MemoryService();
+    before(async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: memService
+        });
+        await client.tableDDL(CREATE_TABLE);
+        for(let id = 0; id < ROW_CNT; id++) {
+            await client.put(TABLE_NAME, {
+                sid: 1,
+                id,
+                name: `name${id}`,
+                info: { city: `city${id}` }
+            });
+        }
+        client.close();
+    });
+    after(function() {
+        memService.clear();
+    });
+
+    testSelect();
+    testUpdateDelete();
+    testInvalid();
+    testExecute(memService);
+});
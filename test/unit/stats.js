@@ -0,0 +1,268 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const MemoryService = require('../../index').MemoryService;
+
+const TABLE1 = 'stTest1';
+const TABLE2 = 'stTest2';
+
+const memService = new MemoryService();
+
+function createClient(stats) {
+    return new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        retry: { baseDelay: 10 },
+        stats
+    });
+}
+
+function verifyLatency(lat, count) {
+    expect(lat).to.be.an('object');
+    for(const key of ['min', 'max', 'avg', 'p50', 'p90', 'p95', 'p99']) {
+        expect(lat[key]).to.be.a('number').that.is.at.least(0);
+    }
+    if (count) {
+        expect(lat.min).to.be.at.most(lat.p50);
+        expect(lat.p50).to.be.at.most(lat.p90);
+        expect(lat.p90).to.be.at.most(lat.p95);
+        expect(lat.p95).to.be.at.most(lat.p99);
+        expect(lat.p99).to.be.at.most(lat.max);
+        expect(lat.avg).to.be.at.least(lat.min);
+        expect(lat.avg).to.be.at.most(lat.max);
+    } else {
+        expect(lat.max).to.equal(0);
+    }
+}
+
+function verifyEntry(entry, exp) {
+    expect(entry).to.be.an('object');
+    for(const [key, val] of Object.entries(exp)) {
+        expect(entry[key]).to.deep.equal(val, key);
+    }
+    verifyLatency(entry.latency, entry.count);
+}
+
+function verifySnapshot(stats, startTime) {
+    expect(stats).to.be.an('object');
+    expect(stats.startTime).to.be.instanceOf(Date);
+    expect(stats.endTime).to.be.instanceOf(Date);
+    expect(stats.endTime.getTime()).to.be.at.least(
+        stats.startTime.getTime());
+    if (startTime != null) {
+        expect(stats.startTime).to.deep.equal(startTime);
+    }
+}
+
+function testStats() {
+    const client = createClient(true);
+
+    before(async function() {
+        for(const tableName of [ TABLE1, TABLE2 ]) {
+            await client.tableDDL(`CREATE TABLE ${tableName}(id INTEGER, \
+name STRING, PRIMARY KEY(id))`);
+        }
+        client.getStats(true);
+    });
+    after(function() {
+        client.close();
+    });
+
+    it('Per-operation and per-table stats', async function() {
+        for(let i = 0; i < 5; i++) {
+            await client.put(TABLE1, { id: i, name: 'a' + i });
+        }
+        await client.get(TABLE1, { id: 1 });
+        await client.get(TABLE2, { id: 1 });
+        const stats = client.getStats();
+        verifySnapshot(stats);
+        verifyEntry(stats.total, {
+            count: 7,
+            errors: 0,
+            errorsByCode: {},
+            requests: 7,
+            retries: 0,
+            throttled: 0,
+            rateLimiterDelay: 0
+        });
+        expect(stats.total.bytesSent).to.be.greaterThan(0);
+        expect(stats.total.bytesReceived).to.be.greaterThan(0);
+        expect(stats.total.writeUnits).to.be.greaterThan(0);
+        expect(stats.total.readUnits).to.be.greaterThan(0);
+
+        expect(stats.operations).to.have.all.keys('put', 'get');
+        verifyEntry(stats.operations.put, { count: 5, requests: 5,
+            readUnits: 0 });
+        verifyEntry(stats.operations.get, { count: 2, requests: 2,
+            writeUnits: 0 });
+        expect(stats.operations.put.writeUnits).to.equal(
+            stats.total.writeUnits);
+        expect(stats.operations.put.bytesSent +
+            stats.operations.get.bytesSent).to.equal(stats.total.bytesSent);
+
+        expect(stats.tables).to.have.all.keys(TABLE1, TABLE2);
+        verifyEntry(stats.tables[TABLE1], { count: 6 });
+        verifyEntry(stats.tables[TABLE2], { count: 1, writeUnits: 0 });
+    });
+
+    it('Stats not reset unless requested', async function() {
+        const stats1 = client.getStats();
+        await client.get(TABLE1, { id: 2 });
+        const stats2 = client.getStats(true);
+        verifySnapshot(stats2, stats1.startTime);
+        expect(stats2.total.count).to.equal(stats1.total.count + 1);
+        const stats3 = client.getStats();
+        verifySnapshot(stats3, stats2.endTime);
+        verifyEntry(stats3.total, { count: 0, requests: 0, bytesSent: 0 });
+        expect(stats3.operations).to.deep.equal({});
+        expect(stats3.tables).to.deep.equal({});
+    });
+
+    it('Errors, retries and throttling', async function() {
+        client.getStats(true);
+        memService.injectError({
+            errorCode: ErrorCode.WRITE_LIMIT_EXCEEDED,
+            op: 'put',
+            count: 2
+        });
+        await client.put(TABLE2, { id: 1, name: 'b' });
+        await expect(client.get('noSuchTable', { id: 1 })).to.be
+            .rejectedWith(/TABLE_NOT_FOUND/);
+        await expect(client.get(TABLE1, 'a')).to.be
+            .rejectedWith(/ILLEGAL_ARGUMENT/);
+        const stats = client.getStats();
+        verifyEntry(stats.total, {
+            count: 3,
+            errors: 2,
+            errorsByCode: { TABLE_NOT_FOUND: 1, ILLEGAL_ARGUMENT: 1 },
+            requests: 4,
+            retries: 2,
+            throttled: 2
+        });
+        verifyEntry(stats.operations.put, {
+            count: 1,
+            errors: 0,
+            requests: 3,
+            retries: 2,
+            throttled: 2
+        });
+        verifyEntry(stats.operations.get, {
+            count: 2,
+            errors: 2,
+            requests: 1,
+            retries: 0,
+            throttled: 0
+        });
+        //Bytes are sent for each retry.
+        expect(stats.operations.put.bytesSent).to.be.greaterThan(
+            stats.operations.get.bytesSent);
+        verifyEntry(stats.tables[TABLE2], { count: 1, retries: 2 });
+        verifyEntry(stats.tables.noSuchTable, { count: 1, errors: 1,
+            errorsByCode: { TABLE_NOT_FOUND: 1 } });
+        verifyEntry(stats.tables[TABLE1], { count: 1, errors: 1,
+            requests: 0, bytesSent: 0 });
+    });
+
+    it('Failed operation after retries', async function() {
+        client.getStats(true);
+        memService.injectError({
+            errorCode: ErrorCode.READ_LIMIT_EXCEEDED,
+            op: 'get',
+            count: 100
+        });
+        await expect(client.get(TABLE1, { id: 1 }, { timeout: 100 })).to
+            .be.rejectedWith(/READ_LIMIT_EXCEEDED/);
+        memService.clearErrors();
+        const stats = client.getStats();
+        verifyEntry(stats.total, {
+            count: 1,
+            errors: 1,
+            errorsByCode: { REQUEST_TIMEOUT: 1 }
+        });
+        expect(stats.total.throttled).to.equal(stats.total.requests);
+        expect(stats.total.latency.min).to.be.at.least(10);
+    });
+
+    it('Latency percentiles', async function() {
+        client.getStats(true);
+        for(let i = 0; i < 20; i++) {
+            await client.get(TABLE1, { id: i });
+        }
+        const stats = client.getStats();
+        verifyEntry(stats.operations.get, { count: 20 });
+    });
+}
+
+function testMaxLatencySamples() {
+    it('Max latency samples', async function() {
+        const client = createClient({ maxLatencySamples: 3 });
+        try {
+            for(let i = 0; i < 10; i++) {
+                await client.get(TABLE1, { id: i });
+            }
+            const stats = client.getStats();
+            expect(stats.total.count).to.equal(10);
+            verifyLatency(stats.total.latency, stats.total.count);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testStatsEvent() {
+    it('Periodic stats event', async function() {
+        const client = createClient({ interval: 100 });
+        try {
+            const events = [];
+            client.on('stats', stats => events.push(stats));
+            await client.get(TABLE1, { id: 1 });
+            await new Promise(resolve => setTimeout(resolve, 250));
+            expect(events.length).to.be.at.least(2);
+            verifySnapshot(events[0]);
+            verifySnapshot(events[1], events[0].endTime);
+            expect(events[0].total.count).to.equal(1);
+            expect(events[0].operations.get.count).to.equal(1);
+            expect(events[1].total.count).to.equal(0);
+            const stats = client.getStats();
+            verifySnapshot(stats, events[events.length - 1].endTime);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testStatsDisabled() {
+    it('Stats disabled', async function() {
+        for(const stats of [ undefined, null, false ]) {
+            const client = createClient(stats);
+            try {
+                await client.get(TABLE1, { id: 1 });
+                expect(client.getStats()).to.equal(undefined);
+            } finally {
+                client.close();
+            }
+        }
+    });
+}
+
+describe('Client statistics tests', function() {
+    after(function() {
+        memService.clear();
+    });
+    testStats();
+    testMaxLatencySamples();
+    testStatsEvent();
+    testStatsDisabled();
+});
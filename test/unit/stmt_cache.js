@@ -0,0 +1,267 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const MemoryService = require('../../index').MemoryService;
+const PreparedStatement = require('../../index').PreparedStatement;
+
+const TABLE_NAME = 'scTest';
+const TABLE_NAME2 = 'scTest2';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(sid INTEGER, id INTEGER, \
+name STRING, PRIMARY KEY(SHARD(sid), id))`;
+const CREATE_TABLE2 = `CREATE TABLE ${TABLE_NAME2}(id INTEGER, \
+PRIMARY KEY(id))`;
+
+const ROW_CNT = 10;
+
+//The in-memory service requires the shard key in the query.
+const STMT = `SELECT * FROM ${TABLE_NAME} WHERE sid = 1`;
+const STMT2 = `SELECT * FROM ${TABLE_NAME2} WHERE id = 1`;
+
+const memService = new MemoryService();
+
+//Counts the requests sent by the client by request type.
+function createClient(statementCache) {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        retry: { baseDelay: 10 },
+        statementCache,
+        interceptors: [ {
+            onRequest: ctx => {
+                client.requests[ctx.opName] =
+                    (client.requests[ctx.opName] || 0) + 1;
+            }
+        } ]
+    });
+    client.requests = {};
+    return client;
+}
+
+async function queryAll(client, stmt, opt) {
+    const rows = [];
+    for await(const res of client.queryIterable(stmt, opt)) {
+        rows.push(...res.rows);
+    }
+    expect(rows.map(row => row.id).sort((id1, id2) => id1 - id2))
+        .to.deep.equal(Array.from({ length: ROW_CNT }, (v, i) => i));
+    return rows;
+}
+
+function testQuery() {
+    it('Query with statement cache', async function() {
+        const client = createClient({ maxSize: 10 });
+        const stmt = STMT;
+        try {
+            await queryAll(client, stmt);
+            expect(client.getStatementCacheStats()).to.deep.equal({
+                size: 1,
+                maxSize: 10,
+                hits: 0,
+                misses: 1,
+                evictions: 0,
+                invalidations: 0
+            });
+            //Continuation calls use the statement from the continuation
+            //key.
+            await queryAll(client, stmt, { limit: 3 });
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 1,
+                hits: 1,
+                misses: 1
+            });
+            expect(client.requests.QueryOp).to.equal(5);
+            expect(client.requests.PrepareOp).to.not.exist;
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Prepare with statement cache', async function() {
+        const client = createClient(true);
+        const stmt = STMT;
+        try {
+            const prepStmt = await client.prepare(stmt);
+            expect(prepStmt).to.be.instanceOf(PreparedStatement);
+            prepStmt.set('$name', 'name1');
+            const prepStmt2 = await client.prepare(stmt);
+            expect(prepStmt2).to.be.instanceOf(PreparedStatement);
+            expect(prepStmt2).to.not.equal(prepStmt);
+            //Bindings are not shared.
+            expect(prepStmt2.bindings).to.not.exist;
+            expect(prepStmt2.sql).to.equal(stmt);
+            expect(prepStmt2.consumedCapacity).to.deep.equal({
+                readUnits: 0,
+                readKB: 0,
+                writeUnits: 0,
+                writeKB: 0
+            });
+            expect(client.requests.PrepareOp).to.equal(1);
+
+            //Query plan is always requested from the server.
+            const prepStmt3 = await client.prepare(stmt,
+                { getQueryPlan: true });
+            expect(prepStmt3.queryPlan).to.be.a('string');
+            expect(client.requests.PrepareOp).to.equal(2);
+
+            //Query with the same SQL text uses the cached statement.
+            await queryAll(client, stmt);
+            expect(client.requests.PrepareOp).to.equal(2);
+
+            //Statements are cached separately by namespace.
+            await client.prepare(stmt, { namespace: 'ns1' });
+            expect(client.requests.PrepareOp).to.equal(3);
+
+            await expect(client.prepare(stmt, { timeout: -1 }))
+                .to.be.rejectedWith(/timeout/);
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 2,
+                maxSize: 500,
+                hits: 3,
+                misses: 2
+            });
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Statement cache eviction', async function() {
+        const client = createClient({ maxSize: 2 });
+        const stmts = [ 1, 2, 3 ].map(i =>
+            `${STMT} AND id >= ${i - 100}`);
+        try {
+            await client.prepare(stmts[0]);
+            await client.prepare(stmts[1]);
+            //stmts[0] becomes most recently used.
+            await client.prepare(stmts[0]);
+            await client.prepare(stmts[2]);
+            expect(client.requests.PrepareOp).to.equal(3);
+            await client.prepare(stmts[0]);
+            expect(client.requests.PrepareOp).to.equal(3);
+            await client.prepare(stmts[1]);
+            expect(client.requests.PrepareOp).to.equal(4);
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 2,
+                hits: 2,
+                misses: 4,
+                evictions: 2
+            });
+        } finally {
+            client.close();
+        }
+    });
+
+    it('Query without statement cache', async function() {
+        const client = createClient();
+        try {
+            await queryAll(client, STMT);
+            await client.prepare(STMT);
+            await client.prepare(STMT);
+            expect(client.requests.PrepareOp).to.equal(2);
+            expect(client.getStatementCacheStats()).to.be.undefined;
+        } finally {
+            client.close();
+        }
+    });
+}
+
+function testInvalidation() {
+    it('Invalidation on stale statement', async function() {
+        const client = createClient(true);
+        const stmt = STMT;
+        try {
+            await queryAll(client, stmt);
+            memService.injectError({
+                errorCode: ErrorCode.TABLE_NOT_FOUND,
+                op: 'query'
+            });
+            //The query is retried with the SQL text.
+            await queryAll(client, stmt);
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 1,
+                hits: 1,
+                misses: 2,
+                invalidations: 1
+            });
+
+            //Other errors do not invalidate the statement.
+            memService.injectError({
+                errorCode: ErrorCode.ILLEGAL_ARGUMENT,
+                op: 'query'
+            });
+            await expect(client.query(stmt)).to.be.rejectedWith(
+                /ILLEGAL_ARGUMENT/);
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 1,
+                invalidations: 1
+            });
+        } finally {
+            memService.clearErrors();
+            client.close();
+        }
+    });
+
+    it('Invalidation on table DDL completion', async function() {
+        const client = createClient(true);
+        const stmt = STMT;
+        const stmt2 = STMT2;
+        try {
+            await client.tableDDL(CREATE_TABLE2, { complete: true });
+            await client.prepare(stmt);
+            await client.prepare(stmt2);
+            await client.prepare(stmt2.toLowerCase());
+
+            //Table names are case-insensitive.
+            await client.tableDDL(`DROP TABLE ${TABLE_NAME2.toUpperCase()}`,
+                { complete: true });
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 1,
+                invalidations: 2
+            });
+            await client.prepare(stmt);
+            expect(client.requests.PrepareOp).to.equal(3);
+
+            //DDL that has not completed does not invalidate.
+            const res = await client.tableDDL(CREATE_TABLE2);
+            await client.prepare(stmt2);
+            expect(client.getStatementCacheStats().size).to.equal(2);
+            await client.forCompletion(res);
+            expect(client.getStatementCacheStats()).to.deep.include({
+                size: 1,
+                invalidations: 3
+            });
+        } finally {
+            memService.clearErrors();
+            client.close();
+        }
+    });
+}
+
+describe('Statement cache tests', function() {
+    before(async function() {
+        const client = createClient();
+        await client.tableDDL(CREATE_TABLE);
+        for(let id = 0; id < ROW_CNT; id++) {
+            await client.put(TABLE_NAME, { sid: 1, id, name: `name${id}` });
+        }
+        client.close();
+    });
+    after(function() {
+        memService.clear();
+    });
+
+    testQuery();
+    testInvalidation();
+});
@@ -0,0 +1,273 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+'use strict';
+
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const expect = chai.expect;
+const NoSQLClient = require('../../index').NoSQLClient;
+const ServiceType = require('../../index').ServiceType;
+const ErrorCode = require('../../index').ErrorCode;
+const MemoryService = require('../../index').MemoryService;
+
+//The tracer and the meter below implement the subset of OpenTelemetry API
+//used by the driver and export spans and metrics into memory.
+
+const TABLE_NAME = 'tmTest';
+
+const CREATE_TABLE = `CREATE TABLE ${TABLE_NAME}(id INTEGER, name STRING, \
+PRIMARY KEY(id))`;
+
+class TestSpan {
+
+    constructor(exporter, name, opt, parent) {
+        this._exporter = exporter;
+        this.name = name;
+        this.kind = opt.kind;
+        this.attributes = Object.assign({}, opt.attributes);
+        this.parent = parent;
+        this.exceptions = [];
+        this.status = null;
+        this.ended = false;
+    }
+
+    setAttribute(key, val) {
+        this.attributes[key] = val;
+        return this;
+    }
+
+    setAttributes(attrs) {
+        Object.assign(this.attributes, attrs);
+        return this;
+    }
+
+    recordException(err) {
+        this.exceptions.push(err);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        return this;
+    }
+
+    end() {
+        expect(this.ended).to.equal(false);
+        this.ended = true;
+        this._exporter.spans.push(this);
+    }
+}
+
+class TestTracer {
+
+    constructor() {
+        this.spans = [];
+        this._als = new AsyncLocalStorage();
+    }
+
+    startSpan(name, opt) {
+        return new TestSpan(this, name, opt, this._als.getStore());
+    }
+
+    startActiveSpan(name, opt, fn) {
+        const span = this.startSpan(name, opt);
+        return this._als.run(span, fn, span);
+    }
+
+    clear() {
+        this.spans.length = 0;
+    }
+}
+
+class TestMeter {
+
+    constructor() {
+        this.values = [];
+    }
+
+    _instrument(type, name) {
+        const record = (value, attributes) => this.values.push({ type, name,
+            value, attributes });
+        return { record, add: record };
+    }
+
+    createHistogram(name) {
+        return this._instrument('histogram', name);
+    }
+
+    createCounter(name) {
+        return this._instrument('counter', name);
+    }
+
+    get(name) {
+        return this.values.filter(val => val.name === name);
+    }
+
+    clear() {
+        this.values.length = 0;
+    }
+}
+
+const memService = new MemoryService();
+const tracer = new TestTracer();
+const meter = new TestMeter();
+
+function verifyBaseAttributes(attrs, api, opName, tableName) {
+    expect(attrs['db.system']).to.equal('oracle.nosql');
+    expect(attrs['db.operation.name']).to.equal(api);
+    expect(attrs['nosql.op']).to.equal(opName);
+    expect(attrs['db.collection.name']).to.equal(tableName);
+}
+
+function testSpans(client) {
+    it('Operation and request spans', async function() {
+        const res = await client.put(TABLE_NAME, { id: 1, name: 'a' });
+        expect(tracer.spans.length).to.equal(2);
+        const [ reqSpan, opSpan ] = tracer.spans;
+
+        expect(opSpan.name).to.equal('nosql.put');
+        expect(opSpan.kind).to.equal(0);
+        expect(opSpan.parent).to.not.exist;
+        verifyBaseAttributes(opSpan.attributes, 'put', 'PutOp', TABLE_NAME);
+        expect(opSpan.attributes['nosql.retry_count']).to.equal(0);
+        expect(opSpan.attributes['nosql.serial_version']).to.equal(
+            client._client.serialVersion);
+        expect(opSpan.attributes['nosql.write_units']).to.equal(
+            res.consumedCapacity.writeUnits);
+        expect(opSpan.attributes['nosql.read_units']).to.equal(
+            res.consumedCapacity.readUnits);
+        expect(opSpan.status).to.equal(null);
+
+        expect(reqSpan.name).to.equal('nosql.put.request');
+        expect(reqSpan.kind).to.equal(2);
+        expect(reqSpan.parent).to.equal(opSpan);
+        verifyBaseAttributes(reqSpan.attributes, 'put', 'PutOp', TABLE_NAME);
+        expect(reqSpan.attributes['nosql.attempt']).to.equal(1);
+        expect(reqSpan.attributes['nosql.write_kb']).to.equal(
+            res.consumedCapacity.writeKB);
+
+        const opDur = meter.get('nosql.client.operation.duration');
+        expect(opDur.length).to.equal(1);
+        expect(opDur[0].type).to.equal('histogram');
+        expect(opDur[0].value).to.be.at.least(0);
+        verifyBaseAttributes(opDur[0].attributes, 'put', 'PutOp',
+            TABLE_NAME);
+        expect(opDur[0].attributes['nosql.status']).to.equal('ok');
+        expect(meter.get('nosql.client.request.duration').length)
+            .to.equal(1);
+    });
+
+    it('Spans with retries and throttling', async function() {
+        memService.injectError({
+            errorCode: ErrorCode.READ_LIMIT_EXCEEDED,
+            op: 'get',
+            count: 2
+        });
+        await client.get(TABLE_NAME, { id: 1 });
+        expect(tracer.spans.length).to.equal(4);
+        const opSpan = tracer.spans[3];
+        expect(opSpan.name).to.equal('nosql.get');
+        expect(opSpan.attributes['nosql.retry_count']).to.equal(2);
+        for(let i = 0; i < 3; i++) {
+            const reqSpan = tracer.spans[i];
+            expect(reqSpan.name).to.equal('nosql.get.request');
+            expect(reqSpan.parent).to.equal(opSpan);
+            expect(reqSpan.attributes['nosql.attempt']).to.equal(i + 1);
+            if (i < 2) {
+                expect(reqSpan.status.code).to.equal(2);
+                expect(reqSpan.attributes['error.type']).to.equal(
+                    'READ_LIMIT_EXCEEDED');
+                expect(reqSpan.exceptions.length).to.equal(1);
+            } else {
+                expect(reqSpan.status).to.equal(null);
+            }
+        }
+        const throttled = meter.get('nosql.client.throttled');
+        expect(throttled.length).to.equal(2);
+        expect(throttled[0].type).to.equal('counter');
+        expect(throttled[0].value).to.equal(1);
+        expect(throttled[0].attributes['error.type']).to.equal(
+            'READ_LIMIT_EXCEEDED');
+        expect(meter.get('nosql.client.retries').length).to.equal(2);
+        const reqDur = meter.get('nosql.client.request.duration');
+        expect(reqDur.map(val => val.attributes['nosql.status'])).to.deep
+            .equal([ 'READ_LIMIT_EXCEEDED', 'READ_LIMIT_EXCEEDED', 'ok' ]);
+    });
+
+    it('Span for failed operation', async function() {
+        await expect(client.get('noSuchTable', { id: 1 })).to.be
+            .rejectedWith(/TABLE_NOT_FOUND/);
+        expect(tracer.spans.length).to.equal(2);
+        const opSpan = tracer.spans[1];
+        expect(opSpan.status.code).to.equal(2);
+        expect(opSpan.attributes['error.type']).to.equal('TABLE_NOT_FOUND');
+        expect(opSpan.exceptions.length).to.equal(1);
+        expect(meter.get('nosql.client.operation.duration')[0]
+            .attributes['nosql.status']).to.equal('TABLE_NOT_FOUND');
+    });
+
+    it('Span for invalid argument', async function() {
+        //The error occurs before the request is sent.
+        await expect(client.get(TABLE_NAME, 'a')).to.be
+            .rejectedWith(/ILLEGAL_ARGUMENT/);
+        expect(tracer.spans.length).to.equal(1);
+        expect(tracer.spans[0].name).to.equal('nosql.get');
+        expect(tracer.spans[0].attributes['error.type']).to.equal(
+            'ILLEGAL_ARGUMENT');
+    });
+
+    it('Spans as children of application span', async function() {
+        const appSpan = tracer.startSpan('app', {});
+        await tracer._als.run(appSpan, () => client.get(TABLE_NAME,
+            { id: 1 }));
+        expect(tracer.spans.length).to.equal(2);
+        expect(tracer.spans[1].parent).to.equal(appSpan);
+    });
+}
+
+function testMeterOnly() {
+    it('Meter only', async function() {
+        const client = new NoSQLClient({
+            serviceType: ServiceType.MEMORY,
+            memoryService: memService,
+            telemetry: { meter }
+        });
+        try {
+            await client.get(TABLE_NAME, { id: 1 });
+            expect(tracer.spans.length).to.equal(0);
+            expect(meter.get('nosql.client.operation.duration').length)
+                .to.equal(1);
+        } finally {
+            client.close();
+        }
+    });
+}
+
+describe('Telemetry tests', function() {
+    const client = new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: memService,
+        retry: { baseDelay: 10 },
+        telemetry: { tracer, meter }
+    });
+
+    before(async function() {
+        await client.tableDDL(CREATE_TABLE);
+    });
+    after(function() {
+        memService.clear();
+        client.close();
+    });
+    beforeEach(function() {
+        tracer.clear();
+        meter.clear();
+    });
+
+    testSpans(client);
+    testMeterOnly();
+});
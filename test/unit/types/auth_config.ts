@@ -12,7 +12,7 @@ import { AuthConfig, IAMConfig, KVStoreAuthConfig, AuthorizationProvider,
     IAMCredentialsProvider, IAMCredentials, KVStoreCredentialsProvider,
     KVStoreCredentials, IAMAuthorizationProvider,
     KVStoreAuthorizationProvider, Config, AuthResult,
-    ResourcePrincipalClaims } from "../../../";
+    ResourcePrincipalClaims, NoSQLClient } from "../../../";
 
 function testAuthConfig(iamCfg: IAMConfig, kvCfg: KVStoreAuthConfig,
     provider: AuthorizationProvider, iamProvider: IAMAuthorizationProvider,
@@ -133,6 +133,9 @@ function testIAMConfig(dtp: DelegationTokenProvider,
     };
     cfg.timeout = 50000;
     cfg.refreshAheadMs = 10000;
+    cfg.watchFiles = true;
+    // @ts-expect-error Invalid type for watchFiles.
+    cfg.watchFiles = 1;
 
     cfg = {
         credentialsProvider: cp
@@ -409,6 +412,9 @@ function testKVStoreAuthConfig(cp: KVStoreCredentialsProvider) {
 
     cfg = { credentials: cp };
     cfg = { credentials: "file" };
+    cfg = { credentials: "file", watchFiles: true };
+    // @ts-expect-error Invalid type for watchFiles.
+    cfg.watchFiles = "true";
     // @ts-expect-error Invalid type for credentials.
     cfg = { credentials: 100 };
     // @ts-expect-error Invalid type for credentials.
@@ -462,3 +468,13 @@ function testKVStoreCredentials(creds: KVStoreCredentials) {
     // @ts-expect-error Invalid property.
     creds.name;
 }
+
+function testCredentialsReloadEvent(client: NoSQLClient) {
+    client.on("credentialsReload", (files, err) => {
+        expectTypeOf(files).toEqualTypeOf<(string|Buffer)[]>();
+        expectTypeOf(err).toEqualTypeOf<NoSQLError|undefined>();
+    });
+
+    // @ts-expect-error Invalid listener argument.
+    client.on("credentialsReload", (files: number) => {});
+}
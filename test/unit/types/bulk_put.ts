@@ -0,0 +1,106 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+import { Readable } from "stream";
+
+import { NoSQLClient, BulkPutOpt, BulkPutResult, BulkPutProgress,
+    BulkPutCheckpoint, ConsumedCapacity, Durabilities, TTLUtil, RowVersion,
+    Operation } from "../../../";
+
+const client = new NoSQLClient("nosuchfile.json");
+
+function testBulkPutOpt(ver: RowVersion, cp: BulkPutCheckpoint) {
+    let opt: BulkPutOpt = {};
+    opt.compartment = "c";
+    opt.namespace = "n";
+    opt.timeout = 10000;
+    opt.durability = Durabilities.COMMIT_NO_SYNC;
+    opt.ttl = TTLUtil.ofDays(1);
+    opt.exactMatch = true;
+    opt.identityCacheSize = 100;
+    opt.ifAbsent = true;
+    opt.matchVersion = ver;
+    opt.concurrency = 8;
+    opt.batchSize = 10;
+    opt.checkpoint = cp;
+    opt.checkpointFile = "load.checkpoint";
+    opt.checkpointInterval = 5000;
+
+    // @ts-expect-error Invalid type for concurrency.
+    opt.concurrency = "8";
+    // @ts-expect-error Invalid type for batchSize.
+    opt.batchSize = true;
+    // @ts-expect-error Invalid type for checkpoint.
+    opt.checkpoint = 1;
+    // @ts-expect-error Invalid type for checkpoint.
+    opt.checkpoint = { rowCount: 1 };
+    // @ts-expect-error Invalid type for checkpointFile.
+    opt.checkpointFile = 1;
+    // @ts-expect-error Invalid type for checkpointInterval.
+    opt.checkpointInterval = "1";
+    // @ts-expect-error Invalid extra option.
+    opt.abortOnFail = true;
+}
+
+function testBulkPutResult(res: BulkPutResult) {
+    expectTypeOf(res).toMatchTypeOf<BulkPutProgress>();
+    expectTypeOf(res.tableName).toBeString();
+    expectTypeOf(res.rowsWritten).toBeNumber();
+    expectTypeOf(res.rowsFailed).toBeNumber();
+    expectTypeOf(res.consumedCapacity)
+        .toEqualTypeOf<ConsumedCapacity|undefined>();
+    expectTypeOf(res.checkpoint).toEqualTypeOf<BulkPutCheckpoint>();
+    expectTypeOf(res.checkpoint.tableName).toBeString();
+    expectTypeOf(res.checkpoint.rowCount).toBeNumber();
+
+    // @ts-expect-error Test that rowsWritten is read-only.
+    res.rowsWritten = 1;
+    // @ts-expect-error Test that checkpoint is read-only.
+    res.checkpoint = { tableName: "t", rowCount: 1 };
+}
+
+async function* genRows() {
+    yield { id: 1, name: "a" };
+    yield { id: 2, name: "b" };
+}
+
+async function testBulkPut() {
+    expectTypeOf(client.bulkPut).toBeFunction();
+    expectTypeOf(client.bulkPut).parameter(0).toBeString();
+    expectTypeOf(client.bulkPut).parameter(2)
+        .toEqualTypeOf<BulkPutOpt|undefined>();
+    expectTypeOf(client.bulkPut).returns.resolves
+        .toEqualTypeOf<BulkPutResult>();
+
+    await client.bulkPut("table", [ { id: 1 }, { id: 2 } ]);
+    await client.bulkPut("table", genRows(), { concurrency: 2 });
+    await client.bulkPut("table", Readable.from([ { id: 1 } ]),
+        { checkpointFile: "cp.json" });
+    await client.bulkPut<{ id: number }>("table", [ { id: 1 } ]);
+
+    // @ts-expect-error Missing rows.
+    client.bulkPut("table");
+    // @ts-expect-error Invalid table name.
+    client.bulkPut(1, [ { id: 1 } ]);
+    // @ts-expect-error Rows is not iterable.
+    client.bulkPut("table", { id: 1 });
+    // @ts-expect-error Invalid option.
+    client.bulkPut("table", genRows(), { concurrenc: 2 });
+    // @ts-expect-error Invalid row type.
+    client.bulkPut<{ id: number }>("table", [ { id: "a" } ]);
+}
+
+function testProgressEvent() {
+    client.on("progress", (progress, op) => {
+        expectTypeOf(progress).toEqualTypeOf<BulkPutProgress>();
+        expectTypeOf(op).toEqualTypeOf<Operation>();
+    });
+    client.once("progress", (progress: BulkPutProgress) => {
+        expectTypeOf(progress.checkpoint).toEqualTypeOf<BulkPutCheckpoint>();
+    });
+}
@@ -0,0 +1,68 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, CircuitBreakerConfig, CircuitBreakerState,
+    ErrorCode, NoSQLError } from "../../../";
+
+function testCircuitBreakerConfig() {
+    let cbcfg: CircuitBreakerConfig = {};
+    cbcfg = { failureThreshold: 50 };
+    cbcfg = {
+        failureThreshold: 25.5,
+        windowSize: 100,
+        minRequests: 20,
+        openTimeout: 10000,
+        halfOpenRequests: 3
+    };
+
+    // @ts-expect-error Invalid failureThreshold.
+    cbcfg = { failureThreshold: "50" };
+    // @ts-expect-error Invalid windowSize.
+    cbcfg = { windowSize: true };
+    // @ts-expect-error Invalid openTimeout.
+    cbcfg = { openTimeout: null };
+    // @ts-expect-error Invalid property.
+    cbcfg = { timeout: 1000 };
+
+    let cfg: Config = { circuitBreaker: true };
+    cfg.circuitBreaker = false;
+    cfg.circuitBreaker = undefined;
+    cfg.circuitBreaker = cbcfg;
+    cfg.circuitBreaker = { openTimeout: 5000 };
+
+    // @ts-expect-error Invalid circuitBreaker.
+    cfg.circuitBreaker = 1;
+    // @ts-expect-error Invalid circuitBreaker.
+    cfg.circuitBreaker = "true";
+}
+
+function testCircuitBreakerState(state: CircuitBreakerState) {
+    expectTypeOf(CircuitBreakerState.CLOSED)
+        .toMatchTypeOf<CircuitBreakerState>();
+    expectTypeOf(CircuitBreakerState.OPEN)
+        .toMatchTypeOf<CircuitBreakerState>();
+    expectTypeOf(CircuitBreakerState.HALF_OPEN)
+        .toMatchTypeOf<CircuitBreakerState>();
+    expectTypeOf(ErrorCode.CIRCUIT_BREAKER_OPEN).toMatchTypeOf<ErrorCode>();
+
+    // @ts-expect-error Invalid state.
+    state = CircuitBreakerState.HALF_CLOSED;
+}
+
+function testCircuitBreakerEvent(client: NoSQLClient) {
+    client.on("circuitBreakerState", (state, prevState, err) => {
+        expectTypeOf(state).toEqualTypeOf<CircuitBreakerState>();
+        expectTypeOf(prevState).toEqualTypeOf<CircuitBreakerState>();
+        expectTypeOf(err).toEqualTypeOf<NoSQLError|undefined>();
+    });
+    client.on("circuitBreakerState", (state: CircuitBreakerState) => {});
+
+    // @ts-expect-error Invalid listener argument.
+    client.on("circuitBreakerState", (state: number) => {});
+}
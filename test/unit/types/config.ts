@@ -9,8 +9,10 @@ import { expectTypeOf } from "expect-type";
 
 import { NoSQLClient, Config, ServiceType, Region, Consistency, Durabilities,
     RetryConfig, DBNumberConfig, AuthConfig, RateLimiterConstructor, HttpOpt,
-    RetryHandler, Operation, NoSQLError, SimpleRateLimiter, ConsumedCapacity, TableState }
-    from "../../../";
+    RetryHandler, Operation, NoSQLError, SimpleRateLimiter, ConsumedCapacity, TableState,
+    RateLimiterConfig, RateLimiterStore, RateLimiterState,
+    FileRateLimiterStore, AdaptiveRateLimiterConfig,
+    AdaptiveTableLimits } from "../../../";
 import { table } from "console";
 
 function testConfig(retryCfg: RetryConfig, numConfig: DBNumberConfig,
@@ -45,6 +47,15 @@ function testConfig(retryCfg: RetryConfig, numConfig: DBNumberConfig,
     cfg.rateLimiter = "rate_limiter";
     cfg.rateLimiter = rlCons;
     cfg.rateLimiterPercent = 50;
+    cfg.rateLimiter = { maxBurstSeconds: 10 };
+    cfg.rateLimiter = { store: "/tmp/rl", syncInterval: 500 };
+    cfg.rateLimiter = { priorities: { interactive: 0.8, batch: 0.2 },
+        defaultPriority: "interactive" };
+    cfg.rateLimiter = { adaptive: true };
+    cfg.rateLimiter = { adaptive: { initialUnits: 50, minUnits: 5,
+        increaseUnits: 5, decreaseFactor: 0.7, interval: 2000,
+        latencyThreshold: 100, tableLimits: { t1: { readUnits: 100 },
+        t2: { readUnits: 10, writeUnits: 20 } } } };
 
     // @ts-expect-error Invalid serviceType.
     cfg.serviceType = 1;
@@ -96,6 +107,12 @@ function testConfig(retryCfg: RetryConfig, numConfig: DBNumberConfig,
     cfg.longAsBigInt = 1;
     // @ts-expect-error Invalid rateLimiter.
     cfg.rateLimiter = 1;
+    // @ts-expect-error Invalid rateLimiter.priorities.
+    cfg.rateLimiter = { priorities: { batch: "0.2" } };
+    // @ts-expect-error Invalid rateLimiter.adaptive.
+    cfg.rateLimiter = { adaptive: { initialUnits: "50" } };
+    // @ts-expect-error Invalid rateLimiter.adaptive.tableLimits.
+    cfg.rateLimiter = { adaptive: { tableLimits: { t1: 100 } } };
     // @ts-expect-error Invalid rateLimiterPercent.
     cfg.rateLimiterPercent = "50";
     // @ts-expect-error Invalid extra property.
@@ -404,3 +421,58 @@ async function testNoSQLClientEvents() {
     // @ts-expect-error Invalid listener for "tableState" event
     client.on("tableState", (tableName: string, tableState: number) => {});
 }
+
+async function testRateLimiterStore() {
+    let store: RateLimiterStore = new FileRateLimiterStore("/tmp/rl");
+    expectTypeOf(store.update).parameters.toEqualTypeOf<[string, string,
+        RateLimiterState, number]>();
+    expectTypeOf(store.update).returns
+        .toEqualTypeOf<Promise<RateLimiterState[]>>();
+    expectTypeOf(store.remove).parameters
+        .toEqualTypeOf<[string, string]>();
+    expectTypeOf(store.remove).returns.toEqualTypeOf<Promise<void>>();
+
+    const states = await store.update("key", "id", { weight: 1 }, 3000);
+    expectTypeOf(states[0].weight).toBeNumber();
+    await store.remove("key", "id");
+
+    store = {
+        update: async () => [],
+        remove: async () => {}
+    };
+    let cfg: RateLimiterConfig = { store };
+    cfg = { store: "/tmp/rl", maxBurstSeconds: 5, syncInterval: 100 };
+
+    // @ts-expect-error Missing remove.
+    store = { update: async () => [] };
+    // @ts-expect-error Invalid store.
+    cfg.store = 1;
+    // @ts-expect-error Invalid syncInterval.
+    cfg.syncInterval = "100";
+    // @ts-expect-error Invalid option.
+    cfg.syncIntervl = 100;
+    // @ts-expect-error Missing directory.
+    new FileRateLimiterStore();
+}
+
+function testAdaptiveRateLimiterConfig() {
+    let limits: AdaptiveTableLimits = {};
+    limits = { readUnits: 10, writeUnits: 5 };
+    let cfg: AdaptiveRateLimiterConfig = {};
+    cfg = { initialUnits: 10, minUnits: 1, increaseUnits: 1,
+        decreaseFactor: 0.5, interval: 100, latencyThreshold: 50 };
+    cfg.tableLimits = { t1: limits };
+    let rlCfg: RateLimiterConfig = { adaptive: cfg };
+    rlCfg.adaptive = true;
+
+    // @ts-expect-error Invalid readUnits.
+    limits.readUnits = "10";
+    // @ts-expect-error Invalid option.
+    limits.units = 10;
+    // @ts-expect-error Invalid decreaseFactor.
+    cfg.decreaseFactor = "0.5";
+    // @ts-expect-error Invalid option.
+    cfg.maxUnits = 100;
+    // @ts-expect-error Invalid adaptive.
+    rlCfg.adaptive = 1;
+}
@@ -0,0 +1,38 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { Config, EndpointSelection } from "../../../";
+
+function testEndpointsConfig() {
+    let cfg: Config = { endpoints: [ "proxy1:8080", "proxy2:8080" ] };
+    cfg.endpoints = [ new URL("https://proxy1"), "https://proxy2" ];
+    cfg.endpoints = undefined;
+    cfg.endpointSelection = EndpointSelection.LEAST_PENDING;
+    cfg.endpointSelection = "ROUND_ROBIN";
+    cfg.endpointEjectTimeout = 10000;
+
+    // @ts-expect-error Invalid endpoints.
+    cfg.endpoints = "proxy1:8080";
+    // @ts-expect-error Invalid endpoints.
+    cfg.endpoints = [ 8080 ];
+    // @ts-expect-error Invalid endpointSelection.
+    cfg.endpointSelection = 1;
+    // @ts-expect-error Invalid endpointEjectTimeout.
+    cfg.endpointEjectTimeout = "10000";
+}
+
+function testEndpointSelection(sel: EndpointSelection) {
+    expectTypeOf(EndpointSelection.ROUND_ROBIN)
+        .toMatchTypeOf<EndpointSelection>();
+    expectTypeOf(EndpointSelection.LEAST_PENDING)
+        .toMatchTypeOf<EndpointSelection>();
+
+    // @ts-expect-error Invalid endpoint selection.
+    sel = EndpointSelection.RANDOM;
+}
@@ -0,0 +1,111 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+import { Readable, Writable, PassThrough } from "stream";
+
+import { NoSQLClient, ExportOpt, ImportOpt, ExportResult, ExportFormat,
+    BulkPutOpt, BulkPutResult, ConsumedCapacity, Consistency }
+    from "../../../";
+
+const client = new NoSQLClient("nosuchfile.json");
+
+function testExportOpt() {
+    let opt: ExportOpt = {};
+    opt.compartment = "c";
+    opt.namespace = "n";
+    opt.timeout = 10000;
+    opt.consistency = Consistency.ABSOLUTE;
+    opt.format = "ndjson";
+    opt.format = "csv";
+    opt.headerFile = "header.json";
+    opt.end = false;
+
+    // @ts-expect-error Invalid format.
+    opt.format = "xml";
+    // @ts-expect-error Invalid type for headerFile.
+    opt.headerFile = 1;
+    // @ts-expect-error Invalid type for end.
+    opt.end = 1;
+    // @ts-expect-error Invalid extra option.
+    opt.concurrency = 2;
+}
+
+function testImportOpt() {
+    let opt: ImportOpt = {};
+    expectTypeOf(opt).toMatchTypeOf<BulkPutOpt>();
+    expectTypeOf(opt.format).toEqualTypeOf<ExportFormat|undefined>();
+    opt.concurrency = 2;
+    opt.checkpointFile = "cp.json";
+    opt.format = "csv";
+    opt.headerFile = "header.json";
+    opt.createTable = true;
+    opt.tableLimits = { readUnits: 1, writeUnits: 1, storageGB: 1 };
+
+    // @ts-expect-error Invalid format.
+    opt.format = "json";
+    // @ts-expect-error Invalid type for createTable.
+    opt.createTable = "true";
+    // @ts-expect-error Invalid type for tableLimits.
+    opt.tableLimits = 1;
+    // @ts-expect-error Invalid extra option.
+    opt.end = true;
+}
+
+function testExportResult(res: ExportResult) {
+    expectTypeOf(res.rowCount).toBeNumber();
+    expectTypeOf(res.consumedCapacity)
+        .toEqualTypeOf<ConsumedCapacity|undefined>();
+
+    // @ts-expect-error Test that rowCount is read-only.
+    res.rowCount = 1;
+}
+
+async function testExport(output: Writable) {
+    expectTypeOf(client.export).toBeFunction();
+    expectTypeOf(client.export).parameter(0).toBeString();
+    expectTypeOf(client.export).parameter(1).toEqualTypeOf<Writable>();
+    expectTypeOf(client.export).parameter(2)
+        .toEqualTypeOf<ExportOpt|undefined>();
+    expectTypeOf(client.export).returns.resolves
+        .toEqualTypeOf<ExportResult>();
+
+    await client.export("table", output);
+    await client.export("table", new PassThrough(), { format: "csv" });
+
+    // @ts-expect-error Missing output.
+    client.export("table");
+    // @ts-expect-error Invalid table name.
+    client.export(1, output);
+    // @ts-expect-error Invalid output.
+    client.export("table", "file.json");
+    // @ts-expect-error Invalid option.
+    client.export("table", output, { formt: "csv" });
+}
+
+async function testImport(input: Readable) {
+    expectTypeOf(client.import).toBeFunction();
+    expectTypeOf(client.import).parameter(0).toBeString();
+    expectTypeOf(client.import).parameter(2)
+        .toEqualTypeOf<ImportOpt|undefined>();
+    expectTypeOf(client.import).returns.resolves
+        .toEqualTypeOf<BulkPutResult>();
+
+    await client.import("table", input);
+    await client.import("table", [ "{\"id\":1}" ]);
+    await client.import("table", [ Buffer.from("id\n1\n") ],
+        { format: "csv", createTable: true, headerFile: "h.json" });
+
+    // @ts-expect-error Missing input.
+    client.import("table");
+    // @ts-expect-error Invalid input.
+    client.import("table", 1);
+    // @ts-expect-error Invalid input.
+    client.import("table", [ { id: 1 } ]);
+    // @ts-expect-error Invalid option.
+    client.import("table", input, { end: true });
+}
@@ -63,6 +63,7 @@ function testGetOpt(ver: RowVersion) {
     opt.namespace = "n";
     opt.timeout = 10000;
     opt.consistency = Consistency.ABSOLUTE;
+    opt.priority = "batch";
 
     // @ts-expect-error Invalid type for compartment.
     opt.compartment = 1;
@@ -70,6 +71,8 @@ function testGetOpt(ver: RowVersion) {
     opt.namespace = 1;
     // @ts-expect-error Invalid type for timeout.
     opt.timeout = "10000";
+    // @ts-expect-error Invalid type for priority.
+    opt.priority = 1;
     // @ts-expect-error Invalid type for consistency.
     opt.consistency = 0;
     // @ts-expect-error Invalid type for consistency.
@@ -0,0 +1,78 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, Interceptor, InterceptorContext, Operation,
+    GetResult } from "../../../";
+
+function testInterceptorContext(ctx: InterceptorContext) {
+    expectTypeOf(ctx.opName).toBeString();
+    expectTypeOf(ctx.operation).toEqualTypeOf<Operation>();
+    expectTypeOf(ctx.opt).toEqualTypeOf<object>();
+    expectTypeOf(ctx.content).toEqualTypeOf<Buffer>();
+    expectTypeOf(ctx.headers).toEqualTypeOf<Record<string, string>>();
+
+    ctx.headers["x-tenant-id"] = "tenant";
+    ctx.startTime = Date.now();
+
+    // @ts-expect-error Cannot assign read-only property.
+    ctx.opName = "GetOp";
+    // @ts-expect-error Cannot assign read-only property.
+    ctx.content = Buffer.alloc(10);
+    // @ts-expect-error Invalid header value.
+    ctx.headers["x-tenant-id"] = 1;
+}
+
+function testInterceptor(res: GetResult) {
+    let ic: Interceptor = {};
+    ic = {
+        onRequest: (ctx: InterceptorContext) => {
+            ctx.headers["x-test"] = "test";
+        }
+    };
+    ic = {
+        onRequest: async () => res,
+        onResult: (ctx, res) => {
+            expectTypeOf(ctx).toEqualTypeOf<InterceptorContext>();
+            expectTypeOf(res).toBeAny();
+        },
+        onError: (ctx, err) => {
+            expectTypeOf(ctx).toEqualTypeOf<InterceptorContext>();
+            expectTypeOf(err).toEqualTypeOf<Error>();
+        }
+    };
+    ic = {
+        onResult: async (ctx, res) => res,
+        onError: async (ctx, err) => new Error(err.message)
+    };
+    ic = {
+        onError: (ctx, err) => err
+    };
+
+    // @ts-expect-error Invalid onRequest.
+    ic = { onRequest: 1 };
+    // @ts-expect-error Invalid onResult.
+    ic = { onResult: "a" };
+    // @ts-expect-error Invalid onError return value.
+    ic = { onError: () => 1 };
+
+    let cfg: Config = { interceptors: [ ic ] };
+    cfg.interceptors = [];
+    cfg.interceptors = undefined;
+    cfg.interceptors = [ ic, { onRequest: () => {} } ];
+
+    // @ts-expect-error Invalid interceptors.
+    cfg.interceptors = ic;
+    // @ts-expect-error Invalid interceptors.
+    cfg.interceptors = [ 1 ];
+
+    new NoSQLClient({
+        endpoint: "localhost:8080",
+        interceptors: [ ic ]
+    });
+}
@@ -0,0 +1,74 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, ServiceType, ErrorCode, MemoryService,
+    InjectedErrorOpt, MemoryServiceOp } from "../../../";
+
+function testMemoryServiceConfig(memService: MemoryService) {
+    let cfg: Config = {};
+    cfg.serviceType = ServiceType.MEMORY;
+    cfg.serviceType = "MEMORY";
+    cfg.memoryService = memService;
+    cfg.memoryService = undefined;
+
+    // @ts-expect-error Invalid memoryService.
+    cfg.memoryService = {};
+    // @ts-expect-error Invalid memoryService.
+    cfg.memoryService = "memory";
+
+    new NoSQLClient({ serviceType: ServiceType.MEMORY });
+    new NoSQLClient({
+        serviceType: ServiceType.MEMORY,
+        memoryService: new MemoryService()
+    });
+}
+
+function testInjectedErrorOpt(op: MemoryServiceOp) {
+    let opt: InjectedErrorOpt = { errorCode: ErrorCode.SERVER_ERROR };
+    opt.errorCode = "READ_LIMIT_EXCEEDED";
+    opt.message = "error";
+    opt.op = op;
+    opt.op = "put";
+    opt.op = [ "get", "writeMany", "deleteRange", "query" ];
+    opt.tableName = "table";
+    opt.count = 2;
+    opt.count = Infinity;
+
+    // @ts-expect-error Missing errorCode.
+    opt = {};
+    // @ts-expect-error Invalid errorCode.
+    opt.errorCode = 1;
+    // @ts-expect-error Invalid op.
+    opt.op = "getTableUsage";
+    // @ts-expect-error Invalid op.
+    opt.op = [ "put", 1 ];
+    // @ts-expect-error Invalid tableName.
+    opt.tableName = 1;
+    // @ts-expect-error Invalid count.
+    opt.count = "1";
+}
+
+function testMemoryService(opt: InjectedErrorOpt) {
+    const memService = new MemoryService();
+    expectTypeOf(memService.injectError).toBeFunction();
+    expectTypeOf(memService.injectError).parameters
+        .toEqualTypeOf<[InjectedErrorOpt]>();
+    expectTypeOf(memService.injectError(opt)).toEqualTypeOf<MemoryService>();
+    expectTypeOf(memService.clearErrors).toBeFunction();
+    expectTypeOf(memService.clearErrors).parameters.toEqualTypeOf<[]>();
+    expectTypeOf(memService.clearErrors()).toEqualTypeOf<MemoryService>();
+    expectTypeOf(memService.clear).toBeFunction();
+    expectTypeOf(memService.clear).parameters.toEqualTypeOf<[]>();
+    expectTypeOf(memService.clear()).toEqualTypeOf<MemoryService>();
+
+    // @ts-expect-error Missing options.
+    memService.injectError();
+    // @ts-expect-error Invalid options.
+    memService.injectError("SERVER_ERROR");
+}
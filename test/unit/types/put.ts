@@ -83,6 +83,7 @@ function testPutOpt(ver: RowVersion) {
     opt1.updateTTLToDefault = false;
     opt1.exactMatch = true;
     opt1.identityCacheSize = 100;
+    opt1.priority = "batch";
 
     // @ts-expect-error Invalid type for compartment.
     opt1.compartment = 1;
@@ -116,6 +117,8 @@ function testPutOpt(ver: RowVersion) {
     opt1.exactMatch = "true";
     // @ts-expect-error Invalid type for identityCacheSize.
     opt1.identityCacheSize = "100";
+    // @ts-expect-error Invalid type for priority.
+    opt1.priority = true;
 
     // @ts-expect-error Invalid extra property.
     opt1.consistency = ver;
@@ -10,7 +10,11 @@ import { expectTypeOf } from "expect-type";
 import { NoSQLClient, Durability, Consistency, QueryOpt,
     RowVersion, ConsumedCapacity, FieldValue, Durabilities,
     PrepareOpt, PreparedStatement, QueryContinuationKey,
-    MultiDeleteContinuationKey, QueryResult, AnyRow } from "../../../";
+    MultiDeleteContinuationKey, QueryResult, AnyRow, QueryStreamOpt,
+    QueryStream, QueryExplanation, QueryPlanNode, QueryProfile,
+    QueryProfileNode, QueryBatchProfile, ParallelScanOpt, ScanSegment,
+    ScanContinuationKey, LocalQueryOpt } from "../../../";
+import { Readable } from "stream";
 
 const client = new NoSQLClient("nosuchfile.json");
 
@@ -22,6 +26,7 @@ function testPrepareOpt() {
     opt.timeout = 10000;
     opt.getQueryPlan = true;
     opt.getResultSchema = true;
+    opt.priority = "interactive";
 
     // @ts-expect-error Invalid type for compartment.
     opt.compartment = 1;
@@ -88,10 +93,70 @@ function testPreparedStatement(prepStmt: PreparedStatement,
     // @ts-expect-error Invalid parameters.
     prepStmt.copyStatement(1, "a");
 
+    expectTypeOf(prepStmt.explain).toBeFunction();
+    expectTypeOf(prepStmt.explain).parameters.toEqualTypeOf<[]>();
+    expectTypeOf(prepStmt.explain).returns
+        .toEqualTypeOf<QueryExplanation>();
+    // @ts-expect-error Invalid parameters.
+    prepStmt.explain(true);
+
     // @ts-expect-error Invalid property.
     prepStmt.stmt;
 }
 
+function testQueryExplanation(explanation: QueryExplanation) {
+    // QueryExplanation is not publicly constructible.
+    expectTypeOf(QueryExplanation).constructorParameters
+        .toEqualTypeOf<never>();
+
+    expectTypeOf(explanation.root).toEqualTypeOf<QueryPlanNode>();
+    // @ts-expect-error root is read-only
+    explanation.root = {} as QueryPlanNode;
+    expectTypeOf(explanation.toString).returns.toBeString();
+    expectTypeOf(explanation.toDot).returns.toBeString();
+    expectTypeOf(explanation.toJSON).returns
+        .toEqualTypeOf<QueryPlanNode>();
+
+    const node = explanation.root;
+    expectTypeOf(node.kind).toBeString();
+    expectTypeOf(node.name).toBeString();
+    expectTypeOf(node.role).toEqualTypeOf<string|undefined>();
+    expectTypeOf(node.serverPlan).toEqualTypeOf<string|undefined>();
+    expectTypeOf(node.children).toEqualTypeOf<QueryPlanNode[]>();
+    expectTypeOf(node.distributionKind).toBeUnknown();
+    // @ts-expect-error kind is read-only
+    node.kind = "SORT";
+}
+
+function testQueryProfile(profile: QueryProfile) {
+    expectTypeOf(profile.timeMs).toBeNumber();
+    expectTypeOf(profile.serverRequests).toBeNumber();
+    expectTypeOf(profile.peakMemory).toBeNumber();
+    expectTypeOf(profile.plan).toEqualTypeOf<QueryProfileNode|undefined>();
+    expectTypeOf<Readonly<QueryProfile>>().toEqualTypeOf<QueryProfile>();
+
+    const node = profile.plan!;
+    expectTypeOf(node.name).toBeString();
+    expectTypeOf(node.rows).toBeNumber();
+    expectTypeOf(node.timeMs).toBeNumber();
+    expectTypeOf(node.peakMemory).toBeNumber();
+    expectTypeOf(node.serverRequests).toEqualTypeOf<number|undefined>();
+    expectTypeOf(node.rowsReceived).toEqualTypeOf<number|undefined>();
+    expectTypeOf(node.batches)
+        .toEqualTypeOf<QueryBatchProfile[]|undefined>();
+    expectTypeOf(node.children).toEqualTypeOf<QueryProfileNode[]>();
+    expectTypeOf<Readonly<QueryProfileNode>>()
+        .toEqualTypeOf<QueryProfileNode>();
+
+    const batch = node.batches![0];
+    expectTypeOf(batch.shardId).toEqualTypeOf<number|undefined>();
+    expectTypeOf(batch.partitionId).toEqualTypeOf<number|undefined>();
+    expectTypeOf(batch.count).toBeNumber();
+    expectTypeOf(batch.rows).toBeNumber();
+    // @ts-expect-error count is read-only
+    batch.count = 1;
+}
+
 async function testPrepare() {
     expectTypeOf(client.prepare).toBeFunction();
     expectTypeOf(client.prepare).parameters
@@ -128,10 +193,14 @@ function testQueryOpt(ver: RowVersion, ck: QueryContinuationKey) {
     opt.timeout = 10000;
     opt.consistency = Consistency.ABSOLUTE;
     opt.durability = Durabilities.COMMIT_NO_SYNC;
+    opt.priority = "batch";
     opt.limit = 1000;
     opt.maxReadKB = 100;
     opt.maxWriteKB = 100;
     opt.maxMemoryMB = 10;
+    opt.spillDir = "/tmp";
+    opt.profile = true;
+    opt.parallelism = 4;
     opt.continuationKey = ck;
     opt.continuationKey = undefined;
 
@@ -153,6 +222,12 @@ function testQueryOpt(ver: RowVersion, ck: QueryContinuationKey) {
     opt.maxWriteKB = "100";
     // @ts-expect-error Invalid type for maxMemoryMB.
     opt.maxMemoryMB = 100n;
+    // @ts-expect-error Invalid type for spillDir.
+    opt.spillDir = new URL("file:///tmp");
+    // @ts-expect-error Invalid type for profile.
+    opt.profile = 1;
+    // @ts-expect-error Invalid type for parallelism.
+    opt.parallelism = "4";
     // @ts-expect-error Invalid type for continuationKey.
     opt.continuationKey = Buffer.alloc(100);
     // @ts-expect-error Invalid type for continuationKey.
@@ -172,6 +247,7 @@ function testTypedQueryResult(res: QueryResult<MyRow>) {
     expectTypeOf(res.rows).toEqualTypeOf<MyRow[]>();
     expectTypeOf(res.continuationKey)
         .toEqualTypeOf<QueryContinuationKey|undefined>();
+    expectTypeOf(res.queryProfile).toEqualTypeOf<QueryProfile|undefined>();
 
     // all properties of MultiDeleteResult must be read-only
     expectTypeOf<Readonly<QueryResult<MyRow>>>()
@@ -360,3 +436,159 @@ async function testQueryIterableUntyped(prepStmt: PreparedStatement,
     // @ts-expect-error Using wrong return type.
     res = await client.queryIterable("sql");
 }
+
+function testQueryStreamOpt(ck: QueryContinuationKey) {
+    let opt: QueryStreamOpt = {};
+    opt.compartment = "c";
+    opt.timeout = 10000;
+    opt.consistency = Consistency.ABSOLUTE;
+    opt.limit = 100;
+    opt.maxMemoryMB = 100;
+    opt.continuationKey = ck;
+    opt.highWaterMark = 100;
+
+    // @ts-expect-error Invalid type for highWaterMark.
+    opt.highWaterMark = "100";
+    // @ts-expect-error Invalid extra option.
+    opt.objectMode = true;
+}
+
+async function testQueryStream(prepStmt: PreparedStatement) {
+    expectTypeOf(client.queryStream).toBeFunction();
+    expectTypeOf(client.queryStream<MyRow>).parameters
+        .toEqualTypeOf<[string|PreparedStatement, QueryStreamOpt?]>();
+    expectTypeOf(client.queryStream<MyRow>).returns
+        .toEqualTypeOf<QueryStream<MyRow>>();
+    expectTypeOf(client.queryStream).returns
+        .toEqualTypeOf<QueryStream<AnyRow>>();
+    expectTypeOf<QueryStream>().toMatchTypeOf<Readable>();
+
+    let stream = client.queryStream<MyRow>("sql", { highWaterMark: 10 });
+    stream = client.queryStream(prepStmt, { timeout: 5000 });
+    expectTypeOf(stream.consumedCapacity)
+        .toEqualTypeOf<ConsumedCapacity|undefined>();
+    expectTypeOf(stream.queryProfile)
+        .toEqualTypeOf<QueryProfile|undefined>();
+    for await (const row of stream) {
+        expectTypeOf(row).toEqualTypeOf<MyRow>();
+    }
+    for await (const row of client.queryStream("sql")) {
+        expectTypeOf(row).toEqualTypeOf<AnyRow>();
+    }
+    stream.pipe(process.stdout);
+
+    // @ts-expect-error Missing arguments.
+    client.queryStream();
+    // @ts-expect-error Invalid statement.
+    client.queryStream(123);
+    // @ts-expect-error Invalid option.
+    client.queryStream("sql", { highWaterMar: 10 });
+    // @ts-expect-error Test that consumedCapacity is read-only.
+    stream.consumedCapacity = undefined;
+    // @ts-expect-error Using wrong return type.
+    const res: Promise<QueryResult> = client.queryStream("sql");
+}
+
+function testParallelScanOpt(ck: ScanContinuationKey) {
+    let opt: ParallelScanOpt = { segments: 4 };
+    opt.compartment = "c";
+    opt.timeout = 10000;
+    opt.consistency = Consistency.ABSOLUTE;
+    opt.limit = 100;
+    opt.maxMemoryMB = 100;
+    opt.continuationKeys = [ ck, undefined, null, ck ];
+
+    expectTypeOf(ck.shardIds).toEqualTypeOf<number[]>();
+    expectTypeOf(ck.shardIndex).toEqualTypeOf<number>();
+    expectTypeOf(ck.key).toEqualTypeOf<string|undefined>();
+
+    // @ts-expect-error Missing segments.
+    opt = {};
+    // @ts-expect-error Invalid type for segments.
+    opt.segments = "4";
+    // @ts-expect-error Invalid type for continuationKeys.
+    opt.continuationKeys = ck;
+    // @ts-expect-error Test that shardIndex is read-only.
+    ck.shardIndex = 1;
+}
+
+async function testParallelScan(prepStmt: PreparedStatement) {
+    expectTypeOf(client.parallelScan).toBeFunction();
+    expectTypeOf(client.parallelScan<MyRow>).parameters
+        .toEqualTypeOf<[string|PreparedStatement, ParallelScanOpt]>();
+    expectTypeOf(client.parallelScan<MyRow>).returns
+        .toEqualTypeOf<ScanSegment<MyRow>[]>();
+    expectTypeOf(client.parallelScan).returns
+        .toEqualTypeOf<ScanSegment<AnyRow>[]>();
+    expectTypeOf<ScanSegment<MyRow>>()
+        .toMatchTypeOf<AsyncIterable<QueryResult<MyRow>>>();
+
+    let segments = client.parallelScan<MyRow>("table", { segments: 4 });
+    segments = client.parallelScan(prepStmt, { segments: 2, timeout: 5000 });
+    for (const segment of segments) {
+        expectTypeOf(segment.segment).toEqualTypeOf<number>();
+        expectTypeOf(segment.continuationKey)
+            .toEqualTypeOf<ScanContinuationKey|undefined>();
+        for await (const res of segment) {
+            expectTypeOf(res).toEqualTypeOf<QueryResult<MyRow>>();
+        }
+    }
+    client.parallelScan("sql", { segments: 2,
+        continuationKeys: segments.map(segment => segment.continuationKey) });
+
+    // @ts-expect-error Missing options.
+    client.parallelScan("table");
+    // @ts-expect-error Invalid statement.
+    client.parallelScan(123, { segments: 4 });
+    // @ts-expect-error Invalid option.
+    client.parallelScan("table", { segmnts: 4 });
+    // @ts-expect-error Test that continuationKey is read-only.
+    segments[0].continuationKey = undefined;
+    // @ts-expect-error Using wrong return type.
+    const res: Promise<QueryResult> = client.parallelScan("table",
+        { segments: 4 });
+}
+
+function testLocalQueryOpt() {
+    let opt: LocalQueryOpt = {};
+    opt.maxMemoryMB = 100;
+    opt.spillDir = "/tmp";
+
+    // @ts-expect-error Invalid type for maxMemoryMB.
+    opt.maxMemoryMB = "100";
+    // @ts-expect-error Invalid type for spillDir.
+    opt.spillDir = 1;
+    // @ts-expect-error Invalid option.
+    opt.timeout = 10000;
+}
+
+async function testQueryLocal(prepStmt: PreparedStatement,
+    rows: MyRow[]) {
+    expectTypeOf(client.queryLocal).toBeFunction();
+    expectTypeOf(client.queryLocal<MyRow>).parameters
+        .toEqualTypeOf<[PreparedStatement,
+            Iterable<AnyRow>|AsyncIterable<AnyRow>, LocalQueryOpt?]>();
+    expectTypeOf(client.queryLocal<MyRow>).returns
+        .toEqualTypeOf<Promise<MyRow[]>>();
+    expectTypeOf(client.queryLocal).returns
+        .toEqualTypeOf<Promise<AnyRow[]>>();
+
+    let res = await client.queryLocal<MyRow>(prepStmt, rows);
+    res = await client.queryLocal(prepStmt, new Set(rows),
+        { maxMemoryMB: 10 });
+    async function* gen() {
+        yield* rows;
+    }
+    await client.queryLocal(prepStmt, gen(), { spillDir: "/tmp" });
+
+    // @ts-expect-error Missing rows.
+    client.queryLocal(prepStmt);
+    // @ts-expect-error Statement must be prepared.
+    client.queryLocal("sql", rows);
+    // @ts-expect-error Invalid rows.
+    client.queryLocal(prepStmt, 1);
+    // @ts-expect-error Invalid option.
+    client.queryLocal(prepStmt, rows, { limit: 10 });
+    // @ts-expect-error Using wrong return type.
+    const res2: Promise<QueryResult> = client.queryLocal(prepStmt, rows);
+}
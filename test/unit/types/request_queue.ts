@@ -0,0 +1,41 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, RequestQueueStats, ErrorCode }
+    from "../../../";
+
+function testRequestQueueConfig() {
+    let cfg: Config = { maxConcurrentRequests: 100 };
+    cfg.maxQueuedRequests = 1000;
+    cfg.maxQueuedRequests = Infinity;
+    cfg.maxConcurrentRequests = undefined;
+
+    // @ts-expect-error Invalid maxConcurrentRequests.
+    cfg.maxConcurrentRequests = "100";
+    // @ts-expect-error Invalid maxQueuedRequests.
+    cfg.maxQueuedRequests = true;
+}
+
+function testRequestQueueStats(client: NoSQLClient) {
+    expectTypeOf(client.getRequestQueueStats).toBeFunction();
+    expectTypeOf(client.getRequestQueueStats).parameters
+        .toEqualTypeOf<[]>();
+    expectTypeOf(client.getRequestQueueStats())
+        .toEqualTypeOf<RequestQueueStats|undefined>();
+
+    const stats = client.getRequestQueueStats()!;
+    expectTypeOf(stats.active).toBeNumber();
+    expectTypeOf(stats.queued).toBeNumber();
+    expectTypeOf(ErrorCode.REQUEST_QUEUE_FULL).toMatchTypeOf<ErrorCode>();
+
+    // @ts-expect-error Invalid property.
+    stats.waiting;
+    // @ts-expect-error Invalid argument.
+    client.getRequestQueueStats(true);
+}
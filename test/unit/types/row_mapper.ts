@@ -0,0 +1,88 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, RowMapper, RowMapperConfig, RowClass, AnyRow,
+    GetOpt, QueryOpt, PutOpt, PutManyOpt, GetResult } from "../../../";
+
+class Address {
+    city?: string;
+}
+
+class Employee {
+    constructor(public id: number, public name: string) {}
+    address?: Address;
+    static fromRow(row: AnyRow): Employee {
+        return new Employee(row.id, row.name);
+    }
+    toRow(): AnyRow {
+        return { id: this.id, name: this.name };
+    }
+}
+
+function testRowMapperConfig() {
+    expectTypeOf(Employee).toMatchTypeOf<RowClass<Employee>>();
+    expectTypeOf(Employee).toMatchTypeOf<RowMapper<Employee>>();
+
+    let rmc: RowMapperConfig<Employee> = { type: Employee };
+    rmc = { type: Employee, fields: { address: Address } };
+    rmc = { type: Employee, fields: { address: { type: Address } } };
+    rmc = { fromRow: row => new Employee(row.id, row.name) };
+    rmc = {
+        type: Employee,
+        fromRow: row => Employee.fromRow(row),
+        toRow: emp => ({ id: emp.id })
+    };
+
+    // @ts-expect-error Invalid type.
+    rmc = { type: "Employee" };
+    // @ts-expect-error Invalid type.
+    rmc = { type: Address };
+    // @ts-expect-error Invalid fields.
+    rmc = { type: Employee, fields: { address: "Address" } };
+    // @ts-expect-error Invalid fromRow.
+    rmc = { fromRow: (row: AnyRow) => row.id as number };
+    // @ts-expect-error Invalid toRow.
+    rmc = { type: Employee, toRow: () => 1 };
+    // @ts-expect-error Invalid property.
+    rmc = { type: Employee, schema: "" };
+
+    let rm: RowMapper = Employee;
+    rm = rmc;
+    // @ts-expect-error Invalid row mapper.
+    rm = 1;
+    // @ts-expect-error Invalid row mapper.
+    rm = (row: AnyRow) => row;
+}
+
+function testRowMapperOpt(client: NoSQLClient) {
+    let cfg: Config = { rowMappers: { Employee } };
+    cfg.rowMappers = { emp: { type: Employee, fields: { address: Address } } };
+    cfg.rowMappers = undefined;
+    // @ts-expect-error Invalid rowMappers.
+    cfg.rowMappers = Employee;
+    // @ts-expect-error Invalid rowMappers.
+    cfg.rowMappers = { emp: 1 };
+
+    let getOpt: GetOpt = { rowMapper: Employee };
+    getOpt.rowMapper = null;
+    let queryOpt: QueryOpt = { rowMapper: { type: Employee } };
+    queryOpt.rowMapper = null;
+    let putOpt: PutOpt = { rowMapper: { toRow: (emp: Employee) => ({}) } };
+    let putManyOpt: PutManyOpt = { rowMapper: Employee };
+    // @ts-expect-error Invalid rowMapper.
+    getOpt.rowMapper = "Employee";
+    // @ts-expect-error Invalid rowMapper.
+    queryOpt.rowMapper = 1;
+
+    const emp = new Employee(1, "a");
+    client.put("Employee", emp, putOpt);
+    client.putMany("Employee", [ emp ], putManyOpt);
+    expectTypeOf(client.get<Employee>("Employee", { id: 1 }, getOpt))
+        .toEqualTypeOf<Promise<GetResult<Employee>>>();
+}
@@ -0,0 +1,106 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, SQL, Param, Path, Condition, SelectBuilder,
+    UpdateBuilder, DeleteBuilder, BuiltStatement, PreparedStatement,
+    QueryResult, AnyRow, FieldValue } from "../../../";
+
+function testSQL() {
+    const { eq, ne, lt, le, gt, ge, and, or, not, param, path, elem, pos,
+        between, inList, exists, isNull, isNotNull } = SQL;
+
+    expectTypeOf(param("city", "Boston")).toEqualTypeOf<Param>();
+    expectTypeOf(param("id", 1, "INTEGER")).toEqualTypeOf<Param>();
+    expectTypeOf(path("address.city")).toEqualTypeOf<Path>();
+    expectTypeOf(path("a", "b").field("c.d").at(0).slice(1, 2).slice())
+        .toEqualTypeOf<Path>();
+    expectTypeOf(path("a").elements().as("x")).toEqualTypeOf<Path>();
+    expectTypeOf(path("phones").elements(gt(elem("area"), 400)))
+        .toEqualTypeOf<Path>();
+    expectTypeOf(elem()).toEqualTypeOf<Path>();
+    expectTypeOf(pos()).toEqualTypeOf<Path>();
+
+    expectTypeOf(eq("a", 1)).toEqualTypeOf<Condition>();
+    expectTypeOf(ne(path("a"), "x")).toEqualTypeOf<Condition>();
+    expectTypeOf(lt("a", param("p", 1))).toEqualTypeOf<Condition>();
+    expectTypeOf(le("a", path("b"))).toEqualTypeOf<Condition>();
+    expectTypeOf(gt("a", 1n)).toEqualTypeOf<Condition>();
+    expectTypeOf(ge("a", new Date())).toEqualTypeOf<Condition>();
+    expectTypeOf(between("a", 1, 2)).toEqualTypeOf<Condition>();
+    expectTypeOf(inList("a", [ 1, "x", param("p", 2) ]))
+        .toEqualTypeOf<Condition>();
+    expectTypeOf(and(exists("a"), or(isNull("b"), not(isNotNull("c")))))
+        .toEqualTypeOf<Condition>();
+
+    const p = param("p", 1);
+    expectTypeOf(p.name).toEqualTypeOf<string|null>();
+    expectTypeOf(p.value).toEqualTypeOf<FieldValue>();
+    expectTypeOf(p.type).toEqualTypeOf<string>();
+
+    // @ts-expect-error Invalid path.
+    eq(1, 1);
+    // @ts-expect-error Invalid condition.
+    and("a = 1");
+    // @ts-expect-error Invalid path step.
+    path(1);
+    // @ts-expect-error Invalid values.
+    inList("a", 1);
+    // @ts-expect-error Cannot modify param.
+    p.value = 2;
+    // @ts-expect-error Private constructor.
+    new Path();
+}
+
+function testBuilders(client: NoSQLClient) {
+    const { eq } = SQL;
+
+    expectTypeOf(SQL.select("Emp")).toEqualTypeOf<SelectBuilder>();
+    expectTypeOf(client.select("Emp")).toEqualTypeOf<SelectBuilder>();
+    expectTypeOf(client.update("Emp")).toEqualTypeOf<UpdateBuilder>();
+    expectTypeOf(client.deleteFrom("Emp")).toEqualTypeOf<DeleteBuilder>();
+
+    const sel = client.select("Emp").fields("name", SQL.path("a").as("b"))
+        .where(eq("id", 1)).orderBy("name", "DESC").orderBy("id")
+        .limit(10).offset(5);
+    expectTypeOf(sel).toEqualTypeOf<SelectBuilder>();
+    expectTypeOf(sel.build()).toEqualTypeOf<BuiltStatement>();
+    expectTypeOf(sel.build().sql).toEqualTypeOf<string>();
+    expectTypeOf(sel.build().bindings)
+        .toEqualTypeOf<{ [name: string]: FieldValue }>();
+    expectTypeOf(sel.toString()).toEqualTypeOf<string>();
+    expectTypeOf(sel.prepare()).toEqualTypeOf<Promise<PreparedStatement>>();
+    expectTypeOf(sel.prepare({ timeout: 1000 }))
+        .toEqualTypeOf<Promise<PreparedStatement>>();
+    expectTypeOf(sel.queryIterable())
+        .toEqualTypeOf<AsyncIterable<QueryResult<AnyRow>>>();
+    expectTypeOf(sel.queryIterable<{ id: number }>({ limit: 10 }))
+        .toEqualTypeOf<AsyncIterable<QueryResult<{ id: number }>>>();
+
+    const upd = client.update("Emp").set("a", 1).add("arr", "x", 0)
+        .put("obj", { x: 1 }).remove("b").setTTL({ days: 1 }).setTTL(2)
+        .where(eq("id", 1)).returning();
+    expectTypeOf(upd).toEqualTypeOf<UpdateBuilder>();
+
+    const del = client.deleteFrom("Emp").where(eq("id", 1))
+        .returning("id");
+    expectTypeOf(del).toEqualTypeOf<DeleteBuilder>();
+
+    // @ts-expect-error Invalid table name.
+    client.select(1);
+    // @ts-expect-error Invalid condition.
+    sel.where("id = 1");
+    // @ts-expect-error Invalid direction.
+    sel.orderBy("id", "up");
+    // @ts-expect-error Invalid limit.
+    sel.limit("10");
+    // @ts-expect-error Invalid TTL.
+    upd.setTTL("1 day");
+    // @ts-expect-error No orderBy in delete builder.
+    del.orderBy("id");
+}
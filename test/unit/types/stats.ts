@@ -0,0 +1,96 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, StatsConfig, ClientStats, OperationStats,
+    LatencyStats } from "../../../";
+
+function testStatsConfig() {
+    let scfg: StatsConfig = {};
+    scfg = { interval: 60000 };
+    scfg = { interval: 60000, maxLatencySamples: 100 };
+
+    // @ts-expect-error Invalid interval.
+    scfg = { interval: "60000" };
+    // @ts-expect-error Invalid maxLatencySamples.
+    scfg = { maxLatencySamples: true };
+    // @ts-expect-error Invalid property.
+    scfg = { reset: true };
+
+    let cfg: Config = { stats: true };
+    cfg.stats = false;
+    cfg.stats = undefined;
+    cfg.stats = scfg;
+    cfg.stats = { interval: 1000 };
+
+    // @ts-expect-error Invalid stats.
+    cfg.stats = 1;
+    // @ts-expect-error Invalid stats.
+    cfg.stats = "true";
+}
+
+function testLatencyStats(lat: LatencyStats) {
+    expectTypeOf(lat.min).toBeNumber();
+    expectTypeOf(lat.max).toBeNumber();
+    expectTypeOf(lat.avg).toBeNumber();
+    expectTypeOf(lat.p50).toBeNumber();
+    expectTypeOf(lat.p90).toBeNumber();
+    expectTypeOf(lat.p95).toBeNumber();
+    expectTypeOf(lat.p99).toBeNumber();
+    // @ts-expect-error Invalid property.
+    lat.p75;
+}
+
+function testOperationStats(os: OperationStats) {
+    expectTypeOf(os.count).toBeNumber();
+    expectTypeOf(os.errors).toBeNumber();
+    expectTypeOf(os.errorsByCode).toEqualTypeOf<Record<string, number>>();
+    expectTypeOf(os.requests).toBeNumber();
+    expectTypeOf(os.retries).toBeNumber();
+    expectTypeOf(os.throttled).toBeNumber();
+    expectTypeOf(os.bytesSent).toBeNumber();
+    expectTypeOf(os.bytesReceived).toBeNumber();
+    expectTypeOf(os.readUnits).toBeNumber();
+    expectTypeOf(os.writeUnits).toBeNumber();
+    expectTypeOf(os.rateLimiterDelay).toBeNumber();
+    expectTypeOf(os.latency).toEqualTypeOf<LatencyStats>();
+}
+
+function testClientStats(stats: ClientStats) {
+    expectTypeOf(stats.startTime).toEqualTypeOf<Date>();
+    expectTypeOf(stats.endTime).toEqualTypeOf<Date>();
+    expectTypeOf(stats.total).toEqualTypeOf<OperationStats>();
+    expectTypeOf(stats.operations)
+        .toEqualTypeOf<Record<string, OperationStats>>();
+    expectTypeOf(stats.tables)
+        .toEqualTypeOf<Record<string, OperationStats>>();
+    expectTypeOf(stats.priorities)
+        .toEqualTypeOf<Record<string, OperationStats>>();
+}
+
+function testGetStats(client: NoSQLClient) {
+    expectTypeOf(client.getStats).toBeFunction();
+    expectTypeOf(client.getStats).parameters
+        .toEqualTypeOf<[boolean?]>();
+    expectTypeOf(client.getStats()).toEqualTypeOf<ClientStats|undefined>();
+    expectTypeOf(client.getStats(true))
+        .toEqualTypeOf<ClientStats|undefined>();
+
+    // @ts-expect-error Invalid argument.
+    client.getStats(1);
+}
+
+function testStatsEvent(client: NoSQLClient) {
+    client.on("stats", (stats) => {
+        expectTypeOf(stats).toEqualTypeOf<ClientStats>();
+    });
+    client.on("stats", (stats: ClientStats) => {});
+
+    // @ts-expect-error Invalid listener argument.
+    client.on("stats", (stats: number) => {});
+}
@@ -0,0 +1,53 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, StatementCacheConfig,
+    StatementCacheStats } from "../../../";
+
+function testStatementCacheConfig() {
+    let sccfg: StatementCacheConfig = {};
+    sccfg = { maxSize: 1000 };
+
+    // @ts-expect-error Invalid maxSize.
+    sccfg = { maxSize: "1000" };
+    // @ts-expect-error Invalid property.
+    sccfg = { size: 1000 };
+
+    let cfg: Config = { statementCache: true };
+    cfg.statementCache = false;
+    cfg.statementCache = undefined;
+    cfg.statementCache = sccfg;
+    cfg.statementCache = { maxSize: 100 };
+
+    // @ts-expect-error Invalid statementCache.
+    cfg.statementCache = 1;
+    // @ts-expect-error Invalid statementCache.
+    cfg.statementCache = "true";
+}
+
+function testStatementCacheStats(client: NoSQLClient) {
+    expectTypeOf(client.getStatementCacheStats).toBeFunction();
+    expectTypeOf(client.getStatementCacheStats).parameters
+        .toEqualTypeOf<[]>();
+    expectTypeOf(client.getStatementCacheStats).returns
+        .toEqualTypeOf<StatementCacheStats|undefined>();
+
+    const stats = client.getStatementCacheStats();
+    if (stats) {
+        expectTypeOf(stats.size).toEqualTypeOf<number>();
+        expectTypeOf(stats.maxSize).toEqualTypeOf<number>();
+        expectTypeOf(stats.hits).toEqualTypeOf<number>();
+        expectTypeOf(stats.misses).toEqualTypeOf<number>();
+        expectTypeOf(stats.evictions).toEqualTypeOf<number>();
+        expectTypeOf(stats.invalidations).toEqualTypeOf<number>();
+    }
+
+    // @ts-expect-error Invalid argument.
+    client.getStatementCacheStats(true);
+}
@@ -0,0 +1,90 @@
+/*-
+ * Copyright (c) 2018, 2025 Oracle and/or its affiliates. All rights reserved.
+ *
+ * Licensed under the Universal Permissive License v 1.0 as shown at
+ *  https://oss.oracle.com/licenses/upl/
+ */
+
+import { expectTypeOf } from "expect-type";
+
+import { NoSQLClient, Config, TelemetryConfig, TelemetryTracer,
+    TelemetryMeter, TelemetrySpan, TelemetryHistogram, TelemetryCounter,
+    TelemetryAttributes } from "../../../";
+
+function testTracer(tracer: TelemetryTracer, span: TelemetrySpan) {
+    expectTypeOf(tracer.startSpan).toBeFunction();
+    expectTypeOf(tracer.startSpan).parameter(0).toBeString();
+    expectTypeOf(tracer.startSpan("a")).toEqualTypeOf<TelemetrySpan>();
+    expectTypeOf(tracer.startActiveSpan).toEqualTypeOf<((name: string,
+        options: { kind?: number, attributes?: TelemetryAttributes },
+        fn: (span: TelemetrySpan) => any) => any) | undefined>();
+
+    span.setAttribute("a", 1);
+    span.setAttributes({ a: "a", b: 1, c: true });
+    span.recordException(new Error("error"));
+    span.setStatus({ code: 2 });
+    span.setStatus({ code: 2, message: "error" });
+    span.end();
+
+    // @ts-expect-error Invalid attributes.
+    span.setAttributes({ a: {} });
+    // @ts-expect-error Invalid status.
+    span.setStatus(2);
+}
+
+function testMeter(meter: TelemetryMeter, hist: TelemetryHistogram,
+    counter: TelemetryCounter) {
+    expectTypeOf(meter.createHistogram("a"))
+        .toEqualTypeOf<TelemetryHistogram>();
+    expectTypeOf(meter.createCounter("a", { description: "a", unit: "ms" }))
+        .toEqualTypeOf<TelemetryCounter>();
+
+    hist.record(1);
+    hist.record(1, { a: "a" });
+    counter.add(1);
+    counter.add(1, { a: 1 });
+
+    // @ts-expect-error Invalid value.
+    hist.record("1");
+    // @ts-expect-error Invalid value.
+    counter.add("1");
+}
+
+function testTelemetryConfig(tracer: TelemetryTracer, meter: TelemetryMeter) {
+    let tcfg: TelemetryConfig = {};
+    tcfg = { tracer };
+    tcfg = { meter };
+    tcfg = { tracer, meter };
+    tcfg = {
+        tracer: {
+            startSpan: () => ({
+                setAttribute: () => {},
+                setAttributes: () => {},
+                recordException: () => {},
+                setStatus: () => {},
+                end: () => {}
+            })
+        }
+    };
+
+    // @ts-expect-error Invalid tracer.
+    tcfg = { tracer: {} };
+    // @ts-expect-error Invalid meter.
+    tcfg = { meter: { createHistogram: () => ({ record: () => {} }) } };
+    // @ts-expect-error Invalid property.
+    tcfg = { tracer, logger: {} };
+
+    let cfg: Config = { telemetry: tcfg };
+    cfg.telemetry = undefined;
+    cfg.telemetry = { meter };
+
+    // @ts-expect-error Invalid telemetry.
+    cfg.telemetry = tracer;
+    // @ts-expect-error Invalid telemetry.
+    cfg.telemetry = 1;
+
+    new NoSQLClient({
+        endpoint: "localhost:8080",
+        telemetry: { tracer, meter }
+    });
+}
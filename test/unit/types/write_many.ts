@@ -13,7 +13,8 @@ import { NoSQLClient, Durability, PutOpt, DeleteOpt, RowKey, AnyKey,
     RowVersion, PutResult, ConsumedCapacity, FieldValue, Durabilities,
     TTLUtil, SyncPolicy, ReplicaAckPolicy, DeleteResult,
     WriteOperation, WriteMultipleOpt, WriteMultipleResult,
-    PutOpResult, DeleteOpResult, PutManyOpt, DeleteManyOpt, AnyRow }
+    PutOpResult, DeleteOpResult, PutManyOpt, DeleteManyOpt, AnyRow,
+    NoSQLError, WriteManyPartialResult, WriteManySubBatch }
     from "../../../";
 
 import Decimal from "decimal.js";
@@ -38,6 +39,8 @@ function testWriteMultipleOpt(ver: RowVersion) {
     opt.ifPresent = true;
     opt.matchVersion = ver;
     opt.abortOnFail = true;
+    opt.autoSplit = true;
+    opt.concurrency = 8;
 
     // @ts-expect-error Invalid type for compartment.
     opt.compartment = 1;
@@ -80,6 +83,10 @@ function testWriteMultipleOpt(ver: RowVersion) {
     opt.matchVersion = {};
     // @ts-expect-error Invalid type for matchVersion.
     opt.matchVersion = Buffer.alloc(10);
+    // @ts-expect-error Invalid type for autoSplit.
+    opt.autoSplit = 1;
+    // @ts-expect-error Invalid type for concurrency.
+    opt.concurrency = "8";
 }
 
 function testPutManyOpt() {
@@ -92,6 +99,8 @@ function testPutManyOpt() {
 
     let opt: PutManyOpt = {};
     opt.abortOnFail = true;
+    opt.autoSplit = true;
+    opt.concurrency = 8;
 
     // @ts-expect-error Invalid option.
     opt.abort = true;
@@ -107,6 +116,8 @@ function testDeleteManyOpt() {
 
     let opt: PutManyOpt = {};
     opt.abortOnFail = true;
+    opt.autoSplit = true;
+    opt.concurrency = 8;
 
     // @ts-expect-error Invalid option.
     opt.abort = true;
@@ -360,6 +371,8 @@ function testTypedWriteMultipleResult(res: WriteMultipleResult<MyRow>) {
     expectTypeOf(res.failedOpIndex).toEqualTypeOf<number|undefined>();
     expectTypeOf(res.failedOpResult)
         .toEqualTypeOf<PutOpResult<MyRow>|DeleteOpResult<MyRow>|undefined>();
+    expectTypeOf(res.failedOpIndexes)
+        .toEqualTypeOf<number[]|undefined>();
     
     // all properties of WriteMultipleResult must be read-only
     expectTypeOf<Readonly<WriteMultipleResult<MyRow>>>()
@@ -377,6 +390,8 @@ function testUntypedWriteMultipleResult(res: WriteMultipleResult) {
     expectTypeOf(res.failedOpIndex).toEqualTypeOf<number|undefined>();
     expectTypeOf(res.failedOpResult)
         .toEqualTypeOf<PutOpResult|DeleteOpResult|undefined>();
+    expectTypeOf(res.failedOpIndexes)
+        .toEqualTypeOf<number[]|undefined>();
     
     // all properties of WriteMultipleResult must be read-only
     expectTypeOf<Readonly<WriteMultipleResult>>()
@@ -386,6 +401,27 @@ function testUntypedWriteMultipleResult(res: WriteMultipleResult) {
     res.version;
 }
 
+function testWriteManyPartialResult(err: NoSQLError) {
+    expectTypeOf(err.partialResult)
+        .toEqualTypeOf<WriteManyPartialResult|undefined>();
+    const res = err.partialResult!;
+    expectTypeOf(res).toMatchTypeOf<WriteMultipleResult>();
+    expectTypeOf(res.subBatches).toEqualTypeOf<WriteManySubBatch[]>();
+    const subBatch = res.subBatches[0];
+    expectTypeOf(subBatch.opIndexes).toEqualTypeOf<number[]>();
+    expectTypeOf(subBatch.completed).toEqualTypeOf<boolean>();
+    expectTypeOf(subBatch.error).toEqualTypeOf<Error|undefined>();
+
+    // all properties of WriteManyPartialResult must be read-only
+    expectTypeOf<Readonly<WriteManyPartialResult>>()
+        .toEqualTypeOf<WriteManyPartialResult>();
+    expectTypeOf<Readonly<WriteManySubBatch>>()
+        .toEqualTypeOf<WriteManySubBatch>();
+
+    // @ts-expect-error partialResult is read-only.
+    err.partialResult = res;
+}
+
 async function testWriteManyTyped(ver: RowVersion) {
     let res: WriteMultipleResult<MyRow>;
     // expectTypeOf(function) does not currently support overloads, so we
@@ -120,6 +120,10 @@ class Utils {
         return Utils.config.serviceType === ServiceType.CLOUD;
     }
 
+    static get isMemory() {
+        return Utils.config.serviceType === ServiceType.MEMORY;
+    }
+
     static get kvVersion() {
         return Utils.getArgVal('--kv');
     }
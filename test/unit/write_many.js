@@ -14,6 +14,7 @@ const NoSQLArgumentError = require('../../index').NoSQLArgumentError;
 const ErrorCode = require('../../index').ErrorCode;
 const NoSQLError = require('../../index').NoSQLError;
 const Limits = require('../../lib/constants').Limits;
+const ops = require('../../lib/ops');
 const isPosInt32OrZero = require('../../lib/utils').isPosInt32OrZero;
 const Utils = require('./utils');
 const WRITE_MANY_TESTS = require('./write_many_tests');
@@ -495,6 +496,162 @@ async function restore(client, test, ops) {
     }
 }
 
+//Test opt.autoSplit using rows from multiple shards that do not fit into a
+//single writeMany request.
+function testAutoSplit(client, test) {
+    const tbl = test.table;
+    //New rows after the existing ones, spanning multiple shards.
+    const rows = Utils.range(test.rowIdEnd, test.rowIdEnd +
+        3 * Limits.BATCH_OP_NUMBER).map(id => test.makeRow(id));
+    const keys = rows.map(row => Utils.makePrimaryKey(tbl, row));
+    const existingRow = test.rowFromShard(0);
+
+    it(`putMany on table ${tbl.name} with autoSplit, invalid concurrency`,
+        async function() {
+            return expect(client.putMany(tbl.name, rows,
+                { autoSplit: true, concurrency: 0 })).to.eventually.be
+                .rejected.and.satisfy(err =>
+                    err instanceof NoSQLArgumentError &&
+                    err._rejectedByDriver);
+        });
+
+    it(`putMany and deleteMany on table ${tbl.name} with autoSplit`,
+        async function() {
+            let res = await client.putMany(tbl.name, rows,
+                { autoSplit: true, concurrency: 2 });
+            expect(res.results).to.be.an('array');
+            expect(res.results.length).to.equal(rows.length);
+            expect(res.failedOpIndex).to.not.exist;
+            expect(res.failedOpIndexes).to.deep.equal([]);
+            for(const opRes of res.results) {
+                expect(opRes.success).to.equal(true);
+                expect(opRes.version).to.be.instanceOf(Buffer);
+            }
+            if (!Utils.isOnPrem) {
+                Utils.verifyConsumedCapacity(res.consumedCapacity);
+                expect(res.consumedCapacity.writeUnits).to.be.at.least(
+                    rows.length);
+            }
+            for(let i = 0; i < rows.length; i++) {
+                const getRes = await client.get(tbl.name, keys[i]);
+                Utils.verifyRow(getRes.row, rows[i], tbl);
+            }
+
+            res = await client.deleteMany(tbl.name, keys,
+                { autoSplit: true });
+            expect(res.results.length).to.equal(keys.length);
+            expect(res.failedOpIndexes).to.deep.equal([]);
+            for(let i = 0; i < keys.length; i++) {
+                expect(res.results[i].success).to.equal(true);
+                const getRes = await client.get(tbl.name, keys[i]);
+                expect(getRes.row).to.equal(null);
+            }
+        });
+
+    it(`writeMany on table ${tbl.name} with autoSplit and abortOnFail`,
+        async function() {
+            //Put on existing row with ifAbsent will abort its sub-batch.
+            const ops = [ { put: existingRow, ifAbsent: true },
+                ...rows.map(put => ({ put })) ];
+            const res = await client.writeMany(tbl.name, ops,
+                { autoSplit: true, abortOnFail: true });
+            expect(res.failedOpIndex).to.equal(0);
+            expect(res.failedOpResult).to.be.an('object');
+            expect(res.failedOpResult.success).to.equal(false);
+            expect(res.failedOpIndexes).to.include(0);
+            expect(res.failedOpIndexes.length).to.be.lessThan(ops.length);
+            for(let i = 0; i < ops.length; i++) {
+                const getRes = await client.get(tbl.name,
+                    Utils.makePrimaryKey(tbl, ops[i].put));
+                if (res.failedOpIndexes.includes(i)) {
+                    expect(res.results[i]).to.not.exist;
+                    if (i !== 0) {
+                        expect(getRes.row).to.equal(null);
+                    }
+                } else {
+                    expect(res.results[i].success).to.equal(true);
+                    Utils.verifyRow(getRes.row, ops[i].put, tbl);
+                }
+            }
+            await client.deleteMany(tbl.name, keys, { autoSplit: true });
+        });
+
+    it(`putMany on table ${tbl.name} with autoSplit and sub-batch error`,
+        async function() {
+            const origExecute = client._execute;
+            let batchCnt = 0;
+            client._execute = function(op, req) {
+                if (op === ops.WriteMultipleOp && ++batchCnt === 2) {
+                    return Promise.reject(new NoSQLError(
+                        ErrorCode.SERVICE_UNAVAILABLE, 'Test error'));
+                }
+                return origExecute.call(this, op, req);
+            };
+            let err;
+            try {
+                await client.putMany(tbl.name, rows,
+                    { autoSplit: true, concurrency: 1 });
+                expect.fail('putMany should have failed');
+            } catch(e) {
+                err = e;
+            } finally {
+                client._execute = origExecute;
+            }
+            expect(err).to.be.instanceOf(NoSQLError);
+            expect(err.errorCode).to.equal(ErrorCode.SERVICE_UNAVAILABLE);
+            const res = err.partialResult;
+            expect(res).to.be.an('object');
+            const subBatches = res.subBatches;
+            expect(subBatches.length).to.be.at.least(3);
+            expect(subBatches[0].completed).to.equal(true);
+            expect(subBatches[0].error).to.not.exist;
+            expect(subBatches[1].completed).to.equal(false);
+            expect(subBatches[1].error).to.equal(err);
+            //The remaining sub-batches were not started.
+            for(const subBatch of subBatches.slice(2)) {
+                expect(subBatch.completed).to.equal(false);
+                expect(subBatch.error).to.not.exist;
+            }
+            expect(subBatches.flatMap(subBatch => subBatch.opIndexes)
+                .sort((a, b) => a - b)).to.deep.equal(
+                Utils.range(rows.length));
+            expect(res.failedOpIndexes).to.deep.equal([]);
+            const applied = new Set(subBatches[0].opIndexes);
+            for(let i = 0; i < rows.length; i++) {
+                const getRes = await client.get(tbl.name, keys[i]);
+                if (applied.has(i)) {
+                    expect(res.results[i].success).to.equal(true);
+                    Utils.verifyRow(getRes.row, rows[i], tbl);
+                } else {
+                    expect(res.results[i]).to.not.exist;
+                    expect(getRes.row).to.equal(null);
+                }
+            }
+            await client.deleteMany(tbl.name, keys, { autoSplit: true });
+        });
+
+    it(`deleteMany on table ${tbl.name} with autoSplit and cached shard key`,
+        async function() {
+            const origExecute = client._execute;
+            let getTableCnt = 0;
+            client._execute = function(op, req) {
+                if (op === ops.GetTableOp) {
+                    getTableCnt++;
+                }
+                return origExecute.call(this, op, req);
+            };
+            try {
+                client._shardKeys.clear();
+                await client.deleteMany(tbl.name, keys, { autoSplit: true });
+                expect(getTableCnt).to.equal(1);
+                await client.deleteMany(tbl.name, keys, { autoSplit: true });
+                expect(getTableCnt).to.equal(1);
+            } finally {
+                client._execute = origExecute;
+            }
+        });
+}
+
 function doTest(client, test) {
     describe(`Running ${test.desc}`, async function() {
         before(async function() {
@@ -517,6 +674,7 @@ function doTest(client, test) {
         });
         testWriteManyNegative(client, test.table, test.rowFromShard(0),
             test.rowFromShard(1));
+        testAutoSplit(client, test);
         test.testCases.forEach(testCase => {
             describe(`writeMany test case: ${testCase.desc}`, function() {
                 beforeEach(function() {